@@ -0,0 +1,440 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Access Control
+ * Role-based permissions for WhatsApp commands and dashboard API routes.
+ * Roles are assigned to phone numbers and to dashboard API keys; both are stored
+ * in DATA_DIR/users.json (keys as SHA-256 hashes only).
+ *
+ * API keys carry either a role or an explicit list of scopes (permissions), an
+ * optional expiry and last-used tracking. Rotating a key mints a replacement and
+ * lets the old one keep working for a grace period.
+ *
+ * Owners come from ADMIN_NUMBERS on startup. Numbers without a role get
+ * DEFAULT_USER_ROLE (default "viewer", or "none" to ignore unknown numbers).
+ * ADMIN_DASH_KEY is deprecated but still accepted as an owner key for bootstrapping.
+ */
+
+export const ROLES = {
+  owner: "Full access, including users, API keys and system tools",
+  marketer: "Campaigns, products, media, audiences, alerts and reports",
+  viewer: "Read-only stats, campaigns and products",
+  support: "Product info and product/stock edits"
+};
+
+export const PERMISSIONS = [
+  "chat",             // natural-language chat, ideas and copy
+  "stats:read",       // stats, campaign lists, insights, own reports
+  "campaigns:write",  // pause/resume/budget, create and edit campaigns
+  "products:read",
+  "products:write",   // product edits, photos, imports
+  "media:generate",   // image/video generation
+  "audiences:write",
+  "alerts:manage",
+  "settings:manage",  // company profile
+  "backup:run",
+  "audit:read",       // everyone's history (own history only needs chat)
+  "users:manage",     // roles and API keys
+  "system:admin"      // queue, diagnostics, API tests
+];
+
+export const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  marketer: ["chat", "stats:read", "campaigns:write", "products:read", "products:write", "media:generate", "audiences:write", "alerts:manage"],
+  viewer: ["chat", "stats:read", "products:read"],
+  support: ["chat", "products:read", "products:write"]
+};
+
+// Permission required by each WhatsApp command (commands not listed need "chat")
+const COMMAND_PERMISSIONS = {
+  "/help": null,
+  "/stats": "stats:read",
+  "/campaigns": "stats:read",
+  "/best": "stats:read",
+  "/report": "stats:read",
+  "/pause": "campaigns:write",
+  "/resume": "campaigns:write",
+  "/budget": "campaigns:write",
+  "/createad": "campaigns:write",
+  "/audience": "audiences:write",
+  "/products": "products:read",
+  "/product": "products:read",
+  "/sync": "products:write",
+  "/photo": "products:write",
+  "/angle": "media:generate",
+  "/style": "media:generate",
+  "/image": "media:generate",
+  "/images": "media:generate",
+  "/last": "media:generate",
+  "/redo": "media:generate",
+  "/compose": "media:generate",
+  "/test": "system:admin",
+  "/check": "system:admin",
+  "/users": "users:manage"
+};
+
+const KEY_TTL_DAYS = parseInt(process.env.API_KEY_TTL_DAYS ?? "90"); // 0 = keys never expire
+const ROTATION_GRACE_HOURS = 24;
+const LAST_USED_WRITE_INTERVAL = 60 * 1000; // Limit users.json writes from busy keys
+
+// Dependencies (passed from server.js)
+let usersFile = null;
+let legacyAdminKey = null;
+let envOwners = [];
+
+/**
+ * Load users and seed owners from ADMIN_NUMBERS
+ * @param {object} dependencies - { DATA_DIR, ownerNumbers, legacyAdminKey }
+ */
+export function initAccessControl(dependencies) {
+  usersFile = path.join(dependencies.DATA_DIR, "users.json");
+  legacyAdminKey = dependencies.legacyAdminKey || null;
+  envOwners = dependencies.ownerNumbers || [];
+
+  const data = loadData();
+  for (const phone of envOwners) {
+    const existing = data.users.find(u => u.phone === phone);
+    if (existing) {
+      existing.role = "owner";
+      existing.source = "env";
+    } else {
+      data.users.push({ phone, role: "owner", name: null, source: "env", addedAt: new Date().toISOString() });
+    }
+  }
+  saveData(data);
+
+  if (!data.users.some(u => u.role === "owner")) {
+    console.warn("⚠️ No owner configured. Set ADMIN_NUMBERS to manage users over WhatsApp.");
+  }
+  if (legacyAdminKey) {
+    console.warn("⚠️ ADMIN_DASH_KEY is deprecated. Mint scoped keys with POST /api/keys and remove it.");
+  }
+}
+
+function loadData() {
+  try {
+    if (usersFile && fs.existsSync(usersFile)) {
+      const data = JSON.parse(fs.readFileSync(usersFile, "utf8"));
+      return { users: data.users || [], apiKeys: data.apiKeys || [] };
+    }
+  } catch (err) {
+    console.error("[Access] Error reading users.json:", err);
+  }
+  return { users: [], apiKeys: [] };
+}
+
+function saveData(data) {
+  try {
+    fs.writeFileSync(usersFile, JSON.stringify(data, null, 2), "utf8");
+  } catch (err) {
+    console.error("[Access] Error writing users.json:", err);
+  }
+}
+
+// Keep at least one owner so roles can still be managed
+function assertNotLastOwner(data, user) {
+  if (user.role === "owner" && data.users.filter(u => u.role === "owner").length === 1) {
+    throw new Error(`${user.phone} is the last owner; add another owner first`);
+  }
+}
+
+function defaultRole() {
+  const role = (process.env.DEFAULT_USER_ROLE || "viewer").toLowerCase();
+  return ROLES[role] ? role : null;
+}
+
+/**
+ * Normalize a phone number to WhatsApp's wa_id form (digits only)
+ * @param {string} phone
+ * @returns {string}
+ */
+export function normalizePhone(phone) {
+  return String(phone || "").replace(/[^\d]/g, "");
+}
+
+/**
+ * Whether command text names a phone number ("+49 170 1234567"), not a word
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isPhoneScope(text) {
+  return /^\+?\d[\d\s-]*$/.test(String(text || "").trim());
+}
+
+/**
+ * Role for a phone number (assigned, or the default role)
+ * @param {string} phone
+ * @returns {string|null}
+ */
+export function getRole(phone) {
+  const user = loadData().users.find(u => u.phone === normalizePhone(phone));
+  return user ? user.role : defaultRole();
+}
+
+/**
+ * @param {string|null} role
+ * @param {string|null} permission - null means no permission needed
+ * @returns {boolean}
+ */
+export function roleHasPermission(role, permission) {
+  if (!permission) return true;
+  return !!role && (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Check a phone number's permission
+ * @param {string} phone
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export function can(phone, permission) {
+  return roleHasPermission(getRole(phone), permission);
+}
+
+/**
+ * Permission needed for a WhatsApp command (sub-command aware)
+ * @param {string} command - e.g. "/alerts"
+ * @param {Array<string>} params
+ * @returns {string|null}
+ */
+export function permissionForCommand(command, params = []) {
+  const action = params[0]?.toLowerCase();
+  if (command === "/alerts") {
+    return ["add", "remove", "pause", "ignore", "check"].includes(action) ? "alerts:manage" : "stats:read";
+  }
+  if (command === "/product" && action === "edit") return "products:write";
+  if (command === "/optimizer") {
+    return ["add", "remove", "enable", "disable", "mode", "run"].includes(action) ? "campaigns:write" : "stats:read";
+  }
+  if (command === "/history") return action === "all" || isPhoneScope(action) ? "audit:read" : "chat";
+  // Undo checks the permission of each change it reverts (see undoService.js)
+  if (command === "/undo") return "chat";
+  if (command === "/import") return action === "audiences" ? "audiences:write" : "products:write";
+  if (command === "/profile") return action === "show" || !action ? "stats:read" : "settings:manage";
+  if (command in COMMAND_PERMISSIONS) return COMMAND_PERMISSIONS[command];
+  return "chat";
+}
+
+/**
+ * @returns {Array} - Users with their roles
+ */
+export function listUsers() {
+  return loadData().users;
+}
+
+/**
+ * Assign a role to a phone number (creates the user if needed)
+ * @param {string} phone
+ * @param {string} role
+ * @param {object} options - { name, addedBy }
+ * @returns {object} - The user
+ */
+export function setUserRole(phone, role, { name = null, addedBy = null } = {}) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) throw new Error("Invalid phone number");
+  if (!ROLES[role]) throw new Error(`Unknown role "${role}". Roles: ${Object.keys(ROLES).join(", ")}`);
+
+  const data = loadData();
+  let user = data.users.find(u => u.phone === normalized);
+  if (user?.source === "env" && role !== "owner") {
+    throw new Error(`${normalized} is an owner via ADMIN_NUMBERS; change the env var instead`);
+  }
+  if (user) {
+    if (role !== "owner") assertNotLastOwner(data, user);
+    user.role = role;
+    if (name) user.name = name;
+    user.updatedAt = new Date().toISOString();
+  } else {
+    user = { phone: normalized, role, name, source: "manual", addedBy, addedAt: new Date().toISOString() };
+    data.users.push(user);
+  }
+  saveData(data);
+  return user;
+}
+
+/**
+ * Remove a phone number's role (it falls back to DEFAULT_USER_ROLE)
+ * @param {string} phone
+ * @returns {boolean} - True if removed
+ */
+export function removeUser(phone) {
+  const normalized = normalizePhone(phone);
+  const data = loadData();
+  const user = data.users.find(u => u.phone === normalized);
+  if (!user) return false;
+  if (user.source === "env") {
+    throw new Error(`${normalized} is an owner via ADMIN_NUMBERS; change the env var instead`);
+  }
+  assertNotLastOwner(data, user);
+  data.users = data.users.filter(u => u.phone !== normalized);
+  saveData(data);
+  return true;
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function validateScopes(scopes) {
+  const unknown = scopes.filter(scope => !PERMISSIONS.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scope${unknown.length > 1 ? "s" : ""} ${unknown.join(", ")}. Scopes: ${PERMISSIONS.join(", ")}`);
+  }
+}
+
+// Permissions granted by a key: its explicit scopes, or its role's permissions
+function keyPermissions(apiKey) {
+  return apiKey.scopes || ROLE_PERMISSIONS[apiKey.role] || [];
+}
+
+function isExpired(apiKey, now = Date.now()) {
+  return !!apiKey.expiresAt && new Date(apiKey.expiresAt).getTime() <= now;
+}
+
+/**
+ * Mint a dashboard API key. The plaintext key is only returned here.
+ * @param {object} options - { name, role, scopes, expiresInDays, createdBy, rotatedFrom }
+ *   Give either a role or a list of scopes. expiresInDays defaults to
+ *   API_KEY_TTL_DAYS (90); 0 means the key never expires.
+ * @returns {{ key: string, apiKey: object }}
+ */
+export function createApiKey({ name, role = null, scopes = null, expiresInDays = KEY_TTL_DAYS, createdBy = null, rotatedFrom = null }) {
+  if (!name) throw new Error("Key name is required");
+  if (!role && !scopes?.length) throw new Error("A role or at least one scope is required");
+  if (role && !ROLES[role]) throw new Error(`Unknown role "${role}". Roles: ${Object.keys(ROLES).join(", ")}`);
+  if (scopes) validateScopes(scopes);
+  const days = Number(expiresInDays);
+  if (isNaN(days) || days < 0) throw new Error("expiresInDays must be 0 (never) or a positive number");
+
+  const key = `mk_${crypto.randomBytes(24).toString("base64url")}`;
+  const apiKey = {
+    id: crypto.randomUUID(),
+    name,
+    role: scopes?.length ? null : role,
+    scopes: scopes?.length ? [...new Set(scopes)] : null,
+    prefix: key.slice(0, 8),
+    keyHash: hashKey(key),
+    createdBy,
+    createdAt: new Date().toISOString(),
+    expiresAt: days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null,
+    lastUsedAt: null,
+    rotatedFrom
+  };
+  const data = loadData();
+  data.apiKeys.push(apiKey);
+  saveData(data);
+  return { key, apiKey: publicApiKey(apiKey) };
+}
+
+/**
+ * Replace a key with a new one (same name, role/scopes and lifetime). The old
+ * key keeps working for a grace period so clients can switch over.
+ * @param {string} id
+ * @param {object} options - { graceHours, createdBy }
+ * @returns {{ key: string, apiKey: object, previous: object }|null} - null if not found
+ */
+export function rotateApiKey(id, { graceHours = ROTATION_GRACE_HOURS, createdBy = null } = {}) {
+  const old = loadData().apiKeys.find(k => k.id === id);
+  if (!old) return null;
+  if (isExpired(old)) throw new Error("This key has already expired; create a new one instead");
+
+  const lifetimeDays = old.expiresAt
+    ? Math.max(1, Math.round((new Date(old.expiresAt) - new Date(old.createdAt)) / (24 * 60 * 60 * 1000)))
+    : 0;
+  const minted = createApiKey({
+    name: old.name,
+    role: old.role,
+    scopes: old.scopes,
+    expiresInDays: lifetimeDays,
+    createdBy,
+    rotatedFrom: old.id
+  });
+
+  // Reload: createApiKey saved the new key
+  const data = loadData();
+  const previous = data.apiKeys.find(k => k.id === id);
+  const graceEnd = Date.now() + Math.max(0, Number(graceHours) || 0) * 60 * 60 * 1000;
+  if (!previous.expiresAt || new Date(previous.expiresAt).getTime() > graceEnd) {
+    previous.expiresAt = new Date(graceEnd).toISOString();
+  }
+  previous.rotatedTo = minted.apiKey.id;
+  saveData(data);
+  return { ...minted, previous: publicApiKey(previous) };
+}
+
+// API key record without the hash
+function publicApiKey({ keyHash, ...apiKey }) {
+  return { ...apiKey, expired: isExpired(apiKey) };
+}
+
+/**
+ * @returns {Array} - API keys (without hashes)
+ */
+export function listApiKeys() {
+  return loadData().apiKeys.map(publicApiKey);
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean} - True if revoked
+ */
+export function revokeApiKey(id) {
+  const data = loadData();
+  const before = data.apiKeys.length;
+  data.apiKeys = data.apiKeys.filter(k => k.id !== id);
+  if (data.apiKeys.length === before) return false;
+  saveData(data);
+  return true;
+}
+
+/**
+ * Resolve a presented key to an actor (expired keys are rejected)
+ * @param {string} key
+ * @returns {object|null} - { type: "apiKey", id, name, role, scopes }
+ */
+export function authenticateApiKey(key) {
+  if (!key) return null;
+  if (legacyAdminKey && key.length === legacyAdminKey.length &&
+      crypto.timingSafeEqual(Buffer.from(key), Buffer.from(legacyAdminKey))) {
+    return { type: "apiKey", id: "legacy", name: "ADMIN_DASH_KEY", role: "owner", scopes: ROLE_PERMISSIONS.owner };
+  }
+  const hash = hashKey(key);
+  const data = loadData();
+  const apiKey = data.apiKeys.find(k => k.keyHash === hash);
+  if (!apiKey || isExpired(apiKey)) return null;
+
+  const now = Date.now();
+  if (!apiKey.lastUsedAt || now - new Date(apiKey.lastUsedAt).getTime() > LAST_USED_WRITE_INTERVAL) {
+    apiKey.lastUsedAt = new Date(now).toISOString();
+    saveData(data);
+  }
+  return { type: "apiKey", id: apiKey.id, name: apiKey.name, role: apiKey.role, scopes: keyPermissions(apiKey) };
+}
+
+function keyFromRequest(req) {
+  const auth = req.headers.authorization || "";
+  if (auth.startsWith("Bearer ")) return auth.slice(7).trim();
+  return req.headers["x-api-key"] || req.headers["x-admin-key"] || null;
+}
+
+/**
+ * Express middleware: require an API key whose role or scopes grant `permission`.
+ * Accepts "Authorization: Bearer <key>", x-api-key or the legacy x-admin-key header.
+ * Sets req.actor for downstream handlers.
+ * @param {string|null} permission - null only requires a valid key
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    const actor = authenticateApiKey(keyFromRequest(req));
+    if (!actor) {
+      return res.status(401).json({ ok: false, error: "Unauthorized. Missing or invalid API key." });
+    }
+    if (permission && !actor.scopes.includes(permission)) {
+      return res.status(403).json({ ok: false, error: `Forbidden. Key "${actor.name}" lacks the ${permission} scope.` });
+    }
+    req.actor = actor;
+    next();
+  };
+}
@@ -0,0 +1,637 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Alert Service
+ * Threshold-based ad alerting: rules are evaluated against Meta insights on a
+ * poll interval and matching campaigns/ads are pushed to subscribed WhatsApp numbers.
+ *
+ * Rule types:
+ * - metric:         "cpc > 1.20 6h"       (cpc|ctr|cpm|spend, over the last N hours)
+ * - budget_pacing:  "spend > 120% budget" (today's spend vs. daily budget)
+ * - metric_drop:    "ctr drop 40% 7d"     (today vs. N-day baseline)
+ * - disapproved:    "disapproved"         (ads disapproved or with issues)
+ */
+
+const ALERT_CHECK_INTERVAL = (parseInt(process.env.ALERT_CHECK_MINUTES) || 15) * 60 * 1000;
+const DEFAULT_COOLDOWN_HOURS = 6; // Don't repeat the same alert for the same entity within this window
+const IGNORE_HOURS = 24;
+const MAX_RECENT_ALERTS = 100;
+const METRICS = ["cpc", "ctr", "cpm", "spend"];
+
+// Dependencies (passed from server.js)
+let fb = null;
+let sendWhatsAppMessage = null;
+let sendWhatsAppButtons = null;
+let rulesFile = null;
+let stateFile = null;
+
+let alertTimer = null;
+
+/**
+ * Wire server.js helpers into the alert service
+ * @param {object} dependencies - { fb, sendWhatsAppMessage, sendWhatsAppButtons, DATA_DIR }
+ */
+export function initAlerts(dependencies) {
+  fb = dependencies.fb;
+  sendWhatsAppMessage = dependencies.sendWhatsAppMessage;
+  sendWhatsAppButtons = dependencies.sendWhatsAppButtons;
+  rulesFile = path.join(dependencies.DATA_DIR, "alert-rules.json");
+  stateFile = path.join(dependencies.DATA_DIR, "alert-state.json");
+}
+
+function readJson(file, fallback) {
+  try {
+    if (file && fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    }
+  } catch (err) {
+    console.error(`[Alerts] Error reading ${path.basename(file)}:`, err);
+  }
+  return fallback;
+}
+
+function writeJson(file, data) {
+  try {
+    fs.writeFileSync(file, JSON.stringify(data, null, 2), "utf8");
+  } catch (err) {
+    console.error(`[Alerts] Error writing ${path.basename(file)}:`, err);
+  }
+}
+
+function loadRules() {
+  return readJson(rulesFile, []);
+}
+
+function saveRules(rules) {
+  writeJson(rulesFile, rules);
+}
+
+function loadState() {
+  return { subscribers: [], fired: {}, snoozed: {}, recent: [], ...readJson(stateFile, {}) };
+}
+
+function saveState(state) {
+  writeJson(stateFile, state);
+}
+
+function shortId() {
+  return crypto.randomBytes(3).toString("hex");
+}
+
+/**
+ * Parse alert rule text into a rule definition
+ * @param {string} text - e.g. "cpc > 1.20 6h", "spend > 120% budget", "ctr drop 40% 7d", "disapproved"
+ * @returns {object|null}
+ */
+export function parseAlertRule(text) {
+  const lower = (text || "").toLowerCase().trim();
+
+  if (/^(campaign\s+)?disapprov/.test(lower)) {
+    return { type: "disapproved" };
+  }
+
+  const pacing = lower.match(/^(?:daily\s+)?spend\s*(?:>|exceeds)\s*(\d+(?:\.\d+)?)\s*%\s*(?:of\s+)?budget/);
+  if (pacing) {
+    return { type: "budget_pacing", percent: parseFloat(pacing[1]) };
+  }
+
+  const drop = lower.match(/^(cpc|ctr|cpm|spend)\s+drops?\s+(\d+(?:\.\d+)?)\s*%(?:\s*(?:vs\.?\s*)?(\d+)\s*-?\s*d(?:ays?)?)?/);
+  if (drop) {
+    return {
+      type: "metric_drop",
+      metric: drop[1],
+      percent: parseFloat(drop[2]),
+      baselineDays: drop[3] ? parseInt(drop[3]) : 7
+    };
+  }
+
+  const metric = lower.match(/^(cpc|ctr|cpm|spend)\s*(>=|<=|>|<)\s*\$?(\d+(?:\.\d+)?)%?(?:\s*(?:over|in|for)?\s*(?:the\s+)?(?:last\s+)?(\d+)\s*h(?:ours?)?)?/);
+  if (metric) {
+    return {
+      type: "metric",
+      metric: metric[1],
+      operator: metric[2],
+      value: parseFloat(metric[3]),
+      windowHours: metric[4] ? parseInt(metric[4]) : 24
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Validate a rule definition (from REST or parsed text)
+ * @param {object} rule
+ * @returns {string|null} - Error message or null when valid
+ */
+export function validateAlertRule(rule) {
+  if (!rule || !rule.type) return "Rule type is required";
+  switch (rule.type) {
+    case "metric":
+      if (!METRICS.includes(rule.metric)) return `metric must be one of: ${METRICS.join(", ")}`;
+      if (![">", "<", ">=", "<="].includes(rule.operator)) return "operator must be >, <, >= or <=";
+      if (!(rule.value >= 0)) return "value must be a number";
+      if (!(rule.windowHours > 0)) return "windowHours must be positive";
+      return null;
+    case "budget_pacing":
+      return rule.percent > 0 ? null : "percent must be positive";
+    case "metric_drop":
+      if (!METRICS.includes(rule.metric)) return `metric must be one of: ${METRICS.join(", ")}`;
+      if (!(rule.percent > 0 && rule.percent < 100)) return "percent must be between 0 and 100";
+      return rule.baselineDays > 0 ? null : "baselineDays must be positive";
+    case "disapproved":
+      return null;
+    default:
+      return `Unknown rule type: ${rule.type}`;
+  }
+}
+
+function formatMetric(metric, value) {
+  if (metric === "ctr") return `${value.toFixed(2)}%`;
+  return `$${value.toFixed(2)}`;
+}
+
+/**
+ * Human-readable rule description
+ * @param {object} rule
+ * @returns {string}
+ */
+export function describeRule(rule) {
+  switch (rule.type) {
+    case "metric":
+      return `${rule.metric.toUpperCase()} ${rule.operator} ${formatMetric(rule.metric, rule.value)} over ${rule.windowHours}h`;
+    case "budget_pacing":
+      return `Daily spend exceeds ${rule.percent}% of budget`;
+    case "metric_drop":
+      return `${rule.metric.toUpperCase()} drops ${rule.percent}% vs. ${rule.baselineDays}-day baseline`;
+    case "disapproved":
+      return "Ad disapproved";
+    default:
+      return rule.type;
+  }
+}
+
+/**
+ * List alert rules
+ * @returns {Array}
+ */
+export function listAlertRules() {
+  return loadRules();
+}
+
+/**
+ * Add an alert rule
+ * @param {object} definition - Rule fields (see validateAlertRule)
+ * @param {string} createdBy - Phone number or "api"
+ * @returns {object} - Stored rule
+ */
+export function addAlertRule(definition, createdBy) {
+  const error = validateAlertRule(definition);
+  if (error) throw new Error(error);
+
+  const rule = {
+    ...definition,
+    id: `r${shortId()}`,
+    enabled: definition.enabled !== false,
+    cooldownHours: definition.cooldownHours || DEFAULT_COOLDOWN_HOURS,
+    createdBy,
+    createdAt: new Date().toISOString()
+  };
+  const rules = loadRules();
+  rules.push(rule);
+  saveRules(rules);
+  return rule;
+}
+
+/**
+ * Remove an alert rule
+ * @param {string} ruleId
+ * @returns {boolean} - True if a rule was removed
+ */
+export function removeAlertRule(ruleId) {
+  const rules = loadRules();
+  const remaining = rules.filter(r => r.id !== ruleId);
+  if (remaining.length === rules.length) return false;
+  saveRules(remaining);
+  return true;
+}
+
+/**
+ * Subscribe/unsubscribe a phone number to alert notifications
+ * @param {string} phone
+ * @param {boolean} enabled
+ */
+export function setAlertSubscription(phone, enabled) {
+  const state = loadState();
+  state.subscribers = state.subscribers.filter(p => p !== phone);
+  if (enabled) state.subscribers.push(phone);
+  saveState(state);
+}
+
+/**
+ * @param {string} phone
+ * @returns {boolean}
+ */
+export function isAlertSubscriber(phone) {
+  return loadState().subscribers.includes(phone);
+}
+
+/**
+ * Recent alerts (newest first)
+ * @param {number} limit
+ * @returns {Array}
+ */
+export function listRecentAlerts(limit = 20) {
+  return loadState().recent.slice(-limit).reverse();
+}
+
+/**
+ * Look up a delivered alert by ID
+ * @param {string} alertId
+ * @returns {object|null}
+ */
+export function getAlert(alertId) {
+  return loadState().recent.find(a => a.id === alertId) || null;
+}
+
+/**
+ * Suppress an alert's rule/entity pair for IGNORE_HOURS
+ * @param {string} alertId
+ * @returns {object|null} - The ignored alert
+ */
+export function ignoreAlert(alertId) {
+  const state = loadState();
+  const alert = state.recent.find(a => a.id === alertId);
+  if (!alert) return null;
+  state.snoozed[alert.key] = Date.now() + IGNORE_HOURS * 60 * 60 * 1000;
+  saveState(state);
+  return alert;
+}
+
+/**
+ * Pause the campaign/ad an alert was raised for
+ * @param {string} alertId
+ * @returns {Promise<object|null>} - The paused alert, with the entity's previousStatus
+ */
+export async function pauseAlertEntity(alertId) {
+  const alert = getAlert(alertId);
+  if (!alert) return null;
+  const current = await fb(`/${alert.entityId}`, "GET", { fields: "status" });
+  await fb(`/${alert.entityId}`, "POST", { status: "PAUSED" });
+  return { ...alert, previousStatus: current.status || null };
+}
+
+// Format a date as YYYY-MM-DD and hour in an IANA timezone
+function zonedDay(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone: timeZone || "UTC",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    hourCycle: "h23"
+  }).formatToParts(date);
+  const get = (type) => parts.find(p => p.type === type)?.value;
+  return { day: `${get("year")}-${get("month")}-${get("day")}`, hour: parseInt(get("hour")) };
+}
+
+function computeMetrics(row) {
+  const spend = parseFloat(row.spend || 0);
+  const impressions = parseInt(row.impressions || 0);
+  const clicks = parseInt(row.clicks || 0);
+  return {
+    spend,
+    impressions,
+    clicks,
+    ctr: impressions > 0 ? (clicks / impressions) * 100 : 0,
+    cpc: clicks > 0 ? spend / clicks : 0,
+    cpm: impressions > 0 ? (spend / impressions) * 1000 : 0
+  };
+}
+
+// Ratio metrics are meaningless on tiny samples
+function hasEnoughData(metric, m) {
+  if (metric === "cpc") return m.clicks >= 5;
+  if (metric === "ctr" || metric === "cpm") return m.impressions >= 500;
+  return true;
+}
+
+function compare(actual, operator, expected) {
+  switch (operator) {
+    case ">": return actual > expected;
+    case "<": return actual < expected;
+    case ">=": return actual >= expected;
+    case "<=": return actual <= expected;
+    default: return false;
+  }
+}
+
+// Sum insights rows per campaign
+function sumByCampaign(rows) {
+  const totals = new Map();
+  for (const row of rows) {
+    const current = totals.get(row.campaign_id) || { campaign_id: row.campaign_id, campaign_name: row.campaign_name, spend: 0, impressions: 0, clicks: 0 };
+    current.spend += parseFloat(row.spend || 0);
+    current.impressions += parseInt(row.impressions || 0);
+    current.clicks += parseInt(row.clicks || 0);
+    totals.set(row.campaign_id, current);
+  }
+  return [...totals.values()];
+}
+
+// Campaign-level insights for the last N hours, in the ad account's timezone
+async function getWindowInsights(account, windowHours, now) {
+  const today = zonedDay(now, account.timezone_name);
+
+  if (windowHours > 24) {
+    const days = Math.ceil(windowHours / 24);
+    const since = zonedDay(new Date(now.getTime() - (days - 1) * 24 * 60 * 60 * 1000), account.timezone_name).day;
+    const insights = await fb(`/${account.id}/insights`, "GET", {
+      level: "campaign",
+      fields: "campaign_id,campaign_name,spend,impressions,clicks",
+      time_range: JSON.stringify({ since, until: today.day }),
+      limit: 500
+    });
+    return insights.data || [];
+  }
+
+  const yesterday = zonedDay(new Date(now.getTime() - 24 * 60 * 60 * 1000), account.timezone_name);
+  const insights = await fb(`/${account.id}/insights`, "GET", {
+    level: "campaign",
+    fields: "campaign_id,campaign_name,spend,impressions,clicks",
+    time_range: JSON.stringify({ since: yesterday.day, until: today.day }),
+    time_increment: 1,
+    breakdowns: "hourly_stats_aggregated_by_advertiser_time_zone",
+    limit: 1000
+  });
+
+  // Hour buckets relative to the start of yesterday: current hour = 24 + today.hour
+  const currentBucket = 24 + today.hour;
+  const rows = (insights.data || []).filter(row => {
+    const hour = parseInt((row.hourly_stats_aggregated_by_advertiser_time_zone || "0").substring(0, 2));
+    const bucket = (row.date_start === today.day ? 24 : 0) + hour;
+    return bucket > currentBucket - windowHours && bucket <= currentBucket;
+  });
+  return sumByCampaign(rows);
+}
+
+async function evaluateMetricRule(rule, account, now) {
+  const rows = await getWindowInsights(account, rule.windowHours, now);
+  const matches = [];
+  for (const row of rows) {
+    const m = computeMetrics(row);
+    if (!hasEnoughData(rule.metric, m)) continue;
+    if (compare(m[rule.metric], rule.operator, rule.value)) {
+      matches.push({
+        entityId: row.campaign_id,
+        entityName: row.campaign_name,
+        entityType: "campaign",
+        detail: `${rule.metric.toUpperCase()}: ${formatMetric(rule.metric, m[rule.metric])} (last ${rule.windowHours}h, $${m.spend.toFixed(2)} spend)`
+      });
+    }
+  }
+  return matches;
+}
+
+async function evaluateBudgetPacingRule(rule, account) {
+  const [campaigns, insights] = await Promise.all([
+    fb(`/${account.id}/campaigns`, "GET", {
+      fields: "id,name,daily_budget,adsets.limit(50){daily_budget,effective_status}",
+      effective_status: JSON.stringify(["ACTIVE"]),
+      limit: 100
+    }),
+    fb(`/${account.id}/insights`, "GET", {
+      level: "campaign",
+      fields: "campaign_id,spend",
+      date_preset: "today",
+      limit: 500
+    })
+  ]);
+
+  const spendByCampaign = new Map((insights.data || []).map(r => [r.campaign_id, parseFloat(r.spend || 0)]));
+  const matches = [];
+
+  for (const campaign of campaigns.data || []) {
+    // CBO campaigns carry the budget; otherwise sum the active ad set budgets
+    let budgetCents = parseInt(campaign.daily_budget || 0);
+    if (!budgetCents) {
+      budgetCents = (campaign.adsets?.data || [])
+        .filter(a => a.effective_status === "ACTIVE")
+        .reduce((sum, a) => sum + parseInt(a.daily_budget || 0), 0);
+    }
+    if (!budgetCents) continue;
+
+    const budget = budgetCents / 100;
+    const spend = spendByCampaign.get(campaign.id) || 0;
+    if (spend > budget * (rule.percent / 100)) {
+      matches.push({
+        entityId: campaign.id,
+        entityName: campaign.name,
+        entityType: "campaign",
+        detail: `Spent $${spend.toFixed(2)} today of $${budget.toFixed(2)}/day (${Math.round((spend / budget) * 100)}%)`
+      });
+    }
+  }
+  return matches;
+}
+
+async function evaluateMetricDropRule(rule, account, now) {
+  const today = zonedDay(now, account.timezone_name).day;
+  const sinceDate = new Date(now.getTime() - rule.baselineDays * 24 * 60 * 60 * 1000);
+  const untilDate = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+
+  const [current, baseline] = await Promise.all([
+    fb(`/${account.id}/insights`, "GET", {
+      level: "campaign",
+      fields: "campaign_id,campaign_name,spend,impressions,clicks",
+      time_range: JSON.stringify({ since: today, until: today }),
+      limit: 500
+    }),
+    fb(`/${account.id}/insights`, "GET", {
+      level: "campaign",
+      fields: "campaign_id,campaign_name,spend,impressions,clicks",
+      time_range: JSON.stringify({
+        since: zonedDay(sinceDate, account.timezone_name).day,
+        until: zonedDay(untilDate, account.timezone_name).day
+      }),
+      limit: 500
+    })
+  ]);
+
+  const baselineById = new Map((baseline.data || []).map(r => [r.campaign_id, computeMetrics(r)]));
+  const matches = [];
+
+  for (const row of current.data || []) {
+    const m = computeMetrics(row);
+    const base = baselineById.get(row.campaign_id);
+    if (!base || !hasEnoughData(rule.metric, m) || !hasEnoughData(rule.metric, base)) continue;
+    if (base[rule.metric] <= 0) continue;
+
+    // Spend is compared as a daily average
+    const baseValue = rule.metric === "spend" ? base.spend / rule.baselineDays : base[rule.metric];
+    const change = ((m[rule.metric] - baseValue) / baseValue) * 100;
+    if (change <= -rule.percent) {
+      matches.push({
+        entityId: row.campaign_id,
+        entityName: row.campaign_name,
+        entityType: "campaign",
+        detail: `${rule.metric.toUpperCase()}: ${formatMetric(rule.metric, m[rule.metric])} today vs. ${formatMetric(rule.metric, baseValue)} baseline (${change.toFixed(0)}%)`
+      });
+    }
+  }
+  return matches;
+}
+
+async function evaluateDisapprovedRule(rule, account) {
+  const ads = await fb(`/${account.id}/ads`, "GET", {
+    fields: "id,name,effective_status,campaign{id,name},ad_review_feedback",
+    filtering: JSON.stringify([{ field: "effective_status", operator: "IN", value: ["DISAPPROVED", "WITH_ISSUES"] }]),
+    limit: 100
+  });
+
+  return (ads.data || []).map(ad => {
+    const feedback = ad.ad_review_feedback?.global ? Object.values(ad.ad_review_feedback.global)[0] : null;
+    return {
+      entityId: ad.id,
+      entityName: ad.name,
+      entityType: "ad",
+      detail: `Status: ${ad.effective_status}${ad.campaign?.name ? `\nCampaign: ${ad.campaign.name}` : ""}${feedback ? `\nReason: ${String(feedback).substring(0, 200)}` : ""}`
+    };
+  });
+}
+
+async function evaluateRule(rule, account, now) {
+  switch (rule.type) {
+    case "metric":
+      return evaluateMetricRule(rule, account, now);
+    case "budget_pacing":
+      return evaluateBudgetPacingRule(rule, account);
+    case "metric_drop":
+      return evaluateMetricDropRule(rule, account, now);
+    case "disapproved":
+      return evaluateDisapprovedRule(rule, account);
+    default:
+      return [];
+  }
+}
+
+async function notify(phone, alert) {
+  const text =
+    `🔔 *Alert: ${alert.ruleDescription}*\n\n` +
+    `${alert.entityType === "ad" ? "Ad" : "Campaign"}: ${alert.entityName}\n` +
+    `${alert.detail}\n\n` +
+    `Alert ID: ${alert.id}`;
+
+  try {
+    await sendWhatsAppButtons(phone, text, [
+      { id: `alert:pause:${alert.id}`, title: "⏸️ Pause" },
+      { id: `alert:ignore:${alert.id}`, title: "🙈 Ignore 24h" }
+    ]);
+  } catch (err) {
+    // Fall back to plain text with typed follow-ups
+    await sendWhatsAppMessage(phone, `${text}\n\nReply /alerts pause ${alert.id} or /alerts ignore ${alert.id}`);
+  }
+}
+
+/**
+ * Evaluate all enabled rules and notify subscribers of new matches
+ * @param {Date} now - Current time (injectable for tests)
+ * @returns {Promise<Array>} - Alerts raised in this run
+ */
+export async function checkAlerts(now = new Date()) {
+  const rules = loadRules().filter(r => r.enabled);
+  if (rules.length === 0) return [];
+
+  const state = loadState();
+  const accounts = await fb(`/me/adaccounts`, "GET", { fields: "id,name,timezone_name" });
+  const raised = [];
+
+  for (const account of accounts.data || []) {
+    for (const rule of rules) {
+      let matches = [];
+      try {
+        matches = await evaluateRule(rule, account, now);
+      } catch (err) {
+        console.error(`[Alerts] Rule ${rule.id} failed for ${account.id}:`, err.message);
+        continue;
+      }
+
+      for (const match of matches) {
+        const key = `${rule.id}:${match.entityId}`;
+        if (state.snoozed[key] && state.snoozed[key] > now.getTime()) continue;
+        if (state.fired[key] && now.getTime() - state.fired[key] < rule.cooldownHours * 60 * 60 * 1000) continue;
+
+        const alert = {
+          id: shortId(),
+          key,
+          ruleId: rule.id,
+          ruleDescription: describeRule(rule),
+          accountId: account.id,
+          ...match,
+          createdAt: now.toISOString()
+        };
+        state.fired[key] = now.getTime(); // One alert per key per run
+        raised.push(alert);
+      }
+    }
+  }
+
+  // Re-read so subscription changes and "Ignore 24h" taps made during the run are kept;
+  // only the run's alerts are merged in
+  const latest = loadState();
+  const delivered = raised.filter(a => !(latest.snoozed[a.key] && latest.snoozed[a.key] > now.getTime()));
+  for (const alert of delivered) {
+    latest.fired[alert.key] = now.getTime();
+    latest.recent.push(alert);
+  }
+
+  // Drop expired snoozes and trim history
+  for (const [key, until] of Object.entries(latest.snoozed)) {
+    if (until <= now.getTime()) delete latest.snoozed[key];
+  }
+  latest.recent = latest.recent.slice(-MAX_RECENT_ALERTS);
+  saveState(latest);
+
+  for (const alert of delivered) {
+    for (const phone of latest.subscribers) {
+      try {
+        await notify(phone, alert);
+      } catch (err) {
+        console.error(`[Alerts] Failed to notify ${phone}:`, err.message);
+      }
+    }
+  }
+
+  if (delivered.length > 0) {
+    console.log(`[Alerts] Raised ${delivered.length} alert(s) for ${latest.subscribers.length} subscriber(s)`);
+  }
+  return delivered;
+}
+
+/**
+ * Start polling Meta insights for alert rules
+ * @param {object} options - { clock: () => Date, intervalMs }
+ * @returns {{ stop: Function }}
+ */
+export function startAlertPolling({ clock = () => new Date(), intervalMs = ALERT_CHECK_INTERVAL } = {}) {
+  if (alertTimer) clearInterval(alertTimer);
+
+  alertTimer = setInterval(async () => {
+    if (loadState().subscribers.length === 0) return;
+    try {
+      await checkAlerts(clock());
+    } catch (err) {
+      console.error("[Alerts] Polling error:", err.message);
+    }
+  }, intervalMs);
+
+  console.log(`✅ Alert polling started (every ${Math.round(intervalMs / 60000)} min)`);
+  return {
+    stop() {
+      clearInterval(alertTimer);
+      alertTimer = null;
+    }
+  };
+}
@@ -0,0 +1,306 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { markJobSideEffect } from "./messageQueue.js";
+
+/**
+ * Audit Log
+ * Append-only record of who did what: WhatsApp commands, authenticated API
+ * requests and the changes they made (with before/after values).
+ *
+ * Entries are JSON lines in DATA_DIR/audit/audit.log. The file is rotated daily
+ * or when it reaches AUDIT_MAX_BYTES; rotated files are exported to Google Drive
+ * through backupService and the newest AUDIT_KEEP_FILES are kept locally.
+ *
+ * Entry kinds:
+ * - command: a WhatsApp command and its outcome
+ * - request: a mutating dashboard API request and its outcome
+ * - change:  a write to Meta or WooCommerce, with the fields' before/after values.
+ *            Changes made together (a bulk action) share a batchId; undoing a
+ *            change is recorded as a new change with revertOf (see undoService.js).
+ */
+
+const MAX_BYTES = parseInt(process.env.AUDIT_MAX_BYTES) || 5 * 1024 * 1024;
+const KEEP_FILES = parseInt(process.env.AUDIT_KEEP_FILES) || 30;
+const MAX_PARAM_LENGTH = 200;
+const SECRET_PARAM = /key|token|secret|password|authorization/i;
+const BINARY_PARAM = /base64|buffer|image_?data|file_?data/i;
+
+// Dependencies (passed from server.js)
+let auditDir = null;
+let logFile = null;
+let exportedFile = null;
+let getBackupService = () => null;
+let getRole = () => null;
+
+let currentDay = null;
+let exportChain = Promise.resolve(); // Exports run one at a time so no file is uploaded twice
+
+/**
+ * Wire server.js helpers into the audit log
+ * @param {object} dependencies - { DATA_DIR, getBackupService, getRole }
+ */
+export function initAuditLog(dependencies) {
+  auditDir = path.join(dependencies.DATA_DIR, "audit");
+  logFile = path.join(auditDir, "audit.log");
+  exportedFile = path.join(auditDir, "exported.json");
+  getBackupService = dependencies.getBackupService || getBackupService;
+  getRole = dependencies.getRole || getRole;
+
+  if (!fs.existsSync(auditDir)) {
+    fs.mkdirSync(auditDir, { recursive: true });
+  }
+  currentDay = fs.existsSync(logFile) ? fs.statSync(logFile).mtime.toISOString().slice(0, 10) : today();
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Actor for a WhatsApp user
+ * @param {string} phone
+ * @returns {object}
+ */
+export function phoneActor(phone) {
+  return { type: "phone", id: phone, role: getRole(phone) };
+}
+
+/**
+ * Actor for an authenticated API request (req.actor from requirePermission)
+ * @param {object} actor
+ * @returns {object}
+ */
+export function apiKeyActor(actor) {
+  if (!actor) return { type: "anonymous", id: null };
+  return { type: "apiKey", id: actor.id, name: actor.name, role: actor.role };
+}
+
+// Drop secrets and binary payloads, shorten long values
+function sanitize(value, key = "") {
+  if (SECRET_PARAM.test(key)) return "[redacted]";
+  if (BINARY_PARAM.test(key)) return "[omitted]";
+  if (typeof value === "string") {
+    return value.length > MAX_PARAM_LENGTH ? `${value.slice(0, MAX_PARAM_LENGTH)}…` : value;
+  }
+  if (Array.isArray(value)) {
+    return value.slice(0, 20).map(item => sanitize(item));
+  }
+  if (value && typeof value === "object") {
+    if (Buffer.isBuffer(value)) return "[omitted]";
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, sanitize(v, k)]));
+  }
+  return value;
+}
+
+/**
+ * Append an entry to the audit log
+ * @param {object} entry - { kind, actor, action, params, target, changes, batchId, revertOf, outcome, error }
+ * @returns {object} - The stored entry (with id and timestamp)
+ */
+export function recordAudit(entry) {
+  const record = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    kind: entry.kind,
+    actor: entry.actor,
+    action: entry.action,
+    params: entry.params ? sanitize(entry.params) : undefined,
+    target: entry.target,
+    changes: entry.changes,
+    batchId: entry.batchId,
+    revertOf: entry.revertOf,
+    outcome: entry.outcome || "success",
+    error: entry.error || undefined
+  };
+  if (!logFile) {
+    console.log(`[Audit] ${JSON.stringify(record)}`);
+    return record;
+  }
+
+  try {
+    const line = JSON.stringify(record) + "\n";
+    rotateIfNeeded(Buffer.byteLength(line));
+    fs.appendFileSync(logFile, line, "utf8");
+  } catch (err) {
+    console.error("[Audit] Error writing audit log:", err.message);
+  }
+  return record;
+}
+
+/**
+ * Record a write with its before/after values. Fields whose value didn't
+ * change are left out; nothing is recorded if no field changed.
+ * @param {object} actor - From phoneActor() or apiKeyActor()
+ * @param {string} action - e.g. "campaign.pause", "product.update"
+ * @param {object} target - { type, id, name, parentId? }
+ * @param {object} before - Field values before the write
+ * @param {object} after - Field values written
+ * @param {object} options - { batchId, revertOf }
+ * @returns {object|null} - The stored entry
+ */
+export function recordChange(actor, action, target, before, after, { batchId, revertOf } = {}) {
+  const changes = Object.entries(after)
+    .filter(([field, value]) => JSON.stringify(before?.[field] ?? null) !== JSON.stringify(value ?? null))
+    .map(([field, value]) => ({ field, before: before?.[field] ?? null, after: value ?? null }));
+  if (changes.length === 0) return null;
+  markJobSideEffect();
+  return recordAudit({ kind: "change", actor, action, target, changes, batchId, revertOf });
+}
+
+/**
+ * Express middleware: record every mutating API request made with an API key
+ * (and every denied one) once the response is sent
+ */
+export function auditRequests(req, res, next) {
+  if (!["POST", "PUT", "PATCH", "DELETE"].includes(req.method) || !req.path.startsWith("/api/")) {
+    return next();
+  }
+  res.on("finish", () => {
+    const denied = res.statusCode === 401 || res.statusCode === 403;
+    if (!req.actor && !denied) return; // Public routes (website chat, quiz)
+    recordAudit({
+      kind: "request",
+      actor: apiKeyActor(req.actor),
+      action: `${req.method} ${req.baseUrl}${req.route?.path || req.path}`,
+      params: { ...req.params, ...(Object.keys(req.query).length > 0 && { query: req.query }), ...(req.body && { body: req.body }) },
+      outcome: denied ? "denied" : res.statusCode >= 400 ? "error" : "success",
+      error: res.statusCode >= 400 ? `HTTP ${res.statusCode}` : undefined
+    });
+  });
+  next();
+}
+
+// Start a new file each day or when the current one is full
+function rotateIfNeeded(incomingBytes) {
+  if (!fs.existsSync(logFile)) {
+    currentDay = today();
+    return;
+  }
+  const size = fs.statSync(logFile).size;
+  if (size === 0 || (currentDay === today() && size + incomingBytes <= MAX_BYTES)) return;
+
+  const rotatedName = `audit-${currentDay}-${Date.now()}.jsonl`;
+  fs.renameSync(logFile, path.join(auditDir, rotatedName));
+  currentDay = today();
+  console.log(`[Audit] Rotated log to ${rotatedName}`);
+
+  pruneRotatedFiles();
+  exportAuditLogs().catch(err => console.error("[Audit] Export after rotation failed:", err.message));
+}
+
+// Rotated files, oldest first (names sort by date, then timestamp)
+function listRotatedFiles() {
+  return fs.readdirSync(auditDir).filter(name => /^audit-.*\.jsonl$/.test(name)).sort();
+}
+
+function loadExported() {
+  try {
+    return fs.existsSync(exportedFile) ? JSON.parse(fs.readFileSync(exportedFile, "utf8")) : [];
+  } catch (err) {
+    console.error("[Audit] Error reading exported.json:", err.message);
+    return [];
+  }
+}
+
+// Keep the newest KEEP_FILES rotated files, but never delete one that hasn't reached Drive
+function pruneRotatedFiles() {
+  const exported = loadExported();
+  const files = listRotatedFiles();
+  const excess = files.slice(0, Math.max(0, files.length - KEEP_FILES));
+  for (const name of excess.filter(name => exported.includes(name))) {
+    fs.unlinkSync(path.join(auditDir, name));
+  }
+  const remaining = new Set(listRotatedFiles());
+  fs.writeFileSync(exportedFile, JSON.stringify(exported.filter(name => remaining.has(name)), null, 2), "utf8");
+}
+
+/**
+ * Export rotated files that haven't been uploaded yet to Google Drive
+ * @param {object} options - { includeCurrent: also upload a snapshot of the active file }
+ * @returns {Promise<Array>} - Upload results
+ */
+export function exportAuditLogs(options = {}) {
+  const run = exportChain.then(() => uploadAuditFiles(options));
+  exportChain = run.catch(() => {});
+  return run;
+}
+
+async function uploadAuditFiles({ includeCurrent = false }) {
+  const backupService = getBackupService();
+  if (!backupService?.backupFileToDrive || !auditDir) return [];
+
+  const exported = loadExported();
+  const pending = listRotatedFiles().filter(name => !exported.includes(name));
+  const results = [];
+
+  for (const name of pending) {
+    const result = await backupService.backupFileToDrive(path.join(auditDir, name), name.replace(/\.jsonl$/, ""), {
+      extension: "jsonl",
+      mimeType: "application/x-ndjson"
+    });
+    results.push({ file: name, ...result });
+    if (result.success) exported.push(name);
+  }
+  fs.writeFileSync(exportedFile, JSON.stringify(exported, null, 2), "utf8");
+  if (pending.length > 0) pruneRotatedFiles();
+
+  if (includeCurrent && fs.existsSync(logFile)) {
+    const result = await backupService.backupFileToDrive(logFile, `audit-current-${Date.now()}`, {
+      extension: "jsonl",
+      mimeType: "application/x-ndjson"
+    });
+    results.push({ file: "audit.log", ...result });
+  }
+  return results;
+}
+
+function readEntries(file) {
+  return fs.readFileSync(file, "utf8").split("\n").filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return []; // Skip a line cut short by a crash
+    }
+  });
+}
+
+/**
+ * Search the audit log, newest first
+ * @param {object} filters - { actor, action, kind, from, to, limit, match }
+ *   actor matches the phone number, key id or key name; action matches a substring;
+ *   from/to are dates or ISO timestamps (inclusive); match is an extra predicate
+ * @returns {Array}
+ */
+export function queryAudit({ actor = null, action = null, kind = null, from = null, to = null, limit = 50, match = null } = {}) {
+  if (!auditDir) return [];
+  const fromTime = from ? new Date(from).getTime() : null;
+  // A bare date as "to" includes that whole day
+  const toTime = to ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to).getTime() : null;
+  const actorQuery = actor ? String(actor).toLowerCase() : null;
+  const actionQuery = action ? String(action).toLowerCase() : null;
+
+  const matchesFilters = (entry) => {
+    const time = new Date(entry.timestamp).getTime();
+    if (fromTime && time < fromTime) return false;
+    if (toTime && time > toTime) return false;
+    if (kind && entry.kind !== kind) return false;
+    if (actionQuery && !String(entry.action || "").toLowerCase().includes(actionQuery)) return false;
+    if (actorQuery && ![entry.actor?.id, entry.actor?.name].some(v => String(v ?? "").toLowerCase() === actorQuery)) return false;
+    return !match || match(entry);
+  };
+
+  const files = [logFile, ...listRotatedFiles().reverse().map(name => path.join(auditDir, name))];
+  const results = [];
+  for (const file of files) {
+    if (!fs.existsSync(file)) continue;
+    // Rotated file names start with their day; skip files that end before "from"
+    const day = path.basename(file).match(/^audit-(\d{4}-\d{2}-\d{2})/)?.[1];
+    if (day && fromTime && new Date(`${day}T23:59:59.999Z`).getTime() < fromTime) continue;
+
+    const entries = readEntries(file).filter(matchesFilters).reverse();
+    results.push(...entries);
+    if (results.length >= limit) break;
+  }
+  return results.slice(0, limit);
+}
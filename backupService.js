@@ -86,8 +86,8 @@ async function getOrCreateBackupFolder(drive) {
   }
 }
 
-// Backup a file to Google Drive
-export async function backupFileToDrive(filePath, fileName) {
+// Backup a file to Google Drive (JSON by default; pass extension/mimeType for other formats)
+export async function backupFileToDrive(filePath, fileName, { extension = 'json', mimeType = 'application/json' } = {}) {
   try {
     if (!process.env.GOOGLE_DRIVE_CLIENT_EMAIL || !process.env.GOOGLE_DRIVE_PRIVATE_KEY) {
       console.warn('[Backup] Google Drive credentials not configured');
@@ -107,12 +107,12 @@ export async function backupFileToDrive(filePath, fileName) {
     
     const dateStr = new Date().toISOString().split('T')[0];
     const fileMetadata = {
-      name: `${fileName}_${dateStr}.json`,
+      name: `${fileName}_${dateStr}.${extension}`,
       parents: [folderId]
     };
 
     const media = {
-      mimeType: 'application/json',
+      mimeType,
       body: fs.createReadStream(filePath)
     };
 
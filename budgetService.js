@@ -0,0 +1,185 @@
+import crypto from "crypto";
+import { recordChange } from "./auditLog.js";
+
+/**
+ * Budget Service
+ * Plans and applies Meta budget changes for a campaign:
+ * - Campaign budget optimization (CBO, the budget lives on the campaign) sets the campaign budget
+ * - Otherwise every ad set with a budget is updated, or one ad set picked by name/ID
+ * - Daily or lifetime budgets; an absolute amount or a percentage change ("+20%")
+ *
+ * Changes are planned first (old → new values for confirmation) and then applied.
+ * Amounts are in the ad account's currency; Meta stores budgets in minor units (cents).
+ */
+
+const MIN_BUDGET_CENTS = 100; // Meta rejects budgets below ~1.00 in most currencies
+
+// Dependencies (passed from server.js)
+let fb = null;
+let findEntityByNameOrId = null;
+
+/**
+ * Wire server.js helpers into the budget service
+ * @param {object} dependencies - { fb, findEntityByNameOrId }
+ */
+export function initBudgets(dependencies) {
+  fb = dependencies.fb;
+  findEntityByNameOrId = dependencies.findEntityByNameOrId;
+}
+
+/**
+ * Parse a budget change
+ * @param {string} text - "50", "$50/day", "500 lifetime", "+20%", "-10%"
+ * @returns {{ mode: "set"|"percent", value: number, period: "daily"|"lifetime"|null }|null}
+ */
+export function parseBudgetChange(text) {
+  const match = String(text || "").trim().match(/^([+-])?\$?(\d+(?:\.\d+)?)(%)?\s*(?:\/\s*|\s+)?(day|daily|lifetime|total)?$/i);
+  if (!match) return null;
+  const [, sign, number, percent, periodWord] = match;
+  const period = !periodWord ? null : /^(day|daily)$/i.test(periodWord) ? "daily" : "lifetime";
+  if (percent) {
+    const value = parseFloat(number) * (sign === "-" ? -1 : 1);
+    return value === 0 || value <= -100 ? null : { mode: "percent", value, period };
+  }
+  if (sign === "-") return null;
+  return { mode: "set", value: parseFloat(number), period };
+}
+
+/**
+ * Split "/budget" command text into campaign, optional ad set and change
+ * @param {string} text - "<campaign> [| <ad set>] <change>"
+ * @returns {{ campaignQuery: string, adsetQuery: string|null, change: object }|null}
+ */
+export function parseBudgetCommand(text) {
+  const match = String(text || "").trim().match(/^(.+?)\s+([+-]?\$?\d+(?:\.\d+)?%?(?:\s*\/\s*\w+|\s+(?:day|daily|lifetime|total))?)$/i);
+  if (!match) return null;
+  const change = parseBudgetChange(match[2]);
+  if (!change) return null;
+  const [campaignQuery, adsetQuery] = match[1].split("|").map(part => part.trim());
+  if (!campaignQuery) return null;
+  return { campaignQuery, adsetQuery: adsetQuery || null, change };
+}
+
+function budgetField(entity) {
+  if (entity.daily_budget && parseInt(entity.daily_budget) > 0) return "daily_budget";
+  if (entity.lifetime_budget && parseInt(entity.lifetime_budget) > 0) return "lifetime_budget";
+  return null;
+}
+
+// Pick an ad set by ID, exact name, or a unique partial name
+function matchAdset(adsets, query) {
+  const lower = query.toLowerCase();
+  const exact = adsets.filter(a => a.id === query || a.name?.toLowerCase() === lower);
+  if (exact.length === 1) return exact[0];
+  const partial = adsets.filter(a => a.name?.toLowerCase().includes(lower));
+  if (partial.length === 1) return partial[0];
+  if (partial.length === 0) throw new Error(`No ad set matching "${query}"`);
+  throw new Error(`"${query}" matches ${partial.length} ad sets: ${partial.slice(0, 5).map(a => a.name).join(", ")}`);
+}
+
+function planItem(entity, type, change, parentId = null) {
+  const field = budgetField(entity);
+  if (!field) throw new Error(`${entity.name} has no budget to change`);
+  const period = field === "daily_budget" ? "daily" : "lifetime";
+  if (change.period && change.period !== period) {
+    // Meta doesn't allow switching an existing campaign/ad set between daily and lifetime budgets
+    throw new Error(`${entity.name} uses a ${period} budget, not a ${change.period} one`);
+  }
+
+  const before = parseInt(entity[field]);
+  const after = change.mode === "percent"
+    ? Math.round(before * (1 + change.value / 100))
+    : Math.round(change.value * 100);
+  if (after < MIN_BUDGET_CENTS) {
+    throw new Error(`${entity.name}: ${formatBudget(after)} is below the minimum budget`);
+  }
+  return { id: entity.id, name: entity.name, type, parentId, field, period, before, after };
+}
+
+/**
+ * Work out which budgets a change applies to and their new values
+ * @param {object} request - { campaignQuery | campaignId, adsetQuery, change }
+ * @returns {Promise<object>} - { campaign: { id, name }, cbo, items: [{ id, name, type, field, period, before, after }] }
+ */
+export async function planBudgetChange({ campaignQuery = null, campaignId = null, adsetQuery = null, change }) {
+  let id = campaignId;
+  if (!id) {
+    const found = await findEntityByNameOrId("campaigns", campaignQuery);
+    if (!found) throw new Error(`Campaign not found: ${campaignQuery}`);
+    id = found.entity.id;
+  }
+
+  const campaign = await fb(`/${id}`, "GET", { fields: "id,name,daily_budget,lifetime_budget" });
+  const cbo = !!budgetField(campaign);
+
+  if (cbo) {
+    if (adsetQuery) {
+      throw new Error(`${campaign.name} uses campaign budget optimization; its ad sets share the campaign budget`);
+    }
+    return { campaign: { id: campaign.id, name: campaign.name }, cbo, items: [planItem(campaign, "campaign", change)] };
+  }
+
+  const adsets = (await fb(`/${id}/adsets`, "GET", { fields: "id,name,status,daily_budget,lifetime_budget", limit: 100 })).data || [];
+  const withBudget = adsets.filter(a => budgetField(a) && a.status !== "DELETED" && a.status !== "ARCHIVED");
+  if (withBudget.length === 0) {
+    throw new Error(`${campaign.name} has no ad sets with a budget`);
+  }
+  const targets = adsetQuery ? [matchAdset(withBudget, adsetQuery)] : withBudget;
+  if (!adsetQuery && change.mode === "set" && targets.length > 1) {
+    // The same amount on every ad set would silently multiply the campaign's spend
+    throw new Error(`${campaign.name} has ${targets.length} ad sets. Pick one with "| <ad set>" or use a percentage like +20%`);
+  }
+
+  return {
+    campaign: { id: campaign.id, name: campaign.name },
+    cbo,
+    items: targets.map(adset => planItem(adset, "adset", change, campaign.id))
+  };
+}
+
+/**
+ * @param {number} cents
+ * @returns {string} - e.g. "$50.00"
+ */
+export function formatBudget(cents) {
+  return `$${(cents / 100).toFixed(2)}`;
+}
+
+/**
+ * Old → new lines for a plan
+ * @param {object} plan - From planBudgetChange()
+ * @returns {string}
+ */
+export function describeBudgetPlan(plan) {
+  const header = plan.cbo ? `${plan.campaign.name} (campaign budget)` : plan.campaign.name;
+  const lines = plan.items.map(item => {
+    const label = item.type === "campaign" ? "Campaign" : item.name;
+    const suffix = item.period === "daily" ? "/day" : " lifetime";
+    return `• ${label}: ${formatBudget(item.before)} → ${formatBudget(item.after)}${suffix}`;
+  });
+  return `${header}\n${lines.join("\n")}`;
+}
+
+/**
+ * Apply a plan and record each change in the audit log (one batch, so /undo reverts it together)
+ * @param {object} plan - From planBudgetChange()
+ * @param {object} actor - phoneActor()/apiKeyActor()
+ * @param {object} options - { batchId: record under an existing batch, e.g. a bulk action over several plans }
+ * @returns {Promise<Array>} - [{ ...item, success, changeId, error }]
+ */
+export async function applyBudgetPlan(plan, actor, { batchId = plan.items.length > 1 ? crypto.randomUUID() : undefined } = {}) {
+  const results = [];
+  for (const item of plan.items) {
+    try {
+      await fb(`/${item.id}`, "POST", { [item.field]: item.after });
+      const entry = recordChange(actor, `${item.type}.budget`, { type: item.type, id: item.id, name: item.name, parentId: item.parentId },
+        { [item.field]: String(item.before) }, { [item.field]: String(item.after) }, { batchId });
+      results.push({ ...item, success: true, changeId: entry?.id || null });
+    } catch (err) {
+      const error = err.response?.data?.error?.message || err.message;
+      console.error(`[Budget] Failed to update ${item.type} ${item.id}:`, error);
+      results.push({ ...item, success: false, error });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,540 @@
+/**
+ * Campaign Builder
+ * Creates a Meta campaign from a declarative spec: one campaign, N ad sets
+ * (audiences, placements, budgets) and M ads (creatives and copy) per ad set.
+ *
+ * The spec is validated and turned into Graph API payloads before any call is
+ * made. Objects are then created in order (campaign → ad sets → creatives → ads);
+ * if any call fails, everything created so far is deleted again.
+ *
+ * Spec (amounts in account currency, times ISO 8601):
+ * {
+ *   accountId, name, objective: "OUTCOME_SALES" (legacy names like CONVERSIONS are mapped),
+ *   status: "PAUSED" | "ACTIVE", specialAdCategories: [],
+ *   budget: { amount, period: "daily" | "lifetime" },   // campaign budget (CBO); omit to budget per ad set
+ *   bidStrategy, bidAmount, roasFloor,                   // see BID_STRATEGIES
+ *   pixel: { id, event: "PURCHASE" },                    // required for conversion goals (or META_PIXEL_ID)
+ *   pageId, startTime, endTime,
+ *   adSets: [{ name, targeting, placements, budget, optimizationGoal, billingEvent, bidAmount, pixel, ads: [...] }],
+ *   ads: [{ name, creative: { imageHash | imageUrl | videoId, headline, text, description, link, callToAction } }]
+ * }
+ * Top-level ads go into every ad set (N × M); an ad set's own ads only into that one.
+ * An ad set without ads is created empty.
+ */
+
+const OBJECTIVES = {
+  OUTCOME_SALES: { goals: ["OFFSITE_CONVERSIONS", "VALUE", "LINK_CLICKS", "LANDING_PAGE_VIEWS", "IMPRESSIONS", "REACH"], defaultGoal: "OFFSITE_CONVERSIONS", defaultEvent: "PURCHASE" },
+  OUTCOME_LEADS: { goals: ["OFFSITE_CONVERSIONS", "LEAD_GENERATION", "QUALITY_LEAD", "LINK_CLICKS", "LANDING_PAGE_VIEWS"], defaultGoal: "OFFSITE_CONVERSIONS", defaultEvent: "LEAD" },
+  OUTCOME_TRAFFIC: { goals: ["LINK_CLICKS", "LANDING_PAGE_VIEWS", "REACH", "IMPRESSIONS"], defaultGoal: "LINK_CLICKS" },
+  OUTCOME_AWARENESS: { goals: ["REACH", "IMPRESSIONS", "AD_RECALL_LIFT", "THRUPLAY"], defaultGoal: "REACH" },
+  OUTCOME_ENGAGEMENT: { goals: ["POST_ENGAGEMENT", "THRUPLAY", "LINK_CLICKS", "IMPRESSIONS", "REACH"], defaultGoal: "POST_ENGAGEMENT" }
+};
+
+// Pre-ODAX objective names still used by the workflows and older dashboard builds
+const LEGACY_OBJECTIVES = {
+  CONVERSIONS: "OUTCOME_SALES",
+  PRODUCT_CATALOG_SALES: "OUTCOME_SALES",
+  LEAD_GENERATION: "OUTCOME_LEADS",
+  LINK_CLICKS: "OUTCOME_TRAFFIC",
+  TRAFFIC: "OUTCOME_TRAFFIC",
+  REACH: "OUTCOME_AWARENESS",
+  BRAND_AWARENESS: "OUTCOME_AWARENESS",
+  POST_ENGAGEMENT: "OUTCOME_ENGAGEMENT",
+  ENGAGEMENT: "OUTCOME_ENGAGEMENT",
+  VIDEO_VIEWS: "OUTCOME_ENGAGEMENT"
+};
+
+const PIXEL_GOALS = ["OFFSITE_CONVERSIONS", "VALUE"];
+const BILLING_EVENTS = { LINK_CLICKS: ["IMPRESSIONS", "LINK_CLICKS"], THRUPLAY: ["IMPRESSIONS", "THRUPLAY"] };
+const BID_STRATEGIES = ["LOWEST_COST_WITHOUT_CAP", "LOWEST_COST_WITH_BID_CAP", "COST_CAP", "LOWEST_COST_WITH_MIN_ROAS"];
+const CONVERSION_EVENTS = [
+  "PURCHASE", "ADD_TO_CART", "INITIATED_CHECKOUT", "ADD_PAYMENT_INFO", "ADD_TO_WISHLIST", "LEAD",
+  "COMPLETE_REGISTRATION", "CONTENT_VIEW", "SEARCH", "SUBSCRIBE", "START_TRIAL", "CONTACT"
+];
+const SPECIAL_AD_CATEGORIES = ["NONE", "EMPLOYMENT", "HOUSING", "CREDIT", "ISSUES_ELECTIONS_POLITICS", "ONLINE_GAMBLING_AND_GAMING", "FINANCIAL_PRODUCTS_SERVICES"];
+const CALL_TO_ACTIONS = [
+  "SHOP_NOW", "LEARN_MORE", "BUY_NOW", "ORDER_NOW", "GET_OFFER", "SIGN_UP", "SUBSCRIBE",
+  "CONTACT_US", "SEND_MESSAGE", "WHATSAPP_MESSAGE", "BOOK_NOW", "APPLY_NOW", "DOWNLOAD", "WATCH_MORE", "NO_BUTTON"
+];
+
+// Placement spec keys → targeting fields and allowed values
+const PLACEMENTS = {
+  publisherPlatforms: { field: "publisher_platforms", values: ["facebook", "instagram", "audience_network", "messenger"] },
+  facebookPositions: { field: "facebook_positions", values: ["feed", "right_hand_column", "marketplace", "video_feeds", "story", "search", "instream_video", "facebook_reels", "profile_feed"] },
+  instagramPositions: { field: "instagram_positions", values: ["stream", "story", "explore", "explore_home", "reels", "profile_feed", "ig_search"] },
+  audienceNetworkPositions: { field: "audience_network_positions", values: ["classic", "rewarded_video"] },
+  messengerPositions: { field: "messenger_positions", values: ["messenger_home", "story", "sponsored_messages"] },
+  devicePlatforms: { field: "device_platforms", values: ["mobile", "desktop"] }
+};
+
+const MAX_AD_SETS = 20;
+const MAX_ADS_PER_AD_SET = 50;
+const MIN_BUDGET = 1;
+
+// Dependencies (passed from server.js)
+let fb = null;
+
+/**
+ * Wire server.js helpers into the campaign builder
+ * @param {object} dependencies - { fb }
+ */
+export function initCampaignBuilder(dependencies) {
+  fb = dependencies.fb;
+}
+
+function defaultCountries() {
+  return (process.env.META_DEFAULT_COUNTRIES || "").split(",").map(c => c.trim().toUpperCase()).filter(Boolean);
+}
+
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+function isValidTime(value) {
+  return !Number.isNaN(new Date(value).getTime());
+}
+
+function isUrl(value) {
+  return /^https?:\/\/\S+$/i.test(String(value || ""));
+}
+
+function normalizeObjective(objective) {
+  const upper = String(objective || "OUTCOME_SALES").toUpperCase();
+  return LEGACY_OBJECTIVES[upper] || upper;
+}
+
+function validateBudget(budget, where, errors) {
+  if (!budget || typeof budget !== "object") {
+    errors.push(`${where}: budget { amount, period } is required`);
+    return;
+  }
+  if (!(parseFloat(budget.amount) >= MIN_BUDGET)) errors.push(`${where}.amount must be at least ${MIN_BUDGET}`);
+  if (budget.period && !["daily", "lifetime"].includes(budget.period)) errors.push(`${where}.period must be daily or lifetime`);
+}
+
+function budgetFields(budget) {
+  return budget.period === "lifetime" ? { lifetime_budget: toCents(budget.amount) } : { daily_budget: toCents(budget.amount) };
+}
+
+function buildPlacements(placements, where, errors) {
+  if (!placements || placements === "automatic") return {}; // Advantage+ placements
+  if (typeof placements !== "object") {
+    errors.push(`${where} must be "automatic" or an object`);
+    return {};
+  }
+  const fields = {};
+  for (const [key, values] of Object.entries(placements)) {
+    const placement = PLACEMENTS[key];
+    if (!placement) {
+      errors.push(`${where}.${key} is not a placement option (${Object.keys(PLACEMENTS).join(", ")})`);
+      continue;
+    }
+    const invalid = (Array.isArray(values) ? values : [values]).filter(v => !placement.values.includes(v));
+    if (!Array.isArray(values) || values.length === 0 || invalid.length > 0) {
+      errors.push(`${where}.${key} must be a list of: ${placement.values.join(", ")}`);
+      continue;
+    }
+    fields[placement.field] = values;
+  }
+  return fields;
+}
+
+function buildCreative(creative, where, context, errors) {
+  if (!creative || typeof creative !== "object") {
+    errors.push(`${where}.creative is required`);
+    return null;
+  }
+  const media = ["imageHash", "imageUrl", "videoId"].filter(key => creative[key]);
+  if (media.length === 0) errors.push(`${where}.creative needs imageHash, imageUrl or videoId`);
+  if (creative.imageHash && creative.imageUrl) errors.push(`${where}.creative: use imageHash or imageUrl, not both`);
+  if (creative.videoId && !creative.imageHash && !creative.imageUrl) {
+    errors.push(`${where}.creative: videos need a thumbnail (imageHash or imageUrl)`);
+  }
+  if (creative.imageUrl && !isUrl(creative.imageUrl)) errors.push(`${where}.creative.imageUrl must be an http(s) URL`);
+  if (!creative.headline && !creative.text) errors.push(`${where}.creative needs a headline or text`);
+  if (creative.headline && String(creative.headline).length > 255) errors.push(`${where}.creative.headline is longer than 255 characters`);
+
+  const link = creative.link || context.defaultLink;
+  if (!isUrl(link)) errors.push(`${where}.creative.link must be an http(s) URL`);
+  const callToAction = creative.callToAction ? String(creative.callToAction).toUpperCase() : null;
+  if (callToAction && !CALL_TO_ACTIONS.includes(callToAction)) {
+    errors.push(`${where}.creative.callToAction must be one of: ${CALL_TO_ACTIONS.join(", ")}`);
+  }
+  const pageId = creative.pageId || context.pageId;
+  if (!pageId) errors.push(`${where}.creative: pageId is required (spec.pageId or META_PAGE_ID)`);
+
+  const thumbnail = creative.imageHash ? { image_hash: creative.imageHash } : creative.imageUrl ? { image_url: creative.imageUrl } : {};
+  const storySpec = creative.videoId
+    ? {
+        page_id: pageId,
+        video_data: {
+          video_id: creative.videoId,
+          ...thumbnail,
+          message: creative.text || creative.headline,
+          title: creative.headline || undefined,
+          link_description: creative.description || undefined,
+          call_to_action: { type: callToAction || "LEARN_MORE", value: { link } }
+        }
+      }
+    : {
+        page_id: pageId,
+        link_data: {
+          ...(creative.imageHash ? { image_hash: creative.imageHash } : { picture: creative.imageUrl }),
+          link,
+          message: creative.text || creative.headline,
+          name: creative.headline || undefined,
+          description: creative.description || undefined,
+          ...(callToAction && { call_to_action: { type: callToAction, value: { link } } })
+        }
+      };
+
+  return {
+    name: String(creative.name || creative.headline || creative.text || "Ad Creative").substring(0, 50),
+    object_story_spec: storySpec
+  };
+}
+
+/**
+ * Validate a campaign spec and turn it into Graph API payloads (no API calls)
+ * @param {object} spec - See the module comment
+ * @returns {{ errors: Array<string>, plan: object|null }}
+ */
+export function validateCampaignSpec(spec) {
+  const errors = [];
+  if (!spec || typeof spec !== "object") return { errors: ["Spec must be an object"], plan: null };
+
+  const accountId = spec.accountId ? (String(spec.accountId).startsWith("act_") ? String(spec.accountId) : `act_${spec.accountId}`) : null;
+  if (!accountId) errors.push("accountId is required");
+  if (!spec.name || !String(spec.name).trim()) errors.push("name is required");
+
+  const objective = normalizeObjective(spec.objective);
+  const objectiveInfo = OBJECTIVES[objective];
+  if (!objectiveInfo) errors.push(`objective must be one of: ${Object.keys(OBJECTIVES).join(", ")}`);
+
+  const status = String(spec.status || "PAUSED").toUpperCase();
+  if (!["PAUSED", "ACTIVE"].includes(status)) errors.push("status must be PAUSED or ACTIVE");
+
+  const specialAdCategories = spec.specialAdCategories || [];
+  if (!Array.isArray(specialAdCategories) || specialAdCategories.some(c => !SPECIAL_AD_CATEGORIES.includes(c))) {
+    errors.push(`specialAdCategories must be a list of: ${SPECIAL_AD_CATEGORIES.join(", ")}`);
+  }
+
+  for (const key of ["startTime", "endTime"]) {
+    if (spec[key] && !isValidTime(spec[key])) errors.push(`${key} must be a date/time`);
+  }
+
+  const cbo = !!spec.budget;
+  if (cbo) validateBudget(spec.budget, "budget", errors);
+
+  const bidStrategy = spec.bidStrategy ? String(spec.bidStrategy).toUpperCase() : "LOWEST_COST_WITHOUT_CAP";
+  if (!BID_STRATEGIES.includes(bidStrategy)) errors.push(`bidStrategy must be one of: ${BID_STRATEGIES.join(", ")}`);
+
+  const adSets = Array.isArray(spec.adSets) ? spec.adSets : [];
+  if (adSets.length === 0) errors.push("adSets must list at least one ad set");
+  if (adSets.length > MAX_AD_SETS) errors.push(`At most ${MAX_AD_SETS} ad sets per campaign`);
+
+  const sharedAds = spec.ads || [];
+  if (!Array.isArray(sharedAds)) errors.push("ads must be a list");
+
+  const context = {
+    pageId: spec.pageId || process.env.META_PAGE_ID,
+    defaultLink: process.env.SHOP_URL || "https://maromcosmetic.com"
+  };
+
+  // Shared creatives are created once and reused by every ad set
+  const creatives = [];
+  const sharedCreativeIndexes = (Array.isArray(sharedAds) ? sharedAds : []).map((ad, i) => {
+    creatives.push(buildCreative(ad?.creative, `ads[${i}]`, context, errors));
+    return creatives.length - 1;
+  });
+
+  const adSetPlans = adSets.map((adSet, i) => {
+    const where = `adSets[${i}]`;
+    if (!adSet || typeof adSet !== "object") {
+      errors.push(`${where} must be an object`);
+      return null;
+    }
+
+    if (cbo && adSet.budget) errors.push(`${where}.budget: the campaign budget is shared; remove the ad set budget or the campaign budget`);
+    if (!cbo) validateBudget(adSet.budget, `${where}.budget`, errors);
+    const budget = cbo ? spec.budget : adSet.budget || {};
+
+    const startTime = adSet.startTime || spec.startTime;
+    const endTime = adSet.endTime || spec.endTime;
+    if (adSet.startTime && !isValidTime(adSet.startTime)) errors.push(`${where}.startTime must be a date/time`);
+    if (adSet.endTime && !isValidTime(adSet.endTime)) errors.push(`${where}.endTime must be a date/time`);
+    if (budget.period === "lifetime" && !endTime) errors.push(`${where}: lifetime budgets need an endTime`);
+    if (startTime && endTime && new Date(endTime) <= new Date(startTime)) errors.push(`${where}: endTime must be after startTime`);
+    if (endTime && new Date(endTime) <= new Date()) errors.push(`${where}: endTime is in the past`);
+
+    const goal = String(adSet.optimizationGoal || objectiveInfo?.defaultGoal || "").toUpperCase();
+    if (objectiveInfo && !objectiveInfo.goals.includes(goal)) {
+      errors.push(`${where}.optimizationGoal must be one of ${objectiveInfo.goals.join(", ")} for ${objective}`);
+    }
+    const billingEvent = String(adSet.billingEvent || "IMPRESSIONS").toUpperCase();
+    const allowedBilling = BILLING_EVENTS[goal] || ["IMPRESSIONS"];
+    if (!allowedBilling.includes(billingEvent)) errors.push(`${where}.billingEvent must be one of ${allowedBilling.join(", ")} for ${goal}`);
+
+    // Conversion goals optimize for a pixel event
+    let promotedObject;
+    if (PIXEL_GOALS.includes(goal)) {
+      const pixel = adSet.pixel || spec.pixel || {};
+      const pixelId = pixel.id || process.env.META_PIXEL_ID;
+      const event = String(pixel.event || objectiveInfo?.defaultEvent || "PURCHASE").toUpperCase();
+      if (!pixelId) errors.push(`${where}: ${goal} needs a pixel (spec.pixel.id or META_PIXEL_ID)`);
+      if (!CONVERSION_EVENTS.includes(event)) errors.push(`${where}.pixel.event must be one of: ${CONVERSION_EVENTS.join(", ")}`);
+      promotedObject = { pixel_id: pixelId, custom_event_type: event };
+    }
+
+    // Bid strategy lives on the campaign under CBO, otherwise on each ad set
+    const adSetBidStrategy = cbo ? bidStrategy : String(adSet.bidStrategy || bidStrategy).toUpperCase();
+    if (!BID_STRATEGIES.includes(adSetBidStrategy)) errors.push(`${where}.bidStrategy must be one of: ${BID_STRATEGIES.join(", ")}`);
+    if (cbo && adSet.bidStrategy) errors.push(`${where}.bidStrategy: set bidStrategy on the campaign when it has the budget`);
+    const bidAmount = adSet.bidAmount ?? spec.bidAmount;
+    const roasFloor = adSet.roasFloor ?? spec.roasFloor;
+    if (["LOWEST_COST_WITH_BID_CAP", "COST_CAP"].includes(adSetBidStrategy) && !(parseFloat(bidAmount) > 0)) {
+      errors.push(`${where}: ${adSetBidStrategy} needs a bidAmount`);
+    }
+    if (adSetBidStrategy === "LOWEST_COST_WITH_MIN_ROAS") {
+      if (!(parseFloat(roasFloor) > 0)) errors.push(`${where}: LOWEST_COST_WITH_MIN_ROAS needs a roasFloor (e.g. 2.5)`);
+      if (goal !== "VALUE") errors.push(`${where}: LOWEST_COST_WITH_MIN_ROAS needs optimizationGoal VALUE`);
+    }
+
+    let targeting = adSet.targeting || adSet.audience || {};
+    if (typeof targeting !== "object" || Array.isArray(targeting)) {
+      errors.push(`${where}.targeting must be an object`);
+      targeting = {};
+    }
+    if (!targeting.geo_locations) {
+      if (defaultCountries().length > 0) {
+        targeting = { ...targeting, geo_locations: { countries: defaultCountries() } };
+      } else {
+        errors.push(`${where}.targeting.geo_locations is required (or set META_DEFAULT_COUNTRIES)`);
+      }
+    }
+    const placementFields = buildPlacements(adSet.placements, `${where}.placements`, errors);
+
+    const ownAds = adSet.ads || [];
+    if (!Array.isArray(ownAds)) errors.push(`${where}.ads must be a list`);
+    const ownCreativeIndexes = (Array.isArray(ownAds) ? ownAds : []).map((ad, j) => {
+      creatives.push(buildCreative(ad?.creative, `${where}.ads[${j}]`, context, errors));
+      return creatives.length - 1;
+    });
+    const ads = [
+      ...(Array.isArray(sharedAds) ? sharedAds : []).map((ad, j) => ({ name: ad?.name || `Ad ${j + 1}`, creativeIndex: sharedCreativeIndexes[j] })),
+      ...(Array.isArray(ownAds) ? ownAds : []).map((ad, j) => ({ name: ad?.name || `Ad ${sharedAds.length + j + 1}`, creativeIndex: ownCreativeIndexes[j] }))
+    ];
+    if (ads.length > MAX_ADS_PER_AD_SET) errors.push(`${where}: at most ${MAX_ADS_PER_AD_SET} ads per ad set`);
+
+    const name = adSet.name || `${spec.name} - Ad Set ${i + 1}`;
+    return {
+      name,
+      payload: {
+        name,
+        ...(cbo ? {} : budgetFields(budget)),
+        billing_event: billingEvent,
+        optimization_goal: goal,
+        ...(!cbo && { bid_strategy: adSetBidStrategy }),
+        ...(["LOWEST_COST_WITH_BID_CAP", "COST_CAP"].includes(adSetBidStrategy) && { bid_amount: toCents(bidAmount) }),
+        ...(adSetBidStrategy === "LOWEST_COST_WITH_MIN_ROAS" && { bid_constraints: { roas_average_floor: Math.round(parseFloat(roasFloor) * 10000) } }),
+        ...(promotedObject && { promoted_object: promotedObject }),
+        targeting: { ...targeting, ...placementFields },
+        status,
+        ...(startTime && { start_time: new Date(startTime).toISOString() }),
+        ...(endTime && { end_time: new Date(endTime).toISOString() })
+      },
+      ads: ads.map(ad => ({ ...ad, name: `${name} - ${ad.name}` }))
+    };
+  });
+
+  if (errors.length > 0) return { errors, plan: null };
+
+  return {
+    errors,
+    plan: {
+      accountId,
+      objective,
+      status,
+      cbo,
+      campaign: {
+        name: String(spec.name).trim(),
+        objective,
+        status: "PAUSED", // Activated last, once everything under it exists
+        special_ad_categories: specialAdCategories.filter(c => c !== "NONE"),
+        ...(cbo ? { ...budgetFields(spec.budget), bid_strategy: bidStrategy } : { is_adset_budget_sharing_enabled: false })
+      },
+      adSets: adSetPlans,
+      creatives
+    }
+  };
+}
+
+/**
+ * Summary of a validated plan (counts and payloads) for dry runs
+ * @param {object} plan - From validateCampaignSpec()
+ * @returns {object}
+ */
+export function describeCampaignPlan(plan) {
+  return {
+    accountId: plan.accountId,
+    objective: plan.objective,
+    cbo: plan.cbo,
+    counts: {
+      adSets: plan.adSets.length,
+      creatives: plan.creatives.length,
+      ads: plan.adSets.reduce((sum, adSet) => sum + adSet.ads.length, 0)
+    },
+    campaign: plan.campaign,
+    adSets: plan.adSets.map(adSet => ({ ...adSet.payload, ads: adSet.ads.map(ad => ad.name) })),
+    creatives: plan.creatives
+  };
+}
+
+// Delete created objects newest first (ads before their ad sets, the campaign last)
+async function rollback(created) {
+  const deleted = [];
+  const failed = [];
+  for (const object of [...created].reverse()) {
+    try {
+      await fb(`/${object.id}`, "DELETE");
+      deleted.push(object);
+    } catch (err) {
+      failed.push({ ...object, error: err.response?.data?.error?.message || err.message });
+    }
+  }
+  if (failed.length > 0) {
+    console.error(`[CampaignBuilder] Rollback left ${failed.length} object(s) behind:`, failed.map(o => `${o.type} ${o.id}`).join(", "));
+  }
+  return { deleted, failed };
+}
+
+// Create the objects of a validated plan. On failure everything created so far
+// is deleted and the (Meta) error is rethrown with step and rollback attached.
+async function createFromPlan(plan) {
+  const created = [];
+  let step = "campaign";
+  try {
+    const campaign = await fb(`/${plan.accountId}/campaigns`, "POST", plan.campaign);
+    created.push({ type: "campaign", id: campaign.id });
+
+    const adSetIds = [];
+    for (const [i, adSet] of plan.adSets.entries()) {
+      step = `adSets[${i}]`;
+      const result = await fb(`/${plan.accountId}/adsets`, "POST", { ...adSet.payload, campaign_id: campaign.id });
+      created.push({ type: "adset", id: result.id });
+      adSetIds.push(result.id);
+    }
+
+    const creativeIds = [];
+    for (const [i, creative] of plan.creatives.entries()) {
+      step = `creatives[${i}]`;
+      const result = await fb(`/${plan.accountId}/adcreatives`, "POST", creative);
+      created.push({ type: "creative", id: result.id });
+      creativeIds.push(result.id);
+    }
+
+    const adSets = [];
+    for (const [i, adSet] of plan.adSets.entries()) {
+      const ads = [];
+      for (const [j, ad] of adSet.ads.entries()) {
+        step = `adSets[${i}].ads[${j}]`;
+        const result = await fb(`/${plan.accountId}/ads`, "POST", {
+          name: ad.name,
+          adset_id: adSetIds[i],
+          creative: { creative_id: creativeIds[ad.creativeIndex] },
+          status: plan.status
+        });
+        created.push({ type: "ad", id: result.id });
+        ads.push({ id: result.id, name: ad.name, creativeId: creativeIds[ad.creativeIndex] });
+      }
+      adSets.push({ id: adSetIds[i], name: adSet.name, ads });
+    }
+
+    if (plan.status === "ACTIVE") {
+      step = "activate";
+      await fb(`/${campaign.id}`, "POST", { status: "ACTIVE" });
+    }
+
+    console.log(`[CampaignBuilder] Created campaign ${campaign.id}: ${adSets.length} ad set(s), ${created.filter(o => o.type === "ad").length} ad(s)`);
+    return { campaignId: campaign.id, accountId: plan.accountId, status: plan.status, adSets, creativeIds };
+  } catch (err) {
+    console.error(`[CampaignBuilder] Failed at ${step}:`, err.userMessage || err.message);
+    err.step = step;
+    err.rollback = await rollback(created);
+    throw err;
+  }
+}
+
+/**
+ * Create a campaign from a spec, rolling back on failure
+ * @param {object} spec - See the module comment
+ * @returns {Promise<object>} - { success, campaignId, adSets: [{ id, name, ads: [{ id, name, creativeId }] }], creativeIds }
+ *   or { success: false, errors } (invalid spec) / { success: false, error, code, step, rollback } (API failure)
+ */
+export async function buildCampaign(spec) {
+  const { errors, plan } = validateCampaignSpec(spec);
+  if (errors.length > 0) return { success: false, errors };
+
+  try {
+    return { success: true, ...(await createFromPlan(plan)) };
+  } catch (err) {
+    return {
+      success: false,
+      error: err.userMessage || err.message,
+      code: err.code ?? null, // Meta error code (MetaApiError)
+      step: err.step,
+      rollback: err.rollback
+    };
+  }
+}
+
+/**
+ * One campaign → one ad set → one ad, as used by the campaign workflow and
+ * POST /api/campaigns/create
+ * @param {string} adAccountId
+ * @param {object} campaignData - { name, objective, budget, media: { imageHash, link }, copy: { headline, text }, audience, startTime, endTime }
+ * @returns {Promise<object>} - { campaignId, adSetId, adId, creativeId }
+ */
+export async function createCampaignStructure(adAccountId, campaignData) {
+  const { name, objective, budget, media, copy, audience, startTime, endTime } = campaignData;
+  const { errors, plan } = validateCampaignSpec({
+    accountId: adAccountId,
+    name,
+    objective: objective || "CONVERSIONS",
+    startTime,
+    endTime,
+    adSets: [{
+      name: `${name} - Ad Set`,
+      targeting: audience || {},
+      budget: { amount: budget, period: "daily" }
+    }],
+    // Without media the ad set is left empty, to be completed in Ads Manager
+    ads: media?.imageHash ? [{
+      name: "Ad",
+      creative: {
+        imageHash: media.imageHash,
+        headline: copy?.headline || name,
+        text: copy?.text || copy?.headline || "",
+        link: media.link
+      }
+    }] : []
+  });
+  if (errors.length > 0) {
+    throw new Error(`Failed to create campaign: ${errors.join("; ")}`);
+  }
+
+  try {
+    const result = await createFromPlan(plan);
+    const adSet = result.adSets[0];
+    return {
+      campaignId: result.campaignId,
+      adSetId: adSet.id,
+      adId: adSet.ads[0]?.id || null,
+      creativeId: adSet.ads[0]?.creativeId || null
+    };
+  } catch (err) {
+    // Keep the error's type (MetaAuthError, MetaValidationError, ...) for callers
+    err.message = `Failed to create campaign: ${err.userMessage || err.message}`;
+    throw err;
+  }
+}
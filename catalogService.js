@@ -0,0 +1,481 @@
+import crypto from "crypto";
+
+/**
+ * Catalog Service
+ * Builds a Meta Commerce catalog (for Advantage+ catalog ads) from WooCommerce products:
+ * - Feed: CSV or RSS/XML served at /feeds/meta-catalog.csv|xml, for a scheduled
+ *   catalog data source in Commerce Manager
+ * - Push: product edits made through /api/products are sent right away with
+ *   POST /<catalog>/items_batch, so the catalog doesn't wait for the next feed fetch
+ *
+ * The feed is built from the product cache (productCacheService.js); pushes
+ * re-read the edited products from WooCommerce.
+ *
+ * Item IDs match the Conversions API content_ids (product ID, or variation ID
+ * with item_group_id = parent ID), so pixel and CAPI events match catalog items.
+ * Only published, visible products with a price and an image are included.
+ *
+ * Env: META_CATALOG_ID (required to push), CATALOG_BRAND (default: company name),
+ * CATALOG_CURRENCY (default: the store currency), CATALOG_FEED_TOKEN (if set, the
+ * feed URL needs ?token=<value>), CATALOG_FEED_CACHE_MINUTES (default 15).
+ */
+
+export const FEED_FIELDS = [
+  "id",
+  "item_group_id",
+  "title",
+  "description",
+  "availability",
+  "condition",
+  "price",
+  "sale_price",
+  "sale_price_effective_date",
+  "link",
+  "image_link",
+  "additional_image_link",
+  "brand",
+  "product_type"
+];
+
+const AVAILABILITY = {
+  instock: "in stock",
+  outofstock: "out of stock",
+  onbackorder: "available for order"
+};
+
+const PAGE_SIZE = 100;
+const MAX_PAGES = 50;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 9999;
+const MAX_ADDITIONAL_IMAGES = 20;
+const BATCH_SIZE = 1000; // items_batch accepts up to 5000 requests per call
+const MAX_RECENT_BATCHES = 20;
+
+// Dependencies (passed from server.js)
+let fb = null;
+let wooFetch = null;
+let normalizeProduct = null;
+let loadCompanyContext = null;
+let getProductsCache = null;
+let getCachedVariations = null;
+let getCachedCategories = null;
+
+let feedCache = null; // { builtAt, promise }
+let storeCurrency = null;
+const recentBatches = [];
+
+/**
+ * Wire server.js helpers into the catalog service
+ * @param {object} dependencies - { fb, wooFetch, normalizeProduct, loadCompanyContext,
+ *   getProductsCache, getCachedVariations, getCachedCategories }
+ */
+export function initCatalog(dependencies) {
+  fb = dependencies.fb;
+  wooFetch = dependencies.wooFetch;
+  normalizeProduct = dependencies.normalizeProduct;
+  loadCompanyContext = dependencies.loadCompanyContext;
+  getProductsCache = dependencies.getProductsCache;
+  getCachedVariations = dependencies.getCachedVariations;
+  getCachedCategories = dependencies.getCachedCategories;
+}
+
+function feedCacheTtl() {
+  return (parseInt(process.env.CATALOG_FEED_CACHE_MINUTES) || 15) * 60 * 1000;
+}
+
+/**
+ * Drop the cached feed so the next request rebuilds it (after product edits)
+ */
+export function invalidateCatalogFeed() {
+  feedCache = null;
+}
+
+function getBrand() {
+  return process.env.CATALOG_BRAND || loadCompanyContext?.().name || "";
+}
+
+async function getCurrency() {
+  if (process.env.CATALOG_CURRENCY) return process.env.CATALOG_CURRENCY.toUpperCase();
+  if (!storeCurrency) {
+    try {
+      const current = await wooFetch("GET", "/data/currencies/current");
+      storeCurrency = current?.code || null;
+    } catch (err) {
+      console.error("[Catalog] Could not read the store currency:", err.message);
+    }
+  }
+  return storeCurrency || "USD";
+}
+
+// "Parent > Child" path per category ID, for product_type
+async function getCategoryPaths() {
+  const categories = await getCachedCategories();
+  const byId = new Map(categories.map(c => [c.id, c]));
+  const paths = new Map();
+  for (const category of categories) {
+    const names = [];
+    const seen = new Set();
+    for (let c = category; c && !seen.has(c.id); c = byId.get(c.parent)) {
+      seen.add(c.id);
+      names.unshift(decodeEntities(c.name));
+    }
+    paths.set(category.id, names.join(" > "));
+  }
+  return paths;
+}
+
+function decodeEntities(text) {
+  return String(text || "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+function plainText(html) {
+  return decodeEntities(String(html || "").replace(/<(br|\/p|\/li|\/h\d)\s*\/?>/gi, " ").replace(/<[^>]*>/g, ""))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function formatPrice(value, currency) {
+  const amount = parseFloat(value);
+  return Number.isFinite(amount) && amount > 0 ? `${amount.toFixed(2)} ${currency}` : null;
+}
+
+// Meta's "<start>/<end>" ISO 8601 range; WooCommerce sale dates are GMT without a zone
+function saleDateRange(item) {
+  const from = item.date_on_sale_from_gmt;
+  const to = item.date_on_sale_to_gmt;
+  if (!from && !to) return null;
+  const iso = (value, fallback) => (value ? `${value.slice(0, 16)}+00:00` : fallback);
+  return `${iso(from, "1970-01-01T00:00+00:00")}/${iso(to, "2099-12-31T23:59+00:00")}`;
+}
+
+function priceFields(item, currency) {
+  const regular = formatPrice(item.regular_price || item.price, currency);
+  const sale = formatPrice(item.sale_price, currency);
+  if (!regular) return null;
+  if (!sale || parseFloat(item.sale_price) >= parseFloat(item.regular_price || item.price)) {
+    return { price: regular, sale_price: "", sale_price_effective_date: "" };
+  }
+  return { price: regular, sale_price: sale, sale_price_effective_date: saleDateRange(item) || "" };
+}
+
+/**
+ * Map a WooCommerce product (and its variations, for variable products) to catalog items
+ * @param {object} product - Raw WooCommerce product
+ * @param {object} context - { currency, brand, categoryPaths: Map, variations: Array }
+ * @returns {{ items: Array, skipped: Array<{ id, reason }> }}
+ */
+export function buildCatalogItems(product, { currency, brand, categoryPaths = new Map(), variations = [] }) {
+  // Skipping a variable product skips its variations too (they're the catalog items)
+  const skip = (id, reason) => ({
+    items: [],
+    skipped: [id, ...variations.map(v => v.id)].map(itemId => ({ id: String(itemId), reason }))
+  });
+
+  if (product.status !== "publish") return skip(product.id, `status is ${product.status}`);
+  if (["hidden", "search"].includes(product.catalog_visibility)) {
+    return skip(product.id, `catalog visibility is ${product.catalog_visibility}`);
+  }
+
+  const normalized = normalizeProduct(product);
+  const title = plainText(normalized.name).slice(0, MAX_TITLE_LENGTH);
+  const description = (plainText(normalized.description) || plainText(normalized.short_description) || title)
+    .slice(0, MAX_DESCRIPTION_LENGTH);
+  const category = normalized.categories.find(c => categoryPaths.has(c.id));
+  const base = {
+    title,
+    description,
+    condition: "new",
+    link: normalized.permalink,
+    brand,
+    product_type: category ? categoryPaths.get(category.id) : (normalized.categories[0]?.name || "")
+  };
+
+  const toItem = (source, fields) => {
+    const prices = priceFields(source, currency);
+    const item = { ...base, ...fields, availability: AVAILABILITY[source.stock_status] || "in stock", ...prices };
+    if (!prices) return { reason: "no price" };
+    if (!item.image_link) return { reason: "no image" };
+    if (!item.link) return { reason: "no product URL" };
+    return { item };
+  };
+
+  const result = { items: [], skipped: [] };
+  const add = (id, { item, reason }) => {
+    if (item) result.items.push(item);
+    else result.skipped.push({ id: String(id), reason });
+  };
+
+  if (product.type === "variable") {
+    if (variations.length === 0) return skip(product.id, "variable product without variations");
+    for (const variation of variations) {
+      if (variation.status && variation.status !== "publish") {
+        result.skipped.push({ id: String(variation.id), reason: `status is ${variation.status}` });
+        continue;
+      }
+      const variant = normalizeProduct({ ...variation, images: variation.image ? [variation.image] : [] });
+      const options = (variation.attributes || []).map(a => a.option).filter(Boolean).join(" / ");
+      add(variation.id, toItem(variation, {
+        id: String(variation.id),
+        item_group_id: String(product.id),
+        title: (options ? `${title} - ${options}` : title).slice(0, MAX_TITLE_LENGTH),
+        description: plainText(variation.description) || description,
+        link: variant.permalink || base.link,
+        image_link: variant.image || normalized.image,
+        additional_image_link: normalized.images.filter(src => src !== (variant.image || normalized.image)).slice(0, MAX_ADDITIONAL_IMAGES)
+      }));
+    }
+    return result;
+  }
+
+  add(product.id, toItem(product, {
+    id: String(product.id),
+    item_group_id: "",
+    image_link: normalized.image,
+    additional_image_link: normalized.images.slice(1, MAX_ADDITIONAL_IMAGES + 1)
+  }));
+  return result;
+}
+
+async function fetchVariations(product) {
+  if (product.type !== "variable") return [];
+  const variations = [];
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    const batch = await wooFetch("GET", `/products/${product.id}/variations?per_page=${PAGE_SIZE}&page=${page}`);
+    if (!Array.isArray(batch) || batch.length === 0) break;
+    variations.push(...batch);
+    if (batch.length < PAGE_SIZE) break;
+  }
+  return variations;
+}
+
+async function buildContext() {
+  const [currency, categoryPaths] = await Promise.all([getCurrency(), getCategoryPaths()]);
+  return { currency, brand: getBrand(), categoryPaths };
+}
+
+async function buildFeed() {
+  const context = await buildContext();
+  const items = [];
+  const skipped = [];
+
+  const products = (await getProductsCache()).filter(p => p.status === "publish");
+  for (const product of products) {
+    const variations = product.type === "variable" ? await getCachedVariations(product.id) : [];
+    const result = buildCatalogItems(product, { ...context, variations });
+    items.push(...result.items);
+    skipped.push(...result.skipped);
+  }
+
+  console.log(`[Catalog] Feed built: ${items.length} item(s), ${skipped.length} skipped`);
+  return { items, skipped, currency: context.currency, builtAt: new Date().toISOString() };
+}
+
+/**
+ * Catalog items for the feed (cached for CATALOG_FEED_CACHE_MINUTES; concurrent calls share one build)
+ * @param {object} options - { refresh: rebuild even if cached }
+ * @returns {Promise<{ items: Array, skipped: Array, currency: string, builtAt: string }>}
+ */
+export async function getCatalogFeed({ refresh = false } = {}) {
+  if (refresh || !feedCache || Date.now() - feedCache.builtAt > feedCacheTtl()) {
+    const promise = buildFeed();
+    feedCache = { builtAt: Date.now(), promise };
+    promise.catch(() => {
+      if (feedCache?.promise === promise) feedCache = null;
+    });
+  }
+  return feedCache.promise;
+}
+
+function csvCell(value) {
+  const text = Array.isArray(value) ? value.join(",") : String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Feed as CSV (header row of Meta field names; additional_image_link comma-separated)
+ * @param {Array} items
+ * @returns {string}
+ */
+export function feedToCsv(items) {
+  const lines = [FEED_FIELDS.join(",")];
+  for (const item of items) {
+    lines.push(FEED_FIELDS.map(field => csvCell(item[field])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+function xmlEscape(value) {
+  return String(value ?? "")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Feed as RSS 2.0 XML with g: fields (one g:additional_image_link per image)
+ * @param {Array} items
+ * @param {object} channel - { title, link, description }
+ * @returns {string}
+ */
+export function feedToXml(items, { title = "Product catalog", link = "", description = "" } = {}) {
+  const lines = [
+    "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+    "<rss xmlns:g=\"http://base.google.com/ns/1.0\" version=\"2.0\">",
+    "<channel>",
+    `<title>${xmlEscape(title)}</title>`,
+    `<link>${xmlEscape(link)}</link>`,
+    `<description>${xmlEscape(description)}</description>`
+  ];
+  for (const item of items) {
+    lines.push("<item>");
+    for (const field of FEED_FIELDS) {
+      const values = Array.isArray(item[field]) ? item[field] : [item[field]];
+      for (const value of values) {
+        if (value !== undefined && value !== null && value !== "") {
+          lines.push(`<g:${field}>${xmlEscape(value)}</g:${field}>`);
+        }
+      }
+    }
+    lines.push("</item>");
+  }
+  lines.push("</channel>", "</rss>");
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Check a feed request's ?token= against CATALOG_FEED_TOKEN (open when unset)
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function isFeedTokenValid(token) {
+  const expected = process.env.CATALOG_FEED_TOKEN;
+  if (!expected) return true;
+  if (typeof token !== "string") return false;
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(expected));
+}
+
+// items_batch data: the feed fields, without empty values
+function toBatchData(item) {
+  return Object.fromEntries(Object.entries(item).filter(([, value]) => value !== "" && !(Array.isArray(value) && value.length === 0)));
+}
+
+async function sendBatch(requests, source) {
+  const catalogId = process.env.META_CATALOG_ID;
+  const entry = {
+    timestamp: new Date().toISOString(),
+    source,
+    updated: requests.filter(r => r.method === "UPDATE").length,
+    deleted: requests.filter(r => r.method === "DELETE").length,
+    handles: [],
+    error: null
+  };
+
+  try {
+    for (let i = 0; i < requests.length; i += BATCH_SIZE) {
+      const response = await fb(`/${catalogId}/items_batch`, "POST", {
+        item_type: "PRODUCT_ITEM",
+        allow_upsert: true,
+        requests: requests.slice(i, i + BATCH_SIZE)
+      });
+      entry.handles.push(...(response.handles || []));
+    }
+    console.log(`[Catalog] Pushed ${entry.updated} update(s), ${entry.deleted} delete(s) (${source})`);
+  } catch (err) {
+    entry.error = err.message;
+    console.error(`[Catalog] Push failed (${source}):`, err.message);
+  }
+
+  recentBatches.unshift(entry);
+  recentBatches.splice(MAX_RECENT_BATCHES);
+  return entry;
+}
+
+/**
+ * Push products to the Meta catalog: eligible items are upserted, the rest
+ * (drafts, hidden, no price/image, removed variations) are deleted
+ * @param {Array<number|string>|null} productIds - null pushes the whole feed
+ * @param {object} options - { source }
+ * @returns {Promise<object|null>} - Batch entry ({ updated, deleted, handles, error }), null if META_CATALOG_ID isn't set
+ */
+export async function pushCatalogProducts(productIds = null, { source = "api" } = {}) {
+  if (!process.env.META_CATALOG_ID) return null;
+  invalidateCatalogFeed();
+
+  let items;
+  let skipped;
+  if (productIds === null) {
+    ({ items, skipped } = await getCatalogFeed({ refresh: true }));
+  } else {
+    const context = await buildContext();
+    items = [];
+    skipped = [];
+    for (const id of productIds) {
+      const product = await wooFetch("GET", `/products/${id}`).catch(err => {
+        if (err.response?.status === 404) return null;
+        throw err;
+      });
+      if (!product) {
+        skipped.push({ id: String(id), reason: "not found" });
+        continue;
+      }
+      const result = buildCatalogItems(product, { ...context, variations: await fetchVariations(product) });
+      items.push(...result.items);
+      skipped.push(...result.skipped);
+    }
+  }
+
+  const requests = [
+    ...items.map(item => ({ method: "UPDATE", data: toBatchData(item) })),
+    // A full push only deletes products WooCommerce returned; removed products need deleteCatalogProducts
+    ...skipped.map(s => ({ method: "DELETE", data: { id: s.id } }))
+  ];
+  if (requests.length === 0) return null;
+  return { ...(await sendBatch(requests, source)), skipped };
+}
+
+/**
+ * Remove products (and their variations) from the Meta catalog, e.g. after deleting them in WooCommerce
+ * @param {Array<number|string>} ids - Product and/or variation IDs
+ * @param {object} options - { source }
+ * @returns {Promise<object|null>} - Batch entry, null if META_CATALOG_ID isn't set
+ */
+export async function deleteCatalogProducts(ids, { source = "api" } = {}) {
+  if (!process.env.META_CATALOG_ID || ids.length === 0) return null;
+  invalidateCatalogFeed();
+  return sendBatch(ids.map(id => ({ method: "DELETE", data: { id: String(id) } })), source);
+}
+
+/**
+ * Meta's processing status for a pushed batch
+ * @param {string} handle - From a push result
+ * @returns {Promise<object>} - { status, errors, warnings, ... }
+ */
+export async function getCatalogBatchStatus(handle) {
+  const response = await fb(`/${process.env.META_CATALOG_ID}/check_batch_request_status`, "GET", { handle });
+  return response.data?.[0] || response;
+}
+
+/**
+ * Whether pushing is configured, the cached feed's size and the recent pushes
+ * @returns {object}
+ */
+export function getCatalogStatus() {
+  return {
+    pushEnabled: Boolean(process.env.META_CATALOG_ID),
+    catalogId: process.env.META_CATALOG_ID || null,
+    feedProtected: Boolean(process.env.CATALOG_FEED_TOKEN),
+    feedCachedAt: feedCache ? new Date(feedCache.builtAt).toISOString() : null,
+    recentBatches
+  };
+}
@@ -0,0 +1,392 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { createStateStore } from "./stateStore.js";
+
+/**
+ * Conversions Service
+ * Forwards WooCommerce events to the Meta Conversions API (POST /<pixel>/events via fb):
+ * - order.created (already paid), order.paid / order.updated to a paid status,
+ *   action.woocommerce_payment_complete -> Purchase
+ * - checkout.started -> InitiateCheckout
+ *
+ * Customer data is normalized and SHA-256 hashed as Meta requires; IP, user
+ * agent, fbp and fbc are sent as-is. Purchases use event_id "order_<id>" (or
+ * the order's _meta_event_id meta), so the browser pixel must fire
+ * fbq("track", "Purchase", {...}, { eventID: "order_<id>" }) for Meta to
+ * de-duplicate the two. Each event_id is also sent only once from here.
+ *
+ * checkout.started is not a WooCommerce topic: post it from the site (signed
+ * like a WooCommerce webhook) as { event_id, cart: { total, currency, items:
+ * [{ product_id, quantity, price }] }, customer: { email, phone, first_name,
+ * last_name, city, state, postcode, country }, fbp, fbc, client_ip, user_agent, url }.
+ *
+ * Env: META_PIXEL_ID (required to send), META_CAPI_TEST_EVENT_CODE (send every
+ * event as a test event, shown under Test Events in Events Manager).
+ */
+
+const PAID_STATUSES = ["processing", "completed"];
+const PURCHASE_TOPICS = [
+  "order.paid",
+  "action.woocommerce_payment_complete",
+  "action.woocommerce_order_status_processing",
+  "action.woocommerce_order_status_completed"
+];
+const CHECKOUT_TOPICS = ["checkout.started", "checkout-started"];
+const SENT_TTL = 7 * 24 * 60 * 60 * 1000; // Meta only accepts events from the last 7 days
+const MAX_EVENT_AGE_SECONDS = 7 * 24 * 60 * 60;
+const MAX_LOGGED_EVENTS = 500;
+const EVENT_ID_META_KEYS = ["_meta_event_id", "meta_event_id", "_fb_event_id", "fb_event_id"];
+
+// Dependencies (passed from server.js)
+let fb = null;
+let wooFetch = null;
+let eventsFile = null;
+
+let sentEvents = null;
+// Events whose send is awaiting Meta, so overlapping deliveries of the same order
+// (order.created and order.updated arrive together) don't both send the Purchase
+const inFlightEvents = new Set();
+
+/**
+ * Wire server.js helpers into the conversions service
+ * @param {object} dependencies - { fb, wooFetch, DATA_DIR }
+ */
+export function initConversions(dependencies) {
+  fb = dependencies.fb;
+  wooFetch = dependencies.wooFetch;
+  eventsFile = path.join(dependencies.DATA_DIR, "capi-events.json");
+}
+
+// Created lazily so the state store backend is configured first
+function getSentEvents() {
+  if (!sentEvents) {
+    sentEvents = createStateStore("capiSentEvents", { ttlMs: SENT_TTL });
+  }
+  return sentEvents;
+}
+
+function loadEvents() {
+  try {
+    if (eventsFile && fs.existsSync(eventsFile)) {
+      return JSON.parse(fs.readFileSync(eventsFile, "utf8"));
+    }
+  } catch (err) {
+    console.error("[CAPI] Error loading event log:", err);
+  }
+  return [];
+}
+
+function saveEvents(events) {
+  try {
+    fs.writeFileSync(eventsFile, JSON.stringify(events.slice(-MAX_LOGGED_EVENTS), null, 2), "utf8");
+  } catch (err) {
+    console.error("[CAPI] Error saving event log:", err);
+  }
+}
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+// Meta's normalization rules, per user_data field
+const NORMALIZERS = {
+  em: v => v.trim().toLowerCase(),
+  ph: v => v.replace(/\D/g, "").replace(/^0+/, ""),
+  fn: v => v.trim().toLowerCase().replace(/[\s\p{P}]/gu, ""),
+  ln: v => v.trim().toLowerCase().replace(/[\s\p{P}]/gu, ""),
+  ct: v => v.trim().toLowerCase().replace(/[^a-z\p{L}]/gu, ""),
+  st: v => v.trim().toLowerCase().replace(/[^a-z\p{L}]/gu, ""),
+  zp: v => v.trim().toLowerCase().replace(/\s/g, "").split("-")[0],
+  country: v => v.trim().toLowerCase().slice(0, 2),
+  external_id: v => v.trim().toLowerCase()
+};
+
+/**
+ * Build hashed CAPI user_data from customer details
+ * @param {object} customer - { email, phone, first_name, last_name, city, state, postcode, country, id,
+ *   client_ip, user_agent, fbp, fbc }
+ * @returns {object}
+ */
+export function buildUserData(customer = {}) {
+  const raw = {
+    em: customer.email,
+    ph: customer.phone,
+    fn: customer.first_name,
+    ln: customer.last_name,
+    ct: customer.city,
+    st: customer.state,
+    zp: customer.postcode,
+    country: customer.country,
+    external_id: customer.id ? String(customer.id) : null
+  };
+
+  const userData = {};
+  for (const [field, value] of Object.entries(raw)) {
+    if (!value) continue;
+    const normalized = NORMALIZERS[field](String(value));
+    if (normalized) userData[field] = [sha256(normalized)];
+  }
+  if (customer.client_ip) userData.client_ip_address = customer.client_ip;
+  if (customer.user_agent) userData.client_user_agent = customer.user_agent;
+  if (customer.fbp) userData.fbp = customer.fbp;
+  if (customer.fbc) userData.fbc = customer.fbc;
+  return userData;
+}
+
+function orderMeta(order) {
+  const meta = {};
+  for (const { key, value } of order.meta_data || []) {
+    if (typeof value === "string" && value) meta[String(key).toLowerCase()] = value;
+  }
+  return meta;
+}
+
+// The landing page query (WooCommerce order attribution), for fbclid
+function landingParams(meta) {
+  const url = meta._wc_order_attribution_session_entry || meta.landing_page;
+  if (!url) return new URLSearchParams();
+  try {
+    return new URL(url, "https://placeholder.invalid").searchParams;
+  } catch {
+    return new URLSearchParams();
+  }
+}
+
+const unixTime = (value) => Math.floor(new Date(value).getTime() / 1000);
+
+function gmtTime(value) {
+  return value ? unixTime(/[zZ]|[+-]\d{2}:\d{2}$/.test(value) ? value : `${value}Z`) : null;
+}
+
+/**
+ * Build a Purchase event from a WooCommerce order
+ * @param {object} order - WooCommerce order (REST/webhook shape)
+ * @returns {object}
+ */
+export function buildPurchaseEvent(order) {
+  const meta = orderMeta(order);
+  const fbclid = meta.fbclid || meta._fbclid || landingParams(meta).get("fbclid");
+  const eventTime = gmtTime(order.date_paid_gmt) || gmtTime(order.date_created_gmt) || Math.floor(Date.now() / 1000);
+  const billing = order.billing || {};
+
+  return {
+    event_name: "Purchase",
+    event_time: eventTime,
+    event_id: EVENT_ID_META_KEYS.map(k => meta[k]).find(Boolean) || `order_${order.id}`,
+    action_source: "website",
+    event_source_url: meta._wc_order_attribution_session_entry || undefined,
+    user_data: buildUserData({
+      email: billing.email,
+      phone: billing.phone,
+      first_name: billing.first_name,
+      last_name: billing.last_name,
+      city: billing.city,
+      state: billing.state,
+      postcode: billing.postcode,
+      country: billing.country,
+      id: order.customer_id || null,
+      client_ip: order.customer_ip_address,
+      user_agent: order.customer_user_agent,
+      fbp: meta._fbp || meta.fbp,
+      // fbc is "fb.1.<ms when the click was seen>.<fbclid>"
+      fbc: meta._fbc || meta.fbc || (fbclid ? `fb.1.${(gmtTime(order.date_created_gmt) || eventTime) * 1000}.${fbclid}` : undefined)
+    }),
+    custom_data: {
+      currency: order.currency,
+      value: parseFloat(order.total || 0),
+      order_id: String(order.number || order.id),
+      content_type: "product",
+      content_ids: (order.line_items || []).map(i => String(i.variation_id || i.product_id)),
+      contents: (order.line_items || []).map(i => ({
+        id: String(i.variation_id || i.product_id),
+        quantity: i.quantity,
+        item_price: parseFloat(i.price || 0)
+      })),
+      num_items: (order.line_items || []).reduce((sum, i) => sum + (i.quantity || 0), 0)
+    }
+  };
+}
+
+/**
+ * Build an InitiateCheckout event from a checkout.started payload (see header)
+ * @param {object} payload
+ * @returns {object}
+ */
+export function buildCheckoutEvent(payload) {
+  const cart = payload.cart || {};
+  const items = cart.items || [];
+  return {
+    event_name: "InitiateCheckout",
+    event_time: payload.event_time ? Math.floor(Number(payload.event_time)) : Math.floor(Date.now() / 1000),
+    event_id: payload.event_id || `checkout_${crypto.randomUUID()}`,
+    action_source: "website",
+    event_source_url: payload.url || undefined,
+    user_data: buildUserData({
+      ...payload.customer,
+      client_ip: payload.client_ip,
+      user_agent: payload.user_agent,
+      fbp: payload.fbp,
+      fbc: payload.fbc
+    }),
+    custom_data: {
+      currency: cart.currency,
+      value: parseFloat(cart.total || 0),
+      content_type: "product",
+      content_ids: items.map(i => String(i.variation_id || i.product_id)),
+      contents: items.map(i => ({ id: String(i.variation_id || i.product_id), quantity: i.quantity, item_price: parseFloat(i.price || 0) })),
+      num_items: items.reduce((sum, i) => sum + (i.quantity || 0), 0)
+    }
+  };
+}
+
+function isPaid(order) {
+  return Boolean(order.date_paid || order.date_paid_gmt) || PAID_STATUSES.includes(order.status);
+}
+
+/**
+ * Map a webhook delivery to CAPI events (no API calls except fetching the order for action topics)
+ * @param {string} topic - x-wc-webhook-topic (e.g. "order.created")
+ * @param {object} payload - Webhook body
+ * @returns {Promise<{ events: Array, reason: string|null }>}
+ */
+export async function eventsFromWebhook(topic, payload) {
+  if (CHECKOUT_TOPICS.includes(topic)) {
+    return { events: [buildCheckoutEvent(payload)], reason: null };
+  }
+
+  if (topic === "order.created" || topic === "order.updated" || PURCHASE_TOPICS.includes(topic)) {
+    // Action topics only carry the order ID ({ action, arg })
+    let order = payload;
+    if (!order?.id && payload?.arg) {
+      order = await wooFetch("GET", `/orders/${parseInt(payload.arg)}`);
+    }
+    if (!order?.id) return { events: [], reason: "no order in payload" };
+    if (!isPaid(order)) return { events: [], reason: `order ${order.id} is not paid (${order.status})` };
+    return { events: [buildPurchaseEvent(order)], reason: null };
+  }
+
+  return { events: [], reason: `topic ${topic} is not forwarded` };
+}
+
+function getTestEventCode(override) {
+  return override || process.env.META_CAPI_TEST_EVENT_CODE || null;
+}
+
+function logEvent(entry) {
+  const events = loadEvents();
+  events.push(entry);
+  saveEvents(events);
+  return entry;
+}
+
+/**
+ * Send events to the Conversions API; each is logged locally (for replay/debugging)
+ * @param {Array} events - CAPI event objects
+ * @param {object} options - { source, testEventCode, force: send even if the event_id was already sent }
+ * @returns {Promise<Array>} - Log entries: { id, eventName, eventId, outcome: sent|duplicate|skipped|failed, ... }
+ */
+export async function sendConversionEvents(events, { source = null, testEventCode = null, force = false } = {}) {
+  const pixelId = process.env.META_PIXEL_ID;
+  const testCode = getTestEventCode(testEventCode);
+  const results = [];
+
+  for (const event of events) {
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      source,
+      eventName: event.event_name,
+      eventId: event.event_id,
+      testEventCode: testCode,
+      event,
+      outcome: null
+    };
+    const dedupeKey = `${event.event_name}:${event.event_id}`;
+
+    if (!pixelId) {
+      entry.outcome = "skipped";
+      entry.error = "META_PIXEL_ID not set";
+    } else if (!force && !testCode && (inFlightEvents.has(dedupeKey) || getSentEvents().has(dedupeKey))) {
+      entry.outcome = "duplicate";
+    } else if (Date.now() / 1000 - event.event_time > MAX_EVENT_AGE_SECONDS) {
+      entry.outcome = "skipped";
+      entry.error = "Event is older than 7 days (Meta rejects it)";
+    } else {
+      if (!testCode) inFlightEvents.add(dedupeKey);
+      try {
+        const response = await fb(`/${pixelId}/events`, "POST", {
+          data: [event],
+          ...(testCode && { test_event_code: testCode })
+        });
+        entry.outcome = "sent";
+        entry.eventsReceived = response.events_received;
+        entry.fbtraceId = response.fbtrace_id;
+        if (!testCode) getSentEvents().set(dedupeKey, { sentAt: entry.timestamp });
+      } catch (err) {
+        entry.outcome = "failed";
+        entry.error = err.message;
+        entry.fbtraceId = err.fbtraceId || null;
+      } finally {
+        if (!testCode) inFlightEvents.delete(dedupeKey);
+      }
+    }
+
+    console.log(`[CAPI] ${event.event_name} ${event.event_id}: ${entry.outcome}${entry.error ? ` (${entry.error})` : ""}${testCode ? ` [test ${testCode}]` : ""}`);
+    results.push(logEvent(entry));
+  }
+  return results;
+}
+
+/**
+ * Handle a WooCommerce webhook delivery: map it to events and send them
+ * @param {string} topic
+ * @param {object} payload
+ * @returns {Promise<{ results: Array, reason: string|null }>}
+ */
+export async function handleWooWebhook(topic, payload) {
+  const { events, reason } = await eventsFromWebhook(topic, payload);
+  if (events.length === 0) {
+    console.log(`[CAPI] Ignored ${topic}: ${reason}`);
+    return { results: [], reason };
+  }
+  return { results: await sendConversionEvents(events, { source: topic }), reason: null };
+}
+
+/**
+ * Recently sent/attempted events, newest first
+ * @param {object} options - { limit, outcome }
+ * @returns {Array}
+ */
+export function listConversionEvents({ limit = 50, outcome = null } = {}) {
+  return loadEvents()
+    .filter(e => !outcome || e.outcome === outcome)
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * Send a logged event again (same event_id, so Meta still de-duplicates it with the pixel)
+ * @param {string} entryId - Log entry ID
+ * @param {object} options - { testEventCode }
+ * @returns {Promise<object|null>} - New log entry, or null if not found
+ */
+export async function replayConversionEvent(entryId, { testEventCode = null } = {}) {
+  const entry = loadEvents().find(e => e.id === entryId);
+  if (!entry) return null;
+  const [result] = await sendConversionEvents([entry.event], { source: `replay:${entry.id}`, testEventCode, force: true });
+  return result;
+}
+
+/**
+ * Whether events can be sent, and counts by outcome from the local log
+ * @returns {object}
+ */
+export function getConversionsStatus() {
+  const counts = {};
+  for (const entry of loadEvents()) counts[entry.outcome] = (counts[entry.outcome] || 0) + 1;
+  return {
+    enabled: Boolean(process.env.META_PIXEL_ID),
+    pixelId: process.env.META_PIXEL_ID || null,
+    testEventCode: getTestEventCode(),
+    logged: counts
+  };
+}
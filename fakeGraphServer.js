@@ -0,0 +1,214 @@
+import express from "express";
+import axios from "axios";
+
+/**
+ * Fake Graph API Server
+ * A small in-memory stand-in for the Meta Marketing API so campaign creation
+ * can be exercised offline (see test-campaign.js). Point the app at it with
+ * META_GRAPH_URL=<url> and META_TOKEN=<token>.
+ *
+ * Supports: /me/adaccounts, POST /act_<id>/{campaigns,adsets,adcreatives,ads,adimages,advideos},
+ * GET/POST/DELETE /<id>, GET /<id>/{adsets,ads} and /act_<id>/{campaigns,adsets,ads},
+ * and batch requests (POST / with batch=[...]).
+ * Required fields are checked roughly the way Meta does, and Graph-style
+ * errors can be injected per route to test error handling and rollback.
+ * setUsage() adds Meta's usage headers to every response, to test back-off.
+ */
+
+const CHILD_EDGES = { campaigns: "campaign", adsets: "adset", adcreatives: "creative", ads: "ad" };
+const OBJECTIVES = ["OUTCOME_SALES", "OUTCOME_LEADS", "OUTCOME_TRAFFIC", "OUTCOME_AWARENESS", "OUTCOME_ENGAGEMENT", "OUTCOME_APP_PROMOTION"];
+
+function graphError(res, status, code, message, extra = {}) {
+  res.status(status).json({
+    error: { message, type: code === 190 ? "OAuthException" : "GraphMethodException", code, fbtrace_id: `fake${Date.now()}`, ...extra }
+  });
+}
+
+// Meta's checks for required fields, simplified
+function validateCreate(type, body, store) {
+  switch (type) {
+    case "campaign":
+      if (!body.name) return "The parameter name is required";
+      if (!OBJECTIVES.includes(body.objective)) return `Invalid objective: ${body.objective}`;
+      if (!Array.isArray(body.special_ad_categories)) return "The parameter special_ad_categories is required";
+      if (!body.daily_budget && !body.lifetime_budget && body.is_adset_budget_sharing_enabled === undefined) {
+        return "is_adset_budget_sharing_enabled is required for campaigns without a campaign budget";
+      }
+      return null;
+    case "adset": {
+      const campaign = store.get(body.campaign_id);
+      if (!campaign || campaign.type !== "campaign") return "Invalid campaign_id";
+      if (!body.targeting?.geo_locations) return "Your audience location is required";
+      if (!body.billing_event || !body.optimization_goal) return "billing_event and optimization_goal are required";
+      const campaignBudget = campaign.daily_budget || campaign.lifetime_budget;
+      const adSetBudget = body.daily_budget || body.lifetime_budget;
+      if (!campaignBudget && !adSetBudget) return "A budget is required on the ad set or its campaign";
+      if (campaignBudget && adSetBudget) return "Ad sets in campaigns with a campaign budget can't have their own budget";
+      if (["OFFSITE_CONVERSIONS", "VALUE"].includes(body.optimization_goal) && !body.promoted_object?.pixel_id) {
+        return "promoted_object.pixel_id is required for conversion optimization";
+      }
+      return null;
+    }
+    case "creative":
+      if (!body.object_story_spec?.page_id) return "object_story_spec.page_id is required";
+      return null;
+    case "ad": {
+      const adSet = store.get(body.adset_id);
+      if (!adSet || adSet.type !== "adset") return "Invalid adset_id";
+      if (!store.get(body.creative?.creative_id)) return "Invalid creative";
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Start a fake Graph API server
+ * @param {object} options - { port (0 = random), token, accounts, failures }
+ *   failures: { "POST /adsets": { code: 100, message, status, times } } - fail matching calls
+ *   ("<METHOD> /<edge>" or "<METHOD> /<id>"); times limits how often (default: always)
+ * @returns {Promise<object>} - { url, objects, requests, fail(route, error), setUsage(headers), close() }
+ */
+export async function startFakeGraphServer({ port = 0, token = "fake-token", accounts = null, failures = {} } = {}) {
+  const objects = new Map();
+  const requests = [];
+  const adAccounts = accounts || [{ id: "act_1000", account_id: "1000", name: "Fake Ad Account", currency: "USD", timezone_name: "UTC" }];
+  const pendingFailures = { ...failures };
+  let usageHeaders = {};
+  let baseUrl = null;
+  let nextId = 1000;
+
+  const app = express();
+  app.use(express.json({ limit: "10mb" }));
+  app.use(express.urlencoded({ extended: true }));
+
+  // Record the call, check the token and apply injected failures
+  app.use((req, res, next) => {
+    const body = req.is("multipart/form-data") ? "[multipart]" : req.body;
+    requests.push({ method: req.method, path: req.path, query: req.query, body });
+    res.set(usageHeaders);
+
+    if (req.headers.authorization !== `Bearer ${token}`) {
+      return graphError(res, 401, 190, "Invalid OAuth access token - Cannot parse access token");
+    }
+
+    const [, first, edge] = req.path.split("/");
+    const key = [`${req.method} /${edge || first}`, `${req.method} /${first}`].find(k => pendingFailures[k]);
+    if (key) {
+      const failure = pendingFailures[key];
+      if (failure.times !== undefined && --failure.times <= 0) delete pendingFailures[key];
+      const { code = 1, message = "An unknown error occurred", status = 400, ...extra } = failure;
+      delete extra.times;
+      return graphError(res, status, code, message, extra);
+    }
+    next();
+  });
+
+  // Batch: run each request against this server and wrap the responses the way Meta does
+  app.post("/", async (req, res) => {
+    let batch;
+    try {
+      batch = JSON.parse(req.body.batch || "[]");
+    } catch {
+      return graphError(res, 400, 100, "The parameter batch must be a JSON array");
+    }
+    if (!Array.isArray(batch) || batch.length > 50) return graphError(res, 400, 100, "Batch must contain 1-50 requests");
+
+    const responses = [];
+    for (const { method = "GET", relative_url: relativeUrl, body } of batch) {
+      const response = await axios({
+        url: `${baseUrl}/${relativeUrl}`,
+        method,
+        data: body,
+        headers: { Authorization: req.headers.authorization, "Content-Type": "application/x-www-form-urlencoded" },
+        validateStatus: () => true
+      });
+      responses.push({ code: response.status, body: JSON.stringify(response.data) });
+    }
+    res.json(responses);
+  });
+
+  app.get("/me/adaccounts", (req, res) => {
+    res.json({ data: adAccounts });
+  });
+
+  app.post("/:accountId/adimages", (req, res) => {
+    req.resume(); // Multipart body is accepted but not stored
+    req.on("end", () => {
+      const hash = `fakehash${nextId++}`;
+      res.json({ images: { "image.jpg": { hash, url: `https://fake.graph/images/${hash}.jpg` } } });
+    });
+  });
+
+  app.post("/:accountId/advideos", (req, res) => {
+    req.resume();
+    req.on("end", () => res.json({ id: String(nextId++) }));
+  });
+
+  app.post("/:accountId/:edge", (req, res, next) => {
+    const type = CHILD_EDGES[req.params.edge];
+    if (!type || !req.params.accountId.startsWith("act_")) return next();
+    if (!adAccounts.some(a => a.id === req.params.accountId)) {
+      return graphError(res, 400, 100, `Unsupported post request. Object with ID '${req.params.accountId}' does not exist`);
+    }
+    const error = validateCreate(type, req.body, objects);
+    if (error) return graphError(res, 400, 100, "Invalid parameter", { error_user_msg: error });
+
+    const id = String(nextId++);
+    objects.set(id, { ...req.body, id, type, account_id: req.params.accountId, status: req.body.status || "PAUSED", created_time: new Date().toISOString() });
+    res.json({ id });
+  });
+
+  app.get("/:parentId/:edge", (req, res) => {
+    const type = CHILD_EDGES[req.params.edge];
+    if (!type) return graphError(res, 400, 100, `Unknown edge ${req.params.edge}`);
+    const parentKey = req.params.parentId.startsWith("act_") ? "account_id" : `${objects.get(req.params.parentId)?.type}_id`;
+    const data = [...objects.values()].filter(o => o.type === type && o[parentKey] === req.params.parentId);
+    res.json({ data });
+  });
+
+  app.get("/:id", (req, res) => {
+    const object = objects.get(req.params.id);
+    if (!object) return graphError(res, 400, 100, `Object with ID '${req.params.id}' does not exist`);
+    const fields = req.query.fields ? String(req.query.fields).split(",") : Object.keys(object);
+    res.json(Object.fromEntries(["id", ...fields].filter(f => f in object).map(f => [f, object[f]])));
+  });
+
+  app.post("/:id", (req, res) => {
+    const object = objects.get(req.params.id);
+    if (!object) return graphError(res, 400, 100, `Object with ID '${req.params.id}' does not exist`);
+    Object.assign(object, req.body);
+    res.json({ success: true });
+  });
+
+  app.delete("/:id", (req, res) => {
+    if (!objects.delete(req.params.id)) return graphError(res, 400, 100, `Object with ID '${req.params.id}' does not exist`);
+    res.json({ success: true });
+  });
+
+  app.use((req, res) => graphError(res, 400, 100, `Unknown path components: ${req.path}`));
+
+  const server = await new Promise((resolve, reject) => {
+    const listener = app.listen(port, "127.0.0.1", () => resolve(listener));
+    listener.on("error", reject);
+  });
+
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url: baseUrl,
+    objects,
+    requests,
+    fail(route, error) {
+      pendingFailures[route] = error;
+    },
+    // e.g. { "x-app-usage": JSON.stringify({ call_count: 80 }) }; {} to stop
+    setUsage(headers) {
+      usageHeaders = headers;
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
@@ -1,33 +1,12 @@
 import express from "express";
 import { composeImage } from "../services/imageGeneratorService.js";
 import { testGeminiConnection } from "../services/geminiService.js";
+import { requirePermission } from "../accessControl.js";
 
 const router = express.Router();
 
-// Middleware to require admin key
-const requireAdminKey = (req, res, next) => {
-  const ADMIN_DASH_KEY = process.env.ADMIN_DASH_KEY;
-  const providedKey = req.headers["x-admin-key"];
-
-  if (!ADMIN_DASH_KEY) {
-    console.log("[Image Generator] No ADMIN_DASH_KEY configured, allowing request");
-    return next();
-  }
-
-  if (!providedKey || providedKey !== ADMIN_DASH_KEY) {
-    console.log("[Image Generator] Authentication failed: invalid or missing admin key");
-    return res.status(401).json({
-      success: false,
-      error: "Unauthorized. Missing or invalid x-admin-key header."
-    });
-  }
-
-  console.log("[Image Generator] Authentication successful");
-  next();
-};
-
 // Test endpoint
-router.get("/test", requireAdminKey, async (req, res) => {
+router.get("/test", requirePermission("system:admin"), async (req, res) => {
   try {
     const testResult = await testGeminiConnection();
     res.json({
@@ -57,7 +36,7 @@ router.get("/test", requireAdminKey, async (req, res) => {
  *   "sessionId": "string (optional)"
  * }
  */
-router.post("/compose", requireAdminKey, async (req, res) => {
+router.post("/compose", requirePermission("media:generate"), async (req, res) => {
   try {
     const {
       shortPrompt,
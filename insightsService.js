@@ -0,0 +1,405 @@
+import ExcelJS from "exceljs";
+
+/**
+ * Insights Service
+ * Meta insights reports for the reporting API (GET /api/insights) and /stats:
+ * - level: account, campaign, adset or ad
+ * - any date range (since/until, a Meta date preset or "14d"-style shorthand)
+ * - time increment: all, daily, weekly or monthly
+ * - breakdowns: age, gender, placement, device, country
+ * - metrics: Meta's delivery metrics plus ROAS, cost per purchase, etc. computed
+ *   from the actions/action_values arrays
+ * Reports can be exported as CSV or XLSX.
+ */
+
+const LEVELS = ["account", "campaign", "adset", "ad"];
+const TIME_INCREMENTS = { all: "all_days", daily: 1, weekly: 7, monthly: "monthly" };
+const BREAKDOWNS = {
+  age: ["age"],
+  gender: ["gender"],
+  placement: ["publisher_platform", "platform_position"],
+  device: ["device_platform"],
+  country: ["country"]
+};
+const DATE_PRESETS = [
+  "today", "yesterday", "this_month", "last_month", "this_quarter", "last_quarter", "this_year", "last_year",
+  "last_3d", "last_7d", "last_14d", "last_28d", "last_30d", "last_90d", "this_week_mon_today", "last_week_mon_sun", "maximum"
+];
+const MAX_ROWS = parseInt(process.env.INSIGHTS_MAX_ROWS) || 10000;
+const PAGE_SIZE = 500;
+
+// Conversion counts come from the first action type present, so pixel and
+// omni-channel duplicates of the same event aren't added together
+const ACTION_TYPES = {
+  purchases: ["omni_purchase", "purchase", "offsite_conversion.fb_pixel_purchase"],
+  addToCart: ["omni_add_to_cart", "add_to_cart", "offsite_conversion.fb_pixel_add_to_cart"],
+  checkouts: ["omni_initiated_checkout", "initiate_checkout", "offsite_conversion.fb_pixel_initiate_checkout"],
+  leads: ["lead", "onsite_conversion.lead_grouped", "offsite_conversion.fb_pixel_lead"],
+  linkClicks: ["link_click"]
+};
+
+const ratio = (a, b, scale = 1) => (b > 0 ? (a / b) * scale : null);
+
+// name -> { fields: Meta fields it needs, value: (base) => number|null, money: format as currency }
+const METRICS = {
+  spend: { fields: ["spend"], value: b => b.spend, money: true },
+  impressions: { fields: ["impressions"], value: b => b.impressions },
+  reach: { fields: ["reach"], value: b => b.reach },
+  frequency: { fields: ["frequency"], value: b => b.frequency },
+  clicks: { fields: ["clicks"], value: b => b.clicks },
+  link_clicks: { fields: ["actions"], value: b => b.linkClicks },
+  ctr: { fields: ["clicks", "impressions"], value: b => ratio(b.clicks, b.impressions, 100) },
+  cpc: { fields: ["spend", "clicks"], value: b => ratio(b.spend, b.clicks), money: true },
+  cpm: { fields: ["spend", "impressions"], value: b => ratio(b.spend, b.impressions, 1000), money: true },
+  purchases: { fields: ["actions"], value: b => b.purchases },
+  purchase_value: { fields: ["action_values"], value: b => b.purchaseValue, money: true },
+  roas: { fields: ["spend", "action_values"], value: b => ratio(b.purchaseValue, b.spend) },
+  cost_per_purchase: { fields: ["spend", "actions"], value: b => ratio(b.spend, b.purchases), money: true },
+  conversion_rate: { fields: ["actions"], value: b => ratio(b.purchases, b.linkClicks, 100) },
+  add_to_cart: { fields: ["actions"], value: b => b.addToCart },
+  cost_per_add_to_cart: { fields: ["spend", "actions"], value: b => ratio(b.spend, b.addToCart), money: true },
+  checkouts: { fields: ["actions"], value: b => b.checkouts },
+  leads: { fields: ["actions"], value: b => b.leads },
+  cost_per_lead: { fields: ["spend", "actions"], value: b => ratio(b.spend, b.leads), money: true }
+};
+const DEFAULT_METRICS = ["spend", "impressions", "clicks", "ctr", "cpc", "cpm", "purchases", "purchase_value", "roas", "cost_per_purchase"];
+// Not additive across rows, so left out of the totals row
+const NON_ADDITIVE = ["reach", "frequency"];
+
+const LEVEL_COLUMNS = {
+  account: [],
+  campaign: ["campaign_id", "campaign_name"],
+  adset: ["campaign_name", "adset_id", "adset_name"],
+  ad: ["campaign_name", "adset_name", "ad_id", "ad_name"]
+};
+
+// Dependencies (passed from server.js)
+let fb = null;
+let fbCached = null;
+
+/**
+ * Wire server.js helpers into the insights service
+ * @param {object} dependencies - { fb, fbCached }
+ */
+export function initInsights(dependencies) {
+  fb = dependencies.fb;
+  fbCached = dependencies.fbCached;
+}
+
+function isDate(text) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(text) && !isNaN(new Date(`${text}T00:00:00Z`));
+}
+
+function daysAgo(now, days) {
+  return new Date(now.getTime() - days * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a period: a Meta date preset ("last_month"), "Nd" (e.g. "14d" = the last
+ * 14 full days), or "YYYY-MM-DD..YYYY-MM-DD" / "YYYY-MM-DD YYYY-MM-DD"
+ * @param {string} text
+ * @param {Date} now
+ * @returns {object|null} - { datePreset } or { timeRange: { since, until } }
+ */
+export function parseDateRange(text, now = new Date()) {
+  const value = String(text || "").trim().toLowerCase();
+  if (DATE_PRESETS.includes(value)) return { datePreset: value };
+
+  const days = value.match(/^(\d{1,4})d$/);
+  if (days) {
+    const n = parseInt(days[1]);
+    if (n < 1) return null;
+    if (DATE_PRESETS.includes(`last_${n}d`)) return { datePreset: `last_${n}d` };
+    return { timeRange: { since: daysAgo(now, n), until: daysAgo(now, 1) } };
+  }
+
+  const range = value.match(/^(\d{4}-\d{2}-\d{2})\s*(?:\.\.|\s|to)\s*(\d{4}-\d{2}-\d{2})$/);
+  if (range && isDate(range[1]) && isDate(range[2]) && range[1] <= range[2]) {
+    return { timeRange: { since: range[1], until: range[2] } };
+  }
+  if (isDate(value)) return { timeRange: { since: value, until: value } };
+  return null;
+}
+
+/**
+ * Dates covered by a parsed period, for data that isn't queried through Meta
+ * (UTC days; presets follow Meta: "last_Nd" ends yesterday)
+ * @param {object} range - From parseDateRange()
+ * @param {Date} now
+ * @returns {{ since: string, until: string }|null} - null for presets without fixed dates (e.g. maximum)
+ */
+export function toTimeRange(range, now = new Date()) {
+  if (range.timeRange) return range.timeRange;
+
+  const today = now.toISOString().slice(0, 10);
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const monthStart = (y, m) => new Date(Date.UTC(y, m, 1)).toISOString().slice(0, 10);
+  const preset = range.datePreset;
+
+  const lastDays = preset.match(/^last_(\d+)d$/);
+  if (lastDays) return { since: daysAgo(now, parseInt(lastDays[1])), until: daysAgo(now, 1) };
+  switch (preset) {
+    case "today": return { since: today, until: today };
+    case "yesterday": return { since: daysAgo(now, 1), until: daysAgo(now, 1) };
+    case "this_month": return { since: monthStart(year, month), until: today };
+    case "last_month": return { since: monthStart(year, month - 1), until: daysAgo(new Date(Date.UTC(year, month, 1)), 1) };
+    case "this_year": return { since: `${year}-01-01`, until: today };
+    case "last_year": return { since: `${year - 1}-01-01`, until: `${year - 1}-12-31` };
+    default: return null;
+  }
+}
+
+/**
+ * Describe a parsed period for messages and file names
+ * @param {object} range - From parseDateRange()
+ * @returns {string}
+ */
+export function describeDateRange(range) {
+  if (range.datePreset) return range.datePreset;
+  const { since, until } = range.timeRange;
+  return since === until ? since : `${since} to ${until}`;
+}
+
+const toList = (value) => (Array.isArray(value) ? value : String(value || "").split(","))
+  .map(v => String(v).trim())
+  .filter(Boolean);
+
+/**
+ * Validate report options (no API calls)
+ * @param {object} options - { level, accountId, since, until, datePreset, period,
+ *   timeIncrement, breakdowns, metrics, campaignIds }
+ * @returns {{ errors: string[], query: object|null }}
+ */
+export function buildInsightsQuery(options = {}) {
+  const errors = [];
+  const level = options.level || "campaign";
+  if (!LEVELS.includes(level)) errors.push(`level must be one of: ${LEVELS.join(", ")}`);
+
+  let range = null;
+  if (options.since || options.until) {
+    const since = options.since || options.until;
+    const until = options.until || options.since;
+    if (!isDate(since) || !isDate(until)) errors.push("since/until must be dates (YYYY-MM-DD)");
+    else if (since > until) errors.push("since must be on or before until");
+    else range = { timeRange: { since, until } };
+  } else {
+    const period = options.datePreset || options.period || "last_7d";
+    range = parseDateRange(period);
+    if (!range) errors.push(`Unknown period "${period}" (use since/until, "14d" or a preset: ${DATE_PRESETS.join(", ")})`);
+  }
+
+  const timeIncrement = options.timeIncrement || "all";
+  if (!(timeIncrement in TIME_INCREMENTS)) {
+    errors.push(`timeIncrement must be one of: ${Object.keys(TIME_INCREMENTS).join(", ")}`);
+  }
+
+  const breakdowns = toList(options.breakdowns);
+  const unknownBreakdowns = breakdowns.filter(b => !BREAKDOWNS[b]);
+  if (unknownBreakdowns.length > 0) {
+    errors.push(`Unknown breakdown(s) ${unknownBreakdowns.join(", ")} (use: ${Object.keys(BREAKDOWNS).join(", ")})`);
+  }
+
+  const metrics = options.metrics ? toList(options.metrics) : DEFAULT_METRICS;
+  const unknownMetrics = metrics.filter(m => !METRICS[m]);
+  if (unknownMetrics.length > 0) {
+    errors.push(`Unknown metric(s) ${unknownMetrics.join(", ")} (use: ${Object.keys(METRICS).join(", ")})`);
+  }
+  if (metrics.length === 0) errors.push("At least one metric is required");
+
+  const accountIds = toList(options.accountId).map(id => (id.startsWith("act_") ? id : `act_${id}`));
+  const campaignIds = toList(options.campaignIds);
+
+  if (errors.length > 0) return { errors, query: null };
+  return {
+    errors,
+    query: {
+      level,
+      range,
+      timeIncrement,
+      breakdowns: [...new Set(breakdowns)],
+      metrics: [...new Set(metrics)],
+      accountIds,
+      campaignIds
+    }
+  };
+}
+
+function actionCount(list, types) {
+  const type = types.find(t => (list || []).some(a => a.action_type === t));
+  return type ? parseFloat(list.find(a => a.action_type === type).value || 0) : 0;
+}
+
+// The raw numbers every metric is computed from
+function baseValues(row) {
+  return {
+    spend: parseFloat(row.spend || 0),
+    impressions: parseInt(row.impressions || 0),
+    clicks: parseInt(row.clicks || 0),
+    reach: row.reach !== undefined ? parseInt(row.reach) : null,
+    frequency: row.frequency !== undefined ? parseFloat(row.frequency) : null,
+    purchases: actionCount(row.actions, ACTION_TYPES.purchases),
+    purchaseValue: actionCount(row.action_values, ACTION_TYPES.purchases),
+    addToCart: actionCount(row.actions, ACTION_TYPES.addToCart),
+    checkouts: actionCount(row.actions, ACTION_TYPES.checkouts),
+    leads: actionCount(row.actions, ACTION_TYPES.leads),
+    linkClicks: actionCount(row.actions, ACTION_TYPES.linkClicks)
+  };
+}
+
+function round(value) {
+  return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+}
+
+// All pages for one account, stopping once `limit` rows are in; complete is false if more were left
+async function fetchAccountRows(account, query, fields, limit) {
+  const params = {
+    level: query.level,
+    fields: fields.join(","),
+    time_increment: TIME_INCREMENTS[query.timeIncrement],
+    limit: PAGE_SIZE
+  };
+  if (query.range.datePreset) params.date_preset = query.range.datePreset;
+  else params.time_range = JSON.stringify(query.range.timeRange);
+  if (query.breakdowns.length > 0) params.breakdowns = query.breakdowns.flatMap(b => BREAKDOWNS[b]).join(",");
+  if (query.campaignIds.length > 0) {
+    params.filtering = JSON.stringify([{ field: "campaign.id", operator: "IN", value: query.campaignIds }]);
+  }
+
+  const rows = [];
+  let after = null;
+  do {
+    const page = await fb(`/${account.id}/insights`, "GET", after ? { ...params, after } : params);
+    rows.push(...(page.data || []));
+    after = page.paging?.next ? page.paging.cursors?.after : null;
+  } while (after && rows.length < limit);
+  return { rows, complete: !after && rows.length <= limit };
+}
+
+/**
+ * Run a report across the requested ad accounts (default: all)
+ * @param {object} options - See buildInsightsQuery()
+ * @returns {Promise<object>} - { errors } or { query, period, columns, rows, totals, truncated }
+ */
+export async function getInsightsReport(options = {}) {
+  const { errors, query } = buildInsightsQuery(options);
+  if (errors.length > 0) return { errors };
+
+  let accounts;
+  if (query.accountIds.length > 0) {
+    accounts = query.accountIds.map(id => ({ id }));
+  } else {
+    accounts = (await fbCached(`/me/adaccounts`, { fields: "id,name" })).data || [];
+  }
+
+  const metricFields = query.metrics.flatMap(m => METRICS[m].fields);
+  const fields = [...new Set(["account_id", "account_name", ...LEVEL_COLUMNS[query.level], ...metricFields])];
+  const dimensionColumns = [
+    ...(query.timeIncrement !== "all" ? ["date_start", "date_stop"] : []),
+    "account_id",
+    "account_name",
+    ...LEVEL_COLUMNS[query.level],
+    ...query.breakdowns.flatMap(b => BREAKDOWNS[b])
+  ];
+
+  const rawRows = [];
+  let truncated = false;
+  for (const account of accounts) {
+    if (rawRows.length >= MAX_ROWS) {
+      truncated = true;
+      break;
+    }
+    const { rows, complete } = await fetchAccountRows(account, query, fields, MAX_ROWS - rawRows.length);
+    rawRows.push(...rows);
+    if (!complete) truncated = true;
+  }
+
+  const totalsBase = baseValues({});
+  const rows = rawRows.slice(0, MAX_ROWS).map(raw => {
+    const base = baseValues(raw);
+    for (const key of Object.keys(totalsBase)) {
+      if (!NON_ADDITIVE.includes(key)) totalsBase[key] += base[key];
+    }
+    const row = Object.fromEntries(dimensionColumns.map(col => [col, raw[col] ?? null]));
+    for (const metric of query.metrics) row[metric] = round(METRICS[metric].value(base));
+    return row;
+  });
+
+  // Chronological, biggest spenders first within a day
+  rows.sort((a, b) => String(a.date_start || "").localeCompare(String(b.date_start || "")) || (b.spend ?? 0) - (a.spend ?? 0));
+
+  const totals = Object.fromEntries(query.metrics.map(metric => [
+    metric,
+    NON_ADDITIVE.includes(metric) ? null : round(METRICS[metric].value(totalsBase))
+  ]));
+
+  return {
+    query,
+    period: describeDateRange(query.range),
+    columns: [...dimensionColumns, ...query.metrics],
+    rows,
+    totals,
+    truncated
+  };
+}
+
+// Quote for CSV; text starting with = + - @ is prefixed so spreadsheets don't run it as a formula
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Report as CSV (header row, data rows, then a totals row)
+ * @param {object} report - From getInsightsReport()
+ * @returns {string}
+ */
+export function reportToCsv(report) {
+  const lines = [report.columns.map(csvCell).join(",")];
+  for (const row of report.rows) {
+    lines.push(report.columns.map(col => csvCell(row[col])).join(","));
+  }
+  const labelColumn = report.columns.find(col => !(col in report.totals));
+  lines.push(report.columns.map(col => csvCell(col === labelColumn ? "Total" : report.totals[col])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Report as an XLSX workbook (an "Insights" sheet plus a "Query" sheet with the parameters)
+ * @param {object} report - From getInsightsReport()
+ * @returns {Promise<Buffer>}
+ */
+export async function reportToXlsx(report) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Insights", { views: [{ state: "frozen", ySplit: 1 }] });
+
+  sheet.columns = report.columns.map(col => ({
+    header: col,
+    key: col,
+    width: Math.max(12, col.length + 2),
+    style: METRICS[col]?.money ? { numFmt: "#,##0.00" } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.addRows(report.rows);
+
+  const labelColumn = report.columns.find(col => !(col in report.totals));
+  const totalsRow = sheet.addRow({ ...report.totals, ...(labelColumn && { [labelColumn]: "Total" }) });
+  totalsRow.font = { bold: true };
+
+  const querySheet = workbook.addWorksheet("Query");
+  querySheet.columns = [{ header: "Parameter", key: "name", width: 18 }, { header: "Value", key: "value", width: 40 }];
+  querySheet.getRow(1).font = { bold: true };
+  querySheet.addRows([
+    { name: "level", value: report.query.level },
+    { name: "period", value: report.period },
+    { name: "timeIncrement", value: report.query.timeIncrement },
+    { name: "breakdowns", value: report.query.breakdowns.join(", ") || "none" },
+    { name: "accounts", value: report.query.accountIds.join(", ") || "all" },
+    { name: "campaigns", value: report.query.campaignIds.join(", ") || "all" },
+    { name: "rows", value: report.rows.length + (report.truncated ? ` (truncated at ${MAX_ROWS})` : "") }
+  ]);
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
@@ -50,28 +50,11 @@ router.get("/test", (req, res) => {
   });
 });
 
-// Middleware to require admin key (optional - can be added at route level)
-const requireAdminKey = (req, res, next) => {
-  const ADMIN_DASH_KEY = process.env.ADMIN_DASH_KEY;
-  const providedKey = req.headers["x-admin-key"];
-  
-  if (!ADMIN_DASH_KEY) {
-    // If no admin key is configured, allow all requests (for development)
-    console.log("[Media API] No ADMIN_DASH_KEY configured, allowing request");
-    return next();
-  }
-  
-  if (!providedKey || providedKey !== ADMIN_DASH_KEY) {
-    console.log("[Media API] Authentication failed: invalid or missing admin key");
-    return res.status(401).json({ 
-      success: false,
-      error: "Unauthorized. Missing or invalid x-admin-key header." 
-    });
-  }
-  
-  console.log("[Media API] Authentication successful");
-  next();
-};
+// Role-based API key check (see accessControl.js)
+const { requirePermission } = await importWithFallback("accessControl", [
+  "../accessControl.js",  // If in routes/ subdirectory
+  "./accessControl.js"    // If in root directory
+]);
 
 /**
  * POST /api/media/create
@@ -91,7 +74,7 @@ const requireAdminKey = (req, res, next) => {
  *   "sessionId"?: "string"
  * }
  */
-router.post("/create", requireAdminKey, async (req, res) => {
+router.post("/create", requirePermission("media:generate"), async (req, res) => {
   try {
     const { 
       mode, 
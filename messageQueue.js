@@ -0,0 +1,241 @@
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+import { createStateStore } from "./stateStore.js";
+
+/**
+ * Message Queue
+ * Acknowledge-then-process queue for incoming WhatsApp messages. Each phone number
+ * gets one serial lane so a user's messages run in order, while different users
+ * are processed concurrently. Failed jobs are retried with exponential backoff and
+ * moved to a dead-letter list after the last attempt. A job that already wrote
+ * data (see markJobSideEffect) is never run again; it goes straight to the
+ * dead-letter list so a retry can't repeat a product, campaign or budget change.
+ *
+ * Pending jobs live in a persistent state store, so messages acknowledged to Meta
+ * just before a restart are processed after it (unless they are stale by then).
+ */
+
+const MAX_ATTEMPTS = parseInt(process.env.MESSAGE_QUEUE_MAX_ATTEMPTS) || 3;
+const BASE_BACKOFF = parseInt(process.env.MESSAGE_QUEUE_BACKOFF_MS) || 2000; // 2s, 4s, 8s...
+const DEAD_LETTER_TTL = 7 * 24 * 60 * 60 * 1000; // Keep failed jobs for a week
+
+// Dependencies (passed from server.js)
+let handler = null;
+let onDeadLetter = null;
+let isStale = () => false;
+let onStale = null;
+
+let pendingJobs = null; // jobId -> job (persistent)
+let deadLetters = null; // jobId -> job (persistent)
+const lanes = new Map(); // phone -> { jobs: [jobId], running: boolean }
+const stats = { processed: 0, retried: 0, deadLettered: 0, staleDropped: 0 };
+const activeJob = new AsyncLocalStorage(); // The job whose handler is running
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wire the message handler into the queue and resume jobs left over from a restart.
+ * Leftover jobs whose message is stale by now are dropped (onStale), and jobs
+ * that had already written data are dead-lettered instead of run again.
+ * @param {object} dependencies - { handler: async (message, contact) => void, onDeadLetter?: async (job) => void,
+ *   isStale?: (message) => boolean, onStale?: async (jobs) => void }
+ */
+export function initMessageQueue(dependencies) {
+  handler = dependencies.handler;
+  onDeadLetter = dependencies.onDeadLetter || null;
+  isStale = dependencies.isStale || isStale;
+  onStale = dependencies.onStale || null;
+  pendingJobs = createStateStore("messageQueue");
+  deadLetters = createStateStore("messageDeadLetters", { ttlMs: DEAD_LETTER_TTL });
+
+  const leftover = [...pendingJobs.values()].sort((a, b) => a.enqueuedAt - b.enqueuedAt);
+  const stale = [];
+  let resumed = 0;
+  for (const job of leftover) {
+    if (isStale(job.message)) {
+      pendingJobs.delete(job.id);
+      stale.push(job);
+    } else if (job.sideEffects) {
+      pendingJobs.delete(job.id);
+      deadLetter(job, "interrupted by a restart after it had written data");
+    } else {
+      addToLane(job);
+      resumed++;
+    }
+  }
+  if (resumed > 0) {
+    console.log(`[Queue] Resuming ${resumed} pending message job(s)`);
+  }
+  if (stale.length > 0) {
+    stats.staleDropped += stale.length;
+    console.log(`[Queue] Dropped ${stale.length} stale pending job(s): ${stale.map(j => j.id).join(", ")}`);
+    if (onStale) {
+      Promise.resolve(onStale(stale)).catch(err => console.error("[Queue] Stale callback error:", err.message));
+    }
+  }
+}
+
+/**
+ * Note that the message job being handled has written data (a Meta or WooCommerce
+ * write, or an audited change). If it fails after this it isn't retried.
+ * A no-op outside a queued job.
+ */
+export function markJobSideEffect() {
+  const job = activeJob.getStore();
+  if (!job || job.sideEffects) return;
+  job.sideEffects = true;
+  if (pendingJobs.has(job.id)) pendingJobs.set(job.id, job); // Survives a crash mid-handler
+}
+
+function addToLane(job) {
+  if (!lanes.has(job.phone)) {
+    lanes.set(job.phone, { jobs: [], running: false });
+  }
+  lanes.get(job.phone).jobs.push(job.id);
+  drainLane(job.phone);
+}
+
+/**
+ * Queue an incoming message for processing
+ * @param {object} message - Message object from the webhook payload
+ * @param {object} contact - Contact object from the webhook payload
+ * @returns {object} - The queued job
+ */
+export function enqueueMessage(message, contact = null) {
+  const job = {
+    id: message.id || crypto.randomUUID(),
+    phone: message.from,
+    message,
+    contact,
+    attempts: 0,
+    enqueuedAt: Date.now(),
+    lastError: null
+  };
+  pendingJobs.set(job.id, job);
+  addToLane(job);
+  return job;
+}
+
+// Process one phone's jobs in order; only one drain runs per lane at a time
+async function drainLane(phone) {
+  const lane = lanes.get(phone);
+  if (!lane || lane.running) return;
+  lane.running = true;
+
+  try {
+    while (lane.jobs.length > 0) {
+      const job = pendingJobs.get(lane.jobs[0]);
+      if (job) {
+        await runJob(job);
+      }
+      lane.jobs.shift();
+    }
+  } finally {
+    lane.running = false;
+    if (lane.jobs.length === 0) lanes.delete(phone);
+  }
+}
+
+// Run a job until it succeeds or runs out of attempts. The lane waits during
+// backoff so later messages from the same user never overtake a retried one.
+// Only failures before the job wrote anything are retried.
+async function runJob(job) {
+  while (job.attempts < MAX_ATTEMPTS) {
+    job.attempts++;
+    job.lastAttemptAt = Date.now();
+    try {
+      await activeJob.run(job, () => handler(job.message, job.contact));
+      pendingJobs.delete(job.id);
+      stats.processed++;
+      return;
+    } catch (err) {
+      job.lastError = err.message || String(err);
+      console.error(`[Queue] Job ${job.id} from ${job.phone} failed (attempt ${job.attempts}/${MAX_ATTEMPTS}):`, job.lastError);
+      pendingJobs.set(job.id, job);
+
+      if (job.sideEffects) break;
+      if (job.attempts < MAX_ATTEMPTS) {
+        stats.retried++;
+        await sleep(BASE_BACKOFF * 2 ** (job.attempts - 1));
+      }
+    }
+  }
+
+  pendingJobs.delete(job.id);
+  await deadLetter(job, job.sideEffects ? "not retried: it had already written data" : null);
+}
+
+async function deadLetter(job, reason) {
+  job.deadLetteredAt = Date.now();
+  deadLetters.set(job.id, job);
+  stats.deadLettered++;
+  console.error(`[Queue] Job ${job.id} from ${job.phone} moved to dead-letter list${reason ? ` (${reason})` : ""}`);
+
+  if (onDeadLetter) {
+    try {
+      await onDeadLetter(job);
+    } catch (err) {
+      console.error("[Queue] Dead-letter callback error:", err.message);
+    }
+  }
+}
+
+/**
+ * Queue status for admin endpoints
+ * @returns {object}
+ */
+export function getQueueStats() {
+  const activeLanes = [...lanes.entries()].map(([phone, lane]) => ({
+    phone,
+    queued: lane.jobs.length,
+    running: lane.running
+  }));
+  return {
+    pending: pendingJobs ? pendingJobs.size : 0,
+    deadLetters: deadLetters ? deadLetters.size : 0,
+    lanes: activeLanes,
+    maxAttempts: MAX_ATTEMPTS,
+    ...stats
+  };
+}
+
+/**
+ * List dead-lettered jobs, newest first
+ * @returns {Array}
+ */
+export function listDeadLetters() {
+  return [...deadLetters.values()].sort((a, b) => b.deadLetteredAt - a.deadLetteredAt);
+}
+
+/**
+ * Re-queue a dead-lettered job with a fresh attempt budget
+ * @param {string} jobId
+ * @returns {object|null} - The re-queued job, or null if not found
+ */
+export function replayDeadLetter(jobId) {
+  const job = deadLetters.get(jobId);
+  if (!job) return null;
+
+  deadLetters.delete(jobId);
+  const replayed = {
+    ...job,
+    attempts: 0,
+    lastError: null,
+    sideEffects: false, // Replaying is the admin's call
+    deadLetteredAt: undefined,
+    enqueuedAt: Date.now(),
+    replayedAt: Date.now()
+  };
+  pendingJobs.set(replayed.id, replayed);
+  addToLane(replayed);
+  return replayed;
+}
+
+/**
+ * Drop a dead-lettered job
+ * @param {string} jobId
+ * @returns {boolean}
+ */
+export function deleteDeadLetter(jobId) {
+  return deadLetters.delete(jobId);
+}
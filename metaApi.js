@@ -0,0 +1,387 @@
+import axios from "axios";
+import FormData from "form-data";
+import { markJobSideEffect } from "./messageQueue.js";
+
+/**
+ * Meta Marketing API
+ * The Graph API client shared by server.js, the workflows, the campaign builder
+ * and the alert/optimizer/budget services:
+ * - fb(): JSON requests; failures are thrown as typed MetaApiErrors
+ * - fbBatch(): up to 50 requests per HTTP call (Graph batch requests)
+ * - fbCached(): GET listings kept for a short TTL; any write clears them
+ * - uploadImageToMeta() / uploadVideoToMeta(): ad account media uploads
+ * Campaign creation (campaignBuilder.js) goes through fb().
+ *
+ * Every call reads Meta's usage headers (x-business-use-case-usage,
+ * x-ad-account-usage, x-app-usage): calls slow down as usage climbs, wait out
+ * a throttle Meta reports, and rate-limit errors are retried with back-off.
+ *
+ * Env: META_TOKEN, META_GRAPH_URL (default https://graph.facebook.com/v24.0;
+ * point it at fakeGraphServer.js to run without Meta), META_CACHE_TTL_SECONDS
+ * (default 60), META_RATE_LIMIT_RETRIES (default 2), META_MAX_BACKOFF_SECONDS
+ * (default 60; longer throttles fail right away instead of waiting).
+ */
+
+const DEFAULT_GRAPH = "https://graph.facebook.com/v24.0";
+const RATE_LIMIT_CODES = [4, 17, 32, 613, 80000, 80001, 80002, 80003, 80004, 80005, 80006, 80008, 80009, 80014];
+const BATCH_LIMIT = 50; // Meta's maximum per batch request
+const USAGE_STALE_MS = 5 * 60 * 1000; // Ignore usage figures older than this
+// Pause before each call once usage (% of the limit) reaches these levels
+const USAGE_DELAYS = [[95, 10000], [85, 3000], [75, 1000]];
+
+// Read at call time: server.js imports this module before dotenv.config() runs
+const graphUrl = () => process.env.META_GRAPH_URL || DEFAULT_GRAPH;
+const accessToken = () => process.env.META_TOKEN;
+const cacheTtlMs = () => Number(process.env.META_CACHE_TTL_SECONDS || 60) * 1000;
+const maxRetries = () => Number(process.env.META_RATE_LIMIT_RETRIES ?? 2);
+const maxBackoffMs = () => Number(process.env.META_MAX_BACKOFF_SECONDS || 60) * 1000;
+
+// Latest usage reported by Meta: highest % across the headers, and until when Meta throttles us
+const usage = { pct: 0, updatedAt: 0, blockedUntil: 0, throttledCalls: 0, retries: 0 };
+const listingCache = new Map(); // key -> { expires, promise }
+const cacheStats = { hits: 0, misses: 0 };
+
+/**
+ * A failed Graph API call. `message` is meant for users; the Graph error
+ * details are kept on the instance.
+ */
+export class MetaApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} details - { code, subcode, type, status, metaMessage, userMessage, fbtraceId, response }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = details.code ?? null;
+    this.subcode = details.subcode ?? null;
+    this.type = details.type ?? null;
+    this.status = details.status ?? 500;
+    this.metaMessage = details.metaMessage ?? null;
+    this.userMessage = details.userMessage ?? null; // Meta's error_user_msg, when it sends one
+    this.fbtraceId = details.fbtraceId ?? null;
+    this.response = details.response; // { status, data }, same shape as an axios error
+  }
+}
+
+/** Code 190: the token is invalid, expired or revoked */
+export class MetaAuthError extends MetaApiError {}
+
+/** Codes 10 and 200-299: the token or app lacks a permission */
+export class MetaPermissionError extends MetaApiError {}
+
+/** Code 17 (and the other throttling codes): too many calls; retry later */
+export class MetaRateLimitError extends MetaApiError {}
+
+/** Code 100: an invalid or missing parameter */
+export class MetaValidationError extends MetaApiError {}
+
+/**
+ * Turn an axios error from the Graph API into a typed MetaApiError
+ * (other errors, e.g. network failures, are returned unchanged)
+ * @param {Error} err
+ * @returns {Error}
+ */
+export function toMetaError(err) {
+  if (err instanceof MetaApiError || !err.response) return err;
+
+  const errorData = err.response.data?.error || {};
+  const metaMessage = errorData.message || err.response.statusText || "Unknown error";
+  const code = errorData.code || err.response.status;
+  const details = {
+    code,
+    subcode: errorData.error_subcode,
+    type: errorData.type,
+    status: err.response.status,
+    metaMessage,
+    userMessage: errorData.error_user_msg,
+    fbtraceId: errorData.fbtrace_id,
+    response: { status: err.response.status, data: err.response.data }
+  };
+
+  if (code === 190 || metaMessage.includes("Invalid OAuth")) {
+    return new MetaAuthError("Invalid or expired access token. Please check your META_TOKEN.", details);
+  }
+  if (RATE_LIMIT_CODES.includes(code)) {
+    return new MetaRateLimitError(`Meta API rate limit reached (${code}). Try again in a few minutes.`, details);
+  }
+  if ((code >= 200 && code <= 299) || metaMessage.includes("Permission denied")) {
+    return new MetaPermissionError("Missing permissions. Please grant 'ads_read' and 'ads_management' permissions.", details);
+  }
+  if (code === 10 || metaMessage.includes("Permission")) {
+    return new MetaPermissionError("API access denied. Check your app permissions in Meta for Developers.", details);
+  }
+  if (code === 100) {
+    return new MetaValidationError(`Meta API error (100): ${details.userMessage || metaMessage}`, details);
+  }
+  return new MetaApiError(`Meta API error (${code}): ${metaMessage}`, details);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function parseUsageHeader(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+// Record the usage Meta reports on a response (successful or not)
+function trackUsage(headers) {
+  if (!headers) return;
+  let pct = null;
+  let regainMs = 0;
+  const consider = (entry) => {
+    if (!entry || typeof entry !== "object") return;
+    for (const key of ["call_count", "total_cputime", "total_time", "acc_id_util_pct"]) {
+      if (typeof entry[key] === "number") pct = Math.max(pct ?? 0, entry[key]);
+    }
+    // estimated_time_to_regain_access is in minutes, reset_time_duration in seconds
+    if (entry.estimated_time_to_regain_access > 0) regainMs = Math.max(regainMs, entry.estimated_time_to_regain_access * 60000);
+    if (entry.acc_id_util_pct >= 100 && entry.reset_time_duration > 0) regainMs = Math.max(regainMs, entry.reset_time_duration * 1000);
+  };
+
+  // { "<business id>": [{ type, call_count, total_cputime, total_time, estimated_time_to_regain_access }] }
+  const business = parseUsageHeader(headers["x-business-use-case-usage"]);
+  for (const entries of Object.values(business || {})) {
+    (Array.isArray(entries) ? entries : [entries]).forEach(consider);
+  }
+  consider(parseUsageHeader(headers["x-ad-account-usage"]));
+  consider(parseUsageHeader(headers["x-app-usage"]));
+
+  if (pct === null && regainMs === 0) return;
+  usage.pct = pct ?? usage.pct;
+  usage.updatedAt = Date.now();
+  if (regainMs > 0) usage.blockedUntil = Math.max(usage.blockedUntil, Date.now() + regainMs);
+}
+
+// Wait before a call when Meta has throttled us or usage is close to the limit
+async function throttle() {
+  const now = Date.now();
+  let wait = usage.blockedUntil - now;
+  if (wait > maxBackoffMs()) {
+    throw new MetaRateLimitError(`Meta API rate limit reached. Try again in ${Math.ceil(wait / 60000)} minute(s).`, {
+      code: 17,
+      status: 429,
+      metaMessage: "Throttled (from usage headers)"
+    });
+  }
+  if (wait > 0) {
+    console.warn(`[Meta] Throttled by Meta, waiting ${Math.round(wait / 1000)}s before the next call`);
+  } else if (now - usage.updatedAt < USAGE_STALE_MS) {
+    wait = USAGE_DELAYS.find(([pct]) => usage.pct >= pct)?.[1] || 0;
+    if (wait > 0) console.warn(`[Meta] API usage at ${usage.pct}%, waiting ${Math.round(wait / 1000)}s before the next call`);
+  }
+  if (wait > 0) {
+    usage.throttledCalls++;
+    await sleep(wait);
+  }
+}
+
+// Send a request with throttling, usage tracking and back-off on rate-limit errors
+// (retry: false for bodies that can't be sent twice, e.g. multipart streams)
+async function request(cfg, { retry = true } = {}) {
+  if (!accessToken()) {
+    throw new Error("META_TOKEN not configured. Please set META_TOKEN in your .env file.");
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    await throttle();
+    try {
+      const response = await axios({ ...cfg, headers: { ...cfg.headers, Authorization: `Bearer ${accessToken()}` } });
+      trackUsage(response.headers);
+      return response.data;
+    } catch (err) {
+      trackUsage(err.response?.headers);
+      const metaError = toMetaError(err);
+      if (!retry || !(metaError instanceof MetaRateLimitError) || attempt >= maxRetries()) throw metaError;
+
+      const wait = Math.max(usage.blockedUntil - Date.now(), 2000 * 2 ** attempt);
+      if (wait > maxBackoffMs()) throw metaError;
+      usage.retries++;
+      console.warn(`[Meta] Rate limited (${metaError.code}), retrying in ${Math.round(wait / 1000)}s`);
+      usage.blockedUntil = Math.max(usage.blockedUntil, Date.now() + wait);
+    }
+  }
+}
+
+/**
+ * Call the Graph API
+ * @param {string} path - e.g. "/me/adaccounts", "/act_123/campaigns"
+ * @param {string} method - GET, POST or DELETE
+ * @param {object} paramsOrBody - Query params for GET, JSON body otherwise
+ * @returns {Promise<object>}
+ */
+export async function fb(path, method = "GET", paramsOrBody = {}) {
+  const cfg = { url: `${graphUrl()}${path}`, method };
+  if (method === "GET") cfg.params = paramsOrBody; else cfg.data = paramsOrBody;
+
+  // A write can change any listing (status, budget, new objects)
+  if (method !== "GET") {
+    clearMetaCache();
+    markJobSideEffect();
+  }
+  return request(cfg);
+}
+
+/**
+ * GET a listing through the short-lived cache (e.g. ad accounts, campaigns).
+ * Concurrent calls for the same listing share one request.
+ * @param {string} path
+ * @param {object} params - Query params (part of the cache key)
+ * @param {number} ttlMs - Default META_CACHE_TTL_SECONDS
+ * @returns {Promise<object>}
+ */
+export async function fbCached(path, params = {}, ttlMs = cacheTtlMs()) {
+  const key = `${path}?${JSON.stringify(params)}`;
+  const cached = listingCache.get(key);
+  if (cached && cached.expires > Date.now()) {
+    cacheStats.hits++;
+    return cached.promise;
+  }
+
+  cacheStats.misses++;
+  const promise = fb(path, "GET", params);
+  listingCache.set(key, { expires: Date.now() + ttlMs, promise });
+  promise.catch(() => {
+    if (listingCache.get(key)?.promise === promise) listingCache.delete(key);
+  });
+  return promise;
+}
+
+/**
+ * Drop cached listings
+ * @param {string} pathPrefix - Only listings whose path starts with this (default: all)
+ */
+export function clearMetaCache(pathPrefix = "") {
+  for (const key of listingCache.keys()) {
+    if (key.startsWith(pathPrefix)) listingCache.delete(key);
+  }
+}
+
+/**
+ * Send several Graph requests as batch requests (50 per HTTP call).
+ * Each result is { data } or { error } (a typed MetaApiError), in request order;
+ * one failed request doesn't fail the others.
+ * @param {Array<object>} requests - [{ method = "GET", path, params }]
+ * @returns {Promise<Array<object>>}
+ */
+export async function fbBatch(requests) {
+  const results = [];
+  if (requests.some(r => (r.method || "GET") !== "GET")) {
+    clearMetaCache();
+    markJobSideEffect();
+  }
+
+  for (let i = 0; i < requests.length; i += BATCH_LIMIT) {
+    const chunk = requests.slice(i, i + BATCH_LIMIT);
+    const batch = chunk.map(({ method = "GET", path, params = {} }) => {
+      const query = new URLSearchParams(params).toString();
+      const relativeUrl = path.replace(/^\//, "");
+      return method === "GET"
+        ? { method, relative_url: query ? `${relativeUrl}?${query}` : relativeUrl }
+        : { method, relative_url: relativeUrl, body: query };
+    });
+
+    const responses = await request({
+      url: `${graphUrl()}/`,
+      method: "POST",
+      data: { batch: JSON.stringify(batch), include_headers: false }
+    });
+
+    chunk.forEach((_, j) => results.push(parseBatchResponse(responses?.[j])));
+  }
+  return results;
+}
+
+// One entry of a batch response: { code, body } (body is a JSON string), or null if it timed out
+function parseBatchResponse(response) {
+  if (!response) {
+    return { error: new MetaApiError("Meta API error: batch request timed out", { metaMessage: "Batch request timed out" }) };
+  }
+  let body = null;
+  try {
+    body = response.body ? JSON.parse(response.body) : null;
+  } catch {
+    body = response.body;
+  }
+  if (response.code >= 200 && response.code < 300 && !body?.error) return { data: body };
+  return { error: toMetaError({ response: { status: response.code, data: body } }) };
+}
+
+/**
+ * Current Meta API usage, back-off and cache counters (for health checks)
+ * @returns {object}
+ */
+export function getMetaApiStatus() {
+  const now = Date.now();
+  return {
+    usagePct: now - usage.updatedAt < USAGE_STALE_MS ? usage.pct : null,
+    throttledUntil: usage.blockedUntil > now ? new Date(usage.blockedUntil).toISOString() : null,
+    throttledCalls: usage.throttledCalls,
+    retries: usage.retries,
+    cache: { entries: listingCache.size, ...cacheStats }
+  };
+}
+
+async function uploadMedia(adAccountId, edge, form, options = {}) {
+  return request({
+    url: `${graphUrl()}/${adAccountId}/${edge}`,
+    method: "POST",
+    data: form,
+    headers: form.getHeaders(),
+    maxContentLength: Infinity,
+    maxBodyLength: Infinity,
+    ...options
+  }, { retry: false });
+}
+
+/**
+ * Upload an image to an ad account
+ * @param {string} adAccountId - "act_..."
+ * @param {Buffer} imageBuffer - JPEG image
+ * @param {string} name
+ * @returns {Promise<string>} - image_hash for ad creatives
+ */
+export async function uploadImageToMeta(adAccountId, imageBuffer, name) {
+  const form = new FormData();
+  form.append("bytes", imageBuffer, { filename: `${name || "image"}.jpg`, contentType: "image/jpeg" });
+  form.append("name", name || "Generated Image");
+
+  try {
+    const data = await uploadMedia(adAccountId, "adimages", form);
+    // Keyed by file name: { images: { "name.jpg": { hash } } }
+    const image = Array.isArray(data?.images) ? data.images[0] : Object.values(data?.images || {})[0];
+    if (image?.hash) return image.hash;
+    throw new Error("No image hash returned from Meta");
+  } catch (err) {
+    console.error("[Meta] Error uploading image:", err.response?.data || err.message);
+    err.message = `Failed to upload image to Meta: ${err.message}`;
+    throw err;
+  }
+}
+
+/**
+ * Upload a video to an ad account
+ * @param {string} adAccountId - "act_..."
+ * @param {Buffer} videoBuffer - MP4 video
+ * @param {string} name
+ * @returns {Promise<string>} - video_id for ad creatives
+ */
+export async function uploadVideoToMeta(adAccountId, videoBuffer, name) {
+  const form = new FormData();
+  form.append("source", videoBuffer, { filename: `${name || "video"}.mp4`, contentType: "video/mp4" });
+  form.append("name", name || "Generated Video");
+
+  try {
+    const data = await uploadMedia(adAccountId, "advideos", form, { timeout: 120000 }); // 2 minutes for video upload
+    if (data?.id) return data.id;
+    throw new Error("No video ID returned from Meta");
+  } catch (err) {
+    console.error("[Meta] Error uploading video:", err.response?.data || err.message);
+    err.message = `Failed to upload video to Meta: ${err.message}`;
+    throw err;
+  }
+}
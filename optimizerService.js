@@ -0,0 +1,662 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { recordChange } from "./auditLog.js";
+import { planBudgetChange, applyBudgetPlan, formatBudget } from "./budgetService.js";
+
+/**
+ * Optimizer Service
+ * Rule-based campaign automation: rules are evaluated against Meta insights on a
+ * schedule and matching campaigns/ad sets/ads are paused or have their budget
+ * changed.
+ *
+ * Rules (text form):
+ * - "pause ads with cpa > 15 after $30 spend"     (lookback: last 7 days incl. today)
+ * - "raise budget 15% when roas > 3 for 3 days"    (every one of the last 3 full days)
+ * - "lower ad set budget 20% when cpa > 25 over 5 days"
+ *
+ * Modes:
+ * - dry-run (default): subscribers get a WhatsApp report of what would be done
+ * - live: changes are applied through fb, recorded in the audit log (so /undo works)
+ *   and reported to subscribers
+ *
+ * Caps: at most OPTIMIZER_MAX_ACTIONS_PER_DAY actions per day, one action per
+ * entity every OPTIMIZER_ENTITY_COOLDOWN_HOURS, budget steps up to MAX_BUDGET_STEP %.
+ */
+
+const CHECK_INTERVAL = (parseInt(process.env.OPTIMIZER_CHECK_MINUTES) || 60) * 60 * 1000;
+const MAX_ACTIONS_PER_DAY = parseInt(process.env.OPTIMIZER_MAX_ACTIONS_PER_DAY) || 10;
+const ENTITY_COOLDOWN_HOURS = parseInt(process.env.OPTIMIZER_ENTITY_COOLDOWN_HOURS) || 24;
+const MAX_BUDGET_STEP = 50;
+const MAX_DAYS = 30;
+const DEFAULT_LOOKBACK_DAYS = 7;
+const MAX_RECENT_ACTIONS = 200;
+const METRICS = ["cpa", "roas", "ctr", "cpc", "cpm", "spend", "purchases"];
+const LEVELS = ["campaign", "adset", "ad"];
+const LEVEL_LABELS = { campaign: "campaigns", adset: "ad sets", ad: "ads" };
+const PURCHASE_ACTIONS = ["omni_purchase", "purchase", "offsite_conversion.fb_pixel_purchase"];
+
+// Dependencies (passed from server.js)
+let fb = null;
+let sendWhatsAppMessage = null;
+let rulesFile = null;
+let stateFile = null;
+
+let optimizerTimer = null;
+let running = false;
+
+/**
+ * Wire server.js helpers into the optimizer
+ * @param {object} dependencies - { fb, sendWhatsAppMessage, DATA_DIR }
+ */
+export function initOptimizer(dependencies) {
+  fb = dependencies.fb;
+  sendWhatsAppMessage = dependencies.sendWhatsAppMessage;
+  rulesFile = path.join(dependencies.DATA_DIR, "optimizer-rules.json");
+  stateFile = path.join(dependencies.DATA_DIR, "optimizer-state.json");
+}
+
+function readJson(file, fallback) {
+  try {
+    if (file && fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    }
+  } catch (err) {
+    console.error(`[Optimizer] Error reading ${path.basename(file)}:`, err);
+  }
+  return fallback;
+}
+
+function writeJson(file, data) {
+  try {
+    fs.writeFileSync(file, JSON.stringify(data, null, 2), "utf8");
+  } catch (err) {
+    console.error(`[Optimizer] Error writing ${path.basename(file)}:`, err);
+  }
+}
+
+function loadRules() {
+  return readJson(rulesFile, []);
+}
+
+function saveRules(rules) {
+  writeJson(rulesFile, rules);
+}
+
+function loadState() {
+  return { mode: "dry-run", subscribers: [], lastAction: {}, actionsByDay: {}, recent: [], ...readJson(stateFile, {}) };
+}
+
+function saveState(state) {
+  writeJson(stateFile, state);
+}
+
+function shortId() {
+  return crypto.randomBytes(3).toString("hex");
+}
+
+function parseLevel(word) {
+  if (/^ad\s*sets?$|^adsets?$/.test(word)) return "adset";
+  if (/^ads?$/.test(word)) return "ad";
+  return "campaign";
+}
+
+/**
+ * Parse optimizer rule text into a rule definition
+ * @param {string} text - e.g. "pause ads with cpa > 15 after $30 spend", "raise budget 15% when roas > 3 for 3 days"
+ * @returns {object|null}
+ */
+export function parseOptimizerRule(text) {
+  const lower = (text || "").toLowerCase().trim();
+
+  let level;
+  let action;
+  const pause = lower.match(/^pause\s+(ads?|ad\s*sets?|adsets?|campaigns?)\b/);
+  const budget = lower.match(/^(raise|increase|scale|lower|decrease|reduce|cut)\s+(?:(ad\s*set|adset|campaign)\s+)?budgets?\s+(?:by\s+)?(\d+(?:\.\d+)?)\s*%/);
+  if (pause) {
+    level = parseLevel(pause[1]);
+    action = { type: "pause" };
+  } else if (budget) {
+    level = budget[2] ? parseLevel(budget[2]) : "campaign";
+    const percent = parseFloat(budget[3]);
+    action = { type: "budget", percent: /^(raise|increase|scale)$/.test(budget[1]) ? percent : -percent };
+  } else {
+    return null;
+  }
+
+  const conditions = [...lower.matchAll(/\b(cpa|roas|ctr|cpc|cpm|spend|purchases)\s*(>=|<=|>|<)\s*\$?(\d+(?:\.\d+)?)/g)]
+    .map(([, metric, operator, value]) => ({ metric, operator, value: parseFloat(value) }));
+  if (conditions.length === 0) return null;
+
+  const minSpend = lower.match(/after\s+(?:at\s+least\s+)?\$?(\d+(?:\.\d+)?)\s*(?:of\s+|in\s+)?spend/);
+  const consecutive = lower.match(/for\s+(\d+)\s*(?:consecutive\s+|straight\s+)?(?:days?|d)\b/);
+  const lookback = lower.match(/(?:over|in)\s+(?:the\s+)?(?:last\s+)?(\d+)\s*(?:days?|d)\b/);
+
+  return {
+    level,
+    action,
+    conditions,
+    minSpend: minSpend ? parseFloat(minSpend[1]) : 0,
+    days: consecutive ? parseInt(consecutive[1]) : lookback ? parseInt(lookback[1]) : DEFAULT_LOOKBACK_DAYS,
+    consecutive: !!consecutive
+  };
+}
+
+/**
+ * Validate a rule definition (from REST or parsed text)
+ * @param {object} rule
+ * @returns {string|null} - Error message or null when valid
+ */
+export function validateOptimizerRule(rule) {
+  if (!rule) return "Rule is required";
+  if (!LEVELS.includes(rule.level)) return `level must be one of: ${LEVELS.join(", ")}`;
+  if (!rule.action || !["pause", "budget"].includes(rule.action.type)) return "action.type must be pause or budget";
+  if (rule.action.type === "budget") {
+    if (rule.level === "ad") return "Ads don't have budgets; use campaign or adset";
+    const percent = rule.action.percent;
+    if (!(typeof percent === "number" && percent !== 0 && Math.abs(percent) <= MAX_BUDGET_STEP)) {
+      return `action.percent must be between -${MAX_BUDGET_STEP} and ${MAX_BUDGET_STEP} (not 0)`;
+    }
+  }
+  if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) return "At least one condition is required";
+  for (const c of rule.conditions) {
+    if (!METRICS.includes(c.metric)) return `metric must be one of: ${METRICS.join(", ")}`;
+    if (![">", "<", ">=", "<="].includes(c.operator)) return "operator must be >, <, >= or <=";
+    if (!(c.value >= 0)) return "value must be a number";
+  }
+  if (!(rule.minSpend >= 0)) return "minSpend must be a number";
+  if (!(Number.isInteger(rule.days) && rule.days >= 1 && rule.days <= MAX_DAYS)) return `days must be between 1 and ${MAX_DAYS}`;
+  return null;
+}
+
+function formatMetric(metric, value) {
+  if (!Number.isFinite(value)) return "∞";
+  if (metric === "ctr") return `${value.toFixed(2)}%`;
+  if (metric === "roas") return `${value.toFixed(2)}x`;
+  if (metric === "purchases") return String(Math.round(value));
+  return `$${value.toFixed(2)}`;
+}
+
+/**
+ * Human-readable rule description
+ * @param {object} rule
+ * @returns {string}
+ */
+export function describeOptimizerRule(rule) {
+  const action = rule.action.type === "pause"
+    ? `Pause ${LEVEL_LABELS[rule.level]}`
+    : `${rule.action.percent > 0 ? "Raise" : "Lower"} ${rule.level === "adset" ? "ad set " : ""}budget ${Math.abs(rule.action.percent)}%`;
+  const conditions = rule.conditions.map(c => `${c.metric.toUpperCase()} ${c.operator} ${formatMetric(c.metric, c.value)}`).join(" and ");
+  const window = rule.consecutive ? `for ${rule.days} days in a row` : `over ${rule.days}d`;
+  const spend = rule.minSpend > 0 ? ` after $${rule.minSpend} spend` : "";
+  return `${action} when ${conditions} ${window}${spend}`;
+}
+
+/**
+ * List optimizer rules
+ * @returns {Array}
+ */
+export function listOptimizerRules() {
+  return loadRules();
+}
+
+/**
+ * Add an optimizer rule
+ * @param {object} definition - Rule fields (see validateOptimizerRule)
+ * @param {string} createdBy - Phone number or API key name
+ * @returns {object} - Stored rule
+ */
+export function addOptimizerRule(definition, createdBy) {
+  const normalized = { minSpend: 0, days: DEFAULT_LOOKBACK_DAYS, consecutive: false, ...definition };
+  const error = validateOptimizerRule(normalized);
+  if (error) throw new Error(error);
+
+  const rule = {
+    id: `o${shortId()}`,
+    level: normalized.level,
+    action: normalized.action,
+    conditions: normalized.conditions,
+    minSpend: normalized.minSpend,
+    days: normalized.days,
+    consecutive: !!normalized.consecutive,
+    enabled: normalized.enabled !== false,
+    createdBy,
+    createdAt: new Date().toISOString()
+  };
+  const rules = loadRules();
+  rules.push(rule);
+  saveRules(rules);
+  return rule;
+}
+
+/**
+ * Remove an optimizer rule
+ * @param {string} ruleId
+ * @returns {boolean} - True if a rule was removed
+ */
+export function removeOptimizerRule(ruleId) {
+  const rules = loadRules();
+  const remaining = rules.filter(r => r.id !== ruleId);
+  if (remaining.length === rules.length) return false;
+  saveRules(remaining);
+  return true;
+}
+
+/**
+ * Enable or disable an optimizer rule
+ * @param {string} ruleId
+ * @param {boolean} enabled
+ * @returns {object|null} - The updated rule
+ */
+export function setOptimizerRuleEnabled(ruleId, enabled) {
+  const rules = loadRules();
+  const rule = rules.find(r => r.id === ruleId);
+  if (!rule) return null;
+  rule.enabled = enabled;
+  saveRules(rules);
+  return rule;
+}
+
+/**
+ * @returns {"dry-run"|"live"}
+ */
+export function getOptimizerMode() {
+  return loadState().mode;
+}
+
+/**
+ * Switch between dry-run and live. Cooldowns and daily counts only track applied
+ * actions, so they carry over unchanged.
+ * @param {"dry-run"|"live"} mode
+ */
+export function setOptimizerMode(mode) {
+  if (!["dry-run", "live"].includes(mode)) throw new Error("mode must be dry-run or live");
+  const state = loadState();
+  if (state.mode !== mode) {
+    state.mode = mode;
+    saveState(state);
+  }
+}
+
+/**
+ * Subscribe/unsubscribe a phone number to optimizer reports
+ * @param {string} phone
+ * @param {boolean} enabled
+ */
+export function setOptimizerSubscription(phone, enabled) {
+  const state = loadState();
+  state.subscribers = state.subscribers.filter(p => p !== phone);
+  if (enabled) state.subscribers.push(phone);
+  saveState(state);
+}
+
+/**
+ * @param {string} phone
+ * @returns {boolean}
+ */
+export function isOptimizerSubscriber(phone) {
+  return loadState().subscribers.includes(phone);
+}
+
+/**
+ * Optimizer status: mode, today's action count and caps
+ * @param {Date} now
+ * @returns {object}
+ */
+export function getOptimizerStatus(now = new Date()) {
+  const state = loadState();
+  return {
+    mode: state.mode,
+    rules: loadRules().filter(r => r.enabled).length,
+    subscribers: state.subscribers.length,
+    actionsToday: state.actionsByDay[now.toISOString().slice(0, 10)] || 0,
+    maxActionsPerDay: MAX_ACTIONS_PER_DAY,
+    entityCooldownHours: ENTITY_COOLDOWN_HOURS
+  };
+}
+
+/**
+ * Recent actions (newest first), including dry-run proposals
+ * @param {number} limit
+ * @returns {Array}
+ */
+export function listOptimizerActions(limit = 20) {
+  return loadState().recent.slice(-limit).reverse();
+}
+
+// Format a date as YYYY-MM-DD in an IANA timezone
+function zonedDay(date, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: timeZone || "UTC",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit"
+  }).format(date);
+}
+
+function daysAgo(now, days, timeZone) {
+  return zonedDay(new Date(now.getTime() - days * 24 * 60 * 60 * 1000), timeZone);
+}
+
+function emptyMetrics() {
+  return { spend: 0, impressions: 0, clicks: 0, purchases: 0, revenue: 0 };
+}
+
+function addInsightRow(metrics, row) {
+  metrics.spend += parseFloat(row.spend || 0);
+  metrics.impressions += parseInt(row.impressions || 0);
+  metrics.clicks += parseInt(row.clicks || 0);
+  const purchaseType = PURCHASE_ACTIONS.find(type => (row.actions || []).some(a => a.action_type === type));
+  if (purchaseType) {
+    metrics.purchases += parseFloat(row.actions.find(a => a.action_type === purchaseType).value || 0);
+    const value = (row.action_values || []).find(a => a.action_type === purchaseType);
+    metrics.revenue += parseFloat(value?.value || 0);
+  }
+  return metrics;
+}
+
+function deriveMetrics(m) {
+  return {
+    ...m,
+    ctr: m.impressions > 0 ? (m.clicks / m.impressions) * 100 : 0,
+    cpc: m.clicks > 0 ? m.spend / m.clicks : 0,
+    cpm: m.impressions > 0 ? (m.spend / m.impressions) * 1000 : 0,
+    // Spend without a purchase is an unbounded CPA, so "cpa > X" rules still catch it
+    cpa: m.purchases > 0 ? m.spend / m.purchases : m.spend > 0 ? Infinity : 0,
+    roas: m.spend > 0 ? m.revenue / m.spend : 0
+  };
+}
+
+// Ratio metrics are meaningless on tiny samples
+function hasEnoughData(metric, m) {
+  if (metric === "cpc") return m.clicks >= 5;
+  if (metric === "ctr" || metric === "cpm") return m.impressions >= 500;
+  if (metric === "cpa" || metric === "roas") return m.spend > 0;
+  return true;
+}
+
+function compare(actual, operator, expected) {
+  switch (operator) {
+    case ">": return actual > expected;
+    case "<": return actual < expected;
+    case ">=": return actual >= expected;
+    case "<=": return actual <= expected;
+    default: return false;
+  }
+}
+
+function meetsConditions(rule, metrics) {
+  return rule.conditions.every(c => hasEnoughData(c.metric, metrics) && compare(metrics[c.metric], c.operator, c.value));
+}
+
+// Active entities at the rule's level with their metrics over the rule's window
+async function getRuleInsights(rule, account, now) {
+  const timeRange = rule.consecutive
+    ? { since: daysAgo(now, rule.days, account.timezone_name), until: daysAgo(now, 1, account.timezone_name) }
+    : { since: daysAgo(now, rule.days - 1, account.timezone_name), until: zonedDay(now, account.timezone_name) };
+  const idFields = rule.level === "campaign" ? "campaign_id,campaign_name" : `${rule.level}_id,${rule.level}_name,campaign_id,campaign_name`;
+
+  const insights = await fb(`/${account.id}/insights`, "GET", {
+    level: rule.level,
+    fields: `${idFields},spend,impressions,clicks,actions,action_values`,
+    time_range: JSON.stringify(timeRange),
+    ...(rule.consecutive && { time_increment: 1 }),
+    filtering: JSON.stringify([{ field: `${rule.level}.effective_status`, operator: "IN", value: ["ACTIVE"] }]),
+    limit: 500
+  });
+
+  const entities = new Map();
+  for (const row of insights.data || []) {
+    const id = row[`${rule.level}_id`];
+    const entity = entities.get(id) || {
+      id,
+      name: row[`${rule.level}_name`],
+      campaignId: row.campaign_id,
+      total: emptyMetrics(),
+      days: new Map()
+    };
+    addInsightRow(entity.total, row);
+    if (rule.consecutive) {
+      entity.days.set(row.date_start, addInsightRow(entity.days.get(row.date_start) || emptyMetrics(), row));
+    }
+    entities.set(id, entity);
+  }
+  return [...entities.values()];
+}
+
+async function evaluateRule(rule, account, now) {
+  const entities = await getRuleInsights(rule, account, now);
+  const matches = [];
+  for (const entity of entities) {
+    const total = deriveMetrics(entity.total);
+    if (total.spend < rule.minSpend) continue;
+
+    if (rule.consecutive) {
+      // Every day in the window has to qualify (a missing day means no delivery)
+      if (entity.days.size < rule.days) continue;
+      if (![...entity.days.values()].every(day => meetsConditions(rule, deriveMetrics(day)))) continue;
+    } else if (!meetsConditions(rule, total)) {
+      continue;
+    }
+
+    const detail = rule.conditions.map(c => `${c.metric.toUpperCase()} ${formatMetric(c.metric, total[c.metric])}`).join(", ");
+    matches.push({ ...entity, detail: `${detail} ($${total.spend.toFixed(2)} spend, ${rule.consecutive ? `${rule.days} days in a row` : `last ${rule.days}d`})` });
+  }
+  return matches;
+}
+
+// Budget changes go through budgetService (CBO campaigns, lifetime budgets, audit records)
+function planBudgetAction(rule, entity) {
+  const change = { mode: "percent", value: rule.action.percent, period: null };
+  return rule.level === "campaign"
+    ? planBudgetChange({ campaignId: entity.id, change })
+    : planBudgetChange({ campaignId: entity.campaignId, adsetQuery: entity.id, change });
+}
+
+function optimizerActor(rule) {
+  return { type: "optimizer", id: "optimizer", name: rule.id };
+}
+
+// Returns the audit log ids of the changes made (for /undo)
+async function applyAction(rule, entity, plan) {
+  if (rule.action.type === "pause") {
+    await fb(`/${entity.id}`, "POST", { status: "PAUSED" });
+    // Insights were filtered to ACTIVE entities, so that's the status being replaced
+    const entry = recordChange(optimizerActor(rule), `${rule.level}.pause`, { type: rule.level, id: entity.id, name: entity.name },
+      { status: "ACTIVE" }, { status: "PAUSED" });
+    return [entry?.id].filter(Boolean);
+  }
+  const results = await applyBudgetPlan(plan, optimizerActor(rule));
+  const failed = results.filter(r => !r.success);
+  if (failed.length > 0) {
+    throw new Error(failed.map(r => `${r.name}: ${r.error}`).join("; "));
+  }
+  return results.map(r => r.changeId).filter(Boolean);
+}
+
+function describeAction(action) {
+  const label = action.level === "campaign" ? "campaign" : action.level === "adset" ? "ad set" : "ad";
+  const what = action.type === "pause"
+    ? `Pause ${label} "${action.entityName}"`
+    : `${action.percent > 0 ? "Raise" : "Lower"} budget of ${label} "${action.entityName}" ${Math.abs(action.percent)}%: ${action.budget}`;
+  const undo = action.changeIds?.length > 0 ? `\n  ↩️ /undo ${action.changeIds.join(" ")}` : "";
+  return `• ${what}\n  ${action.detail} [${action.ruleId}]${undo}`;
+}
+
+async function notify(subscribers, mode, actions, skipped) {
+  if (actions.length === 0 && skipped.length === 0) return;
+  const proposed = actions.filter(a => a.outcome === "proposed");
+  const applied = actions.filter(a => a.outcome === "applied");
+  const failed = actions.filter(a => a.outcome === "failed");
+
+  let msg = mode === "dry-run" ? "🤖 *Optimizer (dry run)*" : "🤖 *Optimizer*";
+  if (proposed.length > 0) msg += `\n\nWould do:\n${proposed.map(describeAction).join("\n")}`;
+  if (applied.length > 0) msg += `\n\nDone:\n${applied.map(describeAction).join("\n")}`;
+  if (failed.length > 0) msg += `\n\n⚠️ Failed:\n${failed.map(a => `${describeAction(a)}\n  ${a.error}`).join("\n")}`;
+  if (skipped.length > 0) msg += `\n\n⏭️ Skipped ${skipped.length}: ${[...new Set(skipped.map(s => s.reason))].join("; ")}`;
+  if (mode === "dry-run" && proposed.length > 0) msg += "\n\nSwitch to live with /optimizer mode live";
+
+  for (const phone of subscribers) {
+    try {
+      await sendWhatsAppMessage(phone, msg);
+    } catch (err) {
+      console.error(`[Optimizer] Failed to notify ${phone}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Evaluate all enabled rules, then apply (live) or propose (dry run) the actions
+ * within the daily caps, and report to subscribers
+ * @param {object} options - { now, dryRun: override the configured mode }
+ * @returns {Promise<{ mode: string, actions: Array, skipped: Array }>}
+ */
+export async function runOptimizer({ now = new Date(), dryRun = null } = {}) {
+  const rules = loadRules().filter(r => r.enabled);
+  const state = loadState();
+  const mode = dryRun === null ? state.mode : dryRun ? "dry-run" : "live";
+  if (rules.length === 0) return { mode, actions: [], skipped: [] };
+  if (running) throw new Error("The optimizer is already running");
+  running = true;
+
+  const actions = [];
+  const skipped = [];
+  let subscribers = state.subscribers;
+  try {
+    const today = now.toISOString().slice(0, 10);
+    const accounts = await fb(`/me/adaccounts`, "GET", { fields: "id,name,timezone_name" });
+    const touched = new Set(); // One action per entity per run, even across rules
+    let proposed = 0; // Dry-run proposals count towards the cap for this run only
+
+    for (const account of accounts.data || []) {
+      for (const rule of rules) {
+        let matches = [];
+        try {
+          matches = await evaluateRule(rule, account, now);
+        } catch (err) {
+          console.error(`[Optimizer] Rule ${rule.id} failed for ${account.id}:`, err.response?.data?.error?.message || err.message);
+          continue;
+        }
+
+        for (const entity of matches) {
+          const last = state.lastAction[entity.id];
+          if (touched.has(entity.id) || (last && now.getTime() - last < ENTITY_COOLDOWN_HOURS * 60 * 60 * 1000)) {
+            continue; // Already changed recently; give the last change time to show in the numbers
+          }
+          if ((state.actionsByDay[today] || 0) + proposed >= MAX_ACTIONS_PER_DAY) {
+            skipped.push({ ruleId: rule.id, entityId: entity.id, entityName: entity.name, reason: `daily cap of ${MAX_ACTIONS_PER_DAY} actions reached` });
+            continue;
+          }
+
+          const action = {
+            id: shortId(),
+            ruleId: rule.id,
+            mode,
+            type: rule.action.type,
+            percent: rule.action.percent,
+            level: rule.level,
+            accountId: account.id,
+            entityId: entity.id,
+            entityName: entity.name,
+            detail: entity.detail,
+            createdAt: now.toISOString()
+          };
+
+          let plan = null;
+          if (rule.action.type === "budget") {
+            try {
+              plan = await planBudgetAction(rule, entity);
+              action.budget = plan.items
+                .map(i => `${plan.items.length > 1 ? `${i.name} ` : ""}${formatBudget(i.before)} → ${formatBudget(i.after)}${i.period === "daily" ? "/day" : " lifetime"}`)
+                .join(", ");
+            } catch (err) {
+              skipped.push({ ruleId: rule.id, entityId: entity.id, entityName: entity.name, reason: err.response?.data?.error?.message || err.message });
+              continue;
+            }
+          }
+
+          // Stop applying as soon as /optimizer mode dry-run (the kill switch) is sent
+          if (mode === "live" && dryRun === null && loadState().mode !== "live") {
+            skipped.push({ ruleId: rule.id, entityId: entity.id, entityName: entity.name, reason: "switched to dry-run during the run" });
+            continue;
+          }
+
+          if (mode === "live") {
+            try {
+              action.changeIds = await applyAction(rule, entity, plan);
+              action.outcome = "applied";
+              console.log(`[Optimizer] ${rule.id}: ${rule.action.type} ${rule.level} ${entity.id}`);
+            } catch (err) {
+              action.outcome = "failed";
+              action.error = err.response?.data?.error?.message || err.message;
+              console.error(`[Optimizer] ${rule.id} failed on ${entity.id}:`, action.error);
+            }
+          } else {
+            action.outcome = "proposed";
+            proposed++;
+          }
+
+          // Cooldowns and the daily count only track changes that were made
+          touched.add(entity.id);
+          if (action.outcome === "applied") {
+            state.lastAction[entity.id] = now.getTime();
+            state.actionsByDay[today] = (state.actionsByDay[today] || 0) + 1;
+          }
+          actions.push(action);
+        }
+      }
+    }
+
+    // Re-read so a mode or subscription change made during the run is kept;
+    // only the run's cooldowns, daily count and history are merged in
+    const latest = loadState();
+    const applied = actions.filter(a => a.outcome === "applied");
+    for (const action of applied) {
+      latest.lastAction[action.entityId] = now.getTime();
+    }
+    latest.actionsByDay[today] = (latest.actionsByDay[today] || 0) + applied.length;
+    latest.recent.push(...actions);
+
+    // Drop expired cooldowns and old counters, trim history
+    for (const [id, time] of Object.entries(latest.lastAction)) {
+      if (now.getTime() - time >= ENTITY_COOLDOWN_HOURS * 60 * 60 * 1000) delete latest.lastAction[id];
+    }
+    latest.actionsByDay = { [today]: latest.actionsByDay[today] };
+    latest.recent = latest.recent.slice(-MAX_RECENT_ACTIONS);
+    saveState(latest);
+    subscribers = latest.subscribers;
+  } finally {
+    running = false;
+  }
+
+  await notify(subscribers, mode, actions, skipped);
+  if (actions.length > 0) {
+    console.log(`[Optimizer] ${mode}: ${actions.length} action(s), ${skipped.length} skipped`);
+  }
+  return { mode, actions, skipped };
+}
+
+/**
+ * Start evaluating optimizer rules on a schedule
+ * @param {object} options - { clock: () => Date, intervalMs }
+ * @returns {{ stop: Function }}
+ */
+export function startOptimizer({ clock = () => new Date(), intervalMs = CHECK_INTERVAL } = {}) {
+  if (optimizerTimer) clearInterval(optimizerTimer);
+
+  optimizerTimer = setInterval(async () => {
+    try {
+      await runOptimizer({ now: clock() });
+    } catch (err) {
+      console.error("[Optimizer] Scheduled run error:", err.message);
+    }
+  }, intervalMs);
+
+  console.log(`✅ Optimizer scheduled (every ${Math.round(intervalMs / 60000)} min, ${getOptimizerMode()})`);
+  return {
+    stop() {
+      clearInterval(optimizerTimer);
+      optimizerTimer = null;
+    }
+  };
+}
@@ -0,0 +1,400 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { parseDateRange, toTimeRange, describeDateRange, getInsightsReport } from "./insightsService.js";
+
+/**
+ * Order Service
+ * Syncs WooCommerce orders and attributes their revenue to Meta campaigns and
+ * ads by UTM parameters, for backend-measured ROAS next to the pixel's.
+ *
+ * Attribution data is read from order meta: WooCommerce's built-in order
+ * attribution (_wc_order_attribution_utm_*), plain utm_* / fbclid meta from
+ * tracking plugins, and the utm_* / fbclid query of the landing page URL.
+ * An order counts as Meta traffic when utm_source is a Meta source or it has an fbclid.
+ * Matching: utm_campaign -> campaign, utm_term -> ad set, utm_content -> ad,
+ * each by ID or exact name (utm_id is also tried as the campaign ID). Use
+ * Meta's URL parameters, e.g. utm_campaign={{campaign.id}}&utm_content={{ad.id}}.
+ *
+ * Revenue is the order total less refunds, for processing/completed/on-hold
+ * orders. A customer (by email, else WooCommerce customer ID) is returning if
+ * they have an earlier paid order among the synced ones.
+ *
+ * Env: WOO_ORDERS_SYNC_MINUTES (default 30), WOO_ORDERS_SYNC_DAYS (history pulled
+ * on the first sync, default 180).
+ */
+
+const SYNC_INTERVAL = (parseInt(process.env.WOO_ORDERS_SYNC_MINUTES) || 30) * 60 * 1000;
+const INITIAL_SYNC_DAYS = parseInt(process.env.WOO_ORDERS_SYNC_DAYS) || 180;
+const RETENTION_DAYS = Math.max(INITIAL_SYNC_DAYS, 400);
+const PAGE_SIZE = 100;
+const MAX_PAGES = 200;
+const PAID_STATUSES = ["processing", "completed", "on-hold"];
+const META_SOURCES = ["facebook", "fb", "instagram", "ig", "meta", "messenger", "an", "audience_network", "threads"];
+const UTM_KEYS = ["utm_source", "utm_medium", "utm_campaign", "utm_content", "utm_term", "utm_id", "fbclid"];
+const LANDING_URL_KEYS = ["session_entry", "landing_page", "landing_url", "entry_url"];
+const MAX_ADS_PER_CAMPAIGN = 5;
+
+// Dependencies (passed from server.js)
+let wooFetch = null;
+let fbCached = null;
+let ordersFile = null;
+
+let syncTimer = null;
+let syncing = null;
+
+/**
+ * Wire server.js helpers into the order service
+ * @param {object} dependencies - { wooFetch, fbCached, DATA_DIR }
+ */
+export function initOrders(dependencies) {
+  wooFetch = dependencies.wooFetch;
+  fbCached = dependencies.fbCached;
+  ordersFile = path.join(dependencies.DATA_DIR, "woo-orders.json");
+}
+
+function loadStore() {
+  try {
+    if (ordersFile && fs.existsSync(ordersFile)) {
+      return JSON.parse(fs.readFileSync(ordersFile, "utf8"));
+    }
+  } catch (err) {
+    console.error("[Orders] Error loading orders:", err);
+  }
+  return { lastModified: null, syncedAt: null, orders: {} };
+}
+
+function saveStore(store) {
+  try {
+    fs.writeFileSync(ordersFile, JSON.stringify(store), "utf8");
+  } catch (err) {
+    console.error("[Orders] Error saving orders:", err);
+  }
+}
+
+// "_wc_order_attribution_utm_source" / "_utm_source" / "UTM_Source" -> "utm_source"
+function normalizeMetaKey(key) {
+  return String(key || "").toLowerCase().replace(/^_+/, "").replace(/^wc_order_attribution_/, "");
+}
+
+function readAttribution(order) {
+  const meta = {};
+  for (const { key, value } of order.meta_data || []) {
+    if (typeof value === "string" && value) meta[normalizeMetaKey(key)] = value;
+  }
+
+  const attribution = Object.fromEntries(UTM_KEYS.filter(k => meta[k]).map(k => [k, meta[k].trim()]));
+  for (const key of LANDING_URL_KEYS) {
+    if (!meta[key]) continue;
+    try {
+      const params = new URL(meta[key], "https://placeholder.invalid").searchParams;
+      for (const k of UTM_KEYS) {
+        if (!attribution[k] && params.get(k)) attribution[k] = params.get(k).trim();
+      }
+    } catch {
+      // Not a URL
+    }
+  }
+  if (meta.source_type) attribution.source_type = meta.source_type;
+  return attribution;
+}
+
+// Email hash (so guest and account orders of one person match), else the customer ID
+function customerKey(order) {
+  const email = order.billing?.email?.trim().toLowerCase();
+  if (email) return crypto.createHash("sha256").update(email).digest("hex").slice(0, 16);
+  return order.customer_id ? `customer:${order.customer_id}` : null;
+}
+
+function toRecord(order) {
+  const refunded = (order.refunds || []).reduce((sum, r) => sum + Math.abs(parseFloat(r.total || 0)), 0);
+  return {
+    id: order.id,
+    number: order.number || String(order.id),
+    status: order.status,
+    createdAt: order.date_created_gmt ? `${order.date_created_gmt}Z` : order.date_created,
+    date: String(order.date_created || order.date_created_gmt || "").slice(0, 10), // Store-local day
+    total: parseFloat(order.total || 0),
+    refunded,
+    currency: order.currency,
+    customer: customerKey(order),
+    attribution: readAttribution(order)
+  };
+}
+
+/**
+ * Pull new and changed orders from WooCommerce (the first sync pulls WOO_ORDERS_SYNC_DAYS of history)
+ * @param {object} options - { full: re-pull the whole history window, now }
+ * @returns {Promise<{ fetched: number, total: number, syncedAt: string }>}
+ */
+export async function syncOrders({ full = false, now = new Date() } = {}) {
+  if (syncing) return syncing; // One sync at a time; callers share it
+
+  syncing = (async () => {
+    const store = loadStore();
+    const since = !full && store.lastModified
+      ? store.lastModified
+      : new Date(now.getTime() - INITIAL_SYNC_DAYS * 86400000).toISOString();
+
+    let latest = store.lastModified;
+    let fetched = 0;
+    for (let page = 1; page <= MAX_PAGES; page++) {
+      const query = new URLSearchParams({
+        per_page: PAGE_SIZE,
+        page,
+        orderby: "modified",
+        order: "asc",
+        modified_after: since.replace(/\.\d+Z$/, "Z"),
+        dates_are_gmt: "true"
+      });
+      const orders = await wooFetch("GET", `/orders?${query}`);
+      if (!Array.isArray(orders) || orders.length === 0) break;
+
+      for (const order of orders) {
+        store.orders[order.id] = toRecord(order);
+        const modified = order.date_modified_gmt ? `${order.date_modified_gmt}Z` : null;
+        if (modified && (!latest || modified > latest)) latest = modified;
+      }
+      fetched += orders.length;
+      if (orders.length < PAGE_SIZE) break;
+    }
+
+    // Drop orders past the retention window
+    const cutoff = new Date(now.getTime() - RETENTION_DAYS * 86400000).toISOString().slice(0, 10);
+    for (const [id, order] of Object.entries(store.orders)) {
+      if (order.date < cutoff) delete store.orders[id];
+    }
+
+    store.lastModified = latest;
+    store.syncedAt = now.toISOString();
+    saveStore(store);
+
+    const total = Object.keys(store.orders).length;
+    if (fetched > 0) console.log(`[Orders] Synced ${fetched} order(s), ${total} stored`);
+    return { fetched, total, syncedAt: store.syncedAt };
+  })();
+
+  try {
+    return await syncing;
+  } finally {
+    syncing = null;
+  }
+}
+
+/**
+ * When orders were last synced and how many are stored
+ * @returns {{ syncedAt: string|null, orders: number }}
+ */
+export function getOrderSyncStatus() {
+  const store = loadStore();
+  return { syncedAt: store.syncedAt, orders: Object.keys(store.orders).length };
+}
+
+function isMetaOrder(attribution) {
+  return META_SOURCES.includes(String(attribution.utm_source || "").toLowerCase()) || Boolean(attribution.fbclid);
+}
+
+// Campaigns, ad sets and ads of every ad account, indexed by ID and lowercase name
+async function loadMetaEntities() {
+  const index = { campaign: new Map(), adset: new Map(), ad: new Map() };
+  const accounts = (await fbCached(`/me/adaccounts`, { fields: "id" })).data || [];
+
+  for (const account of accounts) {
+    for (const [type, edge, fields] of [
+      ["campaign", "campaigns", "id,name"],
+      ["adset", "adsets", "id,name,campaign_id"],
+      ["ad", "ads", "id,name,campaign_id,adset_id"]
+    ]) {
+      try {
+        const result = await fbCached(`/${account.id}/${edge}`, { fields, limit: 500 });
+        for (const entity of result.data || []) {
+          index[type].set(entity.id, entity);
+          const name = String(entity.name || "").toLowerCase();
+          if (!index[type].has(name)) index[type].set(name, entity);
+        }
+      } catch (err) {
+        console.error(`[Orders] Error listing ${edge} for ${account.id}:`, err.message);
+      }
+    }
+  }
+  return index;
+}
+
+function lookup(index, value) {
+  if (!value) return null;
+  const text = String(value).replace(/\+/g, " ").trim();
+  return index.get(text) || index.get(text.toLowerCase()) || null;
+}
+
+// { campaignId, adId } for a Meta order, from its UTM values
+function matchOrder(attribution, entities) {
+  const ad = lookup(entities.ad, attribution.utm_content);
+  const adSet = lookup(entities.adset, attribution.utm_term);
+  const campaign = lookup(entities.campaign, attribution.utm_campaign)
+    || lookup(entities.campaign, attribution.utm_id)
+    || (ad && entities.campaign.get(ad.campaign_id))
+    || (adSet && entities.campaign.get(adSet.campaign_id))
+    || null;
+  return {
+    campaignId: campaign?.id || ad?.campaign_id || adSet?.campaign_id || null,
+    // An ad name can repeat across campaigns, so only keep an ad from the matched campaign
+    ad: ad && (!campaign || ad.campaign_id === campaign.id) ? ad : null
+  };
+}
+
+function emptyTotals() {
+  return { orders: 0, revenue: 0, newOrders: 0, newRevenue: 0, returningOrders: 0, returningRevenue: 0 };
+}
+
+function addOrder(totals, order) {
+  const revenue = order.total - order.refunded;
+  totals.orders++;
+  totals.revenue += revenue;
+  if (order.returning) {
+    totals.returningOrders++;
+    totals.returningRevenue += revenue;
+  } else {
+    totals.newOrders++;
+    totals.newRevenue += revenue;
+  }
+}
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+function finishTotals(totals, spend = null) {
+  return {
+    ...Object.fromEntries(Object.entries(totals).map(([k, v]) => [k, round(v)])),
+    aov: totals.orders > 0 ? round(totals.revenue / totals.orders) : null,
+    ...(spend !== null && { spend: round(spend), roas: spend > 0 ? round(totals.revenue / spend) : null })
+  };
+}
+
+/**
+ * Backend-measured revenue per Meta campaign (and top ads) against Meta spend
+ * @param {object} options - { since, until } or { period } (parseDateRange() text, default 7d), now
+ * @returns {Promise<object>} - { errors } or { period, since, until, sync, store, meta, campaigns, unmatched }
+ */
+export async function getAttributionReport({ since = null, until = null, period = "7d", now = new Date() } = {}) {
+  const range = since || until
+    ? { timeRange: { since: since || until, until: until || since } }
+    : parseDateRange(period, now);
+  const dates = range && toTimeRange(range, now);
+  if (!dates || !/^\d{4}-\d{2}-\d{2}$/.test(dates.since) || !/^\d{4}-\d{2}-\d{2}$/.test(dates.until) || dates.since > dates.until) {
+    return { errors: ["Use since/until (YYYY-MM-DD) or a period such as today, 7d, 30d, this_month, last_month"] };
+  }
+
+  const store = loadStore();
+  const paid = Object.values(store.orders)
+    .filter(o => PAID_STATUSES.includes(o.status))
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+
+  // Returning = an earlier paid order from the same customer
+  const seen = new Set();
+  for (const order of paid) {
+    order.returning = Boolean(order.customer && seen.has(order.customer));
+    if (order.customer) seen.add(order.customer);
+  }
+  const inRange = paid.filter(o => o.date >= dates.since && o.date <= dates.until);
+
+  const insights = await getInsightsReport({ level: "campaign", since: dates.since, until: dates.until, metrics: "spend,purchase_value" });
+  if (insights.errors) return { errors: insights.errors };
+  const entities = await loadMetaEntities();
+
+  const campaigns = new Map();
+  const campaignRow = (id, name) => {
+    if (!campaigns.has(id)) {
+      campaigns.set(id, { campaignId: id, campaignName: name, spend: 0, pixelRevenue: 0, totals: emptyTotals(), ads: new Map() });
+    }
+    return campaigns.get(id);
+  };
+  for (const row of insights.rows) {
+    const campaign = campaignRow(row.campaign_id, row.campaign_name);
+    campaign.spend += row.spend || 0;
+    campaign.pixelRevenue += row.purchase_value || 0;
+  }
+
+  const storeTotals = emptyTotals();
+  const metaTotals = emptyTotals();
+  const unmatched = new Map();
+  for (const order of inRange) {
+    addOrder(storeTotals, order);
+    if (!isMetaOrder(order.attribution)) continue;
+    addOrder(metaTotals, order);
+
+    const { campaignId, ad } = matchOrder(order.attribution, entities);
+    if (!campaignId) {
+      const key = order.attribution.utm_campaign || (order.attribution.fbclid ? "(fbclid only)" : "(no utm_campaign)");
+      const bucket = unmatched.get(key) || { utmCampaign: key, totals: emptyTotals() };
+      addOrder(bucket.totals, order);
+      unmatched.set(key, bucket);
+      continue;
+    }
+
+    const campaign = campaignRow(campaignId, entities.campaign.get(campaignId)?.name || campaignId);
+    addOrder(campaign.totals, order);
+    if (ad) {
+      const adTotals = campaign.ads.get(ad.id) || { adId: ad.id, adName: ad.name, totals: emptyTotals() };
+      addOrder(adTotals.totals, order);
+      campaign.ads.set(ad.id, adTotals);
+    }
+  }
+
+  const spend = [...campaigns.values()].reduce((sum, c) => sum + c.spend, 0);
+  const pixelRevenue = [...campaigns.values()].reduce((sum, c) => sum + c.pixelRevenue, 0);
+
+  return {
+    period: describeDateRange(range),
+    since: dates.since,
+    until: dates.until,
+    sync: { syncedAt: store.syncedAt, orders: Object.keys(store.orders).length },
+    store: finishTotals(storeTotals, spend), // All orders; roas here is blended (store revenue / Meta spend)
+    meta: {
+      ...finishTotals(metaTotals, spend),
+      pixelRevenue: round(pixelRevenue),
+      pixelRoas: spend > 0 ? round(pixelRevenue / spend) : null
+    },
+    campaigns: [...campaigns.values()]
+      .map(c => ({
+        campaignId: c.campaignId,
+        campaignName: c.campaignName,
+        ...finishTotals(c.totals, c.spend),
+        pixelRevenue: round(c.pixelRevenue),
+        pixelRoas: c.spend > 0 ? round(c.pixelRevenue / c.spend) : null,
+        ads: [...c.ads.values()]
+          .map(a => ({ adId: a.adId, adName: a.adName, ...finishTotals(a.totals) }))
+          .sort((a, b) => b.revenue - a.revenue)
+          .slice(0, MAX_ADS_PER_CAMPAIGN)
+      }))
+      .sort((a, b) => b.revenue - a.revenue || b.spend - a.spend),
+    unmatched: [...unmatched.values()]
+      .map(u => ({ utmCampaign: u.utmCampaign, ...finishTotals(u.totals) }))
+      .sort((a, b) => b.revenue - a.revenue)
+  };
+}
+
+/**
+ * Start syncing orders on a schedule (and once now)
+ * @param {object} options - { intervalMs }
+ * @returns {{ stop: Function }}
+ */
+export function startOrderSync({ intervalMs = SYNC_INTERVAL } = {}) {
+  if (syncTimer) clearInterval(syncTimer);
+
+  const run = async () => {
+    try {
+      await syncOrders();
+    } catch (err) {
+      console.error("[Orders] Scheduled sync error:", err.message);
+    }
+  };
+  syncTimer = setInterval(run, intervalMs);
+  run();
+
+  console.log(`✅ WooCommerce order sync scheduled (every ${Math.round(intervalMs / 60000)} min)`);
+  return {
+    stop() {
+      clearInterval(syncTimer);
+      syncTimer = null;
+    }
+  };
+}
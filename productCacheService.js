@@ -0,0 +1,351 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Product Cache Service
+ * WooCommerce products (all pages), variations of variable products and
+ * categories, kept in memory and in DATA_DIR/products-cache.json so a restart
+ * starts from the saved copy instead of re-reading the whole store.
+ *
+ * Kept current by:
+ * - product.created / product.updated / product.restored / product.deleted webhooks,
+ *   which only name the product to re-read (the payload itself is not stored)
+ * - invalidateProductCache(ids) after edits made from here (those products are re-read)
+ * - an incremental refresh (modified_after) once the cache is older than
+ *   PRODUCT_CACHE_REFRESH_MINUTES (default 5), run in the background
+ * - a full resync every PRODUCT_CACHE_FULL_SYNC_HOURS (default 24), which also
+ *   drops products deleted while no webhook was delivered
+ */
+
+const PAGE_SIZE = 100;
+const MAX_PAGES = 100;
+const PRODUCT_TOPICS = ["product.created", "product.updated", "product.restored", "product.deleted"];
+
+// Dependencies (passed from server.js)
+let wooFetch = null;
+let cacheFile = null;
+
+let cache = null; // { products: { [id]: product }, variations: { [productId]: [...] }, categories, lastModified, fullSyncAt, refreshedAt }
+let stale = false;
+const dirtyIds = new Set();
+let refreshing = null; // Latest refresh requested, until it settles
+let queue = Promise.resolve(); // Refreshes and webhook re-reads run one at a time
+const stats = {
+  hits: 0,
+  misses: 0,
+  fullSyncs: 0,
+  incrementalSyncs: 0,
+  webhookUpdates: 0,
+  loadedFromDisk: false,
+  lastError: null
+};
+
+/**
+ * Wire server.js helpers into the product cache
+ * @param {object} dependencies - { wooFetch, DATA_DIR }
+ */
+export function initProductCache(dependencies) {
+  wooFetch = dependencies.wooFetch;
+  cacheFile = path.join(dependencies.DATA_DIR, "products-cache.json");
+}
+
+function refreshMs() {
+  return (parseFloat(process.env.PRODUCT_CACHE_REFRESH_MINUTES) || 5) * 60 * 1000;
+}
+
+function fullSyncMs() {
+  return (parseFloat(process.env.PRODUCT_CACHE_FULL_SYNC_HOURS) || 24) * 60 * 60 * 1000;
+}
+
+function loadFromDisk() {
+  try {
+    if (cacheFile && fs.existsSync(cacheFile)) {
+      cache = JSON.parse(fs.readFileSync(cacheFile, "utf8"));
+      stats.loadedFromDisk = true;
+      console.log(`[Products] Cache loaded from disk: ${Object.keys(cache.products).length} products`);
+    }
+  } catch (err) {
+    console.error("[Products] Error loading cache file:", err);
+    cache = null;
+  }
+}
+
+function saveToDisk() {
+  try {
+    fs.writeFileSync(cacheFile, JSON.stringify(cache), "utf8");
+  } catch (err) {
+    console.error("[Products] Error saving cache file:", err);
+  }
+}
+
+async function fetchAll(endpoint) {
+  const items = [];
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    const batch = await wooFetch("GET", `${endpoint}${endpoint.includes("?") ? "&" : "?"}per_page=${PAGE_SIZE}&page=${page}`);
+    if (!Array.isArray(batch) || batch.length === 0) break;
+    items.push(...batch);
+    if (batch.length < PAGE_SIZE) break;
+  }
+  return items;
+}
+
+const modifiedAt = (product) => (product.date_modified_gmt ? `${product.date_modified_gmt}Z` : null);
+
+function removeProduct(id) {
+  delete cache.products[id];
+  delete cache.variations[id];
+  // A deleted variation only has its own ID
+  for (const [parentId, variations] of Object.entries(cache.variations)) {
+    if (variations.some(v => String(v.id) === String(id))) {
+      cache.variations[parentId] = variations.filter(v => String(v.id) !== String(id));
+    }
+  }
+}
+
+// Store a product as returned by WooCommerce (re-reading its variations if it has any)
+async function storeProduct(product) {
+  if (product.status === "trash") {
+    removeProduct(product.id);
+    return;
+  }
+  cache.products[product.id] = product;
+  if (product.type === "variable") {
+    cache.variations[product.id] = await fetchAll(`/products/${product.id}/variations`);
+  } else {
+    delete cache.variations[product.id];
+  }
+}
+
+// Re-read one product from WooCommerce; a variation ID re-reads its parent
+async function rereadProduct(id) {
+  const product = await wooFetch("GET", `/products/${id}`).catch(err => {
+    if (err.response?.status === 404) return null;
+    throw err;
+  });
+  if (!product) {
+    removeProduct(id);
+  } else if (product.type === "variation") {
+    await rereadProduct(product.parent_id);
+  } else {
+    await storeProduct(product);
+  }
+}
+
+function enqueue(task) {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+async function fullSync(now) {
+  const products = await fetchAll("/products");
+  const next = { products: {}, variations: {}, categories: [], lastModified: null, fullSyncAt: now, refreshedAt: now };
+  for (const product of products) {
+    next.products[product.id] = product;
+    if (product.type === "variable") {
+      next.variations[product.id] = await fetchAll(`/products/${product.id}/variations`);
+    }
+    const modified = modifiedAt(product);
+    if (modified && (!next.lastModified || modified > next.lastModified)) next.lastModified = modified;
+  }
+  next.categories = await fetchAll("/products/categories");
+
+  cache = next;
+  stats.fullSyncs++;
+  console.log(`[Products] Full sync: ${products.length} products, ${next.categories.length} categories`);
+}
+
+async function incrementalSync(now) {
+  const ids = [...dirtyIds];
+  dirtyIds.clear();
+
+  const since = cache.lastModified || cache.fullSyncAt;
+  const query = `modified_after=${since.replace(/\.\d+Z$/, "Z")}&dates_are_gmt=true`;
+  let changed;
+  let trashed;
+  let latest = cache.lastModified;
+  try {
+    changed = await fetchAll(`/products?${query}`);
+    trashed = await fetchAll(`/products?status=trash&${query}`);
+    for (const product of [...changed, ...trashed]) {
+      await storeProduct(product);
+      const modified = modifiedAt(product);
+      if (modified && (!latest || modified > latest)) latest = modified;
+    }
+
+    // Products edited from here, whose change may not show up in modified_after (e.g. a variation)
+    for (const id of ids.filter(id => !changed.some(p => String(p.id) === id))) {
+      await rereadProduct(id);
+    }
+
+    cache.categories = await fetchAll("/products/categories");
+  } catch (err) {
+    ids.forEach(id => dirtyIds.add(id)); // Retried on the next refresh
+    throw err;
+  }
+
+  cache.lastModified = latest;
+  cache.refreshedAt = now;
+  stats.incrementalSyncs++;
+  if (changed.length + trashed.length + ids.length > 0) {
+    console.log(`[Products] Incremental sync: ${changed.length} changed, ${trashed.length} trashed, ${ids.length} re-read`);
+  }
+}
+
+/**
+ * Bring the cache up to date: a full sync when empty, forced or past
+ * PRODUCT_CACHE_FULL_SYNC_HOURS, otherwise only what changed
+ * @param {object} options - { full }
+ * @returns {Promise<object>} - Cache stats
+ */
+export async function refreshProductCache({ full = false } = {}) {
+  if (refreshing && !full) {
+    await refreshing; // Share the pending refresh; a forced full sync is queued after it
+    return getProductCacheStats();
+  }
+
+  const run = enqueue(async () => {
+    if (!cache) loadFromDisk();
+    const now = new Date().toISOString();
+    const needsFull = full || !cache || !cache.fullSyncAt || Date.now() - new Date(cache.fullSyncAt).getTime() > fullSyncMs();
+    const wasStale = stale;
+    stale = false;
+    try {
+      if (needsFull) {
+        // Products invalidated while the sync runs stay dirty for the next refresh
+        const pending = [...dirtyIds];
+        dirtyIds.clear();
+        try {
+          await fullSync(now);
+        } catch (err) {
+          pending.forEach(id => dirtyIds.add(id));
+          throw err;
+        }
+      } else {
+        await incrementalSync(now);
+      }
+      stats.lastError = null;
+      saveToDisk();
+    } catch (err) {
+      stale = stale || wasStale;
+      stats.lastError = err.message;
+      throw err;
+    }
+  });
+  refreshing = run;
+
+  try {
+    await run;
+  } finally {
+    if (refreshing === run) refreshing = null;
+  }
+  return getProductCacheStats();
+}
+
+async function ensureFresh() {
+  if (!cache) loadFromDisk();
+
+  if (!cache || stale || dirtyIds.size > 0) {
+    stats.misses++;
+    try {
+      await refreshProductCache();
+    } catch (err) {
+      console.error("[Products] Cache refresh failed:", err.message);
+      // Use the stale cache if available
+      if (!cache) throw err;
+    }
+    return;
+  }
+
+  stats.hits++;
+  if (Date.now() - new Date(cache.refreshedAt).getTime() > refreshMs() && !refreshing) {
+    refreshProductCache().catch(err => console.error("[Products] Background refresh failed:", err.message));
+  }
+}
+
+/**
+ * All cached products (raw WooCommerce objects, any status but trash), newest first
+ * @returns {Promise<Array>}
+ */
+export async function getCachedProducts() {
+  await ensureFresh();
+  return Object.values(cache.products).sort((a, b) => b.id - a.id);
+}
+
+/**
+ * Cached variations of a variable product
+ * @param {number|string} productId
+ * @returns {Promise<Array>}
+ */
+export async function getCachedVariations(productId) {
+  await ensureFresh();
+  return cache.variations[productId] || [];
+}
+
+/**
+ * Cached product categories
+ * @returns {Promise<Array>}
+ */
+export async function getCachedCategories() {
+  await ensureFresh();
+  return cache.categories;
+}
+
+/**
+ * Mark products as changed after an edit made from here; they're re-read on next use.
+ * Without IDs, the next use runs an incremental refresh.
+ * @param {number|string|Array} ids - Product IDs (for variations, the parent product)
+ */
+export function invalidateProductCache(ids = null) {
+  const list = ids === null || ids === undefined ? [] : [].concat(ids);
+  if (list.length === 0) stale = true;
+  for (const id of list) dirtyIds.add(String(id));
+}
+
+/**
+ * Re-read the product named by a WooCommerce product.* webhook. Only the ID is
+ * used; the product (or its parent, for a variation) is fetched from WooCommerce,
+ * after any refresh in progress.
+ * @param {string} topic - e.g. "product.updated"
+ * @param {object} payload - Webhook body ({ id } for product.deleted)
+ * @returns {Promise<boolean>} - Whether the topic was a product topic
+ */
+export async function handleProductWebhook(topic, payload) {
+  if (!PRODUCT_TOPICS.includes(topic)) return false;
+  const id = parseInt(payload?.id);
+  if (!id) return true;
+
+  await enqueue(async () => {
+    if (!cache) loadFromDisk();
+    if (!cache) return; // Nothing cached yet; the first full sync reads it
+    await rereadProduct(id);
+    stats.webhookUpdates++;
+    saveToDisk();
+    console.log(`[Products] Webhook ${topic}: product ${id} re-read`);
+  });
+  return true;
+}
+
+/**
+ * Cache size, hit/miss counts and sync times (for /api/control/health)
+ * @returns {object}
+ */
+export function getProductCacheStats() {
+  const requests = stats.hits + stats.misses;
+  return {
+    products: cache ? Object.keys(cache.products).length : 0,
+    variations: cache ? Object.values(cache.variations).reduce((sum, list) => sum + list.length, 0) : 0,
+    categories: cache ? cache.categories.length : 0,
+    hits: stats.hits,
+    misses: stats.misses,
+    hitRate: requests > 0 ? Math.round((stats.hits / requests) * 1000) / 10 : null,
+    fullSyncs: stats.fullSyncs,
+    incrementalSyncs: stats.incrementalSyncs,
+    webhookUpdates: stats.webhookUpdates,
+    loadedFromDisk: stats.loadedFromDisk,
+    pendingRefresh: stale || dirtyIds.size > 0,
+    lastFullSync: cache?.fullSyncAt || null,
+    lastRefresh: cache?.refreshedAt || null,
+    lastError: stats.lastError
+  };
+}
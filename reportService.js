@@ -0,0 +1,338 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Report Service
+ * Persists per-phone report schedules and delivers performance digests over WhatsApp
+ */
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+const CHECK_INTERVAL = 60 * 1000; // Check due reports every minute
+const ORDER_PAGE_SIZE = 100;
+const MAX_ORDER_PAGES = 50;
+
+// Dependencies (passed from server.js)
+let getAccountTotals = null;
+let getCampaignPerformance = null;
+let sendWhatsAppMessage = null;
+let wooFetch = null;
+let schedulesFile = null;
+
+let schedulerTimer = null;
+let running = false;
+
+/**
+ * Wire server.js helpers into the report service
+ * @param {object} dependencies - { getAccountTotals, getCampaignPerformance, sendWhatsAppMessage, wooFetch, DATA_DIR }
+ */
+export function initReports(dependencies) {
+  getAccountTotals = dependencies.getAccountTotals;
+  getCampaignPerformance = dependencies.getCampaignPerformance;
+  sendWhatsAppMessage = dependencies.sendWhatsAppMessage;
+  wooFetch = dependencies.wooFetch;
+  schedulesFile = path.join(dependencies.DATA_DIR, "report-schedules.json");
+}
+
+function loadSchedules() {
+  try {
+    if (schedulesFile && fs.existsSync(schedulesFile)) {
+      return JSON.parse(fs.readFileSync(schedulesFile, "utf8"));
+    }
+  } catch (err) {
+    console.error("[Reports] Error loading schedules:", err);
+  }
+  return [];
+}
+
+function saveSchedules(schedules) {
+  try {
+    fs.writeFileSync(schedulesFile, JSON.stringify(schedules, null, 2), "utf8");
+    return true;
+  } catch (err) {
+    console.error("[Reports] Error saving schedules:", err);
+    return false;
+  }
+}
+
+/**
+ * Parse "HH:mm" into a normalized time string
+ * @param {string} text - Time text (e.g. "9:00", "09:30")
+ * @returns {string|null}
+ */
+export function parseReportTime(text) {
+  const match = (text || "").match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+}
+
+/**
+ * Parse a weekday name ("mon", "Monday") into 0-6 (Sunday = 0)
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseWeekday(text) {
+  const idx = WEEKDAYS.indexOf((text || "").toLowerCase().substring(0, 3));
+  return idx >= 0 ? idx : null;
+}
+
+// Break a date into wall-clock parts in the report timezone
+function getZonedParts(date) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: REPORT_TIMEZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    weekday: "short",
+    hourCycle: "h23"
+  }).formatToParts(date);
+  const get = (type) => parts.find(p => p.type === type)?.value;
+
+  return {
+    dateKey: `${get("year")}-${get("month")}-${get("day")}`,
+    minutes: parseInt(get("hour")) * 60 + parseInt(get("minute")),
+    weekday: WEEKDAYS.indexOf(get("weekday").toLowerCase())
+  };
+}
+
+// "YYYY-MM-DD" moved by a number of days
+function shiftDateKey(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Check whether a schedule should fire at the given time.
+ * A schedule fires once per day (or per week) as soon as its time has passed,
+ * so a report missed during a restart is still delivered later that day.
+ * @param {object} schedule - Stored schedule
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export function isScheduleDue(schedule, now) {
+  const { dateKey, minutes, weekday } = getZonedParts(now);
+  const [hours, mins] = schedule.time.split(":").map(Number);
+
+  if (schedule.frequency === "weekly" && weekday !== schedule.weekday) return false;
+  if (minutes < hours * 60 + mins) return false;
+  return schedule.lastSentKey !== dateKey;
+}
+
+/**
+ * List schedules for a phone number
+ * @param {string} phone
+ * @returns {Array}
+ */
+export function listSchedules(phone) {
+  return loadSchedules().filter(s => s.phone === phone);
+}
+
+/**
+ * Create or replace a schedule. A phone keeps at most one daily and one weekly report.
+ * @param {string} phone
+ * @param {object} options - { frequency: "daily"|"weekly", time: "HH:mm", weekday?: 0-6 }
+ * @returns {object} - The stored schedule
+ */
+export function addSchedule(phone, { frequency, time, weekday = null }) {
+  const schedules = loadSchedules().filter(s => !(s.phone === phone && s.frequency === frequency));
+  const schedule = {
+    id: `${frequency}-${phone}`,
+    phone,
+    frequency,
+    time,
+    weekday: frequency === "weekly" ? weekday : null,
+    createdAt: new Date().toISOString(),
+    lastSentKey: null
+  };
+  // Don't fire immediately for a time that already passed today
+  if (isScheduleDue(schedule, new Date())) {
+    schedule.lastSentKey = getZonedParts(new Date()).dateKey;
+  }
+  schedules.push(schedule);
+  saveSchedules(schedules);
+  return schedule;
+}
+
+/**
+ * Remove schedules for a phone number
+ * @param {string} phone
+ * @param {string} [frequency] - Only remove this frequency; removes all when omitted
+ * @returns {number} - Number of schedules removed
+ */
+export function removeSchedules(phone, frequency = null) {
+  const schedules = loadSchedules();
+  const remaining = schedules.filter(s => !(s.phone === phone && (!frequency || s.frequency === frequency)));
+  saveSchedules(remaining);
+  return schedules.length - remaining.length;
+}
+
+/**
+ * Describe a schedule for WhatsApp output
+ * @param {object} schedule
+ * @returns {string}
+ */
+export function describeSchedule(schedule) {
+  if (schedule.frequency === "weekly") {
+    const day = WEEKDAYS[schedule.weekday];
+    return `Weekly on ${day.charAt(0).toUpperCase()}${day.slice(1)} at ${schedule.time}`;
+  }
+  return `Daily at ${schedule.time}`;
+}
+
+// Summarize WooCommerce orders placed on the report's days (store time)
+async function getOrderSummary({ since, until }) {
+  try {
+    const orders = [];
+    for (let page = 1; page <= MAX_ORDER_PAGES; page++) {
+      const query = new URLSearchParams({
+        after: `${since}T00:00:00`,
+        before: `${shiftDateKey(until, 1)}T00:00:00`,
+        per_page: ORDER_PAGE_SIZE,
+        page
+      });
+      const batch = await wooFetch("GET", `/orders?${query}`);
+      if (!Array.isArray(batch) || batch.length === 0) break;
+      orders.push(...batch);
+      if (batch.length < ORDER_PAGE_SIZE) break;
+    }
+    const counted = orders.filter(o => !["cancelled", "failed", "refunded", "trash"].includes(o.status));
+    const revenue = counted.reduce((sum, o) => sum + parseFloat(o.total || 0), 0);
+    return { count: counted.length, revenue, currency: counted[0]?.currency || "" };
+  } catch (err) {
+    console.error("[Reports] Could not fetch WooCommerce orders:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Build the digest text for a report frequency. Meta insights and WooCommerce
+ * orders cover the same calendar days (yesterday, or the 7 days before today).
+ * @param {string} frequency - "daily" (yesterday) or "weekly" (last 7 days)
+ * @param {Date} now - Current time
+ * @returns {Promise<string>}
+ */
+export async function buildReportDigest(frequency, now = new Date()) {
+  const weekly = frequency === "weekly";
+  const today = getZonedParts(now).dateKey;
+  const range = { since: shiftDateKey(today, weekly ? -7 : -1), until: shiftDateKey(today, -1) };
+
+  const [totals, campaigns, orders] = await Promise.all([
+    getAccountTotals(range),
+    getCampaignPerformance(range),
+    getOrderSummary(range)
+  ]);
+
+  let msg = `📅 *${weekly ? "Weekly" : "Daily"} Performance Report*\n`;
+  msg += `${weekly ? "Last 7 days" : "Yesterday"}\n\n`;
+  msg += `💰 Spend: $${totals.spend.toFixed(2)}\n`;
+  msg += `👁️ Impressions: ${totals.impressions.toLocaleString()}\n`;
+  msg += `🖱️ Clicks: ${totals.clicks.toLocaleString()}\n`;
+  msg += `📈 CTR: ${totals.ctr.toFixed(2)}%\n`;
+  msg += `💵 CPC: $${totals.cpc.toFixed(2)}\n`;
+
+  // Only rank campaigns that actually spent in the window
+  const ranked = campaigns.filter(c => c.spend > 0).sort((a, b) => b.ctr - a.ctr);
+  if (ranked.length > 0) {
+    msg += `\n🏆 *Top campaigns (CTR)*\n`;
+    ranked.slice(0, 3).forEach((c, i) => {
+      msg += `${i + 1}. ${c.name} — ${c.ctr.toFixed(2)}% · $${c.spend.toFixed(2)}\n`;
+    });
+
+    const bottom = ranked.slice(3).slice(-3).reverse();
+    if (bottom.length > 0) {
+      msg += `\n⚠️ *Lowest campaigns (CTR)*\n`;
+      bottom.forEach(c => {
+        msg += `• ${c.name} — ${c.ctr.toFixed(2)}% · $${c.spend.toFixed(2)}\n`;
+      });
+    }
+  } else {
+    msg += `\n📊 No campaign spend in this period.\n`;
+  }
+
+  if (orders) {
+    msg += `\n🛒 *WooCommerce orders*\n`;
+    msg += `Orders: ${orders.count}\n`;
+    msg += `Revenue: ${orders.currency ? `${orders.currency} ` : "$"}${orders.revenue.toFixed(2)}\n`;
+    if (totals.spend > 0 && orders.revenue > 0) {
+      msg += `Revenue / spend: ${(orders.revenue / totals.spend).toFixed(2)}x\n`;
+    }
+  }
+
+  return msg;
+}
+
+/**
+ * Send every report that is due at the given time. Runs one at a time; a call
+ * made while a run is in progress returns no results.
+ * @param {Date} now - Current time (injectable for tests)
+ * @returns {Promise<Array>} - Results per delivered schedule
+ */
+export async function runDueReports(now = new Date()) {
+  if (running) return [];
+  running = true;
+
+  const results = [];
+  try {
+    const due = loadSchedules().filter(s => isScheduleDue(s, now));
+    for (const schedule of due) {
+      try {
+        const digest = await buildReportDigest(schedule.frequency, now);
+        await sendWhatsAppMessage(schedule.phone, digest);
+        results.push({ id: schedule.id, success: true });
+      } catch (err) {
+        console.error(`[Reports] Failed to deliver ${schedule.id}:`, err.message);
+        results.push({ id: schedule.id, success: false, error: err.message });
+      }
+    }
+
+    if (due.length > 0) {
+      // Re-read so /report add and /report off sent during the run are kept; only
+      // schedules that are still the same get marked as sent (even on failure, so
+      // a broken report doesn't retry every minute)
+      const schedules = loadSchedules();
+      for (const sent of due) {
+        const schedule = schedules.find(s => s.id === sent.id && s.createdAt === sent.createdAt);
+        if (!schedule) continue;
+        schedule.lastSentKey = getZonedParts(now).dateKey;
+        schedule.lastSentAt = now.toISOString();
+      }
+      saveSchedules(schedules);
+      console.log(`[Reports] Delivered ${results.filter(r => r.success).length}/${due.length} scheduled reports`);
+    }
+  } finally {
+    running = false;
+  }
+
+  return results;
+}
+
+/**
+ * Start the report scheduler
+ * @param {object} options - { clock: () => Date, intervalMs }
+ * @returns {{ stop: Function }}
+ */
+export function startReportScheduler({ clock = () => new Date(), intervalMs = CHECK_INTERVAL } = {}) {
+  if (schedulerTimer) clearInterval(schedulerTimer);
+
+  schedulerTimer = setInterval(async () => {
+    try {
+      await runDueReports(clock());
+    } catch (err) {
+      console.error("[Reports] Scheduler error:", err.message);
+    }
+  }, intervalMs);
+
+  console.log(`✅ Report scheduler started (timezone: ${REPORT_TIMEZONE})`);
+  return {
+    stop() {
+      clearInterval(schedulerTimer);
+      schedulerTimer = null;
+    }
+  };
+}
@@ -5,7 +5,7 @@ import cors from "cors";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import OpenAI from "openai";
+import OpenAI, { toFile } from "openai";
 import sharp from "sharp";
 import FormData from "form-data";
 import * as cheerio from "cheerio";
@@ -18,8 +18,186 @@ import {
   handleWorkflowNavigation,
   handleWorkflowStep,
   handleShortcut,
+  handleWorkflowImage,
   initWorkflows
 } from "./workflows.js";
+import {
+  initReports,
+  startReportScheduler,
+  parseReportTime,
+  parseWeekday,
+  addSchedule,
+  listSchedules,
+  removeSchedules,
+  describeSchedule,
+  buildReportDigest
+} from "./reportService.js";
+import {
+  initInsights,
+  parseDateRange,
+  describeDateRange,
+  getInsightsReport,
+  reportToCsv,
+  reportToXlsx
+} from "./insightsService.js";
+import {
+  initOrders,
+  syncOrders,
+  getOrderSyncStatus,
+  getAttributionReport,
+  startOrderSync
+} from "./orderService.js";
+import {
+  initConversions,
+  eventsFromWebhook,
+  handleWooWebhook,
+  sendConversionEvents,
+  listConversionEvents,
+  replayConversionEvent,
+  getConversionsStatus
+} from "./conversionsService.js";
+import {
+  initCatalog,
+  getCatalogFeed,
+  feedToCsv,
+  feedToXml,
+  isFeedTokenValid,
+  pushCatalogProducts,
+  deleteCatalogProducts,
+  getCatalogBatchStatus,
+  getCatalogStatus,
+  invalidateCatalogFeed
+} from "./catalogService.js";
+import {
+  initProductCache,
+  getCachedProducts,
+  getCachedVariations,
+  getCachedCategories,
+  refreshProductCache,
+  invalidateProductCache,
+  handleProductWebhook,
+  getProductCacheStats
+} from "./productCacheService.js";
+import {
+  initAlerts,
+  startAlertPolling,
+  checkAlerts,
+  parseAlertRule,
+  describeRule,
+  addAlertRule,
+  removeAlertRule,
+  listAlertRules,
+  listRecentAlerts,
+  setAlertSubscription,
+  isAlertSubscriber,
+  ignoreAlert,
+  pauseAlertEntity
+} from "./alertService.js";
+import {
+  initAccessControl,
+  ROLES,
+  ROLE_PERMISSIONS,
+  getRole,
+  can,
+  permissionForCommand,
+  isPhoneScope,
+  listUsers,
+  setUserRole,
+  removeUser,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  rotateApiKey,
+  PERMISSIONS,
+  requirePermission
+} from "./accessControl.js";
+import {
+  initAuditLog,
+  recordAudit,
+  recordChange,
+  phoneActor,
+  apiKeyActor,
+  auditRequests,
+  queryAudit,
+  exportAuditLogs
+} from "./auditLog.js";
+import {
+  initUndo,
+  permissionForChange,
+  needsAuditReadToRevert,
+  getChange,
+  getRevertStatus,
+  listRecentChanges,
+  findLatestUndoable,
+  describeChange,
+  revertChanges
+} from "./undoService.js";
+import {
+  initBudgets,
+  parseBudgetCommand,
+  parseBudgetChange,
+  planBudgetChange,
+  describeBudgetPlan,
+  applyBudgetPlan,
+  formatBudget
+} from "./budgetService.js";
+import {
+  initOptimizer,
+  startOptimizer,
+  runOptimizer,
+  parseOptimizerRule,
+  describeOptimizerRule,
+  addOptimizerRule,
+  removeOptimizerRule,
+  setOptimizerRuleEnabled,
+  listOptimizerRules,
+  listOptimizerActions,
+  getOptimizerMode,
+  setOptimizerMode,
+  getOptimizerStatus,
+  setOptimizerSubscription,
+  isOptimizerSubscriber
+} from "./optimizerService.js";
+import {
+  fb,
+  fbBatch,
+  fbCached,
+  getMetaApiStatus,
+  uploadImageToMeta,
+  MetaApiError
+} from "./metaApi.js";
+import {
+  initCampaignBuilder,
+  validateCampaignSpec,
+  describeCampaignPlan,
+  buildCampaign,
+  createCampaignStructure
+} from "./campaignBuilder.js";
+import {
+  configureStateStore,
+  createStateStore,
+  flushAllStateStores,
+  restoreStateFromDrive,
+  getStateStoreStats
+} from "./stateStore.js";
+import { verifyWhatsAppSignature, verifyWooCommerceSignature, filterNewMessages, isMessageStale } from "./webhookSecurity.js";
+import {
+  initMessageQueue,
+  enqueueMessage,
+  getQueueStats,
+  listDeadLetters,
+  replayDeadLetter,
+  deleteDeadLetter,
+  markJobSideEffect
+} from "./messageQueue.js";
+import {
+  parseSpreadsheet,
+  detectImportType,
+  mapProductRecords,
+  mapAudienceRecords,
+  parsePrice
+} from "./spreadsheetImport.js";
+import { sendWhatsAppButtons, sendWhatsAppList } from "./whatsappService.js";
 dotenv.config();
 
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
@@ -353,6 +531,10 @@ const WC_API_KEY = process.env.WC_API_KEY;
 const WC_API_SECRET = process.env.WC_API_SECRET;
 const WC_AUTH_MODE = process.env.WC_AUTH_MODE || "query";
 
+// WordPress application password (media library uploads for product photos)
+const WP_USERNAME = process.env.WP_USERNAME;
+const WP_APP_PASSWORD = process.env.WP_APP_PASSWORD;
+
 // WooCommerce API helper
 async function wooFetch(method, endpoint, body = null) {
   const baseUrl = WC_API_URL.replace(/\/products.*$/, ""); // Remove /products suffix if present
@@ -378,6 +560,7 @@ async function wooFetch(method, endpoint, body = null) {
   if (body) {
     config.data = body;
   }
+  if (method !== "GET") markJobSideEffect();
   
   try {
     const response = await axios(config);
@@ -394,6 +577,27 @@ async function wooFetch(method, endpoint, body = null) {
   }
 }
 
+// Upload an image to the WordPress media library so it can be attached to a
+// product by ID (the WooCommerce API itself only accepts image URLs)
+async function uploadToWordPressMedia(buffer, mimeType, filename) {
+  if (!WP_USERNAME || !WP_APP_PASSWORD) {
+    throw new Error("WordPress media upload not configured. Set WP_USERNAME and WP_APP_PASSWORD (application password).");
+  }
+  
+  const siteUrl = WC_API_URL.replace(/\/wp-json.*$/, "");
+  const response = await axios.post(`${siteUrl}/wp-json/wp/v2/media`, buffer, {
+    headers: {
+      "Content-Type": mimeType,
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      Authorization: `Basic ${Buffer.from(`${WP_USERNAME}:${WP_APP_PASSWORD}`).toString("base64")}`
+    },
+    maxBodyLength: Infinity,
+    timeout: 60000
+  });
+  
+  return { id: response.data.id, url: response.data.source_url };
+}
+
 // Normalize WooCommerce product to standard format
 // Extract WooCommerce store base URL (e.g., https://maromcosmetic.com from https://maromcosmetic.com/wp-json/wc/v3/products)
 function getWooCommerceStoreUrl() {
@@ -472,21 +676,9 @@ function normalizeProduct(wcProduct) {
   };
 }
 
-// Get cached products or fetch fresh
+// Get cached products (all pages, kept current by webhooks - see productCacheService.js)
 async function getProductsCache() {
-  const now = Date.now();
-  if (!productCache || (now - productCacheTimestamp) > PRODUCT_CACHE_TTL) {
-    try {
-      productCache = await wooFetch("GET", "/products?per_page=100");
-      productCacheTimestamp = now;
-      console.log(`[Products] Cache refreshed: ${productCache.length} products`);
-    } catch (err) {
-      console.error("[Products] Cache refresh failed:", err.message);
-      // Use stale cache if available
-      if (!productCache) throw err;
-    }
-  }
-  return productCache || [];
+  return getCachedProducts();
 }
 
 // Calculate similarity score between two strings (Levenshtein-based)
@@ -524,7 +716,8 @@ function calculateSimilarity(str1, str2) {
 // Find product by name with fuzzy matching and scoring
 async function findProductByName(name, useCache = true) {
   try {
-    const products = useCache ? await getProductsCache() : await wooFetch("GET", "/products?per_page=100");
+    if (!useCache) await refreshProductCache();
+    const products = await getProductsCache();
     const searchName = name.toLowerCase().trim();
     
     if (!searchName) return null;
@@ -815,8 +1008,20 @@ function buildSystemPrompt(companyContext) {
 const app = express();
 
 // JSON parser for all routes - increased limit for large base64 image data
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Keeps the raw bytes on req.rawBody for webhook signature verification
+app.use(express.json({
+  limit: '50mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+app.use(express.urlencoded({
+  extended: true,
+  limit: '50mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Allow only your website to call the API
 const origins = (process.env.ALLOWED_ORIGINS || "").split(",").map(s => s.trim()).filter(Boolean);
@@ -834,33 +1039,41 @@ const ADMIN_NUMBERS = (process.env.ADMIN_NUMBERS || "").split(",").map(s => s.tr
 
 const ADMIN_DASH_KEY = process.env.ADMIN_DASH_KEY;
 
-// Admin key middleware
-function requireAdminKey(req, res, next) {
-  const providedKey = req.headers["x-admin-key"];
-  if (!ADMIN_DASH_KEY || providedKey !== ADMIN_DASH_KEY) {
-    return res.status(401).json({ ok: false, error: "Unauthorized. Missing or invalid x-admin-key header." });
-  }
-  next();
-}
+// Roles for phone numbers and dashboard API keys (ADMIN_NUMBERS are owners,
+// ADMIN_DASH_KEY still works as an owner key). Routes use requirePermission().
+initAccessControl({ DATA_DIR, ownerNumbers: ADMIN_NUMBERS, legacyAdminKey: ADMIN_DASH_KEY });
+
+// Audit log of commands, API requests and the changes they make (see auditLog.js)
+initAuditLog({ DATA_DIR, getBackupService: () => backupService, getRole });
+app.use(auditRequests);
+
+// Persistent per-user state (survives restarts; see stateStore.js for backends)
+await configureStateStore({
+  dir: process.env.STATE_DIR || path.join(DATA_DIR, "state"),
+  getBackupService: () => backupService
+});
 
 // Pending confirmations for risky commands
-const pendingConfirmations = new Map(); // phone -> { command, params, timestamp }
+const pendingConfirmations = createStateStore("pendingConfirmations", { ttlMs: 10 * 60 * 1000 }); // phone -> { command, params, timestamp }
+
+// Parsed CSV/XLSX imports waiting for YES
+const pendingImports = createStateStore("pendingImports", { ttlMs: 10 * 60 * 1000 }); // phone -> { type, items, filename }
 
 // Image generation session state (per WhatsApp user)
-const imageSessions = new Map(); // phone -> { angle, style, bg, aspect }
+const imageSessions = createStateStore("imageSessions", { ttlMs: 30 * 24 * 60 * 60 * 1000 }); // phone -> { angle, style, bg, aspect, pendingImage, referenceImages }
 
 // Recent creative history (ring buffer, last 20 per user)
-const creativeHistory = new Map(); // phone -> Array<{ mediaId, caption, product, angle, style, timestamp }>
+const creativeHistory = createStateStore("creativeHistory", { ttlMs: 30 * 24 * 60 * 60 * 1000 }); // phone -> Array<{ mediaId, caption, product, angle, style, timestamp }>
 
-// Conversation context (last mentioned products, recent actions)
-const conversationContext = new Map(); // phone -> { lastProduct: {id, name}, lastAction: "edit", timestamp, lastProductList: [], conversationHistory: [] }
+// Conversation context (last mentioned products, recent actions) - expires after 30 minutes idle
+const conversationContext = createStateStore("conversationContext", { ttlMs: 30 * 60 * 1000 }); // phone -> { lastProduct: {id, name}, lastAction: "edit", timestamp, lastProductList: [], conversationHistory: [] }
 
 // Per-user conversation history (for memory)
-const userConversations = new Map(); // phone -> Array<{role: "user"|"assistant", content: string, timestamp: number}>
+const userConversations = createStateStore("userConversations", { ttlMs: 7 * 24 * 60 * 60 * 1000 }); // phone -> Array<{role: "user"|"assistant", content: string, timestamp: number}>
 const MAX_CONVERSATION_HISTORY = 20; // Keep last 20 messages per user
 
-// Workflow state management
-const userWorkflows = new Map(); // phone -> { workflow: string, step: number, data: object, timestamp: number }
+// Workflow state management - half-finished workflows expire after 24 hours
+const userWorkflows = createStateStore("userWorkflows", { ttlMs: 24 * 60 * 60 * 1000 }); // phone -> { workflow: string, step: number, data: object, timestamp: number }
 
 // Workflow state helpers (exported for workflows.js)
 function setUserWorkflow(from, workflow) {
@@ -883,11 +1096,6 @@ function updateWorkflowData(from, data) {
   }
 }
 
-// Product cache with TTL (5 minutes)
-let productCache = null;
-let productCacheTimestamp = 0;
-const PRODUCT_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-
 // Angle presets
 const ANGLE_PRESETS = {
   "front": "front-on product hero, eye-level camera",
@@ -955,195 +1163,6 @@ function getLastCreative(from) {
   return history && history.length > 0 ? history[history.length - 1] : null;
 }
 
-// Helper
-const fb = async (path, method="GET", paramsOrBody={}) => {
-  if (!TOKEN) {
-    throw new Error("META_TOKEN not configured. Please set META_TOKEN in your .env file.");
-  }
-  
-  const cfg = { url: `${GRAPH}${path}`, method, headers: { Authorization: `Bearer ${TOKEN}` } };
-  if (method === "GET") cfg.params = paramsOrBody; else cfg.data = paramsOrBody;
-  
-  try {
-    const { data } = await axios(cfg);
-    return data;
-  } catch (err) {
-    // Provide more helpful error messages
-    if (err.response) {
-      const errorData = err.response.data?.error || {};
-      const errorMsg = errorData.message || err.response.statusText || "Unknown error";
-      const errorCode = errorData.code || err.response.status;
-      
-      if (errorCode === 190 || errorMsg.includes("Invalid OAuth")) {
-        throw new Error("Invalid or expired access token. Please check your META_TOKEN.");
-      } else if (errorCode === 200 || errorMsg.includes("Permission denied")) {
-        throw new Error("Missing permissions. Please grant 'ads_read' and 'ads_management' permissions.");
-      } else if (errorCode === 10 || errorMsg.includes("Permission")) {
-        throw new Error("API access denied. Check your app permissions in Meta for Developers.");
-      } else {
-        throw new Error(`Meta API error (${errorCode}): ${errorMsg}`);
-      }
-    }
-    throw err;
-  }
-};
-
-// Meta Ads API: Upload image to Ad Account
-async function uploadImageToMeta(adAccountId, imageBuffer, name) {
-  try {
-    const form = new FormData();
-    form.append("bytes", imageBuffer, { filename: `${name || "image"}.jpg`, contentType: "image/jpeg" });
-    form.append("name", name || "Generated Image");
-    
-    const response = await axios.post(
-      `${GRAPH}/${adAccountId}/adimages`,
-      form,
-      {
-        headers: {
-          Authorization: `Bearer ${TOKEN}`,
-          ...form.getHeaders()
-        },
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity
-      }
-    );
-    
-    if (response.data?.images && response.data.images.length > 0) {
-      return response.data.images[0].hash; // image_hash for Ad Creative
-    }
-    throw new Error("No image hash returned from Meta");
-  } catch (err) {
-    console.error("[Meta] Error uploading image:", err.response?.data || err.message);
-    throw new Error(`Failed to upload image to Meta: ${err.message}`);
-  }
-}
-
-// Meta Ads API: Upload video to Ad Account
-async function uploadVideoToMeta(adAccountId, videoBuffer, name) {
-  try {
-    const form = new FormData();
-    form.append("source", videoBuffer, { filename: `${name || "video"}.mp4`, contentType: "video/mp4" });
-    form.append("name", name || "Generated Video");
-    
-    const response = await axios.post(
-      `${GRAPH}/${adAccountId}/advideos`,
-      form,
-      {
-        headers: {
-          Authorization: `Bearer ${TOKEN}`,
-          ...form.getHeaders()
-        },
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity,
-        timeout: 120000 // 2 minutes for video upload
-      }
-    );
-    
-    if (response.data?.id) {
-      return response.data.id; // video_id for Ad Creative
-    }
-    throw new Error("No video ID returned from Meta");
-  } catch (err) {
-    console.error("[Meta] Error uploading video:", err.response?.data || err.message);
-    throw new Error(`Failed to upload video to Meta: ${err.message}`);
-  }
-}
-
-// Meta Ads API: Create Ad Creative
-async function createAdCreative(adAccountId, imageHash, headline, text, link, pageId = null) {
-  try {
-    // Get page ID if not provided
-    if (!pageId) {
-      const pages = await fb(`/${adAccountId}`, "GET", { fields: "account_id" });
-      // Try to get a page associated with the account
-      // For now, we'll need PAGE_ID from env or user to provide it
-      pageId = process.env.META_PAGE_ID;
-      if (!pageId) {
-        throw new Error("PAGE_ID required. Set META_PAGE_ID environment variable.");
-      }
-    }
-    
-    const creativeData = {
-      name: headline.substring(0, 50) || "Ad Creative",
-      object_story_spec: {
-        page_id: pageId,
-        link_data: {
-          image_hash: imageHash,
-          link: link || process.env.SHOP_URL || "https://maromcosmetic.com",
-          message: text || headline,
-          name: headline
-        }
-      }
-    };
-    
-    const creative = await fb(`/${adAccountId}/adcreatives`, "POST", creativeData);
-    return creative.id; // creative_id for Ad creation
-  } catch (err) {
-    console.error("[Meta] Error creating ad creative:", err.response?.data || err.message);
-    throw new Error(`Failed to create ad creative: ${err.message}`);
-  }
-}
-
-// Meta Ads API: Create full campaign structure
-async function createCampaignStructure(adAccountId, campaignData) {
-  try {
-    const { name, objective, budget, media, copy, audience, startTime, endTime } = campaignData;
-    
-    // 1. Create Campaign
-    const campaign = await fb(`/${adAccountId}/campaigns`, "POST", {
-      name: name,
-      objective: objective || "CONVERSIONS",
-      status: "PAUSED", // Create paused by default
-      special_ad_categories: []
-    });
-    const campaignId = campaign.id;
-    
-    // 2. Create Ad Set
-    const adSet = await fb(`/${adAccountId}/adsets`, "POST", {
-      name: `${name} - Ad Set`,
-      campaign_id: campaignId,
-      daily_budget: Math.round(budget * 100), // Convert to cents
-      billing_event: "IMPRESSIONS",
-      optimization_goal: objective === "CONVERSIONS" ? "OFFSITE_CONVERSIONS" : "REACH",
-      targeting: audience || {},
-      status: "PAUSED",
-      ...(startTime && { start_time: startTime }),
-      ...(endTime && { end_time: endTime })
-    });
-    const adSetId = adSet.id;
-    
-    // 3. Create Ad Creative (if media provided)
-    let creativeId = null;
-    if (media && media.imageHash) {
-      creativeId = await createAdCreative(
-        adAccountId,
-        media.imageHash,
-        copy?.headline || name,
-        copy?.text || "",
-        media.link || process.env.SHOP_URL || "https://maromcosmetic.com"
-      );
-    }
-    
-    // 4. Create Ad
-    const ad = await fb(`/${adAccountId}/ads`, "POST", {
-      name: `${name} - Ad`,
-      adset_id: adSetId,
-      creative: creativeId ? { creative_id: creativeId } : undefined,
-      status: "PAUSED"
-    });
-    
-    return {
-      campaignId,
-      adSetId,
-      adId: ad.id,
-      creativeId
-    };
-  } catch (err) {
-    console.error("[Meta] Error creating campaign structure:", err.response?.data || err.message);
-    throw new Error(`Failed to create campaign: ${err.message}`);
-  }
-}
-
 // Health
 // Serve campaigns HTML page
 app.get("/campaigns", (req, res) => {
@@ -1206,25 +1225,71 @@ app.get("/webhook/whatsapp", (req, res) => {
   }
 });
 
+// Meta catalog feed for Commerce Manager's scheduled data source (?token= when CATALOG_FEED_TOKEN is set)
+app.get("/feeds/meta-catalog.:format(csv|xml)", async (req, res) => {
+  if (!isFeedTokenValid(req.query.token)) {
+    return res.status(401).send("Invalid feed token");
+  }
+  try {
+    const { items } = await getCatalogFeed();
+    if (req.params.format === "csv") {
+      res.type("text/csv; charset=utf-8").send(feedToCsv(items));
+    } else {
+      const company = loadCompanyContext();
+      res.type("application/xml; charset=utf-8").send(feedToXml(items, {
+        title: `${company.name} product catalog`,
+        link: getWooCommerceStoreUrl() || "",
+        description: company.industry || ""
+      }));
+    }
+  } catch (err) {
+    console.error("[Catalog] Feed error:", err.message);
+    res.status(502).send("Could not build the catalog feed");
+  }
+});
+
+// WooCommerce webhook receiver: order events (and checkout.started from the site)
+// are forwarded to the Meta Conversions API (see conversionsService.js)
+app.post("/webhook/woocommerce", verifyWooCommerceSignature, (req, res) => {
+  const topic = req.headers["x-wc-webhook-topic"];
+  // Save-time pings are answered in verifyWooCommerceSignature; a signed delivery
+  // without a topic has nothing to forward
+  res.status(200).send("OK");
+  if (!topic) return;
+
+  if (topic.startsWith("product.")) {
+    handleProductWebhook(topic, req.body)
+      .then(() => invalidateCatalogFeed())
+      .catch(err => console.error(`[Products] Error handling ${topic}:`, err.message));
+    return;
+  }
+
+  handleWooWebhook(topic, req.body).catch(err => {
+    console.error(`[CAPI] Error handling ${topic}:`, err.message);
+  });
+});
+
 // WhatsApp webhook handler (POST) - receives incoming messages
-app.post("/webhook/whatsapp", async (req, res) => {
+// Signature is checked against WHATSAPP_APP_SECRET (see webhookSecurity.js)
+app.post("/webhook/whatsapp", verifyWhatsAppSignature, async (req, res) => {
   try {
     const body = req.body;
     
-    // Verify webhook signature (optional but recommended for production)
-    // You can add signature verification here using req.headers['x-hub-signature-256']
-    
     if (body.object === "whatsapp_business_account") {
       body.entry?.forEach((entry) => {
         entry.changes?.forEach((change) => {
           if (change.field === "messages") {
             const value = change.value;
             
-            // Handle incoming messages
+            // Handle incoming messages (Meta retries deliveries, so skip IDs we already processed).
+            // Messages are queued and processed after the 200 so Meta isn't kept waiting.
             if (value.messages) {
-              value.messages.forEach(async (message) => {
-                await handleIncomingWhatsAppMessage(message, value.contacts?.[0]);
+              const { fresh, stale } = filterNewMessages(value.messages);
+              fresh.forEach((message) => {
+                enqueueMessage(message, value.contacts?.[0]);
               });
+              // Don't run commands that arrive long after they were sent (e.g. after downtime)
+              sendLateMessageNotices(stale.map(m => m.from));
             }
             
             // Handle status updates (message delivered, read, etc.)
@@ -1250,8 +1315,8 @@ app.post("/webhook/whatsapp", async (req, res) => {
 // Helper: Find entity by name or ID
 async function findEntityByNameOrId(type, query) {
   try {
-    // Get ad accounts
-    const accounts = await fb(`/me/adaccounts`, "GET", { fields: "id,account_id,name" });
+    // Get ad accounts (listings are cached briefly; pausing/resuming clears them)
+    const accounts = await fbCached(`/me/adaccounts`, { fields: "id,account_id,name" });
     
     if (!accounts.data || accounts.data.length === 0) {
       return null;
@@ -1260,7 +1325,7 @@ async function findEntityByNameOrId(type, query) {
     // Search across all accounts
     for (const account of accounts.data) {
       try {
-        const entities = await fb(`/${account.id}/${type}`, "GET", {
+        const entities = await fbCached(`/${account.id}/${type}`, {
           fields: "id,name,status",
           limit: 100
         });
@@ -1289,21 +1354,36 @@ async function findEntityByNameOrId(type, query) {
   }
 }
 
-// Helper: Check if user is admin
-function isAdmin(phoneNumber) {
-  return ADMIN_NUMBERS.length === 0 || ADMIN_NUMBERS.includes(phoneNumber);
+// Helper: Tell a user their role doesn't allow something
+async function sendPermissionDenied(from, permission) {
+  const role = getRole(from);
+  await sendWhatsAppMessage(from, role
+    ? `⚠️ Your role (${role}) doesn't allow this (needs ${permission}). Ask an owner if you need access.`
+    : "⚠️ This number isn't authorized to use the assistant.");
 }
 
 // Helper: Log command execution
-function logCommand(command, from, result) {
-  const log = {
-    timestamp: new Date().toISOString(),
-    command,
-    from,
-    result: result.success ? "success" : "error",
-    error: result.error || null
-  };
-  console.log(`[WhatsApp Command] ${JSON.stringify(log)}`);
+function logCommand(command, from, result, params = []) {
+  const entry = recordAudit({
+    kind: "command",
+    actor: phoneActor(from),
+    action: command,
+    params,
+    outcome: result.error === "Unauthorized" ? "denied" : result.success ? "success" : "error",
+    error: result.error || undefined
+  });
+  console.log(`[WhatsApp Command] ${JSON.stringify({ timestamp: entry.timestamp, command, from, result: entry.outcome, error: entry.error || null })}`);
+}
+
+// Current values of the fields a WooCommerce write is about to change
+// (images/categories reduced to the shape they are written in)
+function currentProductValues(current, payload) {
+  return Object.fromEntries(Object.keys(payload).map(field => {
+    const value = current?.[field];
+    if (field === "images") return [field, (current?.images_full || value || []).map(img => ({ src: img.src }))];
+    if (field === "categories") return [field, (value || []).map(cat => ({ id: cat.id }))];
+    return [field, value ?? null];
+  }));
 }
 
 // Handle incoming WhatsApp message
@@ -1375,14 +1455,6 @@ function updateConversationContext(from, product = null, action = null) {
     ctx.lastAction = action;
   }
   ctx.timestamp = Date.now();
-  
-  // Clean old contexts (older than 30 minutes)
-  const now = Date.now();
-  for (const [phone, context] of conversationContext.entries()) {
-    if (now - context.timestamp > 30 * 60 * 1000) {
-      conversationContext.delete(phone);
-    }
-  }
 }
 
 // Parse natural language product edit requests with improved accuracy
@@ -1530,14 +1602,58 @@ async function parseProductEditRequest(messageText, from = null) {
 
 async function handleIncomingWhatsAppMessage(message, contact) {
   const from = message.from;
-  const messageText = message.text?.body || "";
+  let messageText = message.text?.body || "";
   const messageType = message.type;
   
   console.log(`Received WhatsApp message from ${from}: ${messageText}`);
-  
-  // Only process text messages for now
-  if (messageType !== "text") {
-    await sendWhatsAppMessage(from, "I can only process text messages at the moment.");
+
+  // DEFAULT_USER_ROLE=none ignores numbers that weren't given a role
+  if (!getRole(from)) {
+    console.log(`[Access] Ignoring message from unassigned number ${from}`);
+    return;
+  }
+
+  // One-tap alert follow-ups (pause / ignore buttons)
+  const buttonId = message.interactive?.button_reply?.id;
+  if (messageType === "interactive" && buttonId?.startsWith("alert:")) {
+    const [, action, alertId] = buttonId.split(":");
+    return await executeCommand(from, "/alerts", [action, alertId], false);
+  }
+
+  // Workflow menu replies (buttons and list rows) are handled as if the user typed the value
+  const replyId = buttonId || message.interactive?.list_reply?.id;
+  if (messageType === "interactive" && replyId?.startsWith("wf:")) {
+    const workflow = userWorkflows.get(from);
+    if (!workflow) {
+      await sendWhatsAppMessage(from, "⚠️ That menu has expired. Say 'menu' to start again.");
+      return;
+    }
+    return await handleWorkflowStep(from, replyId.slice(3), workflow);
+  }
+
+  // What to do with an image that was just sent (reference / product photo buttons)
+  if (messageType === "interactive" && buttonId?.startsWith("media:")) {
+    if (buttonId === "media:reference") {
+      return await executeCommand(from, "/compose", ["add"], false);
+    }
+    const caption = getSession(from).pendingImage?.caption || "";
+    return await executeCommand(from, "/photo", caption.split(/\s+/).filter(Boolean), false);
+  }
+
+  if (messageType === "image") {
+    return await handleIncomingImage(from, message.image);
+  }
+
+  if (messageType === "document") {
+    return await handleIncomingDocument(from, message.document);
+  }
+
+  // Voice notes are transcribed and then handled like typed text
+  if (messageType === "audio") {
+    messageText = await transcribeIncomingVoiceNote(from, message.audio);
+    if (!messageText) return;
+  } else if (messageType !== "text") {
+    await sendWhatsAppMessage(from, "I can handle text, voice notes, images and CSV/XLSX files at the moment.");
     return;
   }
   
@@ -1552,6 +1668,28 @@ async function handleIncomingWhatsAppMessage(message, contact) {
     return;
   }
   
+  // "undo" / "undo that" works like /undo, even in the middle of a workflow
+  if (/^(undo|revert)( (that|it|this|last( change)?))?[.!]*$/i.test(messageText.trim())) {
+    return await executeCommand(from, "/undo", [], false);
+  }
+  
+  // Menu-driven workflows (workflows.js): navigation, menu triggers and active steps
+  if (!messageText.startsWith("/") || isWorkflowNavigation(messageText)) {
+    const workflow = userWorkflows.get(from);
+    if (workflow && isWorkflowNavigation(messageText)) {
+      return await handleWorkflowNavigation(from, messageText);
+    }
+    if (isMenuTrigger(messageText)) {
+      return await showMainMenu(from);
+    }
+    if (workflow) {
+      return await handleWorkflowStep(from, messageText, workflow);
+    }
+    if (isShortcut(messageText)) {
+      return await handleShortcut(from, messageText, executeCommand);
+    }
+  }
+  
   // Command router
   if (messageText.startsWith("/")) {
     const parts = messageText.trim().split(/\s+/);
@@ -1615,8 +1753,8 @@ async function handleIncomingWhatsAppMessage(message, contact) {
           return;
         }
         
-        if (!isAdmin(from)) {
-          await sendWhatsAppMessage(from, "⚠️ Product editing requires admin access.");
+        if (!can(from, "products:write")) {
+          await sendPermissionDenied(from, "products:write");
           return;
         }
         
@@ -1649,8 +1787,10 @@ async function handleIncomingWhatsAppMessage(message, contact) {
         });
         
         if (response.status >= 200 && response.status < 300) {
+          recordChange(phoneActor(from), "product.update", { type: "product", id: product.id, name: product.name }, currentProductValues(product, updateData), updateData);
+          
           // Invalidate cache and fetch fresh product
-          productCache = null;
+          invalidateProductCache(product.id);
           const freshProduct = await wooFetch("GET", `/products/${product.id}`);
           
           // Update context with new product name
@@ -1724,6 +1864,143 @@ async function handleIncomingWhatsAppMessage(message, contact) {
   }
 }
 
+// Transcribe a voice note with OpenAI and echo what was heard
+async function transcribeIncomingVoiceNote(from, audio) {
+  try {
+    const { buffer, mimeType } = await downloadWhatsAppMedia(audio.id);
+    
+    // WhatsApp voice notes are OGG/Opus; AMR/AAC are not supported by the transcription API
+    const extension = mimeType.includes("ogg") ? "ogg"
+      : mimeType.includes("mpeg") ? "mp3"
+      : mimeType.includes("mp4") ? "m4a"
+      : null;
+    if (!extension) {
+      await sendWhatsAppMessage(from, `⚠️ I can't transcribe ${mimeType} audio. Please record a WhatsApp voice note instead.`);
+      return "";
+    }
+    
+    const transcription = await openai.audio.transcriptions.create({
+      file: await toFile(buffer, `voice.${extension}`, { type: mimeType }),
+      model: process.env.OPENAI_TRANSCRIBE_MODEL || "whisper-1"
+    });
+    const text = (transcription.text || "").trim();
+    
+    if (!text) {
+      await sendWhatsAppMessage(from, "⚠️ I couldn't hear anything in that voice note. Please try again.");
+      return "";
+    }
+    
+    console.log(`[Voice] Transcribed voice note from ${from}: ${text}`);
+    await sendWhatsAppMessage(from, `🎙️ _"${text}"_`);
+    return text;
+  } catch (err) {
+    console.error("[Voice] Transcription error:", err.response?.data || err.message);
+    await sendWhatsAppMessage(from, "⚠️ Couldn't transcribe that voice note. Please type your message instead.");
+    return "";
+  }
+}
+
+// Images from admins can be used as generation references or product photos
+async function handleIncomingImage(from, image) {
+  // Images are used as generation references or product photos
+  if (!can(from, "media:generate") && !can(from, "products:write")) {
+    await sendPermissionDenied(from, "media:generate");
+    return;
+  }
+  
+  // A manage products workflow waiting for a gallery photo takes it first
+  if (await handleWorkflowImage(from, image)) return;
+  
+  const session = getSession(from);
+  session.pendingImage = {
+    mediaId: image.id,
+    mimeType: image.mime_type || "image/jpeg",
+    caption: (image.caption || "").trim(),
+    receivedAt: Date.now()
+  };
+  
+  const target = session.pendingImage.caption ? `"${session.pendingImage.caption}"` : "a WooCommerce product";
+  const text =
+    `📷 Got your image. What should I do with it?\n\n` +
+    `🎨 *Reference* - use it with /compose <prompt> to generate new images\n` +
+    `🛒 *Product photo* - add it to ${target}`;
+  
+  try {
+    await sendWhatsAppButtons(from, text, [
+      { id: "media:reference", title: "🎨 Reference" },
+      { id: "media:product", title: "🛒 Product photo" }
+    ]);
+  } catch (err) {
+    await sendWhatsAppMessage(from, `${text}\n\nReply /compose add or /photo <product>.`);
+  }
+}
+
+// CSV/XLSX files from admins are parsed as a bulk product or audience import
+async function handleIncomingDocument(from, document) {
+  if (!can(from, "products:write") && !can(from, "audiences:write")) {
+    await sendPermissionDenied(from, "products:write");
+    return;
+  }
+  
+  const filename = document.filename || "upload";
+  if (!/\.(csv|xlsx)$/i.test(filename) && !/csv|spreadsheetml/.test(document.mime_type || "")) {
+    await sendWhatsAppMessage(from, "⚠️ I can import .csv or .xlsx files with products or audiences.");
+    return;
+  }
+  
+  try {
+    await sendWhatsAppMessage(from, "📄 Reading your file...");
+    const { buffer, mimeType } = await downloadWhatsAppMedia(document.id);
+    const { headers, records } = await parseSpreadsheet(buffer, { mimeType, filename });
+    
+    // A caption ("products" / "audiences") overrides header detection
+    const caption = (document.caption || "").toLowerCase();
+    const type = caption.includes("audience") ? "audiences"
+      : caption.includes("product") ? "products"
+      : detectImportType(headers);
+    if (!type) {
+      await sendWhatsAppMessage(from, "⚠️ I couldn't tell whether this file has products or audiences.\n\nSend it again with the caption \"products\" or \"audiences\".");
+      return;
+    }
+    const importPermission = permissionForCommand("/import", [type]);
+    if (!can(from, importPermission)) {
+      await sendPermissionDenied(from, importPermission);
+      return;
+    }
+    
+    const { items, errors } = type === "products" ? mapProductRecords(records) : mapAudienceRecords(records);
+    if (items.length === 0) {
+      await sendWhatsAppMessage(from, `❌ No valid rows found in ${filename}.\n\n${errors.slice(0, 5).join("\n")}`);
+      return;
+    }
+    
+    pendingImports.set(from, { type, items, filename });
+    pendingConfirmations.set(from, { command: "/import", params: [type], timestamp: Date.now() });
+    
+    const label = type === "products" ? "product" : "audience";
+    let msg = `📄 *${filename}*\n\nFound ${items.length} ${label}${items.length === 1 ? "" : "s"} to import:\n`;
+    items.slice(0, 5).forEach(item => {
+      msg += `• ${item.name}${item.regular_price ? ` - $${item.regular_price}` : ""}\n`;
+    });
+    if (items.length > 5) {
+      msg += `...and ${items.length - 5} more\n`;
+    }
+    if (type === "products") {
+      msg += `\nProducts are created as drafts unless the file has a status column.\n`;
+    }
+    if (errors.length > 0) {
+      msg += `\n⚠️ ${errors.length} row${errors.length === 1 ? "" : "s"} will be skipped:\n${errors.slice(0, 5).join("\n")}\n`;
+      if (errors.length > 5) msg += `...and ${errors.length - 5} more\n`;
+    }
+    msg += `\n⚠️ Type YES to confirm the import.`;
+    
+    await sendWhatsAppMessage(from, msg);
+  } catch (err) {
+    console.error("[Import] Error reading file:", err.message);
+    await sendWhatsAppMessage(from, `❌ Couldn't read that file: ${err.message}`);
+  }
+}
+
 // Handle natural language queries with real data integration
 async function handleNaturalLanguageChat(from, messageText) {
   try {
@@ -2363,11 +2640,11 @@ async function executeCommand(from, command, params, confirmed = false) {
   const result = { success: false, error: null };
   
   try {
-    // Check admin access for control commands
-    const controlCommands = ["/pause", "/resume", "/budget", "/createad"];
-    if (controlCommands.includes(command) && !isAdmin(from)) {
-      await sendWhatsAppMessage(from, "⚠️ This command requires admin access.");
-      logCommand(command, from, { success: false, error: "Unauthorized" });
+    // Check the user's role against the command's permission (see accessControl.js)
+    const permission = permissionForCommand(command, params);
+    if (!can(from, permission)) {
+      await sendPermissionDenied(from, permission);
+      logCommand(command, from, { success: false, error: "Unauthorized" }, params);
       return;
     }
     
@@ -2379,7 +2656,7 @@ async function executeCommand(from, command, params, confirmed = false) {
         
       case "/stats":
         result.success = true;
-        await handleStats(from, params[0] || "7d");
+        await handleStats(from, params.join(" ") || "7d");
         break;
         
       case "/campaigns":
@@ -2413,13 +2690,8 @@ async function executeCommand(from, command, params, confirmed = false) {
         break;
         
       case "/budget":
-        if (!confirmed) {
-          pendingConfirmations.set(from, { command, params, timestamp: Date.now() });
-          await sendWhatsAppMessage(from, `⚠️ Type YES to confirm budget change: ${params.join(" ")}`);
-          return;
-        }
         result.success = true;
-        await handleBudget(from, params);
+        await handleBudget(from, params, confirmed);
         break;
         
       case "/ideas":
@@ -2452,9 +2724,29 @@ async function executeCommand(from, command, params, confirmed = false) {
         await handleReport(from, params);
         break;
         
+      case "/users":
+        result.success = true;
+        await handleUsers(from, params);
+        break;
+        
+      case "/history":
+        result.success = true;
+        await handleHistory(from, params);
+        break;
+        
+      case "/undo":
+        result.success = true;
+        await handleUndo(from, params, confirmed);
+        break;
+        
       case "/alerts":
         result.success = true;
-        await handleAlerts(from, params[0]);
+        await handleAlerts(from, params);
+        break;
+        
+      case "/optimizer":
+        result.success = true;
+        await handleOptimizer(from, params, confirmed);
         break;
         
       case "/products":
@@ -2507,13 +2799,8 @@ async function executeCommand(from, command, params, confirmed = false) {
         break;
         
       case "/images":
-        if (!isAdmin(from) && ADMIN_NUMBERS.length > 0) {
-          await sendWhatsAppMessage(from, "⚠️ This command requires admin access.");
-          result.error = "Unauthorized";
-        } else {
-          result.success = true;
-          await handleImages(from, params);
-        }
+        result.success = true;
+        await handleImages(from, params);
         break;
         
       case "/last":
@@ -2522,13 +2809,28 @@ async function executeCommand(from, command, params, confirmed = false) {
         break;
         
       case "/redo":
-        if (!isAdmin(from) && ADMIN_NUMBERS.length > 0) {
-          await sendWhatsAppMessage(from, "⚠️ This command requires admin access.");
-          result.error = "Unauthorized";
-        } else {
-          result.success = true;
-          await handleRedo(from);
+        result.success = true;
+        await handleRedo(from);
+        break;
+        
+      case "/compose":
+        result.success = true;
+        await handleCompose(from, params);
+        break;
+        
+      case "/photo":
+        result.success = true;
+        await handleProductPhoto(from, params);
+        break;
+        
+      case "/import":
+        // Only reachable by confirming an uploaded CSV/XLSX file
+        if (!confirmed) {
+          await sendWhatsAppMessage(from, "📎 Send a CSV or XLSX file to import products or audiences.");
+          return;
         }
+        result.success = true;
+        await handleImport(from);
         break;
         
       default:
@@ -2537,10 +2839,12 @@ async function executeCommand(from, command, params, confirmed = false) {
     }
   } catch (err) {
     result.error = err.message;
-    await sendWhatsAppMessage(from, `⚠️ Couldn't complete action: ${err.message}`);
+    // The command may have changed data already, so a failed reply mustn't fail the message
+    await sendWhatsAppMessage(from, `⚠️ Couldn't complete action: ${err.message}`)
+      .catch(sendErr => console.error(`[WhatsApp] Could not send the error reply to ${from}:`, sendErr.message));
   }
   
-  logCommand(command, from, result);
+  logCommand(command, from, result, params);
 }
 
 // Command handlers
@@ -2657,59 +2961,144 @@ async function handleStats(from, period) {
       return;
     }
     
-    const accounts = await fb(`/me/adaccounts`, "GET", { fields: "id,account_id,name" });
-    
-    if (!accounts.data || accounts.data.length === 0) {
-      await sendWhatsAppMessage(from, 
+    // today, 7d, 30d, any "Nd", a Meta preset (last_month) or a date range
+    const range = parseDateRange(period);
+    if (!range) {
+      await sendWhatsAppMessage(from,
+        `⚠️ Unknown period: ${period}\n\n` +
+        "Examples: /stats today, /stats 14d, /stats last_month, /stats 2026-01-01 2026-01-31"
+      );
+      return;
+    }
+
+    const totals = await getAccountTotals(range.datePreset || range.timeRange);
+
+    if (totals.accountCount === 0) {
+      await sendWhatsAppMessage(from,
         "📊 No ad accounts found.\n\n" +
         "Use /test api to check access.\n" +
         "You may need to create an ad account or grant permissions."
       );
       return;
     }
-    
-    let datePreset = "last_7d";
-    if (period === "today") datePreset = "today";
-    else if (period === "30d") datePreset = "last_30d";
-    
-    let totalSpend = 0, totalImpressions = 0, totalClicks = 0;
-    
-    for (const account of accounts.data) {
-      try {
-        const insights = await fb(`/${account.id}/insights`, "GET", {
-          date_preset: datePreset,
-          fields: "spend,impressions,clicks,ctr,cpc,cpm"
-        });
-        
-        if (insights.data && insights.data[0]) {
-          const d = insights.data[0];
-          totalSpend += parseFloat(d.spend || 0);
-          totalImpressions += parseInt(d.impressions || 0);
-          totalClicks += parseInt(d.clicks || 0);
-        }
-      } catch (e) {
-        continue;
-      }
+
+    let msg =
+      `📊 Stats (${describeDateRange(range)})\n` +
+      `💰 Spend: $${totals.spend.toFixed(2)}\n` +
+      `👁️ Impressions: ${totals.impressions.toLocaleString()}\n` +
+      `🖱️ Clicks: ${totals.clicks.toLocaleString()}\n` +
+      `📈 CTR: ${totals.ctr.toFixed(2)}%\n` +
+      `💵 CPC: $${totals.cpc.toFixed(2)}\n` +
+      `📊 CPM: $${totals.cpm.toFixed(2)}`;
+
+    // Backend-measured revenue from WooCommerce orders (when they're being synced)
+    const attribution = await getStoreAttribution({ period });
+    if (attribution) {
+      const { store, meta } = attribution;
+      msg +=
+        `\n\n🛒 Store (WooCommerce)\n` +
+        `Orders: ${store.orders} · Revenue: $${store.revenue.toFixed(2)}\n` +
+        `AOV: ${store.aov !== null ? `$${store.aov.toFixed(2)}` : "-"} · New/returning: ${store.newOrders}/${store.returningOrders}\n` +
+        `🎯 From Meta ads: ${meta.orders} orders, $${meta.revenue.toFixed(2)}\n` +
+        `ROAS: ${formatRoas(meta.roas)} measured · ${formatRoas(meta.pixelRoas)} pixel`;
     }
-    
-    const ctr = totalImpressions > 0 ? ((totalClicks / totalImpressions) * 100).toFixed(2) : "0.00";
-    const cpc = totalClicks > 0 ? (totalSpend / totalClicks).toFixed(2) : "0.00";
-    const cpm = totalImpressions > 0 ? ((totalSpend / totalImpressions) * 1000).toFixed(2) : "0.00";
-    
-    await sendWhatsAppMessage(from, 
-      `📊 Stats (${period})\n` +
-      `💰 Spend: $${totalSpend.toFixed(2)}\n` +
-      `👁️ Impressions: ${totalImpressions.toLocaleString()}\n` +
-      `🖱️ Clicks: ${totalClicks.toLocaleString()}\n` +
-      `📈 CTR: ${ctr}%\n` +
-      `💵 CPC: $${cpc}\n` +
-      `📊 CPM: $${cpm}`
-    );
+
+    await sendWhatsAppMessage(from, msg);
   } catch (err) {
     throw new Error("Failed to fetch stats: " + err.message);
   }
 }
 
+// Attribution report for /stats and /best, or null when no orders have been synced
+// (errors are logged, so the Meta numbers are still sent)
+async function getStoreAttribution(options) {
+  if (!getOrderSyncStatus().syncedAt) return null;
+  try {
+    const report = await getAttributionReport(options);
+    return report.errors ? null : report;
+  } catch (err) {
+    console.error("[Orders] Attribution error:", err.message);
+    return null;
+  }
+}
+
+function formatRoas(roas) {
+  return roas !== null && roas !== undefined ? `${roas.toFixed(2)}x` : "-";
+}
+
+// Aggregate spend/impressions/clicks across all ad accounts (shared by /stats and scheduled reports)
+// period: a Meta date preset ("last_7d") or { since, until }
+async function getAccountTotals(period) {
+  const accounts = await fbCached(`/me/adaccounts`, { fields: "id,account_id,name" });
+  const accountList = accounts.data || [];
+
+  let spend = 0, impressions = 0, clicks = 0;
+
+  // One batch call for every account's insights
+  const results = await fbBatch(accountList.map(account => ({
+    path: `/${account.id}/insights`,
+    params: {
+      ...(typeof period === "string" ? { date_preset: period } : { time_range: JSON.stringify(period) }),
+      fields: "spend,impressions,clicks,ctr,cpc,cpm"
+    }
+  })));
+
+  for (const { data: insights } of results) {
+    if (insights?.data && insights.data[0]) {
+      const d = insights.data[0];
+      spend += parseFloat(d.spend || 0);
+      impressions += parseInt(d.impressions || 0);
+      clicks += parseInt(d.clicks || 0);
+    }
+  }
+
+  return {
+    accountCount: accountList.length,
+    spend,
+    impressions,
+    clicks,
+    ctr: impressions > 0 ? (clicks / impressions) * 100 : 0,
+    cpc: clicks > 0 ? spend / clicks : 0,
+    cpm: impressions > 0 ? (spend / impressions) * 1000 : 0
+  };
+}
+
+// Per-campaign CTR/spend/clicks across all ad accounts (shared by /best and scheduled reports)
+// period: a Meta date preset ("last_7d") or { since, until }
+async function getCampaignPerformance(period) {
+  const accounts = await fbCached(`/me/adaccounts`, { fields: "id" });
+  const performance = [];
+
+  // Campaigns with their insights expanded inline, every account in one batch call
+  const results = await fbBatch((accounts.data || []).map(account => ({
+    path: `/${account.id}/campaigns`,
+    params: {
+      fields: `id,name,insights.${typeof period === "string" ? `date_preset(${period})` : `time_range(${JSON.stringify(period)})`}{ctr,spend,clicks}`,
+      limit: 100
+    }
+  })));
+
+  for (const { data: campaigns } of results) {
+    for (const campaign of campaigns?.data || []) {
+      const insights = campaign.insights?.data?.[0];
+      if (!insights) continue;
+
+      const spend = parseFloat(insights.spend || 0);
+      const clicks = parseInt(insights.clicks || 0);
+      performance.push({
+        id: campaign.id,
+        name: campaign.name,
+        ctr: parseFloat(insights.ctr || 0),
+        spend,
+        clicks,
+        cpc: clicks > 0 ? spend / clicks : 0
+      });
+    }
+  }
+
+  return performance;
+}
+
 async function handleCampaigns(from, filter) {
   try {
     if (!TOKEN) {
@@ -2721,7 +3110,7 @@ async function handleCampaigns(from, filter) {
       return;
     }
     
-    const accounts = await fb(`/me/adaccounts`, "GET", { fields: "id" });
+    const accounts = await fbCached(`/me/adaccounts`, { fields: "id" });
     
     if (!accounts.data || accounts.data.length === 0) {
       await sendWhatsAppMessage(from, 
@@ -2735,7 +3124,7 @@ async function handleCampaigns(from, filter) {
     const campaigns = [];
     for (const account of accounts.data) {
       try {
-        const result = await fb(`/${account.id}/campaigns`, "GET", {
+        const result = await fbCached(`/${account.id}/campaigns`, {
           fields: "id,name,status",
           limit: 50
         });
@@ -2778,7 +3167,7 @@ async function handleBest(from) {
       return;
     }
     
-    const accounts = await fb(`/me/adaccounts`, "GET", { fields: "id" });
+    const accounts = await fbCached(`/me/adaccounts`, { fields: "id" });
     
     if (!accounts.data || accounts.data.length === 0) {
       await sendWhatsAppMessage(from, 
@@ -2789,40 +3178,8 @@ async function handleBest(from) {
       return;
     }
     
-    const topCampaigns = [];
-    
-    for (const account of accounts.data || []) {
-      try {
-        const campaigns = await fb(`/${account.id}/campaigns`, "GET", {
-          fields: "id,name",
-          limit: 50
-        });
-        
-        for (const campaign of campaigns.data || []) {
-          try {
-            const insights = await fb(`/${campaign.id}/insights`, "GET", {
-              date_preset: "last_7d",
-              fields: "ctr,spend,clicks"
-            });
-            
-            if (insights.data && insights.data[0]) {
-              const ctr = parseFloat(insights.data[0].ctr || 0);
-              topCampaigns.push({
-                name: campaign.name,
-                ctr,
-                spend: parseFloat(insights.data[0].spend || 0),
-                clicks: parseInt(insights.data[0].clicks || 0)
-              });
-            }
-          } catch (e) {
-            continue;
-          }
-        }
-      } catch (e) {
-        continue;
-      }
-    }
-    
+    const topCampaigns = await getCampaignPerformance("last_7d");
+
     topCampaigns.sort((a, b) => b.ctr - a.ctr);
     const top3 = topCampaigns.slice(0, 3);
     
@@ -2831,9 +3188,18 @@ async function handleBest(from) {
       return;
     }
     
+    const attribution = await getStoreAttribution({ period: "7d" });
+    const storeByCampaign = new Map((attribution?.campaigns || []).map(c => [c.campaignId, c]));
+
     let msg = "🏆 Top 3 Campaigns:\n";
     top3.forEach((c, i) => {
       msg += `\n${i + 1}. ${c.name}\nCTR: ${c.ctr.toFixed(2)}%\nSpend: $${c.spend.toFixed(2)}`;
+      const store = storeByCampaign.get(c.id);
+      if (attribution) {
+        msg += store?.orders
+          ? `\nStore: ${store.orders} orders, $${store.revenue.toFixed(2)} (ROAS ${formatRoas(store.roas)}, AOV $${store.aov.toFixed(2)})`
+          : "\nStore: no attributed orders";
+      }
     });
     
     await sendWhatsAppMessage(from, msg);
@@ -2851,6 +3217,7 @@ async function handlePause(from, query) {
     }
     
     await fb(`/${result.entity.id}`, "POST", { status: "PAUSED" });
+    recordChange(phoneActor(from), "campaign.pause", { type: "campaign", id: result.entity.id, name: result.entity.name }, result.entity, { status: "PAUSED" });
     await sendWhatsAppMessage(from, `🛑 Paused: ${result.entity.name}`);
   } catch (err) {
     throw new Error("Failed to pause: " + err.message);
@@ -2866,45 +3233,48 @@ async function handleResume(from, query) {
     }
     
     await fb(`/${result.entity.id}`, "POST", { status: "ACTIVE" });
+    recordChange(phoneActor(from), "campaign.resume", { type: "campaign", id: result.entity.id, name: result.entity.name }, result.entity, { status: "ACTIVE" });
     await sendWhatsAppMessage(from, `✅ Resumed: ${result.entity.name}`);
   } catch (err) {
     throw new Error("Failed to resume: " + err.message);
   }
 }
 
-async function handleBudget(from, params) {
+// /budget <campaign> [| <ad set>] <amount>[/day|/lifetime] or <+/-N%>
+// Shows the old → new budgets and asks for YES; the plan is recomputed on confirm
+async function handleBudget(from, params, confirmed) {
+  const request = parseBudgetCommand(params.join(" "));
+  if (!request) {
+    await sendWhatsAppMessage(from,
+      "⚠️ Usage: /budget <campaign> [| <ad set>] <amount>\n" +
+      "Examples:\n/budget Summer Sale 50/day\n/budget Summer Sale | Lookalike 30\n/budget Summer Sale 500 lifetime\n/budget Summer Sale +20%");
+    return;
+  }
+
+  let plan;
   try {
-    if (params.length < 2) {
-      await sendWhatsAppMessage(from, "⚠️ Usage: /budget <name|id> <amount>/day");
-      return;
-    }
-    
-    const query = params[0];
-    const amountStr = params[1].replace("/day", "").trim();
-    const amount = parseFloat(amountStr) * 100; // Convert to cents
-    
-    const result = await findEntityByNameOrId("campaigns", query);
-    if (!result) {
-      await sendWhatsAppMessage(from, `⚠️ Campaign not found: ${query}`);
-      return;
-    }
-    
-    // Get ad sets for the campaign
-    const adsets = await fb(`/${result.entity.id}/adsets`, "GET", {
-      fields: "id,name,daily_budget",
-      limit: 1
-    });
-    
-    if (!adsets.data || adsets.data.length === 0) {
-      await sendWhatsAppMessage(from, "⚠️ No adsets found for this campaign.");
-      return;
-    }
-    
-    await fb(`/${adsets.data[0].id}`, "POST", { daily_budget: amount });
-    await sendWhatsAppMessage(from, `✅ Budget updated: $${amountStr}/day for ${result.entity.name}`);
+    plan = await planBudgetChange(request);
   } catch (err) {
-    throw new Error("Failed to update budget: " + err.message);
+    await sendWhatsAppMessage(from, `⚠️ ${err.response?.data?.error?.message || err.message}`);
+    return;
+  }
+
+  if (!confirmed) {
+    pendingConfirmations.set(from, { command: "/budget", params, timestamp: Date.now() });
+    await sendWhatsAppMessage(from, `💰 Budget change:\n${describeBudgetPlan(plan)}\n\n⚠️ Type YES to confirm`);
+    return;
+  }
+
+  const results = await applyBudgetPlan(plan, phoneActor(from));
+  const failed = results.filter(r => !r.success);
+  if (failed.length === results.length) {
+    throw new Error("Failed to update budget: " + failed[0].error);
+  }
+  let msg = `✅ Budget updated:\n${describeBudgetPlan({ ...plan, items: results.filter(r => r.success) })}`;
+  if (failed.length > 0) {
+    msg += `\n\n⚠️ Not updated:\n${failed.map(r => `• ${r.name}: ${r.error}`).join("\n")}`;
   }
+  await sendWhatsAppMessage(from, msg);
 }
 
 async function handleIdeas(from, product) {
@@ -3147,13 +3517,419 @@ async function handleProfile(from, params) {
 }
 
 async function handleReport(from, params) {
-  const schedule = params[1] || "09:00";
-  await sendWhatsAppMessage(from, `📅 Daily report scheduled for ${schedule} (placeholder)`);
+  const action = params[0]?.toLowerCase();
+  const usage = "⚠️ Usage:\n/report daily HH:mm\n/report weekly <mon-sun> HH:mm\n/report list\n/report now [daily|weekly]\n/report off [daily|weekly]";
+
+  if (action === "daily") {
+    const time = parseReportTime(params[1] || "09:00");
+    if (!time) {
+      await sendWhatsAppMessage(from, "⚠️ Invalid time. Use 24h format, e.g. /report daily 09:00");
+      return;
+    }
+    const schedule = addSchedule(from, { frequency: "daily", time });
+    await sendWhatsAppMessage(from, `📅 Report scheduled: ${describeSchedule(schedule)}\n\nCovers yesterday's spend, CTR, CPC, top/bottom campaigns and WooCommerce orders.`);
+  } else if (action === "weekly") {
+    const weekday = parseWeekday(params[1] || "mon");
+    const time = parseReportTime(params[2] || "08:00");
+    if (weekday === null || !time) {
+      await sendWhatsAppMessage(from, "⚠️ Invalid schedule. Example: /report weekly mon 08:00");
+      return;
+    }
+    const schedule = addSchedule(from, { frequency: "weekly", weekday, time });
+    await sendWhatsAppMessage(from, `📅 Report scheduled: ${describeSchedule(schedule)}\n\nCovers the last 7 days.`);
+  } else if (action === "list") {
+    const schedules = listSchedules(from);
+    if (schedules.length === 0) {
+      await sendWhatsAppMessage(from, "📅 No reports scheduled.\n\nTry /report daily 09:00");
+      return;
+    }
+    let msg = `📅 Scheduled reports (${schedules.length}):\n`;
+    schedules.forEach(s => {
+      msg += `\n• ${describeSchedule(s)}${s.lastSentAt ? `\n  Last sent: ${new Date(s.lastSentAt).toLocaleString()}` : ""}`;
+    });
+    await sendWhatsAppMessage(from, msg);
+  } else if (action === "off") {
+    const frequency = ["daily", "weekly"].includes(params[1]?.toLowerCase()) ? params[1].toLowerCase() : null;
+    const removed = removeSchedules(from, frequency);
+    await sendWhatsAppMessage(from, removed > 0
+      ? `🔕 Stopped ${removed} scheduled report${removed === 1 ? "" : "s"}.`
+      : "📅 No reports to stop.");
+  } else if (action === "now") {
+    if (!TOKEN) {
+      await sendWhatsAppMessage(from, "❌ META_TOKEN not configured.\n\nUse /test api to diagnose.");
+      return;
+    }
+    const frequency = params[1]?.toLowerCase() === "weekly" ? "weekly" : "daily";
+    await sendWhatsAppMessage(from, await buildReportDigest(frequency));
+  } else {
+    await sendWhatsAppMessage(from, usage);
+  }
+}
+
+async function handleAlerts(from, params) {
+  const action = params[0]?.toLowerCase();
+
+  if (action === "on" || action === "off") {
+    setAlertSubscription(from, action === "on");
+    const ruleCount = listAlertRules().filter(r => r.enabled).length;
+    await sendWhatsAppMessage(from, action === "on"
+      ? `🔔 Alerts enabled. ${ruleCount} active rule${ruleCount === 1 ? "" : "s"}.${ruleCount === 0 ? "\n\nAdd one with /alerts add cpc > 1.20 6h" : ""}`
+      : "🔕 Alerts disabled.");
+  } else if (action === "add") {
+    const ruleText = params.slice(1).join(" ");
+    const definition = parseAlertRule(ruleText);
+    if (!definition) {
+      await sendWhatsAppMessage(from,
+        "⚠️ Couldn't understand that rule. Examples:\n\n" +
+        "/alerts add cpc > 1.20 6h\n" +
+        "/alerts add spend > 120% budget\n" +
+        "/alerts add ctr drop 40% 7d\n" +
+        "/alerts add disapproved"
+      );
+      return;
+    }
+    const rule = addAlertRule(definition, from);
+    setAlertSubscription(from, true);
+    await sendWhatsAppMessage(from, `✅ Alert rule added (${rule.id}):\n${describeRule(rule)}\n\nYou're subscribed to alerts. Use /alerts off to stop.`);
+  } else if (action === "list") {
+    const rules = listAlertRules();
+    if (rules.length === 0) {
+      await sendWhatsAppMessage(from, "🔔 No alert rules yet.\n\nTry /alerts add cpc > 1.20 6h");
+      return;
+    }
+    let msg = `🔔 Alert rules (${rules.length}):\n`;
+    rules.forEach(r => {
+      msg += `\n${r.enabled ? "✅" : "⏸️"} ${r.id}: ${describeRule(r)}`;
+    });
+    msg += `\n\nYou are ${isAlertSubscriber(from) ? "subscribed" : "not subscribed"} (/alerts on|off)`;
+    await sendWhatsAppMessage(from, msg);
+  } else if (action === "remove") {
+    const removed = params[1] && removeAlertRule(params[1]);
+    await sendWhatsAppMessage(from, removed ? `🗑️ Removed rule ${params[1]}` : "⚠️ Usage: /alerts remove <rule id> (see /alerts list)");
+  } else if (action === "check") {
+    await sendWhatsAppMessage(from, "🔍 Checking alert rules...");
+    const raised = await checkAlerts();
+    if (raised.length === 0) {
+      await sendWhatsAppMessage(from, "✅ No new alerts.");
+    }
+  } else if (action === "pause") {
+    const alert = params[1] && await pauseAlertEntity(params[1]);
+    if (alert) {
+      recordChange(phoneActor(from), `${alert.entityType}.pause`, { type: alert.entityType, id: alert.entityId, name: alert.entityName }, { status: alert.previousStatus }, { status: "PAUSED" });
+    }
+    await sendWhatsAppMessage(from, alert ? `🛑 Paused: ${alert.entityName}` : "⚠️ Alert not found.");
+  } else if (action === "ignore") {
+    const alert = params[1] && ignoreAlert(params[1]);
+    await sendWhatsAppMessage(from, alert ? `🙈 Ignoring "${alert.ruleDescription}" for ${alert.entityName} for 24h.` : "⚠️ Alert not found.");
+  } else {
+    await sendWhatsAppMessage(from, "⚠️ Usage: /alerts on|off|add|list|remove|check");
+  }
+}
+
+// "/optimizer" shows rules and mode; add/remove/enable/disable manage rules,
+// "mode live" (asks for YES) lets the optimizer change campaigns, "run [dry]" evaluates now
+async function handleOptimizer(from, params, confirmed) {
+  const action = params[0]?.toLowerCase() || "list";
+  const examples =
+    "/optimizer add pause ads with cpa > 15 after $30 spend\n" +
+    "/optimizer add raise budget 15% when roas > 3 for 3 days\n" +
+    "/optimizer add lower ad set budget 20% when cpa > 25 over 5 days";
+
+  if (action === "list" || action === "status") {
+    const rules = listOptimizerRules();
+    const status = getOptimizerStatus();
+    let msg = `🤖 *Optimizer* (${status.mode === "live" ? "🟢 live" : "🧪 dry run"})\n` +
+      `Actions today: ${status.actionsToday}/${status.maxActionsPerDay}\n`;
+    if (rules.length === 0) {
+      msg += `\nNo rules yet. Examples:\n${examples}`;
+    } else {
+      rules.forEach(r => {
+        msg += `\n${r.enabled ? "✅" : "⏸️"} ${r.id}: ${describeOptimizerRule(r)}`;
+      });
+    }
+    msg += `\n\nYou are ${isOptimizerSubscriber(from) ? "subscribed" : "not subscribed"} to reports (/optimizer on|off)`;
+    await sendWhatsAppMessage(from, msg);
+  } else if (action === "on" || action === "off") {
+    setOptimizerSubscription(from, action === "on");
+    await sendWhatsAppMessage(from, action === "on" ? "🤖 You'll get optimizer reports." : "🔕 Optimizer reports disabled.");
+  } else if (action === "add") {
+    const definition = parseOptimizerRule(params.slice(1).join(" "));
+    if (!definition) {
+      await sendWhatsAppMessage(from, `⚠️ Couldn't understand that rule. Examples:\n\n${examples}`);
+      return;
+    }
+    let rule;
+    try {
+      rule = addOptimizerRule(definition, from);
+    } catch (err) {
+      await sendWhatsAppMessage(from, `⚠️ ${err.message}`);
+      return;
+    }
+    setOptimizerSubscription(from, true);
+    const mode = getOptimizerMode();
+    await sendWhatsAppMessage(from,
+      `✅ Optimizer rule added (${rule.id}):\n${describeOptimizerRule(rule)}\n\n` +
+      (mode === "live" ? "🟢 The optimizer is live and will apply it." : "🧪 Dry run: you'll get reports of what it would do. /optimizer mode live to apply changes."));
+  } else if (action === "remove") {
+    const removed = params[1] && removeOptimizerRule(params[1]);
+    await sendWhatsAppMessage(from, removed ? `🗑️ Removed rule ${params[1]}` : "⚠️ Usage: /optimizer remove <rule id> (see /optimizer)");
+  } else if (action === "enable" || action === "disable") {
+    const rule = params[1] && setOptimizerRuleEnabled(params[1], action === "enable");
+    await sendWhatsAppMessage(from, rule ? `${rule.enabled ? "✅ Enabled" : "⏸️ Disabled"} ${rule.id}: ${describeOptimizerRule(rule)}` : `⚠️ Usage: /optimizer ${action} <rule id>`);
+  } else if (action === "mode") {
+    const mode = params[1]?.toLowerCase().replace(/^dry$|^dryrun$/, "dry-run");
+    if (!["dry-run", "live"].includes(mode)) {
+      await sendWhatsAppMessage(from, "⚠️ Usage: /optimizer mode dry-run|live");
+      return;
+    }
+    if (mode === "live" && !confirmed) {
+      pendingConfirmations.set(from, { command: "/optimizer", params, timestamp: Date.now() });
+      await sendWhatsAppMessage(from, "⚠️ In live mode the optimizer pauses ads and changes budgets on its own. Type YES to confirm.");
+      return;
+    }
+    setOptimizerMode(mode);
+    await sendWhatsAppMessage(from, mode === "live" ? "🟢 Optimizer is live." : "🧪 Optimizer is in dry-run mode.");
+  } else if (action === "run") {
+    const dryRun = params[1]?.toLowerCase().startsWith("dry") ? true : null;
+    await sendWhatsAppMessage(from, "🔍 Evaluating optimizer rules...");
+    const { actions, skipped } = await runOptimizer({ dryRun });
+    // Subscribers get the full report from runOptimizer
+    if (actions.length === 0 && skipped.length === 0) {
+      await sendWhatsAppMessage(from, "✅ No rule matched.");
+    } else if (!isOptimizerSubscriber(from)) {
+      await sendWhatsAppMessage(from, `🤖 ${actions.length} action(s), ${skipped.length} skipped. See /optimizer log`);
+    }
+  } else if (action === "log") {
+    const actions = listOptimizerActions(10);
+    if (actions.length === 0) {
+      await sendWhatsAppMessage(from, "🤖 The optimizer hasn't acted yet.");
+      return;
+    }
+    let msg = "🤖 *Recent optimizer actions*\n";
+    actions.forEach(a => {
+      const icon = a.outcome === "applied" ? "✅" : a.outcome === "failed" ? "❌" : "🧪";
+      const when = new Date(a.createdAt).toLocaleString("en-GB", { day: "2-digit", month: "short", hour: "2-digit", minute: "2-digit" });
+      const what = a.type === "pause" ? `pause ${a.entityName}` : `budget ${a.percent > 0 ? "+" : ""}${a.percent}% ${a.entityName}${a.budget ? ` (${a.budget})` : ""}`;
+      msg += `\n${icon} ${when} [${a.ruleId}] ${what}`;
+    });
+    await sendWhatsAppMessage(from, msg);
+  } else {
+    await sendWhatsAppMessage(from, "⚠️ Usage: /optimizer [list]|on|off|add|remove|enable|disable|mode|run|log");
+  }
 }
 
-async function handleAlerts(from, action) {
-  const enabled = action === "on";
-  await sendWhatsAppMessage(from, `🔔 Alerts ${enabled ? "enabled" : "disabled"} (placeholder)`);
+// "/history [filter]" shows your own recent activity; "/history all|<phone> [filter]" shows others' (audit:read).
+// The filter matches the action, target type or target name, e.g. "pause", "campaigns", "Summer Sale".
+async function handleHistory(from, params) {
+  const scope = params[0]?.toLowerCase();
+  let actor = from;
+  let filterWords = params;
+  if (scope === "me") {
+    filterWords = params.slice(1);
+  } else if (scope === "all") {
+    actor = null;
+    filterWords = params.slice(1);
+  } else if (scope && isPhoneScope(scope)) {
+    actor = scope.replace(/[^\d]/g, "");
+    filterWords = params.slice(1);
+  }
+  const filter = filterWords.join(" ").trim().toLowerCase();
+  // "campaigns" should find campaign.pause
+  const term = filter.length > 3 ? filter.replace(/s$/, "") : filter;
+  const match = term
+    ? (e) => [e.action, e.target?.type, e.target?.name, e.target?.id].some(v => String(v ?? "").toLowerCase().includes(term))
+    : null;
+  const entries = queryAudit({ actor, match, limit: 15 });
+  
+  if (entries.length === 0) {
+    await sendWhatsAppMessage(from, filter
+      ? `📜 No activity matching "${filter}".\n\nUsage: /history [filter], /history all|<phone> [filter]`
+      : "📜 No activity recorded yet.");
+    return;
+  }
+  
+  let msg = `📜 *History${actor === from ? "" : actor ? ` for ${actor}` : " (everyone)"}${filter ? ` matching "${filter}"` : ""}*\n`;
+  entries.forEach(e => {
+    const when = new Date(e.timestamp).toLocaleString("en-GB", { day: "2-digit", month: "short", hour: "2-digit", minute: "2-digit" });
+    const who = actor ? "" : ` · ${e.actor?.name || e.actor?.id || "system"}`;
+    const icon = e.outcome === "success" ? "✅" : e.outcome === "denied" ? "⛔" : "❌";
+    if (e.kind === "change") {
+      const diff = (e.changes || []).map(c => `${c.field}: ${formatAuditValue(c.before)} → ${formatAuditValue(c.after)}`).join(", ");
+      msg += `\n✏️ ${when}${who}\n   ${e.target?.name || e.target?.id}: ${diff}`;
+    } else {
+      const detail = e.kind === "command" ? (e.params || []).join(" ") : "";
+      msg += `\n${icon} ${when}${who}\n   ${e.action}${detail ? ` ${detail}` : ""}${e.error ? ` (${e.error})` : ""}`;
+    }
+  });
+  await sendWhatsAppMessage(from, msg.slice(0, 4000));
+}
+
+// "/undo" reverts your latest change (a bulk action counts as one), "/undo <change id>" a specific one.
+// Both ask for YES first; on confirmation params are the change ids (+ "force" to overwrite newer edits).
+async function handleUndo(from, params, confirmed) {
+  const force = params.includes("force");
+  const ids = params.filter(p => p !== "force");
+  let changes;
+  if (ids.length > 0) {
+    changes = ids.map(id => getChange(id)).filter(Boolean);
+    if (changes.length === 0) {
+      await sendWhatsAppMessage(from, "⚠️ Change not found. See /history for recent changes.");
+      return;
+    }
+  } else {
+    changes = findLatestUndoable(from);
+    if (changes.length === 0) {
+      await sendWhatsAppMessage(from, "↩️ Nothing to undo. Only your own recent changes can be undone.");
+      return;
+    }
+  }
+  
+  // Others' changes (except the optimizer's) need audit:read, and every change needs the permission used to make it
+  for (const change of changes) {
+    const missing = needsAuditReadToRevert(change, from) && !can(from, "audit:read") ? "audit:read"
+      : !can(from, permissionForChange(change)) ? permissionForChange(change)
+      : null;
+    if (missing) {
+      await sendPermissionDenied(from, missing);
+      return;
+    }
+  }
+  const blocked = changes.map(c => ({ change: c, ...getRevertStatus(c) })).find(c => !c.revertible);
+  if (blocked) {
+    await sendWhatsAppMessage(from, `⚠️ Can't undo ${describeChange(blocked.change)}\n${blocked.reason}.`);
+    return;
+  }
+  
+  if (!confirmed) {
+    const confirmParams = [...changes.map(c => c.id), ...(force ? ["force"] : [])];
+    pendingConfirmations.set(from, { command: "/undo", params: confirmParams, timestamp: Date.now() });
+    let msg = `↩️ *Undo ${changes.length === 1 ? "this change" : `these ${changes.length} changes`}?*\n`;
+    changes.slice(0, 10).forEach(c => {
+      msg += `\n• ${describeChange(c)}`;
+    });
+    if (changes.length > 10) msg += `\n...and ${changes.length - 10} more`;
+    msg += `\n\nType YES to restore the previous values.`;
+    await sendWhatsAppMessage(from, msg);
+    return;
+  }
+  
+  await sendWhatsAppMessage(from, "⏳ Undoing...");
+  const outcome = await revertChanges(changes, phoneActor(from), { force });
+  
+  if (outcome.conflicts.length > 0 && !force) {
+    let msg = "⚠️ These were changed again since, so nothing was undone:\n";
+    outcome.conflicts.forEach(({ change, fields }) => {
+      msg += `\n• ${change.target?.name || change.target?.id}: ${fields.map(f => `${f.field} is now ${formatAuditValue(f.current)}`).join(", ")}`;
+    });
+    msg += `\n\nSend /undo ${changes.map(c => c.id).join(" ")} force to restore anyway.`;
+    await sendWhatsAppMessage(from, msg);
+    return;
+  }
+  
+  let msg = outcome.reverted.length > 0 ? `✅ Undone: ${outcome.reverted.length} change${outcome.reverted.length === 1 ? "" : "s"}\n` : "";
+  outcome.reverted.forEach(entry => {
+    msg += `\n• ${entry.target?.name || entry.target?.id}`;
+  });
+  [...outcome.blocked.map(b => ({ change: b.change, error: b.reason })), ...outcome.failed].forEach(({ change, error }) => {
+    msg += `\n❌ ${change.target?.name || change.target?.id}: ${error}`;
+  });
+  await sendWhatsAppMessage(from, msg.trim());
+}
+
+function formatAuditValue(value) {
+  if (value === null || value === undefined || value === "") return "—";
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.length > 40 ? `${text.slice(0, 40)}…` : text;
+}
+
+function describeApiKeyAccess(apiKey) {
+  const access = apiKey.scopes ? `Scopes: ${apiKey.scopes.join(", ")}` : `Role: ${apiKey.role}`;
+  return `${access} · ${apiKey.expiresAt ? `expires ${new Date(apiKey.expiresAt).toLocaleDateString()}` : "no expiry"}`;
+}
+
+async function handleUsers(from, params) {
+  const action = params[0]?.toLowerCase() || "list";
+  const usage =
+    "👥 *User commands*\n\n" +
+    "/users list - Numbers and roles\n" +
+    "/users roles - What each role can do\n" +
+    "/users add <phone> <role> [name] - Assign a role\n" +
+    "/users remove <phone> - Remove a number\n" +
+    "/users key <name> <role|scope,scope> [days] - Create a dashboard API key\n" +
+    "/users keys - List API keys\n" +
+    "/users rotate <key id> - Replace a key (old one works for 24h)\n" +
+    "/users revoke <key id> - Revoke an API key";
+
+  try {
+    if (action === "list") {
+      const users = listUsers();
+      let msg = `👥 *Users (${users.length})*\n`;
+      users.forEach(u => {
+        msg += `\n• ${u.phone}${u.name ? ` (${u.name})` : ""} - ${u.role}${u.source === "env" ? " [ADMIN_NUMBERS]" : ""}`;
+      });
+      msg += `\n\nOther numbers: ${process.env.DEFAULT_USER_ROLE || "viewer"}`;
+      await sendWhatsAppMessage(from, msg);
+    } else if (action === "roles") {
+      let msg = "🔐 *Roles*\n";
+      for (const [role, description] of Object.entries(ROLES)) {
+        msg += `\n*${role}* - ${description}\n${ROLE_PERMISSIONS[role].join(", ")}\n`;
+      }
+      await sendWhatsAppMessage(from, msg);
+    } else if (action === "add" || action === "set") {
+      if (params.length < 3) {
+        await sendWhatsAppMessage(from, `⚠️ Usage: /users add <phone> <role> [name]\nRoles: ${Object.keys(ROLES).join(", ")}`);
+        return;
+      }
+      const user = setUserRole(params[1], params[2].toLowerCase(), { name: params.slice(3).join(" ") || null, addedBy: from });
+      await sendWhatsAppMessage(from, `✅ ${user.phone}${user.name ? ` (${user.name})` : ""} is now ${user.role}.`);
+    } else if (action === "remove") {
+      if (!params[1]) {
+        await sendWhatsAppMessage(from, "⚠️ Usage: /users remove <phone>");
+        return;
+      }
+      const removed = removeUser(params[1]);
+      await sendWhatsAppMessage(from, removed ? `🗑️ Removed ${params[1]}` : "⚠️ That number has no role assigned.");
+    } else if (action === "key") {
+      if (params.length < 3) {
+        await sendWhatsAppMessage(from, `⚠️ Usage: /users key <name> <role|scope,scope> [days]\nRoles: ${Object.keys(ROLES).join(", ")}\nScopes: ${PERMISSIONS.join(", ")}`);
+        return;
+      }
+      // "marketer" is a role; "products:write,backup:run" is a list of scopes
+      const access = params[2].toLowerCase();
+      const { key, apiKey } = createApiKey({
+        name: params[1],
+        ...(ROLES[access] ? { role: access } : { scopes: access.split(",").filter(Boolean) }),
+        ...(params[3] !== undefined && { expiresInDays: params[3] }),
+        createdBy: from
+      });
+      await sendWhatsAppMessage(from, `🔑 API key "${apiKey.name}" created. Id: ${apiKey.id}\n${describeApiKeyAccess(apiKey)}\n\n${key}\n\n⚠️ This is the only time the key is shown. Send it as "Authorization: Bearer <key>".`);
+    } else if (action === "keys") {
+      const keys = listApiKeys();
+      if (keys.length === 0) {
+        await sendWhatsAppMessage(from, "🔑 No API keys yet. Create one with /users key <name> <role>");
+        return;
+      }
+      let msg = `🔑 *API keys (${keys.length})*\n`;
+      keys.forEach(k => {
+        msg += `\n• ${k.name} (${k.prefix}…)${k.expired ? " ⛔ expired" : ""}\n  ${describeApiKeyAccess(k)}\n  Last used: ${k.lastUsedAt ? new Date(k.lastUsedAt).toLocaleString() : "never"}\n  ${k.id}`;
+      });
+      await sendWhatsAppMessage(from, msg);
+    } else if (action === "rotate") {
+      const rotated = params[1] && rotateApiKey(params[1], { createdBy: from });
+      if (!rotated) {
+        await sendWhatsAppMessage(from, "⚠️ Usage: /users rotate <key id> (see /users keys)");
+        return;
+      }
+      await sendWhatsAppMessage(from, `🔄 New key for "${rotated.apiKey.name}". Id: ${rotated.apiKey.id}\n\n${rotated.key}\n\nThe old key stops working ${new Date(rotated.previous.expiresAt).toLocaleString()}.`);
+    } else if (action === "revoke") {
+      const revoked = params[1] && revokeApiKey(params[1]);
+      await sendWhatsAppMessage(from, revoked ? `🗑️ Revoked key ${params[1]}` : "⚠️ Usage: /users revoke <key id> (see /users keys)");
+    } else {
+      await sendWhatsAppMessage(from, usage);
+    }
+  } catch (err) {
+    await sendWhatsAppMessage(from, `⚠️ ${err.message}`);
+  }
 }
 
 async function handleProducts(from) {
@@ -3205,11 +3981,6 @@ async function handleProduct(from, params) {
     
     // Handle edit command
     if (action === "edit" && productParams.length >= 3) {
-      if (!isAdmin(from)) {
-        await sendWhatsAppMessage(from, "⚠️ Product editing requires admin access.");
-        return;
-      }
-      
       const productName = productParams[1];
       const updates = {};
       
@@ -3269,6 +4040,8 @@ async function handleProduct(from, params) {
         
         // Verify success
         if (response.status >= 200 && response.status < 300) {
+          recordChange(phoneActor(from), "product.update", { type: "product", id: product.id, name: product.name }, currentProductValues(product, updateData), updateData);
+          
           // Fetch fresh product to confirm the change
           const freshProduct = await wooFetch("GET", `/products/${product.id}`);
           
@@ -3380,9 +4153,9 @@ async function handleSyncProducts(from) {
     await sendWhatsAppMessage(from, "🔄 Fetching products from WooCommerce...");
     
     try {
-      const products = await wooFetch("GET", "/products?per_page=100");
+      const cacheStats = await refreshProductCache({ full: true });
       
-      if (!products || products.length === 0) {
+      if (cacheStats.products === 0) {
         await sendWhatsAppMessage(from, 
           `⚠️ No products found in WooCommerce.\n\n` +
           `Check:\n` +
@@ -3393,8 +4166,11 @@ async function handleSyncProducts(from) {
         return;
       }
       
-      await sendWhatsAppMessage(from, `✅ Found ${products.length} products in WooCommerce!`);
-      console.log(`[WhatsApp] /sync products executed by ${from}, found ${products.length} products`);
+      await sendWhatsAppMessage(from,
+        `✅ Found ${cacheStats.products} products in WooCommerce ` +
+        `(${cacheStats.variations} variations, ${cacheStats.categories} categories).`
+      );
+      console.log(`[WhatsApp] /sync products executed by ${from}, found ${cacheStats.products} products`);
     } catch (fetchErr) {
       let errorMsg = `❌ Failed to fetch products:\n\n${fetchErr.message}\n\n`;
       errorMsg += `Troubleshooting:\n`;
@@ -3414,13 +4190,14 @@ function getHelpMessage() {
   return (
     `📱 *WhatsApp Ad Bot Commands*\n\n` +
     `*📊 MONITORING*\n` +
-    `/stats [period] - Get stats (today/7d/30d)\n` +
+    `/stats [period] - Get stats (today/7d/30d/14d/last_month or YYYY-MM-DD YYYY-MM-DD)\n` +
     `/campaigns [active|paused] - List campaigns\n` +
-    `/best - Top 3 campaigns by CTR\n\n` +
+    `/best - Top 3 campaigns by CTR (with store ROAS)\n\n` +
     `*🎮 CONTROL*\n` +
     `/pause <name|id> - Pause campaign\n` +
     `/resume <name|id> - Resume campaign\n` +
-    `/budget <name|id> <amount>/day - Set budget\n\n` +
+    `/budget <name|id> [| <ad set>] <amount>[/day|/lifetime] - Set budget\n` +
+    `/budget <name|id> +20% - Change budget by a percentage\n\n` +
     `*💡 CREATIVE*\n` +
     `/ideas <product> - Generate ad angles\n` +
     `/copy <product> - Generate ad copy\n` +
@@ -3432,7 +4209,8 @@ function getHelpMessage() {
     `/image <product> [| style] - Generate square image\n` +
     `/images <product> - Generate pack (square/portrait/story)\n` +
     `/last - Show last generated image\n` +
-    `/redo - Regenerate last image\n\n` +
+    `/redo - Regenerate last image\n` +
+    `/compose <prompt> - Generate from images you sent\n\n` +
     `*📦 PRODUCTS*\n` +
     `/products - List all products\n` +
     `/product <name> - Get product details\n` +
@@ -3440,18 +4218,36 @@ function getHelpMessage() {
     `/product edit <name> price=99.99 - Edit price\n` +
     `/product edit <name> description="..." - Edit description\n` +
     `/product info <name> - Full product info\n` +
-    `/sync products - Refresh from WooCommerce\n\n` +
+    `/sync products - Refresh from WooCommerce\n` +
+    `/photo <product> - Add the image you sent\n` +
+    `📎 Send a CSV/XLSX to bulk import products or audiences\n\n` +
     `*📋 PROFILE*\n` +
     `/profile show - View profile\n` +
     `/profile update key=value - Update field\n` +
     `/profile set k1=v1 k2=v2 - Bulk update\n` +
     `/profile sync - Reload profile\n\n` +
     `*⚙️ AUTOMATION*\n` +
-    `/report daily [HH:mm] - Schedule reports\n` +
-    `/alerts on|off - Toggle alerts\n\n` +
+    `/report daily [HH:mm] - Daily report\n` +
+    `/report weekly <day> [HH:mm] - Weekly report\n` +
+    `/report list|off|now - Manage reports\n` +
+    `/alerts on|off - Toggle alerts\n` +
+    `/alerts add <rule> - e.g. cpc > 1.20 6h\n` +
+    `/alerts list|remove <id>|check - Manage rules\n` +
+    `/optimizer add <rule> - e.g. pause ads with cpa > 15 after $30 spend\n` +
+    `/optimizer mode dry-run|live, run, log - Automated optimizer\n\n` +
+    `*📜 HISTORY*\n` +
+    `/history [filter] - Your recent commands and changes\n` +
+    `/history all|<phone> [filter] - Team activity (owners)\n` +
+    `/undo - Undo your last product/campaign change\n\n` +
+    `*👥 USERS (owners)*\n` +
+    `/users list|roles - Numbers and roles\n` +
+    `/users add <phone> <role> - Assign a role\n` +
+    `/users key <name> <role|scopes> [days] - Dashboard API key\n` +
+    `/users keys|rotate|revoke - Manage API keys\n\n` +
     `*🔧 DIAGNOSTICS*\n` +
     `/test api - Check API connection\n` +
     `/test products - Test website access\n\n` +
+    `🎙️ Voice notes work just like typed messages.\n` +
     `Type /help anytime for this list.`
   );
 }
@@ -3496,15 +4292,123 @@ async function sendWhatsAppMessage(to, text) {
 initWorkflows({
   userWorkflows,
   sendWhatsAppMessage,
+  sendWhatsAppButtons,
+  sendWhatsAppList,
   wooFetch,
   normalizeProduct,
   findProductByName,
   getSession,
   ANGLE_PRESETS,
   loadCompanyContext,
+  findEntityByNameOrId,
+  openaiWithFallback,
+  can,
+  downloadWhatsAppMedia,
+  uploadToWordPressMedia,
+  invalidateProductCache,
+  generateImageWithEngine,
+  buildEnhancedImagePrompt,
+  uploadWhatsAppMedia,
+  sendWhatsAppImage,
+  addToHistory,
+  getBackupService: () => backupService, // Loaded later in startup
+  recordChange,
+  phoneActor,
+  fb,
+  uploadImageToMeta,
+  createCampaignStructure,
+  planBudgetChange,
+  describeBudgetPlan,
+  applyBudgetPlan,
+  parsePrice
+});
+
+initReports({
+  getAccountTotals,
+  getCampaignPerformance,
+  sendWhatsAppMessage,
+  wooFetch,
+  DATA_DIR
+});
+
+initCampaignBuilder({
+  fb
+});
+
+initInsights({
   fb,
-  GRAPH,
-  TOKEN
+  fbCached
+});
+
+initOrders({
+  wooFetch,
+  fbCached,
+  DATA_DIR
+});
+
+initConversions({
+  fb,
+  wooFetch,
+  DATA_DIR
+});
+
+initProductCache({
+  wooFetch,
+  DATA_DIR
+});
+
+initCatalog({
+  fb,
+  wooFetch,
+  normalizeProduct,
+  loadCompanyContext,
+  getProductsCache,
+  getCachedVariations,
+  getCachedCategories
+});
+
+initBudgets({
+  fb,
+  findEntityByNameOrId
+});
+
+initUndo({
+  fb,
+  wooFetch,
+  invalidateProductCache
+});
+
+initAlerts({
+  fb,
+  sendWhatsAppMessage,
+  sendWhatsAppButtons,
+  DATA_DIR
+});
+
+initOptimizer({
+  fb,
+  sendWhatsAppMessage,
+  DATA_DIR
+});
+
+// Tell each sender once that their late messages were skipped
+function sendLateMessageNotices(phones) {
+  for (const from of new Set(phones)) {
+    sendWhatsAppMessage(from, "⏱️ A message you sent earlier arrived late and was not processed. Please send it again if it is still needed.")
+      .catch(err => console.error(`[WhatsApp] Could not send the late-message notice to ${from}:`, err.message));
+  }
+}
+
+// Incoming WhatsApp messages are processed from a per-phone queue
+initMessageQueue({
+  handler: handleIncomingWhatsAppMessage,
+  isStale: isMessageStale,
+  onStale: async (jobs) => sendLateMessageNotices(jobs.map(j => j.phone)),
+  onDeadLetter: async (job) => {
+    await sendWhatsAppMessage(job.phone, job.sideEffects
+      ? "❌ Sorry, something went wrong part-way through your message. Some changes may already have been made, so check /history before trying again."
+      : "❌ Sorry, something went wrong processing your message. Please try again in a moment.");
+  }
 });
 
 // Upload media to WhatsApp (supports both image and video)
@@ -3579,6 +4483,30 @@ async function sendWhatsAppImage(to, mediaId, caption = "") {
   }
 }
 
+// Download media a user sent (image, voice note, document) via the Graph media API
+async function downloadWhatsAppMedia(mediaId) {
+  if (!WHATSAPP_ACCESS_TOKEN) {
+    throw new Error("WhatsApp credentials not configured");
+  }
+  
+  const headers = { Authorization: `Bearer ${WHATSAPP_ACCESS_TOKEN}` };
+  try {
+    // The media URL is short-lived, so resolve it right before downloading
+    const media = await axios.get(`${GRAPH}/${mediaId}`, { headers, timeout: 15000 });
+    const file = await axios.get(media.data.url, {
+      headers,
+      responseType: "arraybuffer",
+      maxContentLength: 25 * 1024 * 1024,
+      timeout: 60000
+    });
+    
+    return { buffer: Buffer.from(file.data), mimeType: media.data.mime_type };
+  } catch (err) {
+    console.error("Error downloading WhatsApp media:", err.response?.data || err.message);
+    throw new Error(`Failed to download media: ${err.message}`);
+  }
+}
+
 // Check if image generation is available (Vertex AI)
 async function checkImageConfig() {
   // Check if Vertex AI module actually exists before preferring it
@@ -4294,9 +5222,205 @@ async function handleRedo(from) {
     } else if (err.message) {
       errorMsg = `⚠️ ${err.message}`;
     }
-    
-    await sendWhatsAppMessage(from, errorMsg);
+    
+    await sendWhatsAppMessage(from, errorMsg);
+  }
+}
+
+// Import geminiService (reference-image generation) with fallback paths
+async function importGeminiService() {
+  const possiblePaths = [
+    "./services/geminiService.js",
+    path.join(__dirname, "services", "geminiService.js"),
+    path.join(process.cwd(), "services", "geminiService.js"),
+    "../services/geminiService.js",
+    "./geminiService.js"
+  ];
+  
+  let importError = null;
+  for (const importPath of possiblePaths) {
+    try {
+      const normalizedPath = importPath.startsWith(".") 
+        ? importPath 
+        : `file://${importPath}`;
+      const geminiService = await import(normalizedPath);
+      if (geminiService.generateImageWithReferences) {
+        console.log(`[Gemini] Successfully imported geminiService from: ${importPath}`);
+        return geminiService;
+      }
+    } catch (err) {
+      importError = err;
+      continue;
+    }
+  }
+  
+  throw new Error(`Gemini service not available: ${importError?.message || "Service not found"}`);
+}
+
+// /compose add | clear | <prompt> - generate an image from reference photos sent over WhatsApp
+async function handleCompose(from, params) {
+  const session = getSession(from);
+  const references = session.referenceImages || [];
+  const action = (params[0] || "").toLowerCase();
+  
+  if (action === "add") {
+    if (!session.pendingImage) {
+      await sendWhatsAppMessage(from, "⚠️ Send an image first, then tap 🎨 Reference.");
+      return;
+    }
+    // Gemini accepts up to 3 reference images; keep the newest
+    session.referenceImages = [...references, session.pendingImage].slice(-3);
+    session.pendingImage = null;
+    await sendWhatsAppMessage(from, 
+      `✅ Reference saved (${session.referenceImages.length}/3).\n\n` +
+      `Send /compose <prompt> to generate, e.g. /compose product on a marble bathroom shelf`
+    );
+    return;
+  }
+  
+  if (action === "clear") {
+    session.referenceImages = [];
+    await sendWhatsAppMessage(from, "🗑️ Reference images cleared.");
+    return;
+  }
+  
+  if (params.length === 0) {
+    await sendWhatsAppMessage(from, 
+      `⚠️ Usage: /compose <prompt>\n\n` +
+      `References saved: ${references.length}/3. Send an image and tap 🎨 Reference to add one, or /compose clear to reset.`
+    );
+    return;
+  }
+  
+  if (references.length === 0) {
+    await sendWhatsAppMessage(from, "⚠️ No reference images yet. Send an image and tap 🎨 Reference first.");
+    return;
+  }
+  
+  const prompt = params.join(" ");
+  try {
+    await sendWhatsAppMessage(from, `🎨 Generating with ${references.length} reference image${references.length === 1 ? "" : "s"}...`);
+    
+    const geminiService = await importGeminiService();
+    const referenceBuffers = [];
+    for (const reference of references) {
+      const { buffer } = await downloadWhatsAppMedia(reference.mediaId);
+      referenceBuffers.push(buffer);
+    }
+    
+    const result = await geminiService.generateImageWithReferences(prompt, referenceBuffers, { aspectRatio: session.aspect || "1:1" });
+    const mediaId = await uploadWhatsAppMedia(result.buffer, result.mimeType);
+    const caption = `Composite • ${prompt.substring(0, 100)}`;
+    await sendWhatsAppImage(from, mediaId, caption);
+    addToHistory(from, mediaId, caption, "Composite", session.angle, session.style);
+    
+    console.log(`[Compose] Generated for ${from} with ${references.length} reference(s), media_id: ${mediaId}`);
+  } catch (err) {
+    console.error("[Compose] Error:", err);
+    await sendWhatsAppMessage(from, `⚠️ ${err.message || "Image generation failed."}`);
+  }
+}
+
+// /photo [main] <product> - attach the last image sent to a WooCommerce product
+async function handleProductPhoto(from, params) {
+  const session = getSession(from);
+  if (!session.pendingImage) {
+    await sendWhatsAppMessage(from, "⚠️ Send the product photo first, then use /photo <product>.");
+    return;
+  }
+  
+  const makeMain = params[0]?.toLowerCase() === "main";
+  const productQuery = (makeMain ? params.slice(1) : params).join(" ").trim();
+  if (!productQuery) {
+    await sendWhatsAppMessage(from, "🛒 Which product is this photo for?\n\nReply /photo <product> (or /photo main <product> to make it the main image).");
+    return;
+  }
+  
+  try {
+    const product = await findProductByName(productQuery);
+    if (!product) {
+      await sendWhatsAppMessage(from, `⚠️ Product not found: ${productQuery}\n\nUse /products to see all products.`);
+      return;
+    }
+    
+    await sendWhatsAppMessage(from, `⬆️ Uploading photo to ${product.name}...`);
+    
+    const { buffer, mimeType } = await downloadWhatsAppMedia(session.pendingImage.mediaId);
+    const extension = mimeType.includes("png") ? "png" : mimeType.includes("webp") ? "webp" : "jpg";
+    const slug = product.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+    const media = await uploadToWordPressMedia(buffer, mimeType, `${slug || "product"}-${Date.now()}.${extension}`);
+    
+    // Keep existing images; WooCommerce replaces the whole list on update
+    const current = await wooFetch("GET", `/products/${product.id}`);
+    const existing = (current.images || []).map(img => ({ id: img.id }));
+    const images = makeMain ? [{ id: media.id }, ...existing] : [...existing, { id: media.id }];
+    await wooFetch("PUT", `/products/${product.id}`, { images });
+    
+    invalidateProductCache(product.id);
+    session.pendingImage = null;
+    
+    await sendWhatsAppMessage(from, 
+      `✅ Photo added to *${product.name}*${makeMain ? " as the main image" : " gallery"}.\n\n${media.url}`
+    );
+    console.log(`[Products] Added photo ${media.id} to product ${product.id} for ${from}`);
+  } catch (err) {
+    console.error("[Products] Photo upload error:", err.response?.data || err.message);
+    const detail = err.response?.data?.message || err.message;
+    await sendWhatsAppMessage(from, `❌ Couldn't add the photo: ${detail}`);
+  }
+}
+
+// Run a confirmed CSV/XLSX import
+async function handleImport(from) {
+  const pending = pendingImports.get(from);
+  if (!pending) {
+    await sendWhatsAppMessage(from, "⚠️ That import expired. Please send the file again.");
+    return;
+  }
+  pendingImports.delete(from);
+  
+  const { type, items, filename } = pending;
+  await sendWhatsAppMessage(from, `🔄 Importing ${items.length} ${type} from ${filename}...`);
+  
+  if (type === "audiences") {
+    const audiences = loadAudiences();
+    const now = new Date().toISOString();
+    items.forEach((item, i) => {
+      audiences.push({ id: (Date.now() + i).toString(), ...item, createdAt: now, updatedAt: now });
+    });
+    saveAudiences(audiences);
+    console.log(`[Audiences] Imported ${items.length} audiences from ${filename}`);
+    await sendWhatsAppMessage(from, `✅ Imported ${items.length} audience${items.length === 1 ? "" : "s"}.`);
+    return;
+  }
+  
+  // WooCommerce accepts up to 100 items per batch request
+  let created = 0;
+  const failures = [];
+  for (let i = 0; i < items.length; i += 100) {
+    const batch = items.slice(i, i + 100);
+    try {
+      const response = await wooFetch("POST", "/products/batch", { create: batch });
+      (response.create || []).forEach((item, j) => {
+        if (item.error) {
+          failures.push(`${batch[j].name}: ${item.error.message}`);
+        } else {
+          created++;
+        }
+      });
+    } catch (err) {
+      failures.push(`Items ${i + 1}-${i + batch.length}: ${err.response?.data?.message || err.message}`);
+    }
   }
+  invalidateProductCache();
+  console.log(`[Products] Imported ${created}/${items.length} products from ${filename}`);
+  
+  let msg = `✅ Created ${created} of ${items.length} product${items.length === 1 ? "" : "s"}.`;
+  if (failures.length > 0) {
+    msg += `\n\n⚠️ ${failures.length} failed:\n${failures.slice(0, 5).join("\n")}`;
+    if (failures.length > 5) msg += `\n...and ${failures.length - 5} more`;
+  }
+  await sendWhatsAppMessage(from, msg);
 }
 
 // 1) List ad accounts
@@ -4413,6 +5537,443 @@ app.get("/api/adaccounts/:actId/insights", async (req,res) => {
   catch(e){ res.status(500).json(e.response?.data || { error:String(e) }); }
 });
 
+// Insights report: level, date range, time increment, breakdowns and computed metrics
+// (see insightsService.js); format=csv or xlsx downloads it as a file
+app.get("/api/insights", requirePermission("stats:read"), async (req, res) => {
+  const format = req.query.format || "json";
+  if (!["json", "csv", "xlsx"].includes(format)) {
+    return res.status(400).json({ success: false, errors: ["format must be json, csv or xlsx"] });
+  }
+
+  try {
+    const report = await getInsightsReport({
+      level: req.query.level,
+      accountId: req.query.accountId,
+      campaignIds: req.query.campaignIds,
+      since: req.query.since,
+      until: req.query.until,
+      period: req.query.period,
+      timeIncrement: req.query.timeIncrement,
+      breakdowns: req.query.breakdowns,
+      metrics: req.query.metrics
+    });
+    if (report.errors) {
+      return res.status(400).json({ success: false, errors: report.errors });
+    }
+
+    if (format === "json") {
+      return res.json({ success: true, ...report, count: report.rows.length });
+    }
+
+    const filename = `insights-${report.query.level}-${report.period.replace(" to ", "_")}.${format}`;
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    if (format === "csv") {
+      res.type("text/csv").send(reportToCsv(report));
+    } else {
+      res.type("application/vnd.openxmlformats-officedocument.spreadsheetml.sheet").send(await reportToXlsx(report));
+    }
+  } catch (e) {
+    console.error("[Insights] Report error:", e);
+    const isMetaError = e instanceof MetaApiError;
+    res.status(isMetaError ? e.status : 500).json({
+      success: false,
+      error: e.message || String(e),
+      code: isMetaError ? e.code : null
+    });
+  }
+});
+
+// Backend-measured ROAS: WooCommerce revenue attributed to Meta campaigns/ads by UTM (see orderService.js)
+app.get("/api/attribution", requirePermission("stats:read"), async (req, res) => {
+  try {
+    if (req.query.sync === "true") await syncOrders();
+    const report = await getAttributionReport({
+      since: req.query.since || null,
+      until: req.query.until || null,
+      period: req.query.period || "7d"
+    });
+    if (report.errors) {
+      return res.status(400).json({ success: false, errors: report.errors });
+    }
+    res.json({ success: true, ...report });
+  } catch (e) {
+    console.error("[Orders] Attribution report error:", e);
+    const isMetaError = e instanceof MetaApiError;
+    res.status(isMetaError ? e.status : 500).json({
+      success: false,
+      error: e.message || String(e),
+      code: isMetaError ? e.code : null
+    });
+  }
+});
+
+// Pull new/changed WooCommerce orders now (full=true re-pulls the whole history window).
+// Writes the order store and can page through months of orders, so it is admin-only
+app.post("/api/orders/sync", requirePermission("system:admin"), async (req, res) => {
+  try {
+    const result = await syncOrders({ full: req.body?.full === true });
+    res.json({ success: true, ...result });
+  } catch (e) {
+    console.error("[Orders] Sync error:", e);
+    res.status(502).json({ success: false, error: e.message });
+  }
+});
+
+// Conversions API: status and recent events (user data is stored hashed)
+app.get("/api/capi/events", requirePermission("system:admin"), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const events = listConversionEvents({ limit, outcome: req.query.outcome || null });
+  res.json({ success: true, status: getConversionsStatus(), events, count: events.length });
+});
+
+// Send a logged event again, e.g. after a failure ({ testEventCode } to send it as a test event)
+app.post("/api/capi/events/:id/replay", requirePermission("system:admin"), async (req, res) => {
+  const result = await replayConversionEvent(req.params.id, { testEventCode: req.body?.testEventCode || null });
+  if (!result) {
+    return res.status(404).json({ success: false, error: "Event not found" });
+  }
+  res.status(result.outcome === "failed" ? 502 : 200).json({ success: result.outcome === "sent", result });
+});
+
+// Map a sample webhook payload ({ topic, payload }) to CAPI events without sending;
+// send: true sends them as test events (needs testEventCode or META_CAPI_TEST_EVENT_CODE)
+app.post("/api/capi/debug", requirePermission("system:admin"), async (req, res) => {
+  const { topic, payload, send = false } = req.body || {};
+  if (!topic || !payload) {
+    return res.status(400).json({ success: false, error: "topic and payload are required" });
+  }
+  const testEventCode = req.body.testEventCode || process.env.META_CAPI_TEST_EVENT_CODE || null;
+  if (send && !testEventCode) {
+    return res.status(400).json({ success: false, error: "Sending from the debug endpoint needs a testEventCode" });
+  }
+
+  try {
+    const { events, reason } = await eventsFromWebhook(topic, payload);
+    if (!send || events.length === 0) {
+      return res.json({ success: true, events, reason });
+    }
+    const results = await sendConversionEvents(events, { source: `debug:${topic}`, testEventCode });
+    res.json({ success: results.every(r => r.outcome === "sent"), events, results });
+  } catch (err) {
+    console.error("[CAPI] Debug error:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Meta catalog: feed status and recent items_batch pushes
+app.get("/api/catalog/status", requirePermission("products:write"), (req, res) => {
+  res.json({
+    success: true,
+    ...getCatalogStatus(),
+    feeds: { csv: "/feeds/meta-catalog.csv", xml: "/feeds/meta-catalog.xml" }
+  });
+});
+
+// Push products to the catalog now ({ productIds: [...] }, or the whole feed without it)
+app.post("/api/catalog/sync", requirePermission("products:write"), async (req, res) => {
+  if (!process.env.META_CATALOG_ID) {
+    return res.status(400).json({ success: false, error: "META_CATALOG_ID not set" });
+  }
+  const productIds = Array.isArray(req.body?.productIds) ? req.body.productIds : null;
+  try {
+    const result = await pushCatalogProducts(productIds, { source: "api.sync" });
+    if (result?.error) {
+      return res.status(502).json({ success: false, ...result });
+    }
+    res.json({ success: true, ...(result || { updated: 0, deleted: 0, handles: [] }) });
+  } catch (err) {
+    console.error("[Catalog] Sync error:", err);
+    res.status(502).json({ success: false, error: err.message });
+  }
+});
+
+// Meta's processing result for a pushed batch (handle from /api/catalog/sync or /api/catalog/status)
+app.get("/api/catalog/batches/:handle", requirePermission("products:write"), async (req, res) => {
+  if (!process.env.META_CATALOG_ID) {
+    return res.status(400).json({ success: false, error: "META_CATALOG_ID not set" });
+  }
+  try {
+    res.json({ success: true, batch: await getCatalogBatchStatus(req.params.handle) });
+  } catch (e) {
+    const isMetaError = e instanceof MetaApiError;
+    res.status(isMetaError ? e.status : 500).json({
+      success: false,
+      error: e.message || String(e),
+      code: isMetaError ? e.code : null
+    });
+  }
+});
+
+// Alert rules (same engine as /alerts on WhatsApp)
+app.get("/api/alerts/rules", requirePermission("stats:read"), (req, res) => {
+  const rules = listAlertRules().map(r => ({ ...r, description: describeRule(r) }));
+  res.json({ success: true, rules, count: rules.length });
+});
+
+// Body: rule fields ({ type, metric, operator, value, windowHours, ... }) or { text: "cpc > 1.20 6h" }
+app.post("/api/alerts/rules", requirePermission("alerts:manage"), (req, res) => {
+  try {
+    const definition = req.body?.text ? parseAlertRule(req.body.text) : req.body;
+    if (!definition) {
+      return res.status(400).json({ success: false, error: `Could not parse rule: ${req.body.text}` });
+    }
+    const rule = addAlertRule(definition, "api");
+    res.json({ success: true, rule: { ...rule, description: describeRule(rule) } });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.delete("/api/alerts/rules/:id", requirePermission("alerts:manage"), (req, res) => {
+  if (!removeAlertRule(req.params.id)) {
+    return res.status(404).json({ success: false, error: "Rule not found" });
+  }
+  res.json({ success: true, deleted: true });
+});
+
+app.get("/api/alerts", requirePermission("stats:read"), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  res.json({ success: true, alerts: listRecentAlerts(limit) });
+});
+
+app.post("/api/alerts/check", requirePermission("alerts:manage"), async (req, res) => {
+  try {
+    const alerts = await checkAlerts();
+    res.json({ success: true, alerts, count: alerts.length });
+  } catch (err) {
+    console.error("[Alerts] Manual check error:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Optimizer rules and mode (same engine as /optimizer on WhatsApp)
+app.get("/api/optimizer", requirePermission("stats:read"), (req, res) => {
+  const rules = listOptimizerRules().map(r => ({ ...r, description: describeOptimizerRule(r) }));
+  const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+  res.json({ success: true, status: getOptimizerStatus(), rules, actions: listOptimizerActions(limit) });
+});
+
+// Body: rule fields ({ level, action, conditions, minSpend, days, consecutive }) or { text: "pause ads with cpa > 15 after $30 spend" }
+app.post("/api/optimizer/rules", requirePermission("campaigns:write"), (req, res) => {
+  try {
+    const definition = req.body?.text ? parseOptimizerRule(req.body.text) : req.body;
+    if (!definition) {
+      return res.status(400).json({ success: false, error: `Could not parse rule: ${req.body.text}` });
+    }
+    const rule = addOptimizerRule(definition, req.actor?.name || "api");
+    res.json({ success: true, rule: { ...rule, description: describeOptimizerRule(rule) } });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.patch("/api/optimizer/rules/:id", requirePermission("campaigns:write"), (req, res) => {
+  if (typeof req.body?.enabled !== "boolean") {
+    return res.status(400).json({ success: false, error: "enabled (boolean) is required" });
+  }
+  const rule = setOptimizerRuleEnabled(req.params.id, req.body.enabled);
+  if (!rule) {
+    return res.status(404).json({ success: false, error: "Rule not found" });
+  }
+  res.json({ success: true, rule: { ...rule, description: describeOptimizerRule(rule) } });
+});
+
+app.delete("/api/optimizer/rules/:id", requirePermission("campaigns:write"), (req, res) => {
+  if (!removeOptimizerRule(req.params.id)) {
+    return res.status(404).json({ success: false, error: "Rule not found" });
+  }
+  res.json({ success: true, deleted: true });
+});
+
+// Body: { mode: "dry-run" | "live" }
+app.put("/api/optimizer/mode", requirePermission("campaigns:write"), (req, res) => {
+  try {
+    setOptimizerMode(req.body?.mode);
+    res.json({ success: true, status: getOptimizerStatus() });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// Body: { dryRun } (defaults to the configured mode)
+app.post("/api/optimizer/run", requirePermission("campaigns:write"), async (req, res) => {
+  try {
+    const dryRun = typeof req.body?.dryRun === "boolean" ? req.body.dryRun : null;
+    res.json({ success: true, ...(await runOptimizer({ dryRun })) });
+  } catch (err) {
+    console.error("[Optimizer] Manual run error:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Message queue (incoming WhatsApp messages)
+app.get("/api/queue", requirePermission("system:admin"), (req, res) => {
+  res.json({ success: true, queue: getQueueStats() });
+});
+
+app.get("/api/queue/dead-letters", requirePermission("system:admin"), (req, res) => {
+  const jobs = listDeadLetters();
+  res.json({ success: true, jobs, count: jobs.length });
+});
+
+app.post("/api/queue/dead-letters/:id/replay", requirePermission("system:admin"), (req, res) => {
+  const job = replayDeadLetter(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: "Job not found" });
+  }
+  res.json({ success: true, job });
+});
+
+app.delete("/api/queue/dead-letters/:id", requirePermission("system:admin"), (req, res) => {
+  if (!deleteDeadLetter(req.params.id)) {
+    return res.status(404).json({ success: false, error: "Job not found" });
+  }
+  res.json({ success: true, deleted: true });
+});
+
+// Audit log (same entries as /history on WhatsApp)
+// Query: actor (phone, key id or key name), action (substring, e.g. "pause" or "/api/products"),
+// kind (command|request|change), from/to (dates or ISO timestamps), limit (max 500)
+app.get("/api/audit", requirePermission("audit:read"), (req, res) => {
+  const { actor, action, kind, from, to } = req.query;
+  if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+    return res.status(400).json({ success: false, error: "from/to must be dates (YYYY-MM-DD) or ISO timestamps" });
+  }
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  const entries = queryAudit({ actor, action, kind, from, to, limit });
+  res.json({ success: true, entries, count: entries.length });
+});
+
+// Upload rotated audit files (and a snapshot of the current one) to Google Drive
+app.post("/api/audit/export", requirePermission("backup:run"), async (req, res) => {
+  if (!backupService) {
+    return res.status(503).json({ success: false, error: backupServiceError || "Backup service not available" });
+  }
+  try {
+    const results = await exportAuditLogs({ includeCurrent: true });
+    res.json({ success: results.every(r => r.success), results });
+  } catch (err) {
+    console.error("[Audit] Export error:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Recent changes that /undo and the revert endpoint can restore
+app.get("/api/changes", requirePermission("audit:read"), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const changes = listRecentChanges({ actor: req.query.actor || null, limit });
+  res.json({ success: true, changes, count: changes.length });
+});
+
+// Body: { force } - overwrite fields that were edited again after the change
+app.post("/api/changes/:id/revert", requirePermission(null), async (req, res) => {
+  const change = getChange(req.params.id);
+  if (!change) {
+    return res.status(404).json({ success: false, error: "Change not found" });
+  }
+  // Others' changes (except the optimizer's) need audit:read, as on /undo, and every change needs the permission used to make it
+  const permission = needsAuditReadToRevert(change, req.actor.id) && !req.actor.scopes.includes("audit:read") ? "audit:read"
+    : permissionForChange(change);
+  if (permission && !req.actor.scopes.includes(permission)) {
+    return res.status(403).json({ ok: false, error: `Forbidden. Key "${req.actor.name}" lacks the ${permission} scope.` });
+  }
+  
+  try {
+    const outcome = await revertChanges([change], apiKeyActor(req.actor), { force: req.body?.force === true });
+    if (outcome.blocked.length > 0) {
+      return res.status(409).json({ success: false, error: outcome.blocked[0].reason });
+    }
+    if (outcome.conflicts.length > 0 && outcome.reverted.length === 0) {
+      return res.status(409).json({ success: false, error: "Changed again since; send { force: true } to overwrite", conflicts: outcome.conflicts[0].fields });
+    }
+    if (outcome.failed.length > 0) {
+      return res.status(502).json({ success: false, error: outcome.failed[0].error });
+    }
+    res.json({ success: true, reverted: outcome.reverted[0] });
+  } catch (err) {
+    console.error("[Undo] Revert error:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Users, roles and dashboard API keys (same store as /users on WhatsApp)
+app.get("/api/me", requirePermission(null), (req, res) => {
+  res.json({ success: true, actor: req.actor });
+});
+
+app.get("/api/roles", requirePermission("users:manage"), (req, res) => {
+  const roles = Object.entries(ROLES).map(([role, description]) => ({ role, description, permissions: ROLE_PERMISSIONS[role] }));
+  res.json({ success: true, roles });
+});
+
+app.get("/api/users", requirePermission("users:manage"), (req, res) => {
+  const users = listUsers();
+  res.json({ success: true, users, count: users.length, defaultRole: process.env.DEFAULT_USER_ROLE || "viewer" });
+});
+
+// Body: { role, name? }
+app.put("/api/users/:phone", requirePermission("users:manage"), (req, res) => {
+  try {
+    const user = setUserRole(req.params.phone, req.body?.role, { name: req.body?.name, addedBy: `api:${req.actor.name}` });
+    res.json({ success: true, user });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.delete("/api/users/:phone", requirePermission("users:manage"), (req, res) => {
+  try {
+    if (!removeUser(req.params.phone)) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+    res.json({ success: true, deleted: true });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.get("/api/keys", requirePermission("users:manage"), (req, res) => {
+  res.json({ success: true, keys: listApiKeys() });
+});
+
+// Body: { name, role } or { name, scopes: [...] }, plus optional expiresInDays (0 = never).
+// The plaintext key is only returned in this response.
+app.post("/api/keys", requirePermission("users:manage"), (req, res) => {
+  try {
+    const { name, role, scopes, expiresInDays } = req.body || {};
+    const { key, apiKey } = createApiKey({
+      name,
+      role,
+      scopes: Array.isArray(scopes) ? scopes : null,
+      ...(expiresInDays !== undefined && { expiresInDays }),
+      createdBy: `api:${req.actor.name}`
+    });
+    res.json({ success: true, key, apiKey });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// Body: { graceHours } (default 24) - how long the old key keeps working
+app.post("/api/keys/:id/rotate", requirePermission("users:manage"), (req, res) => {
+  try {
+    const rotated = rotateApiKey(req.params.id, { graceHours: req.body?.graceHours, createdBy: `api:${req.actor.name}` });
+    if (!rotated) {
+      return res.status(404).json({ success: false, error: "Key not found" });
+    }
+    res.json({ success: true, ...rotated });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.delete("/api/keys/:id", requirePermission("users:manage"), (req, res) => {
+  if (!revokeApiKey(req.params.id)) {
+    return res.status(404).json({ success: false, error: "Key not found" });
+  }
+  res.json({ success: true, deleted: true });
+});
+
 // Helper function to format uptime
 function formatUptime(seconds) {
   const days = Math.floor(seconds / 86400);
@@ -4615,7 +6176,8 @@ app.get("/api/control/status", async (req, res) => {
         details: {
           phoneNumberId: WHATSAPP_PHONE_NUMBER_ID || "Not configured",
           webhookConfigured: !!process.env.WHATSAPP_VERIFY_TOKEN,
-          adminNumbers: ADMIN_NUMBERS.length
+          adminNumbers: ADMIN_NUMBERS.length,
+          users: listUsers().length
         }
       };
     } catch (err) {
@@ -4826,7 +6388,11 @@ app.get("/api/control/health", async (req, res) => {
         companyProfile: fs.existsSync(COMPANY_FILE),
         audiences: fs.existsSync(AUDIENCES_FILE),
         conversations: fs.existsSync(CONVERSATIONS_FILE)
-      }
+      },
+      state: getStateStoreStats(),
+      queue: getQueueStats(),
+      productCache: getProductCacheStats(),
+      metaApi: getMetaApiStatus()
     };
 
     res.json(health);
@@ -4842,7 +6408,7 @@ app.get("/api/control/health", async (req, res) => {
 
 
 // Scrape website endpoint for company profile
-app.post("/api/company/scrape-website", async (req, res) => {
+app.post("/api/company/scrape-website", requirePermission("settings:manage"), async (req, res) => {
   try {
     const { url } = req.body;
     if (!url) {
@@ -4858,7 +6424,7 @@ app.post("/api/company/scrape-website", async (req, res) => {
 });
 
 // Scrape all website pages for knowledge base
-app.post("/api/company/scrape-all-pages", async (req, res) => {
+app.post("/api/company/scrape-all-pages", requirePermission("settings:manage"), async (req, res) => {
   try {
     const { baseUrl, customPages } = req.body;
     if (!baseUrl) {
@@ -5388,7 +6954,7 @@ app.get("/api/meta/ad-image-specs", async (req, res) => {
 });
 
 // Create campaign endpoint
-app.post("/api/campaigns/create", requireAdminKey, async (req, res) => {
+app.post("/api/campaigns/create", requirePermission("campaigns:write"), async (req, res) => {
   try {
     const { accountId, name, objective, budget, audience, startDate, endDate } = req.body;
     
@@ -5427,18 +6993,77 @@ app.post("/api/campaigns/create", requireAdminKey, async (req, res) => {
     });
   } catch (e) {
     console.error("[Campaign Creation] Error:", e);
-    const status = e.response?.status || 500;
-    const errorData = e.response?.data || {};
-    const errorMessage = errorData.error?.message || errorData.error || e.message || String(e);
+    const isMetaError = e instanceof MetaApiError;
     
-    res.status(status).json({
+    res.status(isMetaError ? e.status : 500).json({
       success: false,
-      error: errorMessage,
-      details: errorData.error?.error_subcode || null
+      error: e.message || String(e),
+      code: isMetaError ? e.code : null,
+      details: isMetaError ? e.subcode : null,
+      rolledBack: e.rollback?.deleted.length || 0
     });
   }
 });
 
+// Create a campaign from a declarative spec: N ad sets × M ads, placements, pixel
+// events, bid strategy (see campaignBuilder.js). The spec is validated before any
+// Meta call and partially created objects are deleted on failure.
+// Body: the spec, plus { dryRun: true } to only validate and return the payloads
+app.post("/api/campaigns/spec", requirePermission("campaigns:write"), async (req, res) => {
+  const { dryRun, ...spec } = req.body || {};
+  const { errors, plan } = validateCampaignSpec(spec);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors });
+  }
+  if (dryRun) {
+    return res.json({ success: true, dryRun: true, plan: describeCampaignPlan(plan) });
+  }
+
+  const result = await buildCampaign(spec);
+  if (!result.success) {
+    return res.status(502).json(result);
+  }
+  res.json(result);
+});
+
+// Change a campaign's budget: the campaign budget under CBO, otherwise its ad sets
+// (all of them, or one named in "adset"). Body: { amount | percent, period, adset, dryRun }
+app.post("/api/campaigns/:id/budget", requirePermission("campaigns:write"), async (req, res) => {
+  const { amount, percent, period, adset, dryRun } = req.body || {};
+  if ((amount === undefined) === (percent === undefined)) {
+    return res.status(400).json({ success: false, error: "Provide either amount or percent" });
+  }
+  if (period && !["daily", "lifetime"].includes(period)) {
+    return res.status(400).json({ success: false, error: "period must be daily or lifetime" });
+  }
+  const change = parseBudgetChange(percent !== undefined ? `${percent > 0 ? "+" : ""}${percent}%` : String(amount));
+  if (!change) {
+    return res.status(400).json({ success: false, error: "Invalid amount or percent" });
+  }
+
+  let plan;
+  try {
+    plan = await planBudgetChange({ campaignId: req.params.id, adsetQuery: adset || null, change: { ...change, period: period || null } });
+  } catch (e) {
+    const errorMessage = e.response?.data?.error?.message || e.message;
+    return res.status(e.response?.status || 400).json({ success: false, error: errorMessage });
+  }
+
+  const describe = (item) => ({ ...item, beforeAmount: formatBudget(item.before), afterAmount: formatBudget(item.after) });
+  if (dryRun) {
+    return res.json({ success: true, dryRun: true, campaign: plan.campaign, cbo: plan.cbo, changes: plan.items.map(describe) });
+  }
+
+  const results = await applyBudgetPlan(plan, apiKeyActor(req.actor));
+  const failed = results.filter(r => !r.success);
+  res.status(failed.length === results.length ? 502 : 200).json({
+    success: failed.length === 0,
+    campaign: plan.campaign,
+    cbo: plan.cbo,
+    changes: results.map(describe)
+  });
+});
+
 // --- Diagnostic routes ---
 app.get("/diag/permissions", async (_req, res) => {
   try {
@@ -5495,22 +7120,9 @@ app.get("/api/legal/test", (req, res) => {
 });
 
 // Update legal document URLs
-app.post("/api/legal/urls", async (req, res) => {
+app.post("/api/legal/urls", requirePermission("settings:manage"), async (req, res) => {
   console.log("[Legal URLs] POST request received");
   try {
-    // Optional admin key check (only if ADMIN_DASH_KEY is set)
-    const ADMIN_DASH_KEY = process.env.ADMIN_DASH_KEY;
-    if (ADMIN_DASH_KEY) {
-      const providedKey = req.headers["x-admin-key"];
-      if (!providedKey || providedKey !== ADMIN_DASH_KEY) {
-        console.log("[Legal URLs] Unauthorized - missing or invalid admin key");
-        return res.status(401).json({ 
-          success: false,
-          error: "Unauthorized. Missing or invalid x-admin-key header." 
-        });
-      }
-    }
-    
     const { legalDocuments, website } = req.body;
     console.log("[Legal URLs] Updating with:", { 
       hasLegalDocs: !!legalDocuments, 
@@ -5614,7 +7226,7 @@ app.get("/api/products/:id", async (req, res) => {
 // GET /api/categories - List categories
 app.get("/api/categories", async (req, res) => {
   try {
-    const categories = await wooFetch("GET", "/products/categories?per_page=100");
+    const categories = await getCachedCategories();
     const normalized = Array.isArray(categories) ? categories.map(cat => ({
       id: cat.id,
       name: cat.name,
@@ -5638,14 +7250,21 @@ app.get("/api/categories", async (req, res) => {
   }
 });
 
+// Keep the Meta catalog in step with edits made here, without delaying the response
+function syncProductToCatalog(push) {
+  push().catch(err => console.error("[Catalog] Product sync failed:", err.message));
+}
+
 // POST /api/products - Create product (admin only)
-app.post("/api/products", requireAdminKey, async (req, res) => {
+app.post("/api/products", requirePermission("products:write"), async (req, res) => {
   try {
     const productData = req.body;
     const product = await wooFetch("POST", "/products", productData);
     const normalized = normalizeProduct(product);
     
     console.log(`[WooCommerce] Product created: ${normalized.name} (ID: ${normalized.id})`);
+    invalidateProductCache(normalized.id);
+    syncProductToCatalog(() => pushCatalogProducts([normalized.id], { source: "product.create" }));
     
     res.json({
       source: "woo",
@@ -5663,7 +7282,7 @@ app.post("/api/products", requireAdminKey, async (req, res) => {
 });
 
 // PUT /api/products/:id - Update product (admin only)
-app.put("/api/products/:id", requireAdminKey, async (req, res) => {
+app.put("/api/products/:id", requirePermission("products:write"), async (req, res) => {
   try {
     const { 
       name, 
@@ -5727,6 +7346,9 @@ app.put("/api/products/:id", requireAdminKey, async (req, res) => {
     
     const urlWithAuth = `${fullUrl}${fullUrl.includes("?") ? "&" : "?"}${params.toString()}`;
     
+    // Current values for the audit log
+    const current = await wooFetch("GET", endpoint).catch(() => null);
+    
     const response = await axios.put(urlWithAuth, wooPayload, {
       headers: {
         "Content-Type": "application/json",
@@ -5745,6 +7367,17 @@ app.put("/api/products/:id", requireAdminKey, async (req, res) => {
     }
     
     console.log(`[WooCommerce] Product updated: ${response.data.name || req.params.id} (ID: ${req.params.id})`);
+    recordChange(
+      apiKeyActor(req.actor),
+      variation_id && type === "variable" ? "variation.update" : "product.update",
+      variation_id && type === "variable"
+        ? { type: "variation", id: variation_id, parentId: req.params.id, name: response.data.name || current?.name }
+        : { type: "product", id: req.params.id, name: response.data.name || current?.name },
+      currentProductValues(current, wooPayload),
+      wooPayload
+    );
+    invalidateProductCache(req.params.id);
+    syncProductToCatalog(() => pushCatalogProducts([req.params.id], { source: "product.update" }));
     
     res.json({
       ok: true,
@@ -5778,7 +7411,7 @@ app.put("/api/products/:id", requireAdminKey, async (req, res) => {
 });
 
 // DELETE /api/products/:id - Delete product (admin only)
-app.delete("/api/products/:id", requireAdminKey, async (req, res) => {
+app.delete("/api/products/:id", requirePermission("products:write"), async (req, res) => {
   try {
     const force = req.query.force === "true";
     const endpoint = `/products/${req.params.id}${force ? "?force=true" : ""}`;
@@ -5787,6 +7420,11 @@ app.delete("/api/products/:id", requireAdminKey, async (req, res) => {
     const normalized = normalizeProduct(product);
     
     console.log(`[WooCommerce] Product deleted: ${normalized.name} (ID: ${normalized.id})`);
+    invalidateProductCache(normalized.id);
+    // A trashed product is no longer published, so the regular push removes it; a forced delete can't be re-fetched
+    syncProductToCatalog(() => force
+      ? deleteCatalogProducts([normalized.id, ...(product.variations || [])], { source: "product.delete" })
+      : pushCatalogProducts([normalized.id], { source: "product.delete" }));
     
     res.json({
       source: "woo",
@@ -5804,7 +7442,7 @@ app.delete("/api/products/:id", requireAdminKey, async (req, res) => {
   }
 });
 
-app.post("/api/company/context", (req, res) => {
+app.post("/api/company/context", requirePermission("settings:manage"), (req, res) => {
   try {
     const currentContext = loadCompanyContext();
     const updatedContext = { ...currentContext, ...req.body, updatedAt: new Date().toISOString() };
@@ -5862,7 +7500,7 @@ function detectFAQPage(pageContext) {
          title.includes('frequently asked');
 }
 
-// Chat API endpoint for Marom virtual assistant
+// Chat API endpoint for Marom virtual assistant (public: called from the website, no API key)
 app.post("/api/chat", async (req, res) => {
   try {
     const { message, pageContext, conversationHistory, sessionId } = req.body;
@@ -6366,7 +8004,7 @@ ${currentProduct ? `- CRITICAL: The user is currently viewing the product "${cur
   }
 });
 
-// Quiz Analysis endpoint - AI-powered hair loss quiz results
+// Quiz Analysis endpoint - AI-powered hair loss quiz results (public: called from the website)
 app.post("/api/quiz/analyze", async (req, res) => {
   try {
     const { answers, goal, email, gender } = req.body;
@@ -6787,7 +8425,7 @@ Make it feel personal and tailored to their specific situation, not generic. Ref
 });
 
 // AI Enhancement endpoint for company profile
-app.post("/api/company/enhance-with-ai", async (req, res) => {
+app.post("/api/company/enhance-with-ai", requirePermission("settings:manage"), async (req, res) => {
   try {
     const { scrapedData } = req.body;
     
@@ -6859,7 +8497,7 @@ Make sure all fields are filled with high-quality, professional content that wou
 });
 
 // Generate audience suggestions
-app.post("/api/ai/audience", async (req, res) => {
+app.post("/api/ai/audience", requirePermission("audiences:write"), async (req, res) => {
   try {
     const { description } = req.body;
     const companyContext = loadCompanyContext();
@@ -6902,7 +8540,7 @@ app.post("/api/ai/audience", async (req, res) => {
 });
 
 // Generate ad copy / creatives
-app.post("/api/ai/creatives", async (req, res) => {
+app.post("/api/ai/creatives", requirePermission("chat"), async (req, res) => {
   try {
     const { productDescription, language } = req.body;
     const companyContext = loadCompanyContext();
@@ -6947,7 +8585,7 @@ app.post("/api/ai/creatives", async (req, res) => {
 });
 
 // AI Audience Suggestions endpoint
-app.post("/api/ai/audience-suggestions", requireAdminKey, async (req, res) => {
+app.post("/api/ai/audience-suggestions", requirePermission("audiences:write"), async (req, res) => {
   try {
     console.log("[AI Audience] Request received");
     const companyContext = loadCompanyContext();
@@ -7207,7 +8845,7 @@ app.get("/api/ai/recommendations", async (req, res) => {
 });
 
 // Chat endpoint with memory
-app.post("/api/ai/chat", async (req, res) => {
+app.post("/api/ai/chat", requirePermission("chat"), async (req, res) => {
   try {
     const { message, history = [] } = req.body;
     
@@ -7403,15 +9041,15 @@ app.post("/api/ai/chat", async (req, res) => {
 });
 
 // Mock actions
-app.post("/api/ai/recommendations/:type/apply", (req, res) => {
+app.post("/api/ai/recommendations/:type/apply", requirePermission("campaigns:write"), (req, res) => {
   res.json({ ok: true, message: `Applied recommendation: ${req.params.type}` });
 });
-app.post("/api/ai/recommendations/:type/dismiss", (req, res) => {
+app.post("/api/ai/recommendations/:type/dismiss", requirePermission("campaigns:write"), (req, res) => {
   res.json({ ok: true, message: `Dismissed recommendation: ${req.params.type}` });
 });
 
 // Creatives API endpoints
-app.post("/api/creatives/session", requireAdminKey, (req, res) => {
+app.post("/api/creatives/session", requirePermission("media:generate"), (req, res) => {
   try {
     const { phone = "dashboard", angle, style } = req.body;
     const session = getSession(phone);
@@ -7435,7 +9073,7 @@ app.post("/api/creatives/session", requireAdminKey, (req, res) => {
   }
 });
 
-app.post("/api/creatives/generate", requireAdminKey, async (req, res) => {
+app.post("/api/creatives/generate", requirePermission("media:generate"), async (req, res) => {
   try {
     const { productQuery, angle, style, pack = false, phone = "dashboard" } = req.body;
     
@@ -7550,7 +9188,7 @@ app.post("/api/creatives/generate", requireAdminKey, async (req, res) => {
   }
 });
 
-app.get("/api/creatives/last", requireAdminKey, (req, res) => {
+app.get("/api/creatives/last", requirePermission("media:generate"), (req, res) => {
   try {
     const phone = req.query.phone || "dashboard";
     const history = creativeHistory.get(phone) || [];
@@ -7563,7 +9201,7 @@ app.get("/api/creatives/last", requireAdminKey, (req, res) => {
 });
 
 // Video generation endpoint
-app.post("/api/creatives/video", requireAdminKey, async (req, res) => {
+app.post("/api/creatives/video", requirePermission("media:generate"), async (req, res) => {
   try {
     const { productQuery, prompt, aspectRatio = "9:16", durationSec = 8, phone = "dashboard" } = req.body;
     
@@ -7841,7 +9479,7 @@ function saveAudiences(audiences) {
 }
 
 // Audience CRUD Endpoints
-app.get("/api/audiences", requireAdminKey, (req, res) => {
+app.get("/api/audiences", requirePermission("stats:read"), (req, res) => {
   try {
     const audiences = loadAudiences();
     res.json(audiences);
@@ -7851,7 +9489,7 @@ app.get("/api/audiences", requireAdminKey, (req, res) => {
   }
 });
 
-app.post("/api/audiences", requireAdminKey, (req, res) => {
+app.post("/api/audiences", requirePermission("audiences:write"), (req, res) => {
   try {
     const { name, ageMin, ageMax, gender, locationData, locations, interests, behaviors } = req.body;
     
@@ -7888,7 +9526,7 @@ app.post("/api/audiences", requireAdminKey, (req, res) => {
   }
 });
 
-app.put("/api/audiences/:id", requireAdminKey, (req, res) => {
+app.put("/api/audiences/:id", requirePermission("audiences:write"), (req, res) => {
   try {
     const { id } = req.params;
     const { name, ageMin, ageMax, gender, locationData, locations, interests, behaviors } = req.body;
@@ -7928,7 +9566,7 @@ app.put("/api/audiences/:id", requireAdminKey, (req, res) => {
   }
 });
 
-app.delete("/api/audiences/:id", requireAdminKey, (req, res) => {
+app.delete("/api/audiences/:id", requirePermission("audiences:write"), (req, res) => {
   try {
     const { id } = req.params;
     const audiences = loadAudiences();
@@ -7977,7 +9615,7 @@ app.get("/api/geocode/search", async (req, res) => {
 });
 
 // Vertex AI Diagnostic Endpoint
-app.get("/api/vertex/diagnostic", requireAdminKey, async (req, res) => {
+app.get("/api/vertex/diagnostic", requirePermission("system:admin"), async (req, res) => {
   const diagnostic = {
     timestamp: new Date().toISOString(),
     environment: {},
@@ -8159,7 +9797,7 @@ function addMediaRoutesDirectly() {
   });
   
   // Media library endpoint - list all media from Google Drive
-  app.get("/api/media/library", requireAdminKey, async (req, res) => {
+  app.get("/api/media/library", requirePermission("media:generate"), async (req, res) => {
     try {
       const limit = parseInt(req.query.limit) || 50;
       
@@ -8193,7 +9831,7 @@ function addMediaRoutesDirectly() {
   });
   
   // Upload image endpoint - accepts base64 or multipart
-  app.post("/api/media/upload", requireAdminKey, express.json({ limit: '50mb' }), async (req, res) => {
+  app.post("/api/media/upload", requirePermission("media:generate"), express.json({ limit: '50mb' }), async (req, res) => {
     try {
       // Check if it's base64 data
       if (req.body.imageData) {
@@ -8274,7 +9912,7 @@ function addMediaRoutesDirectly() {
   app.use('/uploads', express.static(uploadsDir));
   
   // Image generation endpoint
-  app.post("/api/media/create", requireAdminKey, async (req, res) => {
+  app.post("/api/media/create", requirePermission("media:generate"), async (req, res) => {
     console.log("[Media API] Direct route handler called");
     try {
       // Try multiple import paths (check root directory first, then services/)
@@ -8441,7 +10079,7 @@ function addMediaRoutesDirectly() {
   });
   
   // Composite scene generation endpoint using Gemini API
-  app.post("/api/media/composite", requireAdminKey, express.json({ limit: '50mb' }), async (req, res) => {
+  app.post("/api/media/composite", requirePermission("media:generate"), express.json({ limit: '50mb' }), async (req, res) => {
     console.log("[Composite API] Request received");
     try {
       const { prompt, referenceImages, aspectRatio } = req.body;
@@ -8460,36 +10098,14 @@ function addMediaRoutesDirectly() {
       
       // Import Gemini service
       let geminiService;
-      const possiblePaths = [
-        "./services/geminiService.js",
-        path.join(__dirname, "services", "geminiService.js"),
-        path.join(process.cwd(), "services", "geminiService.js"),
-        "../services/geminiService.js"
-      ];
-      
-      let importError = null;
-      for (const importPath of possiblePaths) {
-        try {
-          const normalizedPath = importPath.startsWith(".") 
-            ? importPath 
-            : `file://${importPath}`;
-          geminiService = await import(normalizedPath);
-          if (geminiService.generateImageWithReferences) {
-            console.log(`[Composite API] Successfully imported geminiService from: ${importPath}`);
-            break;
-          }
-        } catch (err) {
-          importError = err;
-          continue;
-        }
-      }
-      
-      if (!geminiService || !geminiService.generateImageWithReferences) {
-        console.error("[Composite API] Gemini service not available:", importError?.message);
+      try {
+        geminiService = await importGeminiService();
+      } catch (importError) {
+        console.error("[Composite API] Gemini service not available:", importError.message);
         return res.status(503).json({ 
           success: false, 
           error: "Gemini API service not available. Please ensure GEMINI_API_KEY is configured.",
-          details: importError?.message || "Service not found"
+          details: importError.message
         });
       }
       
@@ -8548,7 +10164,7 @@ function addMediaRoutesDirectly() {
   });
   
   // Video generation endpoint using Veo 3
-  app.post("/api/media/video", requireAdminKey, express.json({ limit: '50mb' }), async (req, res) => {
+  app.post("/api/media/video", requirePermission("media:generate"), express.json({ limit: '50mb' }), async (req, res) => {
     console.log("[Video API] Request received");
     try {
       const { prompt, imageUrl, aspectRatio, durationSec, quality } = req.body;
@@ -8705,7 +10321,7 @@ try {
 }
 
 // Manual backup endpoint
-app.post("/api/backup/run", async (req, res) => {
+app.post("/api/backup/run", requirePermission("backup:run"), async (req, res) => {
   try {
     if (!backupService) {
       return res.status(503).json({ 
@@ -8802,6 +10418,8 @@ setInterval(async () => {
       const results = await backupService.backupAllFiles();
       const successCount = results.filter(r => r.success).length;
       console.log(`[Backup] Scheduled backup completed: ${successCount}/${results.length} files backed up`);
+      // Retry audit files whose upload failed when they were rotated
+      await exportAuditLogs();
       lastBackupTime = now;
     } catch (err) {
       console.error("[Backup] Scheduled backup failed:", err.message);
@@ -8818,6 +10436,11 @@ setTimeout(async () => {
     } catch (err) {
       console.error("[Drive Storage] Failed to sync company context:", err.message);
     }
+    try {
+      await restoreStateFromDrive();
+    } catch (err) {
+      console.error("[Drive Storage] Failed to restore bot state:", err.message);
+    }
   }
 }, 2000); // 2 second delay
 
@@ -8834,5 +10457,30 @@ setTimeout(async () => {
   }
 }, 60000); // 1 minute delay
 
+// Persist bot state before Render stops the instance
+for (const signal of ["SIGTERM", "SIGINT"]) {
+  process.on(signal, () => {
+    console.log(`[State] ${signal} received, saving state...`);
+    flushAllStateStores();
+    process.exit(0);
+  });
+}
+
+// Scheduled WhatsApp performance reports (/report)
+startReportScheduler();
+
+// Threshold-based ad alerts (/alerts)
+startAlertPolling();
+
+// Rule-based campaign optimizer (/optimizer)
+startOptimizer();
+
+// WooCommerce orders for backend-measured ROAS (/stats, /best, /api/attribution), and the
+// product cache (loaded from disk when saved, then only what changed since)
+if (WC_API_KEY && WC_API_SECRET) {
+  startOrderSync();
+  refreshProductCache().catch(err => console.error("[Products] Initial cache load failed:", err.message));
+}
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`✅ Backend on http://localhost:${PORT}`));
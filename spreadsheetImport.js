@@ -0,0 +1,292 @@
+import ExcelJS from "exceljs";
+
+/**
+ * Spreadsheet Import
+ * Parses CSV/XLSX files sent over WhatsApp and maps their rows to WooCommerce
+ * products or saved audiences
+ */
+
+export const MAX_IMPORT_ROWS = 1000;
+
+// Column aliases (normalized header -> field)
+const PRODUCT_COLUMNS = {
+  name: "name", title: "name", product: "name", product_name: "name",
+  price: "regular_price", regular_price: "regular_price",
+  sale_price: "sale_price",
+  sku: "sku",
+  description: "description",
+  short_description: "short_description",
+  stock: "stock_quantity", stock_quantity: "stock_quantity", quantity: "stock_quantity",
+  image: "image", image_url: "image", images: "image",
+  status: "status"
+};
+
+const AUDIENCE_COLUMNS = {
+  name: "name", audience: "name", audience_name: "name",
+  age_min: "ageMin", min_age: "ageMin", agemin: "ageMin",
+  age_max: "ageMax", max_age: "ageMax", agemax: "ageMax",
+  gender: "gender",
+  locations: "locations", location: "locations", countries: "locations", country: "locations",
+  interests: "interests",
+  behaviors: "behaviors", behaviours: "behaviors"
+};
+
+const PRODUCT_STATUSES = ["draft", "pending", "private", "publish"];
+
+/**
+ * Parse a price typed or imported by a user: "29.90", "29,90", "$1,299",
+ * "1,299.90" and "1.299,90" (shared with the WhatsApp workflows)
+ * @param {string} text
+ * @returns {string|null} - Price with two decimals, or null when invalid or the
+ *   separators are ambiguous (e.g. "1.299", which could be 1.299 or 1299)
+ */
+export function parsePrice(text) {
+  if (String(text).includes("-")) return null; // Negative or a range
+  const digits = String(text).replace(/[^\d.,]/g, "");
+  const lastComma = digits.lastIndexOf(",");
+  const lastDot = digits.lastIndexOf(".");
+  let normalized = digits;
+  if (lastComma !== -1 && lastDot !== -1) {
+    // The last separator is the decimal one
+    normalized = lastComma > lastDot ? digits.replace(/\./g, "").replace(",", ".") : digits.replace(/,/g, "");
+  } else if (lastComma !== -1) {
+    // Commas before groups of exactly three digits separate thousands; a single other comma is a decimal comma
+    normalized = /^\d{1,3}(,\d{3})+$/.test(digits) ? digits.replace(/,/g, "") : digits.replace(",", ".");
+  } else if (/^\d{1,3}(\.\d{3}){2,}$/.test(digits)) {
+    normalized = digits.replace(/\./g, ""); // "1.299.000"
+  }
+  // More than two decimals means the separators were read the wrong way round
+  if (!/^\d+(\.\d{1,2})?$/.test(normalized)) return null;
+  return parseFloat(normalized).toFixed(2);
+}
+
+function normalizeHeader(header) {
+  return String(header || "").trim().toLowerCase().replace(/[\s-]+/g, "_");
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting; comma or semicolon delimited)
+ * @param {string} text
+ * @returns {Array<Array<string>>} - Rows of cells
+ */
+export function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, "");
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(c => c.trim() !== ""));
+}
+
+// Read the first worksheet of an XLSX file into rows of strings
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (sheetRow) => {
+    const cells = [];
+    for (let col = 1; col <= sheet.columnCount; col++) {
+      const value = sheetRow.getCell(col).value;
+      // Formula, rich text and hyperlink cells carry their display value separately
+      if (value && typeof value === "object" && !(value instanceof Date)) {
+        cells.push(String(value.result ?? value.text ?? value.richText?.map(t => t.text).join("") ?? ""));
+      } else {
+        cells.push(value instanceof Date ? value.toISOString() : String(value ?? ""));
+      }
+    }
+    rows.push(cells);
+  });
+  return rows;
+}
+
+/**
+ * Parse a CSV or XLSX file into header-keyed records
+ * @param {Buffer} buffer - File contents
+ * @param {object} options - { mimeType, filename }
+ * @returns {Promise<{ headers: Array<string>, records: Array<object> }>}
+ */
+export async function parseSpreadsheet(buffer, { mimeType = "", filename = "" } = {}) {
+  const isXlsx = /\.xlsx$/i.test(filename) || mimeType.includes("spreadsheetml");
+  const isCsv = /\.csv$/i.test(filename) || mimeType.includes("csv") || mimeType === "text/plain";
+  if (!isXlsx && !isCsv) {
+    throw new Error("Unsupported file type. Send a .csv or .xlsx file.");
+  }
+
+  const rows = isXlsx ? await parseXlsx(buffer) : parseCsv(buffer.toString("utf8"));
+  if (rows.length < 2) {
+    throw new Error("The file needs a header row and at least one data row.");
+  }
+  if (rows.length - 1 > MAX_IMPORT_ROWS) {
+    throw new Error(`Too many rows (${rows.length - 1}). The limit is ${MAX_IMPORT_ROWS} per file.`);
+  }
+
+  const headers = rows[0].map(normalizeHeader);
+  const records = rows.slice(1).map(row => {
+    const record = {};
+    headers.forEach((header, i) => {
+      if (header) record[header] = String(row[i] ?? "").trim();
+    });
+    return record;
+  });
+  return { headers, records };
+}
+
+/**
+ * Guess whether a file holds products or audiences from its headers
+ * @param {Array<string>} headers - Normalized headers
+ * @returns {"products"|"audiences"|null}
+ */
+export function detectImportType(headers) {
+  const audienceOnly = ["age_min", "min_age", "agemin", "age_max", "max_age", "agemax", "gender", "interests", "behaviors", "behaviours"];
+  const productOnly = ["price", "regular_price", "sale_price", "sku", "stock", "stock_quantity"];
+  if (headers.some(h => productOnly.includes(h))) return "products";
+  if (headers.some(h => audienceOnly.includes(h))) return "audiences";
+  return null;
+}
+
+// Map a record's columns through an alias table
+function mapColumns(record, columns) {
+  const mapped = {};
+  for (const [header, value] of Object.entries(record)) {
+    const field = columns[header];
+    if (field && value !== "" && mapped[field] === undefined) mapped[field] = value;
+  }
+  return mapped;
+}
+
+/**
+ * Build WooCommerce product payloads from records
+ * Products are created as drafts unless the file has a status column.
+ * @param {Array<object>} records
+ * @returns {{ items: Array<object>, errors: Array<string> }}
+ */
+export function mapProductRecords(records) {
+  const items = [];
+  const errors = [];
+
+  records.forEach((record, i) => {
+    const rowNumber = i + 2; // Header is row 1
+    const row = mapColumns(record, PRODUCT_COLUMNS);
+    if (!row.name) {
+      errors.push(`Row ${rowNumber}: missing name`);
+      return;
+    }
+
+    const product = { name: row.name, type: "simple", status: "draft" };
+    for (const field of ["regular_price", "sale_price"]) {
+      if (row[field] === undefined) continue;
+      const price = parsePrice(row[field]);
+      if (price === null) {
+        errors.push(`Row ${rowNumber}: invalid or ambiguous ${field.replace("_", " ")} "${row[field]}"`);
+        return;
+      }
+      product[field] = price;
+    }
+    if (row.sku) product.sku = row.sku;
+    if (row.description) product.description = row.description;
+    if (row.short_description) product.short_description = row.short_description;
+    if (row.stock_quantity !== undefined) {
+      const stock = parseInt(row.stock_quantity);
+      if (isNaN(stock)) {
+        errors.push(`Row ${rowNumber}: invalid stock "${row.stock_quantity}"`);
+        return;
+      }
+      product.manage_stock = true;
+      product.stock_quantity = stock;
+    }
+    if (row.image) {
+      product.images = row.image.split(/[,\s]+/).filter(src => /^https?:\/\//.test(src)).map(src => ({ src }));
+    }
+    if (row.status) {
+      const status = row.status.toLowerCase();
+      if (!PRODUCT_STATUSES.includes(status)) {
+        errors.push(`Row ${rowNumber}: invalid status "${row.status}" (use ${PRODUCT_STATUSES.join(", ")})`);
+        return;
+      }
+      product.status = status;
+    }
+    items.push(product);
+  });
+
+  return { items, errors };
+}
+
+/**
+ * Build audience records (same shape as POST /api/audiences) from records
+ * @param {Array<object>} records
+ * @returns {{ items: Array<object>, errors: Array<string> }}
+ */
+export function mapAudienceRecords(records) {
+  const items = [];
+  const errors = [];
+
+  records.forEach((record, i) => {
+    const rowNumber = i + 2;
+    const row = mapColumns(record, AUDIENCE_COLUMNS);
+    if (!row.name) {
+      errors.push(`Row ${rowNumber}: missing name`);
+      return;
+    }
+
+    const ageMin = row.ageMin ? parseInt(row.ageMin) : null;
+    const ageMax = row.ageMax ? parseInt(row.ageMax) : null;
+    if ((row.ageMin && (isNaN(ageMin) || ageMin < 13)) || (row.ageMax && (isNaN(ageMax) || ageMax > 65)) || (ageMin && ageMax && ageMin > ageMax)) {
+      errors.push(`Row ${rowNumber}: invalid age range (13-65)`);
+      return;
+    }
+
+    const countries = row.locations
+      ? row.locations.split(/[,;|]/).map(c => c.trim().toUpperCase()).filter(Boolean)
+      : [];
+    items.push({
+      name: row.name,
+      ageMin,
+      ageMax,
+      gender: (row.gender || "").toLowerCase(),
+      locationData: countries.length > 0 ? { type: "countries", countries } : null,
+      locations: row.locations || "",
+      interests: row.interests || "",
+      behaviors: row.behaviors || ""
+    });
+  });
+
+  return { items, errors };
+}
@@ -0,0 +1,304 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * State Store
+ * Persistent, Map-compatible key/value stores for per-user bot state (sessions,
+ * workflows, confirmations). Values live in memory and are snapshotted to the
+ * configured backend, so in-place mutations (e.g. history.push) are persisted too.
+ *
+ * Backends (STATE_BACKEND):
+ * - "file"   (default) one JSON file per store under STATE_DIR
+ * - "sqlite" node:sqlite database (Node 22.5+), falls back to "file" when unavailable
+ * - "drive"  file backend plus periodic sync to Google Drive via backupService
+ */
+
+const FLUSH_INTERVAL = 5 * 1000; // Snapshot changed stores every 5 seconds
+const DRIVE_SYNC_INTERVAL = 10 * 60 * 1000; // Push to Drive every 10 minutes
+
+const stores = new Map(); // name -> StateStore
+let backend = null;
+let driveSync = false;
+let getBackupService = () => null;
+let flushTimer = null;
+let driveTimer = null;
+
+// Buffers (e.g. generated media in workflow data) are stored as base64
+function replacer(key, value) {
+  const raw = this[key];
+  if (Buffer.isBuffer(raw)) return { __buffer: raw.toString("base64") };
+  return value;
+}
+
+function reviver(key, value) {
+  if (value && typeof value === "object" && typeof value.__buffer === "string") {
+    return Buffer.from(value.__buffer, "base64");
+  }
+  return value;
+}
+
+function createFileBackend(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  return {
+    name: "file",
+    load(name) {
+      const file = path.join(dir, `${name}.json`);
+      if (!fs.existsSync(file)) return null;
+      return fs.readFileSync(file, "utf8");
+    },
+    save(name, json) {
+      // Write-then-rename so a crash mid-write never leaves a truncated file
+      const file = path.join(dir, `${name}.json`);
+      fs.writeFileSync(`${file}.tmp`, json, "utf8");
+      fs.renameSync(`${file}.tmp`, file);
+    }
+  };
+}
+
+async function createSqliteBackend(dir) {
+  const { DatabaseSync } = await import("node:sqlite");
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  const db = new DatabaseSync(path.join(dir, "state.db"));
+  db.exec("CREATE TABLE IF NOT EXISTS state (name TEXT PRIMARY KEY, data TEXT NOT NULL, updated_at INTEGER NOT NULL)");
+  const select = db.prepare("SELECT data FROM state WHERE name = ?");
+  const upsert = db.prepare("INSERT INTO state (name, data, updated_at) VALUES (?, ?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at");
+  return {
+    name: "sqlite",
+    load(name) {
+      return select.get(name)?.data || null;
+    },
+    save(name, json) {
+      upsert.run(name, json, Date.now());
+    }
+  };
+}
+
+/**
+ * Map-compatible store with optional sliding TTL (refreshed on get/set)
+ */
+export class StateStore {
+  constructor(name, { ttlMs = null } = {}) {
+    this.name = name;
+    this.ttlMs = ttlMs;
+    this.data = new Map(); // key -> { value, expiresAt }
+    this.lastSaved = null;
+    this.load();
+  }
+
+  load() {
+    if (!backend) return;
+    try {
+      const json = backend.load(this.name);
+      if (!json) return;
+      const entries = JSON.parse(json, reviver);
+      for (const [key, entry] of Object.entries(entries)) {
+        this.data.set(key, entry);
+      }
+      this.lastSaved = json;
+      this.sweep();
+      if (this.data.size > 0) console.log(`[State] Restored ${this.data.size} ${this.name} entries (${backend.name})`);
+    } catch (err) {
+      console.error(`[State] Error loading ${this.name}:`, err.message);
+    }
+  }
+
+  isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  }
+
+  get(key) {
+    const entry = this.data.get(key);
+    if (!entry) return undefined;
+    if (this.isExpired(entry)) {
+      this.data.delete(key);
+      return undefined;
+    }
+    if (this.ttlMs) entry.expiresAt = Date.now() + this.ttlMs;
+    return entry.value;
+  }
+
+  set(key, value) {
+    this.data.set(key, { value, expiresAt: this.ttlMs ? Date.now() + this.ttlMs : null });
+    return this;
+  }
+
+  has(key) {
+    return this.get(key) !== undefined;
+  }
+
+  delete(key) {
+    return this.data.delete(key);
+  }
+
+  clear() {
+    this.data.clear();
+  }
+
+  get size() {
+    this.sweep();
+    return this.data.size;
+  }
+
+  sweep() {
+    for (const [key, entry] of this.data) {
+      if (this.isExpired(entry)) this.data.delete(key);
+    }
+  }
+
+  *entries() {
+    this.sweep();
+    for (const [key, entry] of this.data) {
+      yield [key, entry.value];
+    }
+  }
+
+  *keys() {
+    for (const [key] of this.entries()) yield key;
+  }
+
+  *values() {
+    for (const [, value] of this.entries()) yield value;
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  forEach(callback) {
+    for (const [key, value] of this.entries()) callback(value, key, this);
+  }
+
+  serialize() {
+    this.sweep();
+    return JSON.stringify(Object.fromEntries(this.data), replacer);
+  }
+
+  /**
+   * Persist the store if its contents changed since the last save
+   * @returns {boolean} - True if written
+   */
+  flush() {
+    if (!backend) return false;
+    try {
+      const json = this.serialize();
+      if (json === this.lastSaved) return false;
+      backend.save(this.name, json);
+      this.lastSaved = json;
+      return true;
+    } catch (err) {
+      console.error(`[State] Error saving ${this.name}:`, err.message);
+      return false;
+    }
+  }
+}
+
+/**
+ * Configure the persistence backend. Call once before creating stores.
+ * @param {object} options - { dir, backend?: "file"|"sqlite"|"drive", getBackupService?: () => module }
+ */
+export async function configureStateStore({ dir, backend: backendName = process.env.STATE_BACKEND || "file", getBackupService: backupGetter } = {}) {
+  if (backendName === "sqlite") {
+    try {
+      backend = await createSqliteBackend(dir);
+    } catch (err) {
+      console.warn(`[State] SQLite unavailable (${err.message}), using file backend`);
+      backend = createFileBackend(dir);
+    }
+  } else {
+    backend = createFileBackend(dir);
+  }
+
+  driveSync = backendName === "drive";
+  if (backupGetter) getBackupService = backupGetter;
+
+  if (flushTimer) clearInterval(flushTimer);
+  flushTimer = setInterval(flushAllStateStores, FLUSH_INTERVAL);
+  flushTimer.unref();
+
+  if (driveSync) {
+    if (driveTimer) clearInterval(driveTimer);
+    driveTimer = setInterval(syncStateToDrive, DRIVE_SYNC_INTERVAL);
+    driveTimer.unref();
+  }
+
+  console.log(`✅ State store: ${backend.name}${driveSync ? " + Google Drive sync" : ""} (${dir})`);
+}
+
+/**
+ * Create (or return the existing) named store
+ * @param {string} name - Store name (also the file/row name)
+ * @param {object} options - { ttlMs }
+ * @returns {StateStore}
+ */
+export function createStateStore(name, options = {}) {
+  if (!stores.has(name)) {
+    stores.set(name, new StateStore(name, options));
+  }
+  return stores.get(name);
+}
+
+/**
+ * Flush every store to the backend (also called on shutdown)
+ */
+export function flushAllStateStores() {
+  for (const store of stores.values()) {
+    store.flush();
+  }
+}
+
+/**
+ * Push all stores to Google Drive (drive backend only)
+ * @returns {Promise<Array>}
+ */
+export async function syncStateToDrive() {
+  const backupService = getBackupService();
+  if (!driveSync || !backupService?.saveDataToDrive) return [];
+
+  const results = [];
+  for (const store of stores.values()) {
+    const result = await backupService.saveDataToDrive(`state-${store.name}.json`, JSON.parse(store.serialize()));
+    results.push({ store: store.name, success: result.success });
+  }
+  return results;
+}
+
+/**
+ * Fill stores from Google Drive after a cold start (keys present locally win)
+ * @returns {Promise<number>} - Number of restored entries
+ */
+export async function restoreStateFromDrive() {
+  const backupService = getBackupService();
+  if (!driveSync || !backupService?.loadDataFromDrive) return 0;
+
+  let restored = 0;
+  for (const store of stores.values()) {
+    const result = await backupService.loadDataFromDrive(`state-${store.name}.json`);
+    if (!result.success || !result.data) continue;
+
+    const entries = JSON.parse(JSON.stringify(result.data), reviver);
+    for (const [key, entry] of Object.entries(entries)) {
+      if (!store.data.has(key) && !store.isExpired(entry)) {
+        store.data.set(key, entry);
+        restored++;
+      }
+    }
+  }
+  console.log(`[State] Restored ${restored} entries from Google Drive`);
+  return restored;
+}
+
+/**
+ * Store sizes for health/status endpoints
+ * @returns {object}
+ */
+export function getStateStoreStats() {
+  const stats = { backend: backend?.name || null, driveSync, stores: {} };
+  for (const store of stores.values()) {
+    stats.stores[store.name] = store.size;
+  }
+  return stats;
+}
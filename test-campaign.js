@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+/**
+ * Offline Campaign Creation Check
+ * Runs campaign creation (campaignBuilder.js over metaApi.js) against the fake
+ * Graph server instead of Meta: the one-ad workflow path, a multi ad set spec,
+ * rollback after a failed call, the typed errors for Meta error codes, and
+ * the client's batching, listing cache and rate-limit back-off.
+ *
+ * Run: node test-campaign.js
+ * No Meta credentials needed; nothing is sent to Meta.
+ */
+
+import { startFakeGraphServer } from "./fakeGraphServer.js";
+import {
+  fb,
+  fbBatch,
+  fbCached,
+  getMetaApiStatus,
+  uploadImageToMeta,
+  MetaApiError,
+  MetaAuthError,
+  MetaPermissionError,
+  MetaRateLimitError,
+  MetaValidationError
+} from "./metaApi.js";
+import { initCampaignBuilder, buildCampaign, createCampaignStructure } from "./campaignBuilder.js";
+
+const TOKEN = "offline-test-token";
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = "") {
+  if (condition) {
+    passed++;
+    console.log(`✓ ${name}`);
+  } else {
+    failed++;
+    console.log(`✗ ${name}${detail ? ` - ${detail}` : ""}`);
+  }
+}
+
+async function expectError(name, promise, ErrorType, code) {
+  try {
+    await promise;
+    check(name, false, "no error thrown");
+  } catch (err) {
+    check(name, err instanceof ErrorType && err instanceof MetaApiError && err.code === code, `got ${err.name} (${err.code}): ${err.message}`);
+  }
+}
+
+console.log("=".repeat(60));
+console.log("OFFLINE CAMPAIGN CREATION CHECK");
+console.log("=".repeat(60));
+
+const graph = await startFakeGraphServer({ token: TOKEN });
+process.env.META_GRAPH_URL = graph.url;
+process.env.META_TOKEN = TOKEN;
+process.env.META_PAGE_ID = "page_1";
+process.env.META_PIXEL_ID = "pixel_1";
+process.env.META_DEFAULT_COUNTRIES = "US";
+initCampaignBuilder({ fb });
+console.log(`Fake Graph API: ${graph.url}\n`);
+
+const countByType = (type) => [...graph.objects.values()].filter(o => o.type === type).length;
+
+try {
+  // 1. The path used by the WhatsApp workflow and POST /api/campaigns/create
+  const imageHash = await uploadImageToMeta("act_1000", Buffer.from("fake image"), "Test Image");
+  check("Image upload returns a hash", typeof imageHash === "string" && imageHash.length > 0);
+
+  const simple = await createCampaignStructure("act_1000", {
+    name: "Offline Test",
+    objective: "CONVERSIONS",
+    budget: 25,
+    media: { imageHash },
+    copy: { headline: "Hello", text: "Offline test ad" },
+    audience: { age_min: 25, age_max: 45 }
+  });
+  check("Workflow campaign: campaign, ad set, creative and ad created",
+    [simple.campaignId, simple.adSetId, simple.creativeId, simple.adId].every(id => graph.objects.has(id)));
+  check("Workflow campaign: legacy objective mapped to OUTCOME_SALES", graph.objects.get(simple.campaignId)?.objective === "OUTCOME_SALES");
+  check("Workflow campaign: ad set optimizes for the pixel purchase event",
+    graph.objects.get(simple.adSetId)?.promoted_object?.custom_event_type === "PURCHASE");
+
+  // 2. Spec with 2 ad sets × 2 shared ads under a campaign budget
+  const spec = {
+    accountId: "act_1000",
+    name: "Spec Test",
+    objective: "OUTCOME_SALES",
+    budget: { amount: 100, period: "daily" },
+    adSets: [
+      { name: "Broad", targeting: { geo_locations: { countries: ["US"] } } },
+      { name: "Instagram", targeting: { geo_locations: { countries: ["US"] } }, placements: { publisherPlatforms: ["instagram"] } }
+    ],
+    ads: [
+      { name: "A", creative: { imageHash, headline: "A", callToAction: "SHOP_NOW" } },
+      { name: "B", creative: { imageUrl: "https://example.com/b.jpg", headline: "B" } }
+    ]
+  };
+  const built = await buildCampaign(spec);
+  check("Spec campaign created", built.success, built.error || built.errors?.join("; "));
+  check("Spec campaign: 2 ad sets × 2 ads", built.adSets?.length === 2 && built.adSets.every(a => a.ads.length === 2));
+
+  // 3. A failed ad call deletes everything created for that campaign
+  const before = graph.objects.size;
+  graph.fail("POST /ads", { code: 100, message: "Invalid parameter", error_user_msg: "Creative is not eligible", times: 1 });
+  const rolledBack = await buildCampaign({ ...spec, name: "Rollback Test" });
+  check("Failed build reports the Meta error", !rolledBack.success && rolledBack.code === 100 && rolledBack.error === "Creative is not eligible", JSON.stringify(rolledBack));
+  check("Failed build rolled back every created object", graph.objects.size === before && rolledBack.rollback?.failed.length === 0,
+    `${graph.objects.size - before} object(s) left behind`);
+
+  // 4. Typed errors (without retries, so the rate-limit error surfaces)
+  process.env.META_RATE_LIMIT_RETRIES = "0";
+  graph.fail("GET /me", { code: 17, message: "User request limit reached", times: 1 });
+  await expectError("Code 17 → MetaRateLimitError", fb("/me/adaccounts"), MetaRateLimitError, 17);
+  graph.fail("GET /me", { code: 200, message: "Permissions error", status: 403, times: 1 });
+  await expectError("Code 200 → MetaPermissionError", fb("/me/adaccounts"), MetaPermissionError, 200);
+  graph.fail("GET /me", { code: 10, message: "Application does not have permission for this action", status: 403, times: 1 });
+  await expectError("Code 10 → MetaPermissionError", fb("/me/adaccounts"), MetaPermissionError, 10);
+  await expectError("Code 100 → MetaValidationError", fb("/act_1000/campaigns", "POST", { name: "No objective" }), MetaValidationError, 100);
+  process.env.META_TOKEN = "wrong-token";
+  await expectError("Code 190 → MetaAuthError", fb("/me/adaccounts"), MetaAuthError, 190);
+  try {
+    await createCampaignStructure("act_1000", { name: "Expired", objective: "LINK_CLICKS", budget: 10, audience: {} });
+    check("createCampaignStructure keeps the error type", false, "no error thrown");
+  } catch (err) {
+    check("createCampaignStructure keeps the error type", err instanceof MetaAuthError, `got ${err.name}`);
+  }
+  process.env.META_TOKEN = TOKEN;
+  delete process.env.META_RATE_LIMIT_RETRIES;
+
+  // 5. Batching, listing cache and back-off
+  const batchCalls = graph.requests.length;
+  const batched = await fbBatch([
+    { path: `/${built.campaignId}/adsets`, params: { fields: "id,name" } },
+    { path: "/act_1000/campaigns", params: { fields: "id,name", limit: 100 } },
+    { path: "/999999", params: { fields: "id" } }
+  ]);
+  check("Batch: results in request order", batched[0].data?.data?.length === 2 && batched[1].data?.data?.length === 2, JSON.stringify(batched));
+  check("Batch: a failed request doesn't fail the others", batched[2].error instanceof MetaValidationError);
+  check("Batch: sent as one HTTP call", graph.requests.slice(batchCalls).filter(r => r.path === "/").length === 1);
+
+  const listCalls = () => graph.requests.filter(r => r.method === "GET" && r.path === "/act_1000/campaigns").length;
+  const listedBefore = listCalls();
+  await fbCached("/act_1000/campaigns", { fields: "id,name,status" });
+  await fbCached("/act_1000/campaigns", { fields: "id,name,status" });
+  check("Cache: repeated listing fetched once", listCalls() === listedBefore + 1);
+  await fb(`/${built.campaignId}`, "POST", { status: "PAUSED" });
+  await fbCached("/act_1000/campaigns", { fields: "id,name,status" });
+  check("Cache: a write clears cached listings", listCalls() === listedBefore + 2);
+
+  graph.fail("GET /me", { code: 17, message: "User request limit reached", times: 1 });
+  const retried = await fb("/me/adaccounts").catch(err => err);
+  check("Rate limit: retried after back-off", Array.isArray(retried.data) && getMetaApiStatus().retries === 1, retried.message);
+
+  graph.setUsage({ "x-app-usage": JSON.stringify({ call_count: 80, total_time: 20, total_cputime: 10 }) });
+  await fb("/me/adaccounts");
+  check("Usage: header read", getMetaApiStatus().usagePct === 80, JSON.stringify(getMetaApiStatus()));
+  const { throttledCalls } = getMetaApiStatus();
+  const startedAt = Date.now();
+  await fb("/me/adaccounts");
+  check("Usage: calls slow down near the limit", Date.now() - startedAt >= 900 && getMetaApiStatus().throttledCalls === throttledCalls + 1);
+  graph.setUsage({});
+} catch (err) {
+  failed++;
+  console.log(`✗ Unexpected error: ${err.stack || err.message}`);
+} finally {
+  await graph.close();
+}
+
+console.log();
+console.log("=".repeat(60));
+console.log(`${passed} passed, ${failed} failed (${countByType("campaign")} campaign(s) on the fake server)`);
+console.log("=".repeat(60));
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,240 @@
+import crypto from "crypto";
+import { queryAudit, recordChange } from "./auditLog.js";
+
+/**
+ * Undo Service
+ * Reverts changes recorded in the audit log: Meta status/budget/name writes and
+ * WooCommerce product/variation field edits are restored to their "before"
+ * values, within UNDO_WINDOW_HOURS (default 24).
+ *
+ * A change is only reverted while its fields still hold the values it wrote;
+ * if someone edited them since, the revert reports a conflict unless forced.
+ * Reverts are recorded as new changes (revertOf), so they show up in /history
+ * and a change is never reverted twice.
+ */
+
+const UNDO_WINDOW_HOURS = parseInt(process.env.UNDO_WINDOW_HOURS) || 24;
+
+const TARGET_PERMISSIONS = {
+  campaign: "campaigns:write",
+  adset: "campaigns:write",
+  ad: "campaigns:write",
+  product: "products:write",
+  variation: "products:write"
+};
+const META_TARGETS = ["campaign", "adset", "ad"];
+
+// Dependencies (passed from server.js)
+let fb = null;
+let wooFetch = null;
+let invalidateProductCache = () => {};
+
+/**
+ * Wire server.js helpers into the undo service
+ * @param {object} dependencies - { fb, wooFetch, invalidateProductCache }
+ */
+export function initUndo(dependencies) {
+  fb = dependencies.fb;
+  wooFetch = dependencies.wooFetch;
+  invalidateProductCache = dependencies.invalidateProductCache || invalidateProductCache;
+}
+
+function windowStart() {
+  return new Date(Date.now() - UNDO_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Permission needed to revert a change (same as making it)
+ * @param {object} change - Audit log change entry
+ * @returns {string|null}
+ */
+export function permissionForChange(change) {
+  return TARGET_PERMISSIONS[change.target?.type] || null;
+}
+
+/**
+ * Whether reverting a change needs audit:read on top of permissionForChange():
+ * true for someone else's change. The optimizer's changes are open to anyone
+ * allowed to make them, so the /undo line in its reports works for marketers.
+ * @param {object} change - Audit log change entry
+ * @param {string} actorId - Phone number or API key id of who is undoing
+ * @returns {boolean}
+ */
+export function needsAuditReadToRevert(change, actorId) {
+  return change.actor?.id !== actorId && change.actor?.type !== "optimizer";
+}
+
+// IDs of changes already undone. A revert always comes after its change, so
+// reading from the start of the undo window covers every change still in it.
+function revertedIds() {
+  const reverts = queryAudit({ kind: "change", from: windowStart(), limit: Infinity, match: e => Boolean(e.revertOf) });
+  return new Set(reverts.map(e => e.revertOf));
+}
+
+/**
+ * Whether a change can still be reverted
+ * @param {object} change - Audit log change entry
+ * @param {Set<string>} reverted - IDs of undone changes (pass one set when checking many)
+ * @returns {{ revertible: boolean, reason: string|null }}
+ */
+export function getRevertStatus(change, reverted = revertedIds()) {
+  if (change.kind !== "change" || !permissionForChange(change)) {
+    return { revertible: false, reason: "This kind of change can't be undone" };
+  }
+  if (change.timestamp < windowStart()) {
+    return { revertible: false, reason: `Changes can only be undone within ${UNDO_WINDOW_HOURS}h` };
+  }
+  if (reverted.has(change.id)) {
+    return { revertible: false, reason: "Already undone" };
+  }
+  return { revertible: true, reason: null };
+}
+
+/**
+ * Look up a change by id
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getChange(id) {
+  return queryAudit({ kind: "change", limit: 1, match: e => e.id === id })[0] || null;
+}
+
+/**
+ * Recent changes within the undo window, newest first, with their revert status
+ * @param {object} filters - { actor, limit }
+ * @returns {Array}
+ */
+export function listRecentChanges({ actor = null, limit = 50 } = {}) {
+  const reverted = revertedIds();
+  return queryAudit({ kind: "change", actor, from: windowStart(), limit }).map(change => ({
+    ...change,
+    ...getRevertStatus(change, reverted)
+  }));
+}
+
+/**
+ * The actor's most recent change that can still be undone, plus the other
+ * changes made in the same batch (e.g. a bulk budget update). Reverts are
+ * skipped, so repeated /undo steps further back.
+ * @param {string} actorId - Phone number or API key id
+ * @returns {Array} - Changes to revert together (empty if none)
+ */
+export function findLatestUndoable(actorId) {
+  const changes = queryAudit({ kind: "change", actor: actorId, from: windowStart(), limit: 200 });
+  const reverted = revertedIds();
+  const latest = changes.find(c => !c.revertOf && getRevertStatus(c, reverted).revertible);
+  if (!latest) return [];
+  if (!latest.batchId) return [latest];
+  return changes.filter(c => c.batchId === latest.batchId && !c.revertOf && getRevertStatus(c, reverted).revertible);
+}
+
+/**
+ * One-line description of a change, e.g. "Summer Sale: status ACTIVE → PAUSED"
+ * @param {object} change
+ * @returns {string}
+ */
+export function describeChange(change) {
+  const format = (value) => {
+    if (value === null || value === undefined || value === "") return "—";
+    const text = typeof value === "string" ? value : JSON.stringify(value);
+    return text.length > 40 ? `${text.slice(0, 40)}…` : text;
+  };
+  const fields = (change.changes || []).map(c => `${c.field} ${format(c.before)} → ${format(c.after)}`).join(", ");
+  return `${change.target?.name || change.target?.id}: ${fields}`;
+}
+
+// Current values of the changed fields on Meta or WooCommerce
+async function fetchCurrent(change) {
+  const { type, id, parentId } = change.target;
+  if (META_TARGETS.includes(type)) {
+    return await fb(`/${id}`, "GET", { fields: change.changes.map(c => c.field).join(",") });
+  }
+  return await wooFetch("GET", type === "variation" ? `/products/${parentId}/variations/${id}` : `/products/${id}`);
+}
+
+// Fields whose current value is no longer what the change wrote
+function findConflicts(change, current) {
+  return change.changes
+    .filter(c => !["images", "categories"].includes(c.field)) // Stored in a different shape than the API returns
+    .filter(c => {
+      const now = current?.[c.field];
+      if (c.field.endsWith("budget") || c.field === "stock_quantity") {
+        return Number(now ?? 0) !== Number(c.after ?? 0);
+      }
+      return String(now ?? "") !== String(c.after ?? "");
+    })
+    .map(c => ({ field: c.field, expected: c.after, current: current?.[c.field] ?? null }));
+}
+
+// The payload that restores a change's "before" values
+function buildRevertPayload(change) {
+  const payload = {};
+  for (const { field, before, after } of change.changes) {
+    if (META_TARGETS.includes(change.target.type)) {
+      if (before === null) throw new Error(`The previous ${field} wasn't recorded`);
+      payload[field] = before;
+    } else {
+      // WooCommerce clears text fields with "" rather than null
+      payload[field] = before ?? (typeof after === "boolean" ? false : field === "stock_quantity" ? null : "");
+    }
+  }
+  return payload;
+}
+
+async function applyRevert(change, payload) {
+  const { type, id, parentId } = change.target;
+  if (META_TARGETS.includes(type)) {
+    await fb(`/${id}`, "POST", payload);
+  } else {
+    await wooFetch("PUT", type === "variation" ? `/products/${parentId}/variations/${id}` : `/products/${id}`, payload);
+    invalidateProductCache(type === "variation" ? parentId : id);
+  }
+}
+
+/**
+ * Restore the "before" values of one or more changes. Nothing is written if any
+ * change fails its checks, unless force is set (then conflicting fields are
+ * overwritten).
+ * @param {Array<object>} changes - Audit log change entries
+ * @param {object} actor - Who is undoing (phoneActor()/apiKeyActor())
+ * @param {object} options - { force }
+ * @returns {Promise<{ reverted: Array, conflicts: Array, blocked: Array, failed: Array }>}
+ */
+export async function revertChanges(changes, actor, { force = false } = {}) {
+  const outcome = { reverted: [], conflicts: [], blocked: [], failed: [] };
+
+  const checked = [];
+  const reverted = revertedIds();
+  for (const change of changes) {
+    const status = getRevertStatus(change, reverted);
+    if (!status.revertible) {
+      outcome.blocked.push({ change, reason: status.reason });
+      continue;
+    }
+    try {
+      const current = await fetchCurrent(change);
+      const conflicts = findConflicts(change, current);
+      if (conflicts.length > 0) outcome.conflicts.push({ change, fields: conflicts });
+      checked.push({ change, current, payload: buildRevertPayload(change) });
+    } catch (err) {
+      outcome.failed.push({ change, error: err.message });
+    }
+  }
+  if (outcome.blocked.length > 0 || outcome.failed.length > 0 || (outcome.conflicts.length > 0 && !force)) {
+    return outcome;
+  }
+
+  const batchId = checked.length > 1 ? crypto.randomUUID() : undefined;
+  for (const { change, current, payload } of checked) {
+    try {
+      await applyRevert(change, payload);
+      const entry = recordChange(actor, `${change.target.type}.revert`, change.target, current, payload, { batchId, revertOf: change.id });
+      outcome.reverted.push(entry || { revertOf: change.id, target: change.target });
+      console.log(`[Undo] Reverted change ${change.id} on ${change.target.type} ${change.target.id}`);
+    } catch (err) {
+      console.error(`[Undo] Failed to revert change ${change.id}:`, err.message);
+      outcome.failed.push({ change, error: err.response?.data?.error?.message || err.message });
+    }
+  }
+  return outcome;
+}
@@ -0,0 +1,175 @@
+import crypto from "crypto";
+import { createStateStore } from "./stateStore.js";
+
+/**
+ * Webhook Security
+ * Verifies Meta's x-hub-signature-256 header (WHATSAPP_APP_SECRET) and de-duplicates WhatsApp
+ * message IDs so webhook retries never run the same command twice.
+ * Also verifies WooCommerce's x-wc-webhook-signature (WOO_WEBHOOK_SECRET).
+ */
+
+const DEDUPE_TTL = 7 * 24 * 60 * 60 * 1000; // Meta retries failed deliveries for up to 7 days
+const MAX_MESSAGE_AGE = (parseInt(process.env.WEBHOOK_MAX_MESSAGE_AGE_MINUTES) || 60) * 60 * 1000;
+
+let processedMessages = null;
+let warnedMissingSecret = false;
+let warnedMissingWooSecret = false;
+
+function getAppSecret() {
+  return process.env.WHATSAPP_APP_SECRET || process.env.META_APP_SECRET || "";
+}
+
+// Created lazily so the state store backend is configured first
+function getProcessedMessages() {
+  if (!processedMessages) {
+    processedMessages = createStateStore("processedWebhookMessages", { ttlMs: DEDUPE_TTL });
+  }
+  return processedMessages;
+}
+
+/**
+ * Compute the x-hub-signature-256 value for a payload
+ * @param {Buffer|string} rawBody - Exact request body bytes
+ * @param {string} appSecret - Meta app secret
+ * @returns {string} - "sha256=<hex>"
+ */
+export function computeSignature(rawBody, appSecret) {
+  return `sha256=${crypto.createHmac("sha256", appSecret).update(rawBody).digest("hex")}`;
+}
+
+/**
+ * Constant-time check of a signature header against the raw body
+ * @param {Buffer|string} rawBody
+ * @param {string} signatureHeader - x-hub-signature-256 header value
+ * @param {string} appSecret
+ * @returns {boolean}
+ */
+export function verifySignature(rawBody, signatureHeader, appSecret) {
+  if (!rawBody || !signatureHeader || !appSecret) return false;
+  const expected = Buffer.from(computeSignature(rawBody, appSecret));
+  const provided = Buffer.from(String(signatureHeader));
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+// Unsigned WhatsApp webhooks are only accepted when explicitly allowed (local development)
+function allowUnsignedWhatsAppWebhooks() {
+  return process.env.WHATSAPP_ALLOW_UNSIGNED_WEBHOOKS === "true";
+}
+
+/**
+ * Express middleware: reject webhook payloads without a valid signature.
+ * Requires req.rawBody (captured by the express.json verify hook in server.js).
+ * Without an app secret every payload is refused (503), since messages run
+ * commands, unless WHATSAPP_ALLOW_UNSIGNED_WEBHOOKS=true.
+ */
+export function verifyWhatsAppSignature(req, res, next) {
+  const appSecret = getAppSecret();
+  if (!appSecret) {
+    if (allowUnsignedWhatsAppWebhooks()) {
+      if (!warnedMissingSecret) {
+        console.warn("⚠️ WHATSAPP_APP_SECRET not set and WHATSAPP_ALLOW_UNSIGNED_WEBHOOKS=true - webhook signatures are NOT verified");
+        warnedMissingSecret = true;
+      }
+      return next();
+    }
+    if (!warnedMissingSecret) {
+      console.warn("⚠️ WHATSAPP_APP_SECRET not set - WhatsApp webhooks are refused until it is configured");
+      warnedMissingSecret = true;
+    }
+    return res.status(503).send("Webhook secret not configured");
+  }
+
+  if (!verifySignature(req.rawBody, req.headers["x-hub-signature-256"], appSecret)) {
+    console.warn(`[Webhook Security] Rejected payload with invalid signature from ${req.ip}`);
+    return res.status(401).send("Invalid signature");
+  }
+  next();
+}
+
+/**
+ * Express middleware: reject WooCommerce webhook payloads without a valid
+ * x-wc-webhook-signature (base64 HMAC-SHA256 of the raw body with the webhook's secret).
+ * Every payload is refused (503) until WOO_WEBHOOK_SECRET is set, since these
+ * events feed the Conversions API and the product cache. The ping WooCommerce sends
+ * when a webhook is saved (form-encoded webhook_id, no topic, unsigned) is answered
+ * with a bare 200 here so saving the webhook succeeds; nothing is forwarded for it.
+ */
+export function verifyWooCommerceSignature(req, res, next) {
+  if (isWooCommercePing(req)) return res.status(200).send("OK");
+
+  const secret = process.env.WOO_WEBHOOK_SECRET || "";
+  if (!secret) {
+    if (!warnedMissingWooSecret) {
+      console.warn("⚠️ WOO_WEBHOOK_SECRET not set - WooCommerce webhooks are refused until it is configured");
+      warnedMissingWooSecret = true;
+    }
+    return res.status(503).send("Webhook secret not configured");
+  }
+
+  const signature = req.headers["x-wc-webhook-signature"];
+  const expected = Buffer.from(crypto.createHmac("sha256", secret).update(req.rawBody || "").digest("base64"));
+  const provided = Buffer.from(String(signature || ""));
+  if (!req.rawBody || expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    console.warn(`[Webhook Security] Rejected WooCommerce payload with invalid signature from ${req.ip}`);
+    return res.status(401).send("Invalid signature");
+  }
+  next();
+}
+
+/**
+ * Whether a request is WooCommerce's save-time ping rather than a topic delivery
+ * @param {object} req - Express request
+ * @returns {boolean}
+ */
+function isWooCommercePing(req) {
+  if (req.headers["x-wc-webhook-topic"] || req.headers["x-wc-webhook-signature"]) return false;
+  const keys = Object.keys(req.body || {});
+  return keys.length === 1 && keys[0] === "webhook_id";
+}
+
+/**
+ * Whether a message was sent longer than WEBHOOK_MAX_MESSAGE_AGE_MINUTES ago
+ * @param {object} message - Message from the webhook payload
+ * @param {number} now - Current time in ms (injectable for tests)
+ * @returns {boolean}
+ */
+export function isMessageStale(message, now = Date.now()) {
+  const sentAt = parseInt(message?.timestamp) * 1000;
+  return Boolean(sentAt) && now - sentAt > MAX_MESSAGE_AGE;
+}
+
+/**
+ * Split incoming messages into fresh, duplicate (already processed) and stale
+ * (older than WEBHOOK_MAX_MESSAGE_AGE_MINUTES). Fresh messages are marked as processed.
+ * @param {Array} messages - value.messages from the webhook payload
+ * @param {number} now - Current time in ms (injectable for tests)
+ * @returns {{ fresh: Array, duplicates: Array, stale: Array }}
+ */
+export function filterNewMessages(messages, now = Date.now()) {
+  const store = getProcessedMessages();
+  const result = { fresh: [], duplicates: [], stale: [] };
+
+  for (const message of messages || []) {
+    if (message.id && store.has(message.id)) {
+      result.duplicates.push(message);
+      continue;
+    }
+    if (message.id) {
+      store.set(message.id, { from: message.from, receivedAt: now });
+    }
+
+    if (isMessageStale(message, now)) {
+      result.stale.push(message);
+    } else {
+      result.fresh.push(message);
+    }
+  }
+
+  if (result.duplicates.length > 0) {
+    console.log(`[Webhook Security] Skipped ${result.duplicates.length} duplicate message(s): ${result.duplicates.map(m => m.id).join(", ")}`);
+  }
+  if (result.stale.length > 0) {
+    console.log(`[Webhook Security] Skipped ${result.stale.length} stale message(s): ${result.stale.map(m => m.id).join(", ")}`);
+  }
+  return result;
+}
@@ -142,6 +142,39 @@ async function importWooService() {
   };
 }
 
+// Helper function to import webhookSecurity with fallback paths
+async function importWebhookSecurity() {
+  const securityPaths = [
+    "../webhookSecurity.js",
+    "./webhookSecurity.js",
+    path.join(process.cwd(), "webhookSecurity.js")
+  ];
+
+  for (const securityPath of securityPaths) {
+    try {
+      const checkPath = securityPath.startsWith(".") 
+        ? path.resolve(__dirname, securityPath)
+        : securityPath;
+      
+      if (fs.existsSync(checkPath)) {
+        const normalizedPath = securityPath.startsWith(".") 
+          ? securityPath 
+          : `file://${securityPath}`;
+        const securityModule = await import(normalizedPath);
+        if (securityModule.verifyWhatsAppSignature) {
+          console.log(`[WhatsApp Routes] Loaded webhookSecurity from: ${securityPath}`);
+          return securityModule;
+        }
+      }
+    } catch (err) {
+      continue;
+    }
+  }
+  
+  console.warn("[WhatsApp Routes] webhookSecurity not found");
+  return null;
+}
+
 // Import services (will be resolved when needed)
 let whatsappServiceModule = null;
 let wooServiceModule = null;
@@ -156,6 +189,19 @@ const wooServicePromise = importWooService().then(module => {
   return module;
 });
 
+const webhookSecurityPromise = importWebhookSecurity();
+
+// Signature check for incoming webhooks. Fails closed when the security module
+// could not be loaded, unless unsigned webhooks were explicitly allowed.
+async function verifySignature(req, res, next) {
+  const security = await webhookSecurityPromise;
+  if (security) return security.verifyWhatsAppSignature(req, res, next);
+  if (process.env.WHATSAPP_APP_SECRET || process.env.META_APP_SECRET || process.env.WHATSAPP_ALLOW_UNSIGNED_WEBHOOKS !== "true") {
+    return res.status(500).send("Signature verification unavailable");
+  }
+  next();
+}
+
 // Lazy getters for service functions
 function getWhatsAppService() {
   return whatsappServiceModule || { uploadWhatsAppMedia: null, sendWhatsAppImage: null, sendWhatsAppVideo: null, sendWhatsAppText: null };
@@ -176,12 +222,10 @@ const router = express.Router();
  * - "edit: <prompt> | url=<image_url> | mask=<mask_url>" - Edit image
  * - "video: <prompt> | ar=9:16 | dur=8" - Generate video
  */
-router.post("/", async (req, res) => {
+router.post("/", verifySignature, async (req, res) => {
   try {
     const body = req.body;
-    
-    // Verify webhook signature (optional but recommended)
-    // You can add signature verification here using req.headers['x-hub-signature-256']
+    const security = await webhookSecurityPromise;
     
     if (body.object === "whatsapp_business_account") {
       body.entry?.forEach((entry) => {
@@ -189,9 +233,10 @@ router.post("/", async (req, res) => {
           if (change.field === "messages") {
             const value = change.value;
             
-            // Handle incoming messages
+            // Handle incoming messages (skipping Meta retries of already-processed IDs)
             if (value.messages) {
-              value.messages.forEach(async (message) => {
+              const messages = security ? security.filterNewMessages(value.messages).fresh : value.messages;
+              messages.forEach(async (message) => {
                 await handleIncomingMessage(message, value.contacts?.[0]);
               });
             }
@@ -6,8 +6,9 @@ import FormData from "form-data";
  */
 
 const GRAPH = "https://graph.facebook.com/v24.0";
-const WHATSAPP_PHONE_NUMBER_ID = process.env.WHATSAPP_PHONE_NUMBER_ID;
-const WHATSAPP_ACCESS_TOKEN = process.env.WHATSAPP_ACCESS_TOKEN;
+// Read at call time: server.js imports this module before dotenv.config() runs
+const phoneNumberId = () => process.env.WHATSAPP_PHONE_NUMBER_ID;
+const accessToken = () => process.env.WHATSAPP_ACCESS_TOKEN;
 
 /**
  * Upload media buffer to WhatsApp
@@ -16,7 +17,7 @@ const WHATSAPP_ACCESS_TOKEN = process.env.WHATSAPP_ACCESS_TOKEN;
  * @returns {Promise<string>} - Media ID
  */
 export async function uploadWhatsAppMedia(mediaBuffer, mimeType) {
-  if (!WHATSAPP_PHONE_NUMBER_ID || !WHATSAPP_ACCESS_TOKEN) {
+  if (!phoneNumberId() || !accessToken()) {
     throw new Error("WhatsApp credentials not configured");
   }
   
@@ -36,12 +37,12 @@ export async function uploadWhatsAppMedia(mediaBuffer, mimeType) {
     console.log(`[WhatsApp] Uploading media (${mediaBuffer.length} bytes, ${mimeType})`);
     
     const response = await axios.post(
-      `${GRAPH}/${WHATSAPP_PHONE_NUMBER_ID}/media`,
+      `${GRAPH}/${phoneNumberId()}/media`,
       form,
       {
         headers: {
           ...form.getHeaders(),
-          Authorization: `Bearer ${WHATSAPP_ACCESS_TOKEN}`
+          Authorization: `Bearer ${accessToken()}`
         },
         maxContentLength: Infinity,
         maxBodyLength: Infinity,
@@ -67,13 +68,13 @@ export async function uploadWhatsAppMedia(mediaBuffer, mimeType) {
  * @returns {Promise<object>}
  */
 export async function sendWhatsAppImage(to, mediaId, caption = "") {
-  if (!WHATSAPP_PHONE_NUMBER_ID || !WHATSAPP_ACCESS_TOKEN) {
+  if (!phoneNumberId() || !accessToken()) {
     throw new Error("WhatsApp credentials not configured");
   }
   
   try {
     const response = await axios.post(
-      `${GRAPH}/${WHATSAPP_PHONE_NUMBER_ID}/messages`,
+      `${GRAPH}/${phoneNumberId()}/messages`,
       {
         messaging_product: "whatsapp",
         recipient_type: "individual",
@@ -86,7 +87,7 @@ export async function sendWhatsAppImage(to, mediaId, caption = "") {
       },
       {
         headers: {
-          Authorization: `Bearer ${WHATSAPP_ACCESS_TOKEN}`,
+          Authorization: `Bearer ${accessToken()}`,
           "Content-Type": "application/json"
         }
       }
@@ -107,13 +108,13 @@ export async function sendWhatsAppImage(to, mediaId, caption = "") {
  * @returns {Promise<object>}
  */
 export async function sendWhatsAppVideo(to, mediaId, caption = "") {
-  if (!WHATSAPP_PHONE_NUMBER_ID || !WHATSAPP_ACCESS_TOKEN) {
+  if (!phoneNumberId() || !accessToken()) {
     throw new Error("WhatsApp credentials not configured");
   }
   
   try {
     const response = await axios.post(
-      `${GRAPH}/${WHATSAPP_PHONE_NUMBER_ID}/messages`,
+      `${GRAPH}/${phoneNumberId()}/messages`,
       {
         messaging_product: "whatsapp",
         recipient_type: "individual",
@@ -126,7 +127,7 @@ export async function sendWhatsAppVideo(to, mediaId, caption = "") {
       },
       {
         headers: {
-          Authorization: `Bearer ${WHATSAPP_ACCESS_TOKEN}`,
+          Authorization: `Bearer ${accessToken()}`,
           "Content-Type": "application/json"
         }
       }
@@ -146,13 +147,13 @@ export async function sendWhatsAppVideo(to, mediaId, caption = "") {
  * @returns {Promise<object>}
  */
 export async function sendWhatsAppText(to, text) {
-  if (!WHATSAPP_PHONE_NUMBER_ID || !WHATSAPP_ACCESS_TOKEN) {
+  if (!phoneNumberId() || !accessToken()) {
     throw new Error("WhatsApp credentials not configured");
   }
   
   try {
     const response = await axios.post(
-      `${GRAPH}/${WHATSAPP_PHONE_NUMBER_ID}/messages`,
+      `${GRAPH}/${phoneNumberId()}/messages`,
       {
         messaging_product: "whatsapp",
         recipient_type: "individual",
@@ -165,7 +166,7 @@ export async function sendWhatsAppText(to, text) {
       },
       {
         headers: {
-          Authorization: `Bearer ${WHATSAPP_ACCESS_TOKEN}`,
+          Authorization: `Bearer ${accessToken()}`,
           "Content-Type": "application/json"
         }
       }
@@ -178,3 +179,107 @@ export async function sendWhatsAppText(to, text) {
   }
 }
 
+
+/**
+ * Send interactive reply buttons via WhatsApp
+ * @param {string} to - Recipient phone number
+ * @param {string} text - Message body
+ * @param {Array<{id: string, title: string}>} buttons - Up to 3 buttons (titles max 20 chars)
+ * @param {object} options - { header, footer }
+ * @returns {Promise<object>}
+ */
+export async function sendWhatsAppButtons(to, text, buttons, options = {}) {
+  if (!phoneNumberId() || !accessToken()) {
+    throw new Error("WhatsApp credentials not configured");
+  }
+  
+  try {
+    const response = await axios.post(
+      `${GRAPH}/${phoneNumberId()}/messages`,
+      {
+        messaging_product: "whatsapp",
+        recipient_type: "individual",
+        to: to,
+        type: "interactive",
+        interactive: {
+          type: "button",
+          ...(options.header && { header: { type: "text", text: options.header.substring(0, 60) } }),
+          body: { text: text.substring(0, 1024) },
+          ...(options.footer && { footer: { text: options.footer.substring(0, 60) } }),
+          action: {
+            buttons: buttons.slice(0, 3).map(b => ({
+              type: "reply",
+              reply: { id: b.id, title: b.title.substring(0, 20) }
+            }))
+          }
+        }
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken()}`,
+          "Content-Type": "application/json"
+        }
+      }
+    );
+    
+    return response.data;
+  } catch (err) {
+    console.error("[WhatsApp] Error sending buttons:", err.response?.data || err.message);
+    throw new Error(`Failed to send buttons: ${err.message}`);
+  }
+}
+
+/**
+ * Send an interactive list message via WhatsApp
+ * @param {string} to - Recipient phone number
+ * @param {string} text - Message body
+ * @param {string} buttonText - Label of the button that opens the list (max 20 chars)
+ * @param {Array<{title: string, rows: Array<{id: string, title: string, description?: string}>}>} sections - Up to 10 rows in total
+ * @param {object} options - { header, footer }
+ * @returns {Promise<object>}
+ */
+export async function sendWhatsAppList(to, text, buttonText, sections, options = {}) {
+  if (!phoneNumberId() || !accessToken()) {
+    throw new Error("WhatsApp credentials not configured");
+  }
+  
+  try {
+    const response = await axios.post(
+      `${GRAPH}/${phoneNumberId()}/messages`,
+      {
+        messaging_product: "whatsapp",
+        recipient_type: "individual",
+        to: to,
+        type: "interactive",
+        interactive: {
+          type: "list",
+          ...(options.header && { header: { type: "text", text: options.header.substring(0, 60) } }),
+          body: { text: text.substring(0, 4096) },
+          ...(options.footer && { footer: { text: options.footer.substring(0, 60) } }),
+          action: {
+            button: buttonText.substring(0, 20),
+            sections: sections.map(section => ({
+              ...(section.title && { title: section.title.substring(0, 24) }),
+              rows: section.rows.map(row => ({
+                id: row.id.substring(0, 200),
+                title: row.title.substring(0, 24),
+                ...(row.description && { description: row.description.substring(0, 72) })
+              }))
+            }))
+          }
+        }
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken()}`,
+          "Content-Type": "application/json"
+        }
+      }
+    );
+    
+    return response.data;
+  } catch (err) {
+    console.error("[WhatsApp] Error sending list:", err.response?.data || err.message);
+    throw new Error(`Failed to send list: ${err.message}`);
+  }
+}
@@ -1,7 +1,7 @@
 // Workflow handlers for conversational menu-driven campaign creation
-import axios from "axios";
-import FormData from "form-data";
+import crypto from "crypto";
 import OpenAI from "openai";
+import sharp from "sharp";
 
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
@@ -16,30 +16,70 @@ export const WORKFLOWS = {
 };
 
 // Workflow state helpers (will be passed from server.js)
-let userWorkflows = null;
+let userWorkflows = null; // Persistent StateStore (stateStore.js), Map-compatible
 let sendWhatsAppMessage = null;
+let sendWhatsAppButtons = null;
+let sendWhatsAppList = null;
 let wooFetch = null;
 let normalizeProduct = null;
 let findProductByName = null;
 let getSession = null;
 let ANGLE_PRESETS = null;
 let loadCompanyContext = null;
+let findEntityByNameOrId = null;
+let openaiWithFallback = null;
+let can = () => true;
+let downloadWhatsAppMedia = null;
+let uploadToWordPressMedia = null;
+let invalidateProductCache = () => {};
+let generateImageWithEngine = null;
+let buildEnhancedImagePrompt = null;
+let uploadWhatsAppMedia = null;
+let sendWhatsAppImage = null;
+let addToHistory = null;
+let getBackupService = () => null;
+let recordChange = () => null;
+let phoneActor = (phone) => ({ type: "phone", id: phone });
 let fb = null;
-let GRAPH = null;
-let TOKEN = null;
+let uploadImageToMeta = null;
+let createCampaignStructure = null;
+let planBudgetChange = null;
+let describeBudgetPlan = null;
+let applyBudgetPlan = null;
+let parsePrice = null;
 
 export function initWorkflows(dependencies) {
   userWorkflows = dependencies.userWorkflows;
   sendWhatsAppMessage = dependencies.sendWhatsAppMessage;
+  sendWhatsAppButtons = dependencies.sendWhatsAppButtons;
+  sendWhatsAppList = dependencies.sendWhatsAppList;
   wooFetch = dependencies.wooFetch;
   normalizeProduct = dependencies.normalizeProduct;
   findProductByName = dependencies.findProductByName;
   getSession = dependencies.getSession;
   ANGLE_PRESETS = dependencies.ANGLE_PRESETS;
   loadCompanyContext = dependencies.loadCompanyContext;
+  findEntityByNameOrId = dependencies.findEntityByNameOrId;
+  openaiWithFallback = dependencies.openaiWithFallback;
+  can = dependencies.can || can;
+  downloadWhatsAppMedia = dependencies.downloadWhatsAppMedia;
+  uploadToWordPressMedia = dependencies.uploadToWordPressMedia;
+  invalidateProductCache = dependencies.invalidateProductCache || invalidateProductCache;
+  generateImageWithEngine = dependencies.generateImageWithEngine;
+  buildEnhancedImagePrompt = dependencies.buildEnhancedImagePrompt;
+  uploadWhatsAppMedia = dependencies.uploadWhatsAppMedia;
+  sendWhatsAppImage = dependencies.sendWhatsAppImage;
+  addToHistory = dependencies.addToHistory;
+  getBackupService = dependencies.getBackupService || getBackupService;
+  recordChange = dependencies.recordChange || recordChange;
+  phoneActor = dependencies.phoneActor || phoneActor;
   fb = dependencies.fb;
-  GRAPH = dependencies.GRAPH;
-  TOKEN = dependencies.TOKEN;
+  uploadImageToMeta = dependencies.uploadImageToMeta;
+  createCampaignStructure = dependencies.createCampaignStructure;
+  planBudgetChange = dependencies.planBudgetChange;
+  describeBudgetPlan = dependencies.describeBudgetPlan;
+  applyBudgetPlan = dependencies.applyBudgetPlan;
+  parsePrice = dependencies.parsePrice;
 }
 
 function setUserWorkflow(from, workflow) {
@@ -62,6 +102,60 @@ function updateWorkflowData(from, data) {
   }
 }
 
+// View stacks: drill-down workflows keep their screens in data.views and use the
+// stack depth as the step, so "back" pops one view and re-renders the previous one.
+function pushWorkflowView(from, view) {
+  const workflow = getUserWorkflow(from);
+  const views = [...(workflow.data?.views || []), view];
+  setUserWorkflow(from, { ...workflow, step: views.length, data: { ...workflow.data, views } });
+}
+
+// Replace the current (top) view
+function updateWorkflowView(from, changes) {
+  const workflow = getUserWorkflow(from);
+  const views = [...workflow.data.views];
+  views[views.length - 1] = { ...views[views.length - 1], ...changes };
+  setUserWorkflow(from, { ...workflow, data: { ...workflow.data, views } });
+  return views[views.length - 1];
+}
+
+// Drop views above the given depth (1-based)
+function popWorkflowViews(from, depth) {
+  const workflow = getUserWorkflow(from);
+  const views = workflow.data.views.slice(0, depth);
+  setUserWorkflow(from, { ...workflow, step: views.length, data: { ...workflow.data, views } });
+}
+
+// Workflows are gated by the same permissions as their commands (see accessControl.js)
+async function checkWorkflowPermission(from, permission) {
+  if (can(from, permission)) return true;
+  await sendWhatsAppMessage(from, "⚠️ Your role doesn't have access to this. Ask an owner if you need it.");
+  return false;
+}
+
+// Send step options as reply buttons (up to 3) or a list message (up to 10).
+// Reply IDs are "wf:<value>"; the webhook feeds <value> back into the current
+// step as if it was typed, so the same parsing handles taps and text.
+// Falls back to plain text when interactive messages can't be sent.
+async function sendOptions(from, text, options, { buttonText = "Options", asList = false, fallbackText = null } = {}) {
+  const fallback = fallbackText || `${text}\n\n${options.map(o => `${o.value}. ${o.title}`).join("\n")}`;
+  
+  try {
+    if (options.length <= 3 && !asList && sendWhatsAppButtons) {
+      await sendWhatsAppButtons(from, text, options.map(o => ({ id: `wf:${o.value}`, title: o.title })));
+    } else if (options.length <= 10 && sendWhatsAppList) {
+      await sendWhatsAppList(from, text, buttonText, [{
+        rows: options.map(o => ({ id: `wf:${o.value}`, title: o.title, description: o.description }))
+      }]);
+    } else {
+      await sendWhatsAppMessage(from, fallback);
+    }
+  } catch (err) {
+    console.warn("[Workflows] Interactive message failed, sending text:", err.message);
+    await sendWhatsAppMessage(from, fallback);
+  }
+}
+
 // Check if message is a menu trigger
 export function isMenuTrigger(text) {
   const lower = text.toLowerCase().trim();
@@ -105,8 +199,19 @@ export async function showMainMenu(from) {
 
 Reply with the number (1-6) or describe what you want to do!`;
   
-  await sendWhatsAppMessage(from, menu);
   setUserWorkflow(from, { workflow: WORKFLOWS.MAIN_MENU, step: 0, data: {} });
+  await sendOptions(from, 
+    `👋 *Hello! I'm your Campaign Assistant for MAROM.*\n\nWhat would you like to do today? Pick an option, or describe what you want to do!`,
+    [
+      { value: "1", title: "Create campaign", description: "Generate media → Create campaign → Launch" },
+      { value: "2", title: "Generate media", description: "Images/Videos for your products" },
+      { value: "3", title: "Manage campaigns", description: "View, pause, optimize existing campaigns" },
+      { value: "4", title: "Analyze performance", description: "Stats, insights, recommendations" },
+      { value: "5", title: "Manage products", description: "Edit products, check inventory" },
+      { value: "6", title: "Quick actions", description: "Common shortcuts" }
+    ],
+    { buttonText: "Main menu", fallbackText: menu }
+  );
 }
 
 // Handle workflow navigation (back, cancel, menu)
@@ -184,12 +289,19 @@ async function handleMainMenuSelection(from, messageText) {
 
 // Start campaign creation workflow
 async function startCampaignWorkflow(from, productName = null) {
+  if (!await checkWorkflowPermission(from, "campaigns:write")) return;
+  
   setUserWorkflow(from, {
     workflow: WORKFLOWS.CREATE_CAMPAIGN,
     step: 1,
     data: { productName }
   });
   
+  await promptCampaignProduct(from, productName);
+}
+
+// Campaign Step 1 prompt
+async function promptCampaignProduct(from, productName = null) {
   let msg = `🚀 *CREATE CAMPAIGN*\n\nLet's build your campaign step by step!\n\n`;
   msg += `*Step 1/5: Which product are you promoting?*\n`;
   msg += `📦 Type product name or say "list products"\n\n`;
@@ -197,11 +309,14 @@ async function startCampaignWorkflow(from, productName = null) {
   if (productName) {
     msg += `Detected: "${productName}"\n\n`;
     msg += `Is this correct? Reply "yes" to continue, or type a different product name.`;
+    await sendOptions(from, msg, [
+      { value: "yes", title: "✅ Yes" },
+      { value: "list products", title: "📦 List products" }
+    ], { fallbackText: msg });
   } else {
     msg += `Examples:\n• "shampoo"\n• "moringa conditioner"\n• "list products"`;
+    await sendOptions(from, msg, [{ value: "list products", title: "📦 List products" }], { fallbackText: msg });
   }
-  
-  await sendWhatsAppMessage(from, msg);
 }
 
 // Handle campaign workflow steps
@@ -227,72 +342,107 @@ async function handleCampaignWorkflowStep(from, messageText, workflow) {
   }
 }
 
-// Campaign Step 1: Product selection
-async function handleCampaignProductSelection(from, messageText, workflow) {
-  const lower = messageText.toLowerCase().trim();
-  
-  if (lower === "list products" || lower === "list") {
-    try {
-      const products = await wooFetch("GET", "/products?per_page=20&status=publish");
-      if (products && products.length > 0) {
-        let msg = `📦 *Available Products:*\n\n`;
-        products.slice(0, 10).forEach((p, i) => {
-          const normalized = normalizeProduct(p);
-          msg += `${i + 1}. ${normalized.name}${normalized.price ? ` - $${normalized.price}` : ""}\n`;
-        });
-        msg += `\nType the product name or number to select.`;
-        await sendWhatsAppMessage(from, msg);
-        updateWorkflowData(from, { productList: products.slice(0, 10) });
-        return;
-      }
-    } catch (err) {
-      await sendWhatsAppMessage(from, `⚠️ Could not fetch products: ${err.message}`);
+// Send up to 10 published products as a list; the selection reply is the list number
+async function sendProductList(from, question) {
+  try {
+    const products = await wooFetch("GET", "/products?per_page=20&status=publish");
+    if (!products || products.length === 0) {
+      await sendWhatsAppMessage(from, "⚠️ No published products found. Type a product name instead.");
       return;
     }
+    const productList = products.slice(0, 10);
+    let msg = `📦 *Available Products:*\n\n`;
+    productList.forEach((p, i) => {
+      const normalized = normalizeProduct(p);
+      msg += `${i + 1}. ${normalized.name}${normalized.price ? ` - $${normalized.price}` : ""}\n`;
+    });
+    msg += `\nType the product name or number to select.`;
+    updateWorkflowData(from, { productList });
+    await sendOptions(from, `📦 *Available Products:*\n\n${question}`, productList.map((p, i) => {
+      const normalized = normalizeProduct(p);
+      return {
+        value: String(i + 1),
+        title: normalized.name,
+        description: normalized.price ? `$${normalized.price}` : undefined
+      };
+    }), { buttonText: "Products", asList: true, fallbackText: msg });
+  } catch (err) {
+    await sendWhatsAppMessage(from, `⚠️ Could not fetch products: ${err.message}`);
   }
-  
-  // Check if it's a number (from list)
+}
+
+// Resolve a product step reply: a number from the last product list, or a name.
+// Returns the normalized product, or null after telling the user it wasn't found.
+async function resolveWorkflowProduct(from, messageText, workflow) {
   const numMatch = messageText.match(/^(\d+)/);
   if (numMatch && workflow.data?.productList) {
     const idx = parseInt(numMatch[1]) - 1;
     if (idx >= 0 && idx < workflow.data.productList.length) {
-      const product = workflow.data.productList[idx];
-      const normalized = normalizeProduct(product);
-      updateWorkflowData(from, { product: normalized, productName: normalized.name });
-      workflow.step = 2;
-      setUserWorkflow(from, workflow);
-      await handleCampaignWorkflowStep(from, "", workflow);
-      return;
+      return normalizeProduct(workflow.data.productList[idx]);
     }
   }
   
-  // Try to find product by name
   try {
     const product = await findProductByName(messageText, true);
     if (product) {
-      const normalized = normalizeProduct(product);
-      updateWorkflowData(from, { product: normalized, productName: normalized.name });
-      workflow.step = 2;
-      setUserWorkflow(from, workflow);
-      
-      let msg = `✅ *Product: ${normalized.name}*\n`;
-      if (normalized.price) msg += `💰 Price: $${normalized.price}\n`;
-      msg += `\n*Step 2/5: Generate media for this campaign?*\n`;
-      msg += `🎨 I can create images/videos for this product\n\n`;
-      msg += `*Options:*\n`;
-      msg += `1️⃣ Generate image pack (Square + Portrait + Story)\n`;
-      msg += `2️⃣ Generate single image\n`;
-      msg += `3️⃣ Generate video\n`;
-      msg += `4️⃣ Skip (use existing media)\n\n`;
-      msg += `Reply 1-4 or describe what you want`;
-      
-      await sendWhatsAppMessage(from, msg);
-    } else {
-      await sendWhatsAppMessage(from, `❌ Product not found: "${messageText}"\n\nSay "list products" to see all products, or try a different name.`);
+      return normalizeProduct(product);
     }
+    await sendWhatsAppMessage(from, `❌ Product not found: "${messageText}"\n\nSay "list products" to see all products, or try a different name.`);
   } catch (err) {
     await sendWhatsAppMessage(from, `⚠️ Error finding product: ${err.message}\n\nSay "list products" to see all products.`);
   }
+  return null;
+}
+
+// Campaign Step 1: Product selection
+async function handleCampaignProductSelection(from, messageText, workflow) {
+  const lower = messageText.toLowerCase().trim();
+  
+  if (!lower) {
+    await promptCampaignProduct(from, workflow.data?.productName);
+    return;
+  }
+  
+  // Confirm a product name detected from a shortcut ("create campaign for shampoo")
+  if (lower === "yes" && workflow.data?.productName) {
+    messageText = workflow.data.productName;
+  }
+  
+  if (lower === "list products" || lower === "list") {
+    await sendProductList(from, "Which product are you promoting?");
+    return;
+  }
+  
+  const product = await resolveWorkflowProduct(from, messageText, workflow);
+  if (product) {
+    updateWorkflowData(from, { product, productName: product.name });
+    workflow.step = 2;
+    setUserWorkflow(from, workflow);
+    await promptCampaignMedia(from, product);
+  }
+}
+
+// Campaign Step 2 prompt
+async function promptCampaignMedia(from, product = {}) {
+  let msg = `✅ *Product: ${product.name}*\n`;
+  if (product.price) msg += `💰 Price: $${product.price}\n`;
+  msg += `\n*Step 2/5: Generate media for this campaign?*\n`;
+  msg += `🎨 I can create images/videos for this product\n\n`;
+  
+  let fallback = msg;
+  fallback += `*Options:*\n`;
+  fallback += `1️⃣ Generate image pack (Square + Portrait + Story)\n`;
+  fallback += `2️⃣ Generate single image\n`;
+  fallback += `3️⃣ Generate video\n`;
+  fallback += `4️⃣ Skip (use existing media)\n\n`;
+  fallback += `Reply 1-4 or describe what you want`;
+  
+  await sendOptions(from, `${msg}Pick an option or describe what you want.`, [
+    { value: "1", title: "Image pack", description: "Square + Portrait + Story" },
+    { value: "2", title: "Single image" },
+    { value: "3", title: "Video" },
+    { value: "4", title: "Skip", description: "Use existing media" }
+  ], { buttonText: "Media options", fallbackText: fallback });
 }
 
 // Campaign Step 2: Media generation
@@ -301,6 +451,11 @@ async function handleCampaignMediaSelection(from, messageText, workflow) {
   const numMatch = messageText.match(/^(\d)/);
   const num = numMatch ? parseInt(numMatch[1]) : null;
   
+  if (!lower) {
+    await promptCampaignMedia(from, workflow.data?.product);
+    return;
+  }
+  
   if (num === 4 || lower === "skip" || lower === "no") {
     // Skip media generation
     workflow.step = 3;
@@ -402,15 +557,7 @@ async function handleCampaignMediaSelection(from, messageText, workflow) {
     workflow.step = 3;
     setUserWorkflow(from, workflow);
     
-    let msg = `*Step 3/5: Campaign objective?*\n`;
-    msg += `What's your goal?\n\n`;
-    msg += `1️⃣ Sales (Conversions)\n`;
-    msg += `2️⃣ Traffic (Website visits)\n`;
-    msg += `3️⃣ Awareness (Brand reach)\n`;
-    msg += `4️⃣ Engagement (Likes, comments)\n\n`;
-    msg += `Reply 1-4 or describe your goal`;
-    
-    await sendWhatsAppMessage(from, msg);
+    await promptCampaignObjective(from);
     
   } catch (err) {
     console.error("[Campaign Workflow] Media generation error:", err);
@@ -418,12 +565,35 @@ async function handleCampaignMediaSelection(from, messageText, workflow) {
   }
 }
 
+// Campaign Step 3 prompt
+async function promptCampaignObjective(from) {
+  let fallback = `*Step 3/5: Campaign objective?*\n`;
+  fallback += `What's your goal?\n\n`;
+  fallback += `1️⃣ Sales (Conversions)\n`;
+  fallback += `2️⃣ Traffic (Website visits)\n`;
+  fallback += `3️⃣ Awareness (Brand reach)\n`;
+  fallback += `4️⃣ Engagement (Likes, comments)\n\n`;
+  fallback += `Reply 1-4 or describe your goal`;
+  
+  await sendOptions(from, `*Step 3/5: Campaign objective?*\nWhat's your goal?`, [
+    { value: "1", title: "Sales", description: "Conversions" },
+    { value: "2", title: "Traffic", description: "Website visits" },
+    { value: "3", title: "Awareness", description: "Brand reach" },
+    { value: "4", title: "Engagement", description: "Likes, comments" }
+  ], { buttonText: "Objectives", fallbackText: fallback });
+}
+
 // Campaign Step 3: Objective selection
 async function handleCampaignObjectiveSelection(from, messageText, workflow) {
   const lower = messageText.toLowerCase().trim();
   const numMatch = messageText.match(/^(\d)/);
   const num = numMatch ? parseInt(numMatch[1]) : null;
   
+  if (!lower) {
+    await promptCampaignObjective(from);
+    return;
+  }
+  
   let objective = "CONVERSIONS";
   let objectiveName = "Sales (Conversions)";
   
@@ -442,19 +612,33 @@ async function handleCampaignObjectiveSelection(from, messageText, workflow) {
   workflow.step = 4;
   setUserWorkflow(from, workflow);
   
-  let msg = `✅ *Objective: ${objectiveName}*\n\n`;
+  await promptCampaignBudget(from, objectiveName);
+}
+
+// Campaign Step 4 prompt (buttons are daily budget presets; custom amounts/dates are typed)
+async function promptCampaignBudget(from, objectiveName = null) {
+  let msg = objectiveName ? `✅ *Objective: ${objectiveName}*\n\n` : "";
   msg += `*Step 4/5: Budget & Schedule*\n`;
   msg += `💰 Daily budget: $___\n`;
   msg += `📅 Duration: [Today] to [Date] or "ongoing"\n\n`;
   msg += `Reply with budget and dates, or say "use defaults"`;
   
-  await sendWhatsAppMessage(from, msg);
+  await sendOptions(from, `${msg}\n\nOr tap a preset (ongoing):`, [
+    { value: "20", title: "$20/day" },
+    { value: "50", title: "$50/day" },
+    { value: "100", title: "$100/day" }
+  ], { fallbackText: msg });
 }
 
 // Campaign Step 4: Budget & Schedule
 async function handleCampaignBudgetSchedule(from, messageText, workflow) {
   const lower = messageText.toLowerCase().trim();
   
+  if (!lower) {
+    await promptCampaignBudget(from, workflow.data?.objectiveName);
+    return;
+  }
+  
   let budget = 50; // Default
   let duration = "ongoing";
   let startTime = null;
@@ -553,11 +737,12 @@ Return JSON: { "headline": "...", "text": "...", "call_to_action": "..." }`;
     });
   }
   
-  await handleCampaignWorkflowStep(from, "", workflow);
+  // Re-read so the review shows the generated audience/copy
+  await handleCampaignWorkflowStep(from, "", getUserWorkflow(from));
 }
 
-// Campaign Step 5: Review & Create
-async function handleCampaignReviewCreate(from, messageText, workflow) {
+// Campaign Step 5 prompt: summary with create / edit / cancel
+async function promptCampaignReview(from, workflow) {
   const data = workflow.data || {};
   const product = data.product || {};
   const media = data.media;
@@ -578,25 +763,50 @@ async function handleCampaignReviewCreate(from, messageText, workflow) {
   msg += `• Budget: $${budget}/day\n`;
   msg += `• Audience: AI-generated (${audience.age_min || 25}-${audience.age_max || 45}, ${audience.interests?.[0] || "hair care"})\n\n`;
   msg += `Ready to create?\n`;
-  msg += `1️⃣ Yes, create campaign (paused)\n`;
-  msg += `2️⃣ Edit something\n`;
-  msg += `3️⃣ Cancel\n\n`;
-  msg += `Reply 1-3`;
   
-  await sendWhatsAppMessage(from, msg);
+  let fallback = msg;
+  fallback += `1️⃣ Yes, create campaign (paused)\n`;
+  fallback += `2️⃣ Edit something\n`;
+  fallback += `3️⃣ Cancel\n\n`;
+  fallback += `Reply 1-3`;
   
-  // Wait for confirmation
+  await sendOptions(from, `${msg}The campaign is created paused.`, [
+    { value: "1", title: "✅ Create" },
+    { value: "2", title: "✏️ Edit" },
+    { value: "3", title: "❌ Cancel" }
+  ], { fallbackText: fallback });
+}
+
+// Review edit targets -> campaign step to return to
+const CAMPAIGN_EDIT_STEPS = { product: 1, media: 2, objective: 3, budget: 4 };
+
+// Campaign Step 5: Review & Create
+async function handleCampaignReviewCreate(from, messageText, workflow) {
   const lower = messageText.toLowerCase().trim();
   const numMatch = messageText.match(/^(\d)/);
   const num = numMatch ? parseInt(numMatch[1]) : null;
+  const editTarget = lower.replace(/^edit-/, "");
   
   if (num === 1 || lower === "yes" || lower === "create") {
     await createCampaignFromWorkflow(from, workflow);
   } else if (num === 2 || lower === "edit") {
-    await sendWhatsAppMessage(from, `What would you like to edit?\n\n• "product" - Change product\n• "media" - Regenerate media\n• "objective" - Change objective\n• "budget" - Change budget`);
+    const fallback = `What would you like to edit?\n\n• "product" - Change product\n• "media" - Regenerate media\n• "objective" - Change objective\n• "budget" - Change budget`;
+    await sendOptions(from, "What would you like to edit?", [
+      { value: "edit-product", title: "Product", description: "Change product" },
+      { value: "edit-media", title: "Media", description: "Regenerate media" },
+      { value: "edit-objective", title: "Objective", description: "Change objective" },
+      { value: "edit-budget", title: "Budget", description: "Change budget" }
+    ], { buttonText: "Edit", fallbackText: fallback });
+  } else if (CAMPAIGN_EDIT_STEPS[editTarget]) {
+    workflow.step = CAMPAIGN_EDIT_STEPS[editTarget];
+    setUserWorkflow(from, workflow);
+    await handleCampaignWorkflowStep(from, "", workflow);
   } else if (num === 3 || lower === "cancel") {
     clearWorkflow(from);
     await sendWhatsAppMessage(from, "❌ Campaign creation cancelled. Say 'menu' to start over.");
+  } else {
+    // First visit (or unrecognized reply): show the summary
+    await promptCampaignReview(from, workflow);
   }
 }
 
@@ -659,165 +869,1905 @@ async function createCampaignFromWorkflow(from, workflow) {
   }
 }
 
-// Meta Ads API: Upload image to Ad Account
-async function uploadImageToMeta(adAccountId, imageBuffer, name) {
-  try {
-    const form = new FormData();
-    form.append("bytes", imageBuffer, { filename: `${name || "image"}.jpg`, contentType: "image/jpeg" });
-    form.append("name", name || "Generated Image");
-    
-    const response = await axios.post(
-      `${GRAPH}/${adAccountId}/adimages`,
-      form,
-      {
-        headers: {
-          Authorization: `Bearer ${TOKEN}`,
-          ...form.getHeaders()
-        },
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity
-      }
-    );
-    
-    if (response.data?.images && response.data.images.length > 0) {
-      return response.data.images[0].hash; // image_hash for Ad Creative
-    }
-    throw new Error("No image hash returned from Meta");
-  } catch (err) {
-    console.error("[Meta] Error uploading image:", err.response?.data || err.message);
-    throw new Error(`Failed to upload image to Meta: ${err.message}`);
-  }
-}
-
-// Meta Ads API: Create full campaign structure
-async function createCampaignStructure(adAccountId, campaignData) {
-  try {
-    const { name, objective, budget, media, copy, audience, startTime, endTime } = campaignData;
-    
-    // 1. Create Campaign
-    const campaign = await fb(`/${adAccountId}/campaigns`, "POST", {
-      name: name,
-      objective: objective || "CONVERSIONS",
-      status: "PAUSED", // Create paused by default
-      special_ad_categories: []
-    });
-    const campaignId = campaign.id;
-    
-    // 2. Create Ad Set
-    const adSet = await fb(`/${adAccountId}/adsets`, "POST", {
-      name: `${name} - Ad Set`,
-      campaign_id: campaignId,
-      daily_budget: Math.round(budget * 100), // Convert to cents
-      billing_event: "IMPRESSIONS",
-      optimization_goal: objective === "CONVERSIONS" ? "OFFSITE_CONVERSIONS" : "REACH",
-      targeting: audience || {},
-      status: "PAUSED",
-      ...(startTime && { start_time: startTime }),
-      ...(endTime && { end_time: endTime })
-    });
-    const adSetId = adSet.id;
-    
-    // 3. Create Ad Creative (if media provided)
-    let creativeId = null;
-    if (media && media.imageHash) {
-      const pageId = process.env.META_PAGE_ID;
-      if (!pageId) {
-        throw new Error("PAGE_ID required. Set META_PAGE_ID environment variable.");
-      }
-      
-      const creativeData = {
-        name: (copy?.headline || name).substring(0, 50) || "Ad Creative",
-        object_story_spec: {
-          page_id: pageId,
-          link_data: {
-            image_hash: media.imageHash,
-            link: process.env.SHOP_URL || "https://maromcosmetic.com",
-            message: copy?.text || copy?.headline || "",
-            name: copy?.headline || name
-          }
-        }
-      };
-      
-      creativeId = await fb(`/${adAccountId}/adcreatives`, "POST", creativeData);
-      creativeId = creativeId.id;
-    }
-    
-    // 4. Create Ad
-    const ad = await fb(`/${adAccountId}/ads`, "POST", {
-      name: `${name} - Ad`,
-      adset_id: adSetId,
-      creative: creativeId ? { creative_id: creativeId } : undefined,
-      status: "PAUSED"
-    });
-    
-    return {
-      campaignId,
-      adSetId,
-      adId: ad.id,
-      creativeId
-    };
-  } catch (err) {
-    console.error("[Meta] Error creating campaign structure:", err.response?.data || err.message);
-    throw new Error(`Failed to create campaign: ${err.message}`);
-  }
-}
+// Aspect ratios offered by the media workflow. Portrait is generated at the
+// closest engine ratio and cropped to Meta's 4:5 feed size.
+const MEDIA_ASPECTS = {
+  "1:1": { label: "Square (1:1)", engineRatio: "1:1" },
+  "4:5": { label: "Portrait (4:5)", engineRatio: "3:4", resize: [1080, 1350] },
+  "9:16": { label: "Story (9:16)", engineRatio: "9:16" }
+};
 
 // Start media workflow
 async function startMediaWorkflow(from) {
+  if (!await checkWorkflowPermission(from, "media:generate")) return;
+  
   setUserWorkflow(from, {
     workflow: WORKFLOWS.GENERATE_MEDIA,
     step: 1,
     data: {}
   });
   
+  await promptMediaProduct(from);
+}
+
+// Media Step 1 prompt
+async function promptMediaProduct(from) {
   let msg = `🎨 *GENERATE MEDIA*\n\n`;
   msg += `*Step 1/3: Which product?*\n`;
   msg += `📦 Type product name or say "list products"\n\n`;
   msg += `Examples:\n• "shampoo"\n• "moringa conditioner"`;
   
-  await sendWhatsAppMessage(from, msg);
+  await sendOptions(from, msg, [{ value: "list products", title: "📦 List products" }], { fallbackText: msg });
 }
 
 // Handle media workflow steps
 async function handleMediaWorkflowStep(from, messageText, workflow) {
-  await sendWhatsAppMessage(from, "Media workflow coming soon! Use /image <product> for now.");
-  clearWorkflow(from);
+  switch (workflow.step) {
+    case 1: // Product selection
+      await handleMediaProductSelection(from, messageText, workflow);
+      break;
+    case 2: // Angle, aspect and style
+      await handleMediaOptions(from, messageText, workflow);
+      break;
+    case 3: // Review
+      await handleMediaReview(from, messageText, workflow);
+      break;
+  }
 }
 
-// Start manage campaigns workflow
-async function startManageCampaignsWorkflow(from) {
-  await sendWhatsAppMessage(from, "📊 *MANAGE CAMPAIGNS*\n\nUse /campaigns to list all campaigns, or /stats for performance data.");
-  clearWorkflow(from);
+// Media Step 1: Product selection
+async function handleMediaProductSelection(from, messageText, workflow) {
+  const lower = messageText.toLowerCase().trim();
+  
+  if (!lower) {
+    await promptMediaProduct(from);
+    return;
+  }
+  
+  if (lower === "list products" || lower === "list") {
+    await sendProductList(from, "Which product should I create media for?");
+    return;
+  }
+  
+  const product = await resolveWorkflowProduct(from, messageText, workflow);
+  if (!product) return;
+  
+  // Start from the user's /angle and /style defaults
+  const session = getSession(from);
+  setUserWorkflow(from, {
+    ...workflow,
+    step: 2,
+    data: {
+      ...workflow.data,
+      product,
+      angle: ANGLE_PRESETS[session.angle] ? session.angle : "front",
+      style: session.style,
+      aspect: MEDIA_ASPECTS[session.aspect] ? session.aspect : "1:1",
+      stage: "angle"
+    }
+  });
+  await promptMediaAngle(from, product);
 }
 
-// Handle manage campaigns workflow
-async function handleManageCampaignsWorkflow(from, messageText, workflow) {
-  await sendWhatsAppMessage(from, "Use /campaigns, /pause, /resume, or /budget commands.");
-  clearWorkflow(from);
+// Media Step 2 prompts (one sub-stage per choice)
+async function promptMediaAngle(from, product) {
+  const msg = `✅ *Product: ${product.name}*\n\n*Step 2/3: Which angle?*`;
+  const angles = Object.keys(ANGLE_PRESETS);
+  const fallback = `${msg}\n\n${angles.map(a => `• ${a} - ${ANGLE_PRESETS[a]}`).join("\n")}\n\nReply with the angle name.`;
+  
+  await sendOptions(from, msg, angles.map(a => ({
+    value: a,
+    title: a,
+    description: ANGLE_PRESETS[a]
+  })), { buttonText: "Angles", asList: true, fallbackText: fallback });
 }
 
-// Start analyze performance workflow
-async function startAnalyzePerformanceWorkflow(from) {
-  await sendWhatsAppMessage(from, "📈 *ANALYZE PERFORMANCE*\n\nUse /stats for performance data, or /best for top campaigns.");
-  clearWorkflow(from);
+async function promptMediaAspect(from) {
+  const msg = `*Step 2/3: Which format?*`;
+  const fallback = `${msg}\n\n${Object.entries(MEDIA_ASPECTS).map(([key, a]) => `• ${key} - ${a.label}`).join("\n")}\n\nReply 1:1, 4:5 or 9:16.`;
+  
+  await sendOptions(from, msg, Object.entries(MEDIA_ASPECTS).map(([key, a]) => ({
+    value: key,
+    title: a.label
+  })), { fallbackText: fallback });
 }
 
-// Handle analyze performance workflow
-async function handleAnalyzePerformanceWorkflow(from, messageText, workflow) {
-  await sendWhatsAppMessage(from, "Use /stats, /best, or /campaigns commands.");
-  clearWorkflow(from);
+async function promptMediaStyle(from, style) {
+  let msg = `*Step 2/3: Which style?*\n\n`;
+  msg += `Current: ${style}\n\n`;
+  msg += `Reply "keep" or describe a new style, e.g. "warm wood table, soft daylight"`;
+  
+  await sendOptions(from, msg, [{ value: "keep", title: "✅ Keep current" }], { fallbackText: msg });
 }
 
-// Start manage products workflow
-async function startManageProductsWorkflow(from) {
-  await sendWhatsAppMessage(from, "📦 *MANAGE PRODUCTS*\n\nUse /products to list, /product <name> for details, or /product edit <name> to update.");
-  clearWorkflow(from);
+// Media Step 2: Angle -> aspect -> style, then generate
+async function handleMediaOptions(from, messageText, workflow) {
+  const lower = messageText.toLowerCase().trim();
+  const data = workflow.data || {};
+  const stage = data.stage || "angle";
+  
+  if (!data.product) {
+    await sendWhatsAppMessage(from, "⚠️ Product not found. Going back to product selection...");
+    setUserWorkflow(from, { ...workflow, step: 1 });
+    await promptMediaProduct(from);
+    return;
+  }
+  
+  if (stage === "angle") {
+    if (!lower) {
+      await promptMediaAngle(from, data.product);
+      return;
+    }
+    const angle = ANGLE_PRESETS[lower] ? lower : null;
+    if (!angle) {
+      await sendWhatsAppMessage(from, `⚠️ Unknown angle. Available: ${Object.keys(ANGLE_PRESETS).join(", ")}`);
+      return;
+    }
+    setUserWorkflow(from, { ...workflow, data: { ...data, angle, stage: "aspect" } });
+    await promptMediaAspect(from);
+  } else if (stage === "aspect") {
+    if (!lower) {
+      await promptMediaAspect(from);
+      return;
+    }
+    let aspect = MEDIA_ASPECTS[lower] ? lower : null;
+    if (!aspect) {
+      if (lower.includes("square")) aspect = "1:1";
+      else if (lower.includes("portrait") || lower.includes("feed")) aspect = "4:5";
+      else if (lower.includes("story") || lower.includes("reel")) aspect = "9:16";
+    }
+    if (!aspect) {
+      await sendWhatsAppMessage(from, "⚠️ Please reply 1:1 (square), 4:5 (portrait) or 9:16 (story).");
+      return;
+    }
+    setUserWorkflow(from, { ...workflow, data: { ...data, aspect, stage: "style" } });
+    await promptMediaStyle(from, data.style);
+  } else {
+    if (!lower) {
+      await promptMediaStyle(from, data.style);
+      return;
+    }
+    const style = lower === "keep" || lower === "yes" ? data.style : messageText.trim();
+    setUserWorkflow(from, { ...workflow, step: 3, data: { ...data, style, prompt: null } });
+    await generateWorkflowImage(from);
+  }
 }
 
-// Handle manage products workflow
-async function handleManageProductsWorkflow(from, messageText, workflow) {
-  await sendWhatsAppMessage(from, "Use /products, /product <name>, or /product edit commands.");
-  clearWorkflow(from);
+// Generate an image for the media workflow and show the review options.
+// "variation" keeps the current prompt and asks for a different composition.
+async function generateWorkflowImage(from, { variation = false } = {}) {
+  const workflow = getUserWorkflow(from);
+  if (!workflow) return;
+  const data = workflow.data;
+  const aspect = MEDIA_ASPECTS[data.aspect] || MEDIA_ASPECTS["1:1"];
+  
+  try {
+    let prompt = data.prompt;
+    if (!prompt) {
+      await sendWhatsAppMessage(from, "🎨 Creating optimized prompt...");
+      const session = { ...getSession(from), angle: data.angle, style: data.style, aspect: data.aspect };
+      prompt = await buildEnhancedImagePrompt(data.product, session, loadCompanyContext());
+    }
+    const generationPrompt = variation
+      ? `${prompt}. Variation: a different composition, props and lighting, same product and brand look`
+      : prompt;
+    
+    await sendWhatsAppMessage(from, variation ? "🔀 Creating a variation... Please wait!" : "✨ Generating image... Please wait!");
+    
+    let buffer = await generateImageWithEngine(generationPrompt, aspect.engineRatio);
+    if (aspect.resize) {
+      buffer = await sharp(buffer).resize(aspect.resize[0], aspect.resize[1], { fit: "cover" }).jpeg({ quality: 87 }).toBuffer();
+    }
+    
+    const caption = `${data.product.name} • ${aspect.label} • angle: ${data.angle}`;
+    const mediaId = await uploadWhatsAppMedia(buffer, "image/jpeg");
+    await sendWhatsAppImage(from, mediaId, caption);
+    addToHistory(from, mediaId, caption, data.product.name, data.angle, data.style);
+    
+    // Re-read: the user may have cancelled while the image was generating
+    const current = getUserWorkflow(from);
+    if (!current || current.workflow !== WORKFLOWS.GENERATE_MEDIA) return;
+    setUserWorkflow(from, {
+      ...current,
+      step: 3,
+      data: {
+        ...current.data,
+        prompt,
+        image: { buffer, mimeType: "image/jpeg", mediaId, caption },
+        savedToLibrary: false
+      }
+    });
+    await promptMediaReview(from);
+  } catch (err) {
+    console.error("[Media Workflow] Generation error:", err);
+    let errorMsg = `⚠️ Image generation failed: ${err.message || "unknown error"}`;
+    if (err.status === 503) {
+      errorMsg = "⚠️ Image engine not configured. Set GOOGLE_CLOUD_PROJECT and GOOGLE_APPLICATION_CREDENTIALS for Vertex AI.";
+    }
+    await sendWhatsAppMessage(from, `${errorMsg}\n\nSay "regenerate" to try again, or "back" to change the options.`);
+  }
+}
+
+// Media Step 3 prompt
+async function promptMediaReview(from) {
+  const workflow = getUserWorkflow(from);
+  const saved = workflow?.data?.savedToLibrary;
+  
+  let fallback = `*Step 3/3: What next?*\n\n`;
+  fallback += `1️⃣ Regenerate (same settings)\n`;
+  fallback += `2️⃣ Variation (new composition)\n`;
+  fallback += `3️⃣ Save to library${saved ? " ✅" : ""}\n`;
+  fallback += `4️⃣ Use in campaign\n\n`;
+  fallback += `Reply 1-4, or "cancel" when you're done`;
+  
+  await sendOptions(from, `*Step 3/3: What next?*\n\nPick an action, or say "cancel" when you're done.`, [
+    { value: "regenerate", title: "🔄 Regenerate", description: "Same settings, new image" },
+    { value: "variation", title: "🔀 Variation", description: "Different composition and lighting" },
+    { value: "save", title: saved ? "💾 Saved to library ✅" : "💾 Save to library", description: "Store in the media library" },
+    { value: "campaign", title: "🚀 Use in campaign", description: "Create a campaign with this image" }
+  ], { buttonText: "Actions", fallbackText: fallback });
+}
+
+// Media Step 3: Review actions
+async function handleMediaReview(from, messageText, workflow) {
+  const lower = messageText.toLowerCase().trim();
+  const numMatch = messageText.match(/^(\d)/);
+  const num = numMatch ? parseInt(numMatch[1]) : null;
+  const data = workflow.data || {};
+  
+  if (num === 1 || lower.includes("regenerate") || lower === "again") {
+    await generateWorkflowImage(from);
+    return;
+  }
+  
+  if (num === 2 || lower.includes("variation")) {
+    if (!data.prompt) {
+      await generateWorkflowImage(from);
+      return;
+    }
+    await generateWorkflowImage(from, { variation: true });
+    return;
+  }
+  
+  if (!data.image) {
+    // Generation failed or hasn't run yet
+    await sendWhatsAppMessage(from, `⚠️ No image yet. Say "regenerate" to try again, or "back" to change the options.`);
+    return;
+  }
+  
+  if (num === 3 || lower.includes("save") || lower.includes("library")) {
+    await saveWorkflowImageToLibrary(from, workflow);
+    return;
+  }
+  
+  if (num === 4 || lower.includes("campaign")) {
+    if (!await checkWorkflowPermission(from, "campaigns:write")) return;
+    // Hand the image over to the campaign workflow at the objective step
+    setUserWorkflow(from, {
+      workflow: WORKFLOWS.CREATE_CAMPAIGN,
+      step: 3,
+      data: {
+        product: data.product,
+        productName: data.product.name,
+        media: { buffer: data.image.buffer, mimeType: data.image.mimeType, type: "single" }
+      }
+    });
+    await sendWhatsAppMessage(from, `🚀 *CREATE CAMPAIGN*\n\n✅ Product: ${data.product.name}\n✅ Media: 1 image`);
+    await promptCampaignObjective(from);
+    return;
+  }
+  
+  await promptMediaReview(from);
+}
+
+// Save the reviewed image to the Google Drive media library
+async function saveWorkflowImageToLibrary(from, workflow) {
+  const { product, image, prompt, angle, style, aspect } = workflow.data;
+  if (workflow.data.savedToLibrary) {
+    await sendWhatsAppMessage(from, "✅ This image is already in the media library.");
+    await promptMediaReview(from);
+    return;
+  }
+  
+  const backupService = getBackupService();
+  if (!backupService?.uploadMediaToDrive) {
+    await sendWhatsAppMessage(from, "⚠️ Media library not available (Google Drive is not configured).");
+    return;
+  }
+  
+  try {
+    const slug = product.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+    const result = await backupService.uploadMediaToDrive(image.buffer, `${slug}_${Date.now()}`, image.mimeType, {
+      mode: "whatsapp-workflow",
+      product: product.name,
+      prompt,
+      angle,
+      style,
+      aspectRatio: aspect,
+      generatedAt: new Date().toISOString()
+    });
+    if (!result?.success) {
+      throw new Error(result?.error || "upload failed");
+    }
+    
+    updateWorkflowData(from, { savedToLibrary: true });
+    console.log(`[Media Workflow] Saved ${result.fileName} to media library for ${from}`);
+    await sendWhatsAppMessage(from, `💾 Saved to media library: ${result.fileName}${result.webViewLink ? `\n${result.webViewLink}` : ""}`);
+    await promptMediaReview(from);
+  } catch (err) {
+    console.error("[Media Workflow] Library save error:", err);
+    await sendWhatsAppMessage(from, `⚠️ Could not save to media library: ${err.message}`);
+  }
+}
+
+// Campaign hierarchy levels used by the manage campaigns workflow
+const CAMPAIGN_LEVELS = {
+  campaign: { label: "Campaigns", noun: "campaign", edge: "campaigns", fields: "id,name,status,daily_budget,lifetime_budget", child: "adset" },
+  adset: { label: "Ad sets", noun: "ad set", edge: "adsets", fields: "id,name,status,campaign_id,daily_budget,lifetime_budget", child: "ad" },
+  ad: { label: "Ads", noun: "ad", edge: "ads", fields: "id,name,status", child: null }
+};
+
+const MANAGE_LIST_LIMIT = 20;
+
+// Manage campaigns keeps a stack of views in data.views (list -> detail -> action)
+async function startManageCampaignsWorkflow(from) {
+  if (!await checkWorkflowPermission(from, "campaigns:write")) return;
+  
+  setUserWorkflow(from, {
+    workflow: WORKFLOWS.MANAGE_CAMPAIGNS,
+    step: 1,
+    data: { views: [{ view: "list", level: "campaign" }] }
+  });
+  
+  await renderManageView(from);
+}
+
+function formatBudget(entity) {
+  if (entity.daily_budget) return `$${(parseInt(entity.daily_budget) / 100).toFixed(2)}/day`;
+  if (entity.lifetime_budget) return `$${(parseInt(entity.lifetime_budget) / 100).toFixed(2)} lifetime`;
+  return null;
+}
+
+function statusIcon(status) {
+  return status === "ACTIVE" ? "✅" : "🛑";
+}
+
+// Fetch the entities for a list view (campaigns across all ad accounts, or a parent's children)
+async function fetchManageEntities(view) {
+  const level = CAMPAIGN_LEVELS[view.level];
+  if (view.parentId) {
+    const result = await fb(`/${view.parentId}/${level.edge}`, "GET", { fields: level.fields, limit: 50 });
+    return result.data || [];
+  }
+  
+  const accounts = await fb(`/me/adaccounts`, "GET", { fields: "id" });
+  const entities = [];
+  for (const account of accounts.data || []) {
+    try {
+      const result = await fb(`/${account.id}/${level.edge}`, "GET", { fields: level.fields, limit: 50 });
+      if (result.data) entities.push(...result.data);
+    } catch (e) {
+      continue;
+    }
+  }
+  return entities;
+}
+
+async function renderManageView(from) {
+  const workflow = getUserWorkflow(from);
+  const views = workflow?.data?.views || [];
+  const view = views[views.length - 1];
+  if (!view) {
+    await startManageCampaignsWorkflow(from);
+    return;
+  }
+  
+  if (view.view === "list") {
+    await renderManageList(from, view);
+  } else if (view.view === "detail") {
+    await renderManageDetail(from, view);
+  } else {
+    await renderManageAction(from, view);
+  }
+}
+
+async function renderManageList(from, view) {
+  const level = CAMPAIGN_LEVELS[view.level];
+  let items;
+  try {
+    items = (await fetchManageEntities(view)).slice(0, MANAGE_LIST_LIMIT);
+  } catch (err) {
+    await sendWhatsAppMessage(from, `⚠️ Could not load ${level.label.toLowerCase()}: ${err.message}`);
+    return;
+  }
+  updateWorkflowView(from, { items });
+  
+  const title = `📊 *${level.label.toUpperCase()}*${view.parentName ? ` in ${view.parentName}` : ""}`;
+  if (items.length === 0) {
+    await sendWhatsAppMessage(from, `${title}\n\nNo ${level.label.toLowerCase()} found.${view.parentId ? ` Say "back" to return.` : ""}`);
+    return;
+  }
+  
+  const hint = `Pick one to manage it, or reply with several numbers (e.g. "1,3" or "1-4") or "all" for bulk actions.`;
+  let fallback = `${title} (${items.length}):\n\n`;
+  items.forEach((item, i) => {
+    const budget = formatBudget(item);
+    fallback += `${i + 1}. ${statusIcon(item.status)} ${item.name}${budget ? ` • ${budget}` : ""}\n`;
+  });
+  fallback += `\n${hint}`;
+  
+  await sendOptions(from, `${title} (${items.length})\n\n${hint}`, items.map((item, i) => ({
+    value: String(i + 1),
+    title: item.name,
+    description: [item.status, formatBudget(item)].filter(Boolean).join(" • ")
+  })), { buttonText: level.label, asList: true, fallbackText: fallback });
+}
+
+// Parse "3", "1,3,5", "1-4" or "all" into list indexes; null if it isn't a selection
+function parseSelection(text, count) {
+  const lower = text.toLowerCase().trim();
+  if (lower === "all") return Array.from({ length: count }, (_, i) => i);
+  if (!/^\d+(\s*[-,\s]\s*\d+)*$/.test(lower)) return null;
+  
+  const indexes = new Set();
+  for (const part of lower.replace(/\s*-\s*/g, "-").split(/[\s,]+/)) {
+    const range = part.match(/^(\d+)\s*-\s*(\d+)$/);
+    const [start, end] = range ? [parseInt(range[1]), parseInt(range[2])] : [parseInt(part), parseInt(part)];
+    for (let n = Math.min(start, end); n <= Math.max(start, end); n++) {
+      if (n < 1 || n > count) return [];
+      indexes.add(n - 1);
+    }
+  }
+  return [...indexes].sort((a, b) => a - b);
+}
+
+async function handleManageListInput(from, messageText, view) {
+  const level = CAMPAIGN_LEVELS[view.level];
+  const items = view.items || [];
+  const selection = parseSelection(messageText, items.length);
+  
+  if (selection && selection.length === 0) {
+    await sendWhatsAppMessage(from, `⚠️ Please pick numbers between 1 and ${items.length}.`);
+    return;
+  }
+  if (selection && selection.length > 1) {
+    pushWorkflowView(from, { view: "action", level: view.level, stage: "choose", targets: selection.map(i => items[i]) });
+    await renderManageView(from);
+    return;
+  }
+  if (selection) {
+    pushWorkflowView(from, { view: "detail", level: view.level, entity: items[selection[0]] });
+    await renderManageView(from);
+    return;
+  }
+  
+  // Look the entity up by name (current list first, then all ad accounts)
+  const query = messageText.trim();
+  let entity = items.find(item => item.name?.toLowerCase().includes(query.toLowerCase()));
+  if (!entity) {
+    const result = await findEntityByNameOrId(level.edge, query);
+    if (result) {
+      try {
+        entity = await fb(`/${result.entity.id}`, "GET", { fields: level.fields });
+      } catch (err) {
+        entity = result.entity;
+      }
+    }
+  }
+  if (!entity) {
+    await sendWhatsAppMessage(from, `⚠️ ${level.noun.charAt(0).toUpperCase() + level.noun.slice(1)} not found: ${query}\n\nReply with a number from the list, or say "back" or "cancel".`);
+    return;
+  }
+  pushWorkflowView(from, { view: "detail", level: view.level, entity });
+  await renderManageView(from);
+}
+
+async function renderManageDetail(from, view) {
+  const level = CAMPAIGN_LEVELS[view.level];
+  const entity = view.entity;
+  const budget = formatBudget(entity);
+  
+  let msg = `${statusIcon(entity.status)} *${entity.name}*\n`;
+  msg += `Type: ${level.noun}\n`;
+  msg += `Status: ${entity.status}\n`;
+  if (budget) msg += `Budget: ${budget}\n`;
+  msg += `ID: ${entity.id}`;
+  
+  const options = [
+    entity.status === "ACTIVE"
+      ? { value: "pause", title: "🛑 Pause" }
+      : { value: "resume", title: "✅ Resume" }
+  ];
+  // Lifetime budgets need an end date, so only daily budgets are editable here
+  if (view.level !== "ad" && !(entity.lifetime_budget && !entity.daily_budget)) {
+    options.push({ value: "budget", title: "💰 Change budget" });
+  }
+  options.push({ value: "duplicate", title: "📑 Duplicate", description: "Copy is created paused" });
+  options.push({ value: "rename", title: "✏️ Rename" });
+  if (level.child) {
+    options.push({ value: "children", title: `🔍 View ${CAMPAIGN_LEVELS[level.child].label.toLowerCase()}` });
+  }
+  
+  await sendOptions(from, `${msg}\n\nWhat would you like to do?`, options, {
+    buttonText: "Actions",
+    asList: true,
+    fallbackText: `${msg}\n\n${options.map(o => `• ${o.value}`).join("\n")}\n\nReply with an action, or "back".`
+  });
+}
+
+async function handleManageDetailInput(from, messageText, view) {
+  const lower = messageText.toLowerCase().trim();
+  const level = CAMPAIGN_LEVELS[view.level];
+  
+  if (lower === "children" || lower.includes("ad set") || lower.includes("adset") || lower === "ads") {
+    if (!level.child) {
+      await sendWhatsAppMessage(from, "⚠️ Ads have nothing to drill into.");
+      return;
+    }
+    pushWorkflowView(from, { view: "list", level: level.child, parentId: view.entity.id, parentName: view.entity.name });
+    await renderManageView(from);
+    return;
+  }
+  
+  const action = ["pause", "resume", "budget", "duplicate", "rename"].find(a => lower.includes(a));
+  if (!action || (action === "budget" && view.level === "ad")) {
+    await renderManageDetail(from, view);
+    return;
+  }
+  pushWorkflowView(from, {
+    view: "action",
+    level: view.level,
+    action,
+    stage: ["budget", "rename"].includes(action) ? "input" : "confirm",
+    targets: [view.entity]
+  });
+  await renderManageView(from);
+}
+
+function describeTargets(view) {
+  const level = CAMPAIGN_LEVELS[view.level];
+  if (view.targets.length === 1) return `${level.noun} "${view.targets[0].name}"`;
+  return `${view.targets.length} ${level.label.toLowerCase()}`;
+}
+
+async function renderManageAction(from, view) {
+  const level = CAMPAIGN_LEVELS[view.level];
+  
+  if (view.stage === "choose") {
+    let msg = `☑️ *${view.targets.length} ${level.label.toLowerCase()} selected:*\n`;
+    view.targets.forEach(t => {
+      msg += `• ${statusIcon(t.status)} ${t.name}\n`;
+    });
+    const options = [
+      { value: "pause", title: "🛑 Pause all" },
+      { value: "resume", title: "✅ Resume all" }
+    ];
+    if (view.level !== "ad") options.push({ value: "budget", title: "💰 Set budget", description: "Same daily budget for each" });
+    options.push({ value: "duplicate", title: "📑 Duplicate all", description: "Copies are created paused" });
+    await sendOptions(from, `${msg}\nWhat should I do with them?`, options, {
+      buttonText: "Bulk actions",
+      asList: true,
+      fallbackText: `${msg}\n${options.map(o => `• ${o.value}`).join("\n")}\n\nReply with an action, or "back".`
+    });
+  } else if (view.stage === "input") {
+    if (view.action === "budget") {
+      await sendWhatsAppMessage(from, `💰 New daily budget for ${describeTargets(view)}?\n\nExample: "50" for $50/day`);
+    } else {
+      await sendWhatsAppMessage(from, `✏️ New name for ${describeTargets(view)}?`);
+    }
+  } else {
+    let msg = `⚠️ *Please confirm*\n\n`;
+    if (view.action === "pause") msg += `Pause ${describeTargets(view)}`;
+    else if (view.action === "resume") msg += `Resume ${describeTargets(view)}`;
+    else if (view.action === "budget") {
+      msg += `Set the daily budget of ${describeTargets(view)} to $${(view.value / 100).toFixed(2)}/day:\n\n`;
+      msg += view.plans.map(p => describeBudgetPlan(p.plan)).join("\n\n");
+      if (view.planErrors.length > 0) {
+        msg += `\n\nSkipped:\n${view.planErrors.map(e => `• ${e.name}: ${e.error}`).join("\n")}`;
+      }
+    }
+    else if (view.action === "duplicate") msg += `Duplicate ${describeTargets(view)} (copies start paused)`;
+    else if (view.action === "rename") msg += `Rename ${describeTargets(view)} to "${view.value}"`;
+    if (view.targets.length > 1 && view.action !== "budget") {
+      msg += `:\n${view.targets.map(t => `• ${t.name}`).join("\n")}`;
+    }
+    
+    await sendOptions(from, msg, [
+      { value: "yes", title: "✅ Yes" },
+      { value: "no", title: "❌ No" }
+    ], { fallbackText: `${msg}\n\nReply YES to confirm or NO to go back.` });
+  }
+}
+
+async function handleManageActionInput(from, messageText, view) {
+  const lower = messageText.toLowerCase().trim();
+  
+  if (view.stage === "choose") {
+    const action = ["pause", "resume", "budget", "duplicate"].find(a => lower.includes(a));
+    if (!action || (action === "budget" && view.level === "ad")) {
+      await renderManageAction(from, view);
+      return;
+    }
+    const updated = updateWorkflowView(from, { action, stage: action === "budget" ? "input" : "confirm" });
+    await renderManageAction(from, updated);
+    return;
+  }
+  
+  if (view.stage === "input") {
+    let value;
+    let budgetPlans = {};
+    if (view.action === "budget") {
+      const price = parsePrice(messageText);
+      const amount = price === null ? NaN : parseFloat(price);
+      if (isNaN(amount) || amount < 1) {
+        await sendWhatsAppMessage(from, "⚠️ Please enter a daily budget of at least $1, e.g. \"50\" or \"29.90\".");
+        return;
+      }
+      value = Math.round(amount * 100); // Meta budgets are in cents
+      budgetPlans = await planManageBudgets(view, amount);
+      if (budgetPlans.plans.length === 0) {
+        await sendWhatsAppMessage(from, `⚠️ Can't set that budget:\n${budgetPlans.planErrors.map(e => `• ${e.name}: ${e.error}`).join("\n")}\n\nEnter another amount, or say "back".`);
+        return;
+      }
+    } else {
+      value = messageText.trim();
+    }
+    const updated = updateWorkflowView(from, { value, ...budgetPlans, stage: "confirm" });
+    await renderManageAction(from, updated);
+    return;
+  }
+  
+  if (lower === "yes" || lower === "y" || lower === "confirm") {
+    await executeManageAction(from, view);
+  } else if (lower === "no" || lower === "n") {
+    const workflow = getUserWorkflow(from);
+    popWorkflowViews(from, workflow.data.views.length - 1);
+    await renderManageView(from);
+  } else {
+    await renderManageAction(from, view);
+  }
+}
+
+// Plan a daily budget for each target with the same rules as /budget (budgetService.js):
+// the campaign budget under CBO, otherwise its single ad set; a campaign with several
+// ad set budgets is refused rather than giving each ad set the full amount
+async function planManageBudgets(view, amount) {
+  const change = { mode: "set", value: amount, period: "daily" };
+  const plans = [];
+  const planErrors = [];
+  for (const target of view.targets) {
+    try {
+      const plan = view.level === "campaign"
+        ? await planBudgetChange({ campaignId: target.id, change })
+        : await planBudgetChange({ campaignId: target.campaign_id || view.parentId, adsetQuery: target.id, change });
+      plans.push({ targetId: target.id, plan });
+    } catch (err) {
+      planErrors.push({ name: target.name, error: err.message });
+    }
+  }
+  return { plans, planErrors };
+}
+
+// Apply one action to one entity (for "budget", value is the target's plan from planManageBudgets())
+// audit: { actor, batchId } for the change records (one batch per bulk action, so /undo reverts it as a whole)
+async function applyManageAction(action, level, entity, value, audit) {
+  const target = { type: level, id: entity.id, name: entity.name };
+  switch (action) {
+    case "pause":
+      await fb(`/${entity.id}`, "POST", { status: "PAUSED" });
+      recordChange(audit.actor, `${level}.pause`, target, entity, { status: "PAUSED" }, audit);
+      return "paused";
+    case "resume":
+      await fb(`/${entity.id}`, "POST", { status: "ACTIVE" });
+      recordChange(audit.actor, `${level}.resume`, target, entity, { status: "ACTIVE" }, audit);
+      return "resumed";
+    case "rename":
+      await fb(`/${entity.id}`, "POST", { name: value });
+      recordChange(audit.actor, `${level}.rename`, target, entity, { name: value }, audit);
+      return `renamed to "${value}"`;
+    case "duplicate": {
+      const params = level === "ad" ? { status_option: "PAUSED" } : { deep_copy: true, status_option: "PAUSED" };
+      const result = await fb(`/${entity.id}/copies`, "POST", params);
+      const copyId = result.copied_campaign_id || result.copied_adset_id || result.copied_ad_id || result.id;
+      return `duplicated${copyId ? ` (new ID ${copyId})` : ""}`;
+    }
+    case "budget": {
+      const results = await applyBudgetPlan(value, audit.actor, { batchId: audit.batchId });
+      const failures = results.filter(r => !r.success);
+      if (failures.length > 0) throw new Error(failures.map(r => r.error).join("; "));
+      return results.map(r => `${r.type === "campaign" ? "" : `${r.name} `}budget set to $${(r.after / 100).toFixed(2)}/day`).join(", ");
+    }
+  }
+  throw new Error(`unknown action ${action}`);
+}
+
+async function executeManageAction(from, view) {
+  await sendWhatsAppMessage(from, "⏳ Working on it...");
+  
+  let msg = "";
+  let failed = 0;
+  const audit = { actor: phoneActor(from), batchId: crypto.randomUUID() };
+  // Plan budgets again from the current values, as /budget does on YES (the preview may be out of date)
+  const budgetPlans = view.action === "budget" ? await planManageBudgets(view, view.value / 100) : null;
+  for (const target of view.targets) {
+    try {
+      let value = view.value;
+      if (budgetPlans) {
+        value = budgetPlans.plans.find(p => p.targetId === target.id)?.plan;
+        if (!value) throw new Error(budgetPlans.planErrors.find(e => e.name === target.name)?.error || "no budget to change");
+      }
+      const outcome = await applyManageAction(view.action, view.level, target, value, audit);
+      msg += `✅ ${target.name}: ${outcome}\n`;
+    } catch (err) {
+      failed++;
+      msg += `❌ ${target.name}: ${err.message}\n`;
+      console.error(`[Manage Campaigns] ${view.action} failed for ${target.id}:`, err.message);
+    }
+  }
+  if (view.targets.length > 1) {
+    msg += `\n${view.targets.length - failed}/${view.targets.length} succeeded`;
+  }
+  await sendWhatsAppMessage(from, msg.trim());
+  
+  // Return to the closest list so the new statuses/budgets are shown
+  const workflow = getUserWorkflow(from);
+  if (!workflow || workflow.workflow !== WORKFLOWS.MANAGE_CAMPAIGNS) return;
+  const views = workflow.data.views;
+  let depth = views.length - 1;
+  while (depth > 0 && views[depth - 1].view !== "list") depth--;
+  popWorkflowViews(from, Math.max(depth, 1));
+  await renderManageView(from);
+}
+
+// Handle manage campaigns workflow
+async function handleManageCampaignsWorkflow(from, messageText, workflow) {
+  let views = workflow.data?.views || [];
+  if (views.length === 0) {
+    await startManageCampaignsWorkflow(from);
+    return;
+  }
+  
+  // "back" lowers the step; drop the views above it
+  if (workflow.step < views.length) {
+    popWorkflowViews(from, Math.max(workflow.step, 1));
+    views = getUserWorkflow(from).data.views;
+  }
+  const view = views[views.length - 1];
+  
+  if (!messageText.trim()) {
+    await renderManageView(from);
+    return;
+  }
+  
+  try {
+    if (view.view === "list") {
+      await handleManageListInput(from, messageText, view);
+    } else if (view.view === "detail") {
+      await handleManageDetailInput(from, messageText, view);
+    } else {
+      await handleManageActionInput(from, messageText, view);
+    }
+  } catch (err) {
+    console.error("[Manage Campaigns] Error:", err);
+    await sendWhatsAppMessage(from, `⚠️ ${err.message}\n\nSay "back" or "cancel".`);
+  }
+}
+
+// Analysis scopes: Graph edge used to list entities of that level
+const ANALYSIS_SCOPES = {
+  account: { label: "Whole account" },
+  campaign: { label: "Campaign", edge: "campaigns" },
+  adset: { label: "Ad set", edge: "adsets" },
+  ad: { label: "Ad", edge: "ads" }
+};
+
+const ANALYSIS_BREAKDOWNS = [
+  { key: "age", label: "Age", breakdowns: "age" },
+  { key: "gender", label: "Gender", breakdowns: "gender" },
+  { key: "placement", label: "Placement", breakdowns: "publisher_platform,platform_position" },
+  { key: "region", label: "Region", breakdowns: "region" }
+];
+
+// Purchase action types in order of preference (they overlap, so only one is counted)
+const PURCHASE_ACTIONS = ["omni_purchase", "purchase", "offsite_conversion.fb_pixel_purchase"];
+
+// Start analyze performance workflow
+async function startAnalyzePerformanceWorkflow(from) {
+  if (!await checkWorkflowPermission(from, "stats:read")) return;
+  
+  setUserWorkflow(from, {
+    workflow: WORKFLOWS.ANALYZE_PERFORMANCE,
+    step: 1,
+    data: { stage: "scope" }
+  });
+  
+  await promptAnalysisScope(from);
+}
+
+// Analysis Step 1 prompt
+async function promptAnalysisScope(from) {
+  let fallback = `📈 *ANALYZE PERFORMANCE*\n\n*Step 1/3: What should I analyze?*\n\n`;
+  fallback += `1️⃣ Whole account\n2️⃣ A campaign\n3️⃣ An ad set\n4️⃣ An ad\n\nReply 1-4`;
+  
+  await sendOptions(from, `📈 *ANALYZE PERFORMANCE*\n\n*Step 1/3: What should I analyze?*`, [
+    { value: "account", title: "Whole account", description: "All ad accounts combined" },
+    { value: "campaign", title: "A campaign" },
+    { value: "adset", title: "An ad set" },
+    { value: "ad", title: "An ad" }
+  ], { buttonText: "Scope", fallbackText: fallback });
+}
+
+// Analysis Step 2 prompt
+async function promptAnalysisPeriod(from, targetName) {
+  const msg = `✅ *Analyzing: ${targetName}*\n\n*Step 2/3: Which period?*\nI'll compare it with the period right before it.`;
+  await sendOptions(from, msg, [
+    { value: "1", title: "Yesterday", description: "vs the day before" },
+    { value: "7", title: "Last 7 days", description: "vs the 7 days before" },
+    { value: "14", title: "Last 14 days", description: "vs the 14 days before" },
+    { value: "30", title: "Last 30 days", description: "vs the 30 days before" }
+  ], { buttonText: "Period", fallbackText: `${msg}\n\nReply 1, 7, 14 or 30 (days), or any number of days up to 90.` });
+}
+
+// Handle analyze performance workflow
+async function handleAnalyzePerformanceWorkflow(from, messageText, workflow) {
+  switch (workflow.step) {
+    case 1: // Scope
+      await handleAnalysisScope(from, messageText, workflow);
+      break;
+    case 2: // Period
+      await handleAnalysisPeriod(from, messageText, workflow);
+      break;
+    case 3: // Results and follow-up
+      await handleAnalysisFollowUp(from, messageText, workflow);
+      break;
+  }
+}
+
+// Analysis Step 1: scope, then the entity for non-account scopes
+async function handleAnalysisScope(from, messageText, workflow) {
+  const lower = messageText.toLowerCase().trim();
+  const data = workflow.data || {};
+  
+  if (!lower) {
+    setUserWorkflow(from, { ...workflow, data: { ...data, stage: "scope" } });
+    await promptAnalysisScope(from);
+    return;
+  }
+  
+  if (data.stage !== "entity") {
+    let scope = null;
+    if (lower === "1" || lower.includes("account")) scope = "account";
+    else if (lower === "2" || lower.includes("campaign")) scope = "campaign";
+    else if (lower === "3" || lower.includes("ad set") || lower.includes("adset")) scope = "adset";
+    else if (lower === "4" || lower === "ad" || lower === "an ad") scope = "ad";
+    
+    if (!scope) {
+      await sendWhatsAppMessage(from, "⚠️ Please reply 1-4: account, campaign, ad set or ad.");
+      return;
+    }
+    
+    if (scope === "account") {
+      setUserWorkflow(from, { ...workflow, step: 2, data: { ...data, scope, target: { id: null, name: "Whole account" } } });
+      await promptAnalysisPeriod(from, "Whole account");
+      return;
+    }
+    
+    setUserWorkflow(from, { ...workflow, data: { ...data, scope, stage: "entity" } });
+    await sendAnalysisEntityList(from, scope);
+    return;
+  }
+  
+  // Pick the campaign/ad set/ad by list number or name
+  const scope = ANALYSIS_SCOPES[data.scope];
+  let target = null;
+  const numMatch = lower.match(/^(\d+)$/);
+  if (numMatch && data.entityList) {
+    target = data.entityList[parseInt(numMatch[1]) - 1] || null;
+  }
+  if (!target) {
+    const result = await findEntityByNameOrId(scope.edge, messageText.trim());
+    if (result) target = { id: result.entity.id, name: result.entity.name };
+  }
+  if (!target) {
+    await sendWhatsAppMessage(from, `⚠️ ${scope.label} not found: ${messageText.trim()}\n\nReply with a number from the list or a name.`);
+    return;
+  }
+  
+  setUserWorkflow(from, { ...workflow, step: 2, data: { ...data, target, stage: "scope" } });
+  await promptAnalysisPeriod(from, target.name);
+}
+
+// List up to 10 entities of the chosen level, active ones first
+async function sendAnalysisEntityList(from, scopeKey) {
+  const scope = ANALYSIS_SCOPES[scopeKey];
+  try {
+    const accounts = await fb(`/me/adaccounts`, "GET", { fields: "id" });
+    const entities = [];
+    for (const account of accounts.data || []) {
+      try {
+        const result = await fb(`/${account.id}/${scope.edge}`, "GET", { fields: "id,name,status", limit: 50 });
+        if (result.data) entities.push(...result.data);
+      } catch (e) {
+        continue;
+      }
+    }
+    
+    entities.sort((a, b) => (b.status === "ACTIVE") - (a.status === "ACTIVE"));
+    const entityList = entities.slice(0, 10).map(e => ({ id: e.id, name: e.name, status: e.status }));
+    updateWorkflowData(from, { entityList });
+    
+    if (entityList.length === 0) {
+      await sendWhatsAppMessage(from, `⚠️ No ${scope.label.toLowerCase()}s found. Say "back" to pick another scope.`);
+      return;
+    }
+    
+    const question = `*Which ${scope.label.toLowerCase()}?*\nPick one or type its name.`;
+    await sendOptions(from, question, entityList.map((e, i) => ({
+      value: String(i + 1),
+      title: e.name,
+      description: e.status
+    })), {
+      buttonText: `${scope.label}s`,
+      asList: true,
+      fallbackText: `${question}\n\n${entityList.map((e, i) => `${i + 1}. ${e.status === "ACTIVE" ? "✅" : "🛑"} ${e.name}`).join("\n")}`
+    });
+  } catch (err) {
+    await sendWhatsAppMessage(from, `⚠️ Could not load ${scope.label.toLowerCase()}s: ${err.message}`);
+  }
+}
+
+// Analysis Step 2: period, then run the analysis
+async function handleAnalysisPeriod(from, messageText, workflow) {
+  const lower = messageText.toLowerCase().trim();
+  const data = workflow.data || {};
+  
+  if (!lower) {
+    await promptAnalysisPeriod(from, data.target?.name || "Whole account");
+    return;
+  }
+  
+  let days = null;
+  if (lower.includes("yesterday")) {
+    days = 1;
+  } else {
+    const numMatch = lower.match(/(\d+)/);
+    if (numMatch) days = parseInt(numMatch[1]);
+  }
+  if (!days || days < 1 || days > 90) {
+    await sendWhatsAppMessage(from, "⚠️ Please pick a period of 1 to 90 days, e.g. \"7\".");
+    return;
+  }
+  
+  setUserWorkflow(from, { ...workflow, step: 3, data: { ...data, days } });
+  await runPerformanceAnalysis(from);
+}
+
+// Analysis Step 3: follow-up actions
+async function handleAnalysisFollowUp(from, messageText, workflow) {
+  const lower = messageText.toLowerCase().trim();
+  
+  if (!lower) {
+    await promptAnalysisFollowUp(from);
+  } else if (lower.includes("period")) {
+    setUserWorkflow(from, { ...workflow, step: 2 });
+    await promptAnalysisPeriod(from, workflow.data.target?.name || "Whole account");
+  } else if (lower.includes("scope") || lower.includes("something else")) {
+    setUserWorkflow(from, { ...workflow, step: 1, data: { stage: "scope" } });
+    await promptAnalysisScope(from);
+  } else if (lower === "done" || lower === "no") {
+    clearWorkflow(from);
+    await sendWhatsAppMessage(from, "👍 Done. Say 'menu' anytime.");
+  } else if (lower.includes("refresh") || lower.includes("again")) {
+    await runPerformanceAnalysis(from);
+  } else {
+    await promptAnalysisFollowUp(from);
+  }
+}
+
+async function promptAnalysisFollowUp(from) {
+  await sendOptions(from, "What next?", [
+    { value: "period", title: "📅 Another period" },
+    { value: "scope", title: "🔍 Something else" },
+    { value: "done", title: "✅ Done" }
+  ], { fallbackText: `What next? Reply "period", "scope" or "done".` });
+}
+
+// Date range of `days` full days ending yesterday, shifted back by `offset` periods
+function analysisTimeRange(days, offset = 0, now = new Date()) {
+  const day = 24 * 60 * 60 * 1000;
+  const until = new Date(now.getTime() - (1 + offset * days) * day);
+  const since = new Date(until.getTime() - (days - 1) * day);
+  return { since: since.toISOString().slice(0, 10), until: until.toISOString().slice(0, 10) };
+}
+
+function emptyMetrics() {
+  return { spend: 0, impressions: 0, clicks: 0, purchases: 0, revenue: 0 };
+}
+
+function addInsightRow(metrics, row) {
+  metrics.spend += parseFloat(row.spend || 0);
+  metrics.impressions += parseInt(row.impressions || 0);
+  metrics.clicks += parseInt(row.clicks || 0);
+  const purchaseType = PURCHASE_ACTIONS.find(type => (row.actions || []).some(a => a.action_type === type));
+  if (purchaseType) {
+    metrics.purchases += parseFloat(row.actions.find(a => a.action_type === purchaseType).value || 0);
+    const value = (row.action_values || []).find(a => a.action_type === purchaseType);
+    metrics.revenue += parseFloat(value?.value || 0);
+  }
+  return metrics;
+}
+
+function deriveMetrics(m) {
+  return {
+    ...m,
+    ctr: m.impressions > 0 ? (m.clicks / m.impressions) * 100 : 0,
+    cpc: m.clicks > 0 ? m.spend / m.clicks : 0,
+    cpm: m.impressions > 0 ? (m.spend / m.impressions) * 1000 : 0,
+    cpa: m.purchases > 0 ? m.spend / m.purchases : 0,
+    roas: m.spend > 0 ? m.revenue / m.spend : 0
+  };
+}
+
+// Fetch insights for the target (or every ad account) and aggregate them,
+// keyed by breakdown value ("total" when there is no breakdown)
+async function fetchAnalysisInsights(target, timeRange, breakdowns = null) {
+  const ids = target.id
+    ? [target.id]
+    : ((await fb(`/me/adaccounts`, "GET", { fields: "id" })).data || []).map(a => a.id);
+  
+  const groups = {};
+  for (const id of ids) {
+    const params = {
+      time_range: JSON.stringify(timeRange),
+      fields: "spend,impressions,clicks,actions,action_values",
+      limit: 100
+    };
+    if (breakdowns) params.breakdowns = breakdowns;
+    
+    try {
+      // Breakdowns such as region can span several pages; every row counts towards the totals
+      let after = null;
+      do {
+        const page = await fb(`/${id}/insights`, "GET", after ? { ...params, after } : params);
+        for (const row of page.data || []) {
+          const key = breakdowns
+            ? breakdowns.split(",").map(b => row[b]).filter(Boolean).join(" ")
+            : "total";
+          groups[key] = addInsightRow(groups[key] || emptyMetrics(), row);
+        }
+        after = page.paging?.next ? page.paging.cursors?.after : null;
+      } while (after);
+    } catch (err) {
+      if (target.id) throw err;
+      continue; // Skip ad accounts we can't read
+    }
+  }
+  
+  const derived = {};
+  for (const [key, metrics] of Object.entries(groups)) {
+    derived[key] = deriveMetrics(metrics);
+  }
+  return derived;
+}
+
+function formatChange(current, previous) {
+  if (!previous) return current ? "new" : "—";
+  const change = ((current - previous) / previous) * 100;
+  return `${change >= 0 ? "+" : ""}${change.toFixed(0)}%`;
+}
+
+async function runPerformanceAnalysis(from) {
+  const workflow = getUserWorkflow(from);
+  const { target, days } = workflow.data;
+  const current = analysisTimeRange(days);
+  const previous = analysisTimeRange(days, 1);
+  
+  await sendWhatsAppMessage(from, `⏳ Analyzing ${target.name}: ${current.since} → ${current.until} vs ${previous.since} → ${previous.until}...`);
+  
+  let totals, breakdowns;
+  try {
+    const [currentTotals, previousTotals] = await Promise.all([
+      fetchAnalysisInsights(target, current),
+      fetchAnalysisInsights(target, previous)
+    ]);
+    totals = {
+      current: currentTotals.total || deriveMetrics(emptyMetrics()),
+      previous: previousTotals.total || deriveMetrics(emptyMetrics())
+    };
+    
+    breakdowns = {};
+    for (const breakdown of ANALYSIS_BREAKDOWNS) {
+      const [cur, prev] = await Promise.all([
+        fetchAnalysisInsights(target, current, breakdown.breakdowns),
+        fetchAnalysisInsights(target, previous, breakdown.breakdowns)
+      ]);
+      // Top segments by spend in the current period
+      breakdowns[breakdown.key] = Object.entries(cur)
+        .sort(([, a], [, b]) => b.spend - a.spend)
+        .slice(0, 5)
+        .map(([segment, metrics]) => ({ segment, current: metrics, previous: prev[segment] || null }));
+    }
+  } catch (err) {
+    console.error("[Analyze Workflow] Insights error:", err.message);
+    await sendWhatsAppMessage(from, `⚠️ Could not load insights: ${err.message}\n\nSay "period" to try another period or "done".`);
+    return;
+  }
+  
+  if (totals.current.impressions === 0 && totals.previous.impressions === 0) {
+    await sendWhatsAppMessage(from, `📊 No delivery for ${target.name} in either period.`);
+    await promptAnalysisFollowUp(from);
+    return;
+  }
+  
+  const { current: c, previous: p } = totals;
+  let msg = `📊 *${target.name}* — ${days === 1 ? "yesterday vs the day before" : `last ${days} days vs the ${days} days before`}\n\n`;
+  msg += `💰 Spend: $${c.spend.toFixed(2)} (${formatChange(c.spend, p.spend)})\n`;
+  msg += `👁️ Impressions: ${c.impressions.toLocaleString()} (${formatChange(c.impressions, p.impressions)})\n`;
+  msg += `🖱️ Clicks: ${c.clicks.toLocaleString()} (${formatChange(c.clicks, p.clicks)})\n`;
+  msg += `📈 CTR: ${c.ctr.toFixed(2)}% (${formatChange(c.ctr, p.ctr)})\n`;
+  msg += `💵 CPC: $${c.cpc.toFixed(2)} (${formatChange(c.cpc, p.cpc)})\n`;
+  msg += `📢 CPM: $${c.cpm.toFixed(2)} (${formatChange(c.cpm, p.cpm)})\n`;
+  if (c.purchases || p.purchases) {
+    msg += `🛒 Purchases: ${c.purchases} (${formatChange(c.purchases, p.purchases)})\n`;
+    msg += `🎯 CPA: $${c.cpa.toFixed(2)} (${formatChange(c.cpa, p.cpa)})\n`;
+    msg += `💎 ROAS: ${c.roas.toFixed(2)}x (${formatChange(c.roas, p.roas)})\n`;
+  }
+  
+  for (const breakdown of ANALYSIS_BREAKDOWNS) {
+    const rows = breakdowns[breakdown.key].slice(0, 3);
+    if (rows.length === 0) continue;
+    msg += `\n*${breakdown.label}* (top by spend)\n`;
+    rows.forEach(row => {
+      msg += `• ${row.segment}: $${row.current.spend.toFixed(2)} (${formatChange(row.current.spend, row.previous?.spend)}), CTR ${row.current.ctr.toFixed(2)}%\n`;
+    });
+  }
+  await sendWhatsAppMessage(from, msg.trim());
+  
+  // AI summary grounded in the numbers above
+  try {
+    const round = (m) => m && Object.fromEntries(Object.entries(m).map(([k, v]) => [k, Math.round(v * 100) / 100]));
+    const facts = {
+      target: target.name,
+      currentPeriod: current,
+      previousPeriod: previous,
+      totals: { current: round(c), previous: round(p) },
+      breakdowns: Object.fromEntries(Object.entries(breakdowns).map(([key, rows]) => [
+        key,
+        rows.map(row => ({ segment: row.segment, current: round(row.current), previous: round(row.previous) }))
+      ]))
+    };
+    
+    const completion = await openaiWithFallback({
+      model: "gpt-4o-mini",
+      messages: [
+        {
+          role: "system",
+          content: "You are a Meta Ads performance analyst. Using ONLY the numbers provided, explain what changed between the two periods and the most likely reasons, pointing to the breakdown segments that drove the change. Do not invent metrics or causes the data cannot support; say so when the data is inconclusive. End with 1-2 concrete recommendations. Plain text for WhatsApp, at most 5 short bullet points."
+        },
+        { role: "user", content: JSON.stringify(facts) }
+      ],
+      temperature: 0.3,
+      max_tokens: 400
+    });
+    
+    const summary = completion.choices[0]?.message?.content?.trim();
+    if (summary) {
+      await sendWhatsAppMessage(from, `🧠 *What changed*\n\n${summary}`);
+    }
+  } catch (err) {
+    console.error("[Analyze Workflow] Summary error:", err.message);
+    await sendWhatsAppMessage(from, "⚠️ Could not write the AI summary right now. The numbers above are up to date.");
+  }
+  
+  await promptAnalysisFollowUp(from);
+}
+
+// Editable price/stock fields (product or variation level)
+const PRODUCT_EDIT_FIELDS = {
+  price: { label: "💰 Price", prompt: "New regular price? e.g. \"29.90\"" },
+  sale: { label: "🏷️ Sale price", prompt: "New sale price? e.g. \"24.90\", or \"none\" to end the sale" },
+  schedule: { label: "📅 Sale schedule", prompt: "Sale dates? e.g. \"2026-11-01 to 2026-11-15\", or \"clear\" to remove the schedule" },
+  stock: { label: "📦 Stock", prompt: "New stock quantity? e.g. \"25\", or \"+5\" / \"-3\" to adjust" }
+};
+
+// Field named in a reply: the menu value itself, else the most specific word
+// ("sale price" is the sale price, "sale schedule" the schedule)
+function matchEditField(lower) {
+  if (lower in PRODUCT_EDIT_FIELDS) return lower;
+  return ["schedule", "sale", "stock", "price"].find(key => lower.includes(key)) || null;
+}
+
+// Manage products keeps a view stack like manage campaigns:
+// categories -> products -> product -> (variations -> variation) | images, plus edit views
+async function startManageProductsWorkflow(from) {
+  if (!await checkWorkflowPermission(from, "products:write")) return;
+  
+  setUserWorkflow(from, {
+    workflow: WORKFLOWS.MANAGE_PRODUCTS,
+    step: 1,
+    data: { views: [{ view: "categories" }] }
+  });
+  
+  await renderProductsView(from);
+}
+
+// Handle manage products workflow
+async function handleManageProductsWorkflow(from, messageText, workflow) {
+  let views = workflow.data?.views || [];
+  if (views.length === 0) {
+    await startManageProductsWorkflow(from);
+    return;
+  }
+  
+  // "back" lowers the step; drop the views above it
+  if (workflow.step < views.length) {
+    popWorkflowViews(from, Math.max(workflow.step, 1));
+    views = getUserWorkflow(from).data.views;
+  }
+  const view = views[views.length - 1];
+  
+  if (!messageText.trim()) {
+    await renderProductsView(from);
+    return;
+  }
+  
+  try {
+    switch (view.view) {
+      case "categories":
+        await handleCategoriesInput(from, messageText, view);
+        break;
+      case "products":
+        await handleProductListInput(from, messageText, view);
+        break;
+      case "product":
+        await handleProductInput(from, messageText, view);
+        break;
+      case "variations":
+        await handleVariationsInput(from, messageText, view);
+        break;
+      case "variation":
+        await handleVariationInput(from, messageText, view);
+        break;
+      case "images":
+        await handleImagesInput(from, messageText, view);
+        break;
+      case "edit":
+        await handleProductEditInput(from, messageText, view);
+        break;
+    }
+  } catch (err) {
+    console.error("[Manage Products] Error:", err.response?.data || err.message);
+    await sendWhatsAppMessage(from, `⚠️ ${err.response?.data?.message || err.message}\n\nSay "back" or "cancel".`);
+  }
+}
+
+async function renderProductsView(from) {
+  const workflow = getUserWorkflow(from);
+  const views = workflow?.data?.views || [];
+  const view = views[views.length - 1];
+  
+  try {
+    switch (view?.view) {
+      case "categories":
+        await renderCategories(from);
+        break;
+      case "products":
+        await renderProductList(from, view);
+        break;
+      case "product":
+        await renderProductDetail(from, view);
+        break;
+      case "variations":
+        await renderVariations(from, view);
+        break;
+      case "variation":
+        await renderVariationDetail(from, view);
+        break;
+      case "images":
+        await renderImages(from, view);
+        break;
+      case "edit":
+        await renderProductEdit(from, view);
+        break;
+      default:
+        await startManageProductsWorkflow(from);
+    }
+  } catch (err) {
+    console.error("[Manage Products] Error:", err.response?.data || err.message);
+    await sendWhatsAppMessage(from, `⚠️ ${err.response?.data?.message || err.message}\n\nSay "back" or "cancel".`);
+  }
+}
+
+function formatMoney(value) {
+  return value === "" || value === null || value === undefined ? "none" : `$${value}`;
+}
+
+function formatStock(item) {
+  if (item.manage_stock && item.stock_quantity !== null && item.stock_quantity !== undefined) {
+    return `${item.stock_quantity} in stock`;
+  }
+  return item.stock_status === "outofstock" ? "out of stock" : "in stock";
+}
+
+function formatSaleSchedule(item) {
+  const from = item.date_on_sale_from ? item.date_on_sale_from.slice(0, 10) : null;
+  const to = item.date_on_sale_to ? item.date_on_sale_to.slice(0, 10) : null;
+  if (!from && !to) return "none";
+  return `${from || "now"} → ${to || "no end"}`;
+}
+
+// Fields compared in diff previews
+function editSnapshot(item) {
+  return {
+    regular_price: item.regular_price ?? "",
+    sale_price: item.sale_price ?? "",
+    date_on_sale_from: item.date_on_sale_from ?? "",
+    date_on_sale_to: item.date_on_sale_to ?? "",
+    manage_stock: !!item.manage_stock,
+    stock_quantity: item.stock_quantity ?? null
+  };
+}
+
+// Categories (same WooCommerce source as GET /api/categories)
+async function renderCategories(from) {
+  const categories = await wooFetch("GET", "/products/categories?per_page=100");
+  const items = (Array.isArray(categories) ? categories : [])
+    .filter(cat => cat.count > 0)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 20)
+    .map(cat => ({ id: cat.id, name: cat.name, count: cat.count }));
+  updateWorkflowView(from, { items });
+  
+  const title = `📦 *MANAGE PRODUCTS*\n\nPick a category, or type a product name to jump to it.`;
+  if (items.length === 0) {
+    await sendWhatsAppMessage(from, `${title}\n\nNo categories with products found.`);
+    return;
+  }
+  
+  await sendOptions(from, title, items.map((cat, i) => ({
+    value: String(i + 1),
+    title: cat.name,
+    description: `${cat.count} product${cat.count === 1 ? "" : "s"}`
+  })), {
+    buttonText: "Categories",
+    asList: true,
+    fallbackText: `${title}\n\n${items.map((cat, i) => `${i + 1}. ${cat.name} (${cat.count})`).join("\n")}`
+  });
+}
+
+async function handleCategoriesInput(from, messageText, view) {
+  const numMatch = messageText.trim().match(/^(\d+)$/);
+  const category = numMatch ? (view.items || [])[parseInt(numMatch[1]) - 1] : null;
+  if (category) {
+    pushWorkflowView(from, { view: "products", categoryId: category.id, categoryName: category.name });
+    await renderProductsView(from);
+    return;
+  }
+  await openProductByName(from, messageText.trim());
+}
+
+async function openProductByName(from, query) {
+  const product = await findProductByName(query, true);
+  if (!product) {
+    await sendWhatsAppMessage(from, `❌ Product not found: "${query}"\n\nPick from the list or try a different name.`);
+    return;
+  }
+  pushWorkflowView(from, { view: "product", productId: product.id });
+  await renderProductsView(from);
+}
+
+async function renderProductList(from, view) {
+  const products = await wooFetch("GET", `/products?category=${view.categoryId}&per_page=20`);
+  const items = (products || []).map(p => ({
+    id: p.id,
+    name: p.name,
+    type: p.type,
+    price: p.price,
+    manage_stock: p.manage_stock,
+    stock_quantity: p.stock_quantity,
+    stock_status: p.stock_status
+  }));
+  updateWorkflowView(from, { items });
+  
+  const title = `📂 *${view.categoryName}*\n\nWhich product?`;
+  if (items.length === 0) {
+    await sendWhatsAppMessage(from, `${title}\n\nNo products in this category. Say "back" to pick another.`);
+    return;
+  }
+  
+  await sendOptions(from, title, items.map((p, i) => ({
+    value: String(i + 1),
+    title: p.name,
+    description: `${p.type === "variable" ? "Variable" : formatMoney(p.price)} • ${formatStock(p)}`
+  })), {
+    buttonText: "Products",
+    asList: true,
+    fallbackText: `${title}\n\n${items.map((p, i) => `${i + 1}. ${p.name} - ${p.type === "variable" ? "variable" : formatMoney(p.price)}, ${formatStock(p)}`).join("\n")}`
+  });
+}
+
+async function handleProductListInput(from, messageText, view) {
+  const query = messageText.trim();
+  const numMatch = query.match(/^(\d+)$/);
+  const product = numMatch
+    ? (view.items || [])[parseInt(numMatch[1]) - 1]
+    : (view.items || []).find(p => p.name.toLowerCase().includes(query.toLowerCase()));
+  if (product) {
+    pushWorkflowView(from, { view: "product", productId: product.id });
+    await renderProductsView(from);
+    return;
+  }
+  await openProductByName(from, query);
+}
+
+async function renderProductDetail(from, view) {
+  const product = await wooFetch("GET", `/products/${view.productId}`);
+  const isVariable = product.type === "variable";
+  updateWorkflowView(from, { name: product.name, type: product.type, snapshot: editSnapshot(product) });
+  
+  let msg = `📦 *${product.name}*${isVariable ? " (variable)" : ""}\n`;
+  if (isVariable) {
+    msg += `🔀 Variations: ${(product.variations || []).length}\n`;
+  } else {
+    msg += `💰 Price: ${formatMoney(product.regular_price)}\n`;
+    msg += `🏷️ Sale: ${formatMoney(product.sale_price)} (${formatSaleSchedule(product)})\n`;
+    msg += `📦 Stock: ${formatStock(product)}\n`;
+  }
+  msg += `🖼️ Images: ${(product.images || []).length}\n`;
+  msg += `Status: ${product.status}`;
+  
+  // Variable products keep price and stock on their variations
+  const options = isVariable
+    ? [{ value: "variations", title: "🔀 Variations", description: "Price, sale and stock per variation" }]
+    : Object.entries(PRODUCT_EDIT_FIELDS).map(([value, field]) => ({ value, title: field.label }));
+  options.push({ value: "images", title: "🖼️ Images", description: "Replace, reorder or add photos" });
+  
+  await sendOptions(from, `${msg}\n\nWhat would you like to change?`, options, {
+    buttonText: "Edit",
+    asList: true,
+    fallbackText: `${msg}\n\n${options.map(o => `• ${o.value}`).join("\n")}\n\nReply with an option, or "back".`
+  });
+}
+
+async function handleProductInput(from, messageText, view) {
+  const lower = messageText.toLowerCase().trim();
+  
+  if (lower.includes("variation")) {
+    pushWorkflowView(from, { view: "variations", productId: view.productId, productName: view.name });
+  } else if (lower.includes("image") || lower.includes("photo")) {
+    pushWorkflowView(from, { view: "images", productId: view.productId, productName: view.name });
+  } else {
+    const field = matchEditField(lower);
+    if (!field || view.type === "variable") {
+      await renderProductDetail(from, view);
+      return;
+    }
+    pushWorkflowView(from, {
+      view: "edit",
+      field,
+      stage: "input",
+      targets: [{ productId: view.productId, variationId: null, name: view.name, current: view.snapshot }]
+    });
+  }
+  await renderProductsView(from);
+}
+
+function variationLabel(variation) {
+  const label = (variation.attributes || []).map(a => a.option).filter(Boolean).join(" / ");
+  return label || `#${variation.id}`;
+}
+
+async function renderVariations(from, view) {
+  const variations = await wooFetch("GET", `/products/${view.productId}/variations?per_page=50`);
+  const items = (variations || []).map(v => ({
+    id: v.id,
+    label: variationLabel(v),
+    stock_status: v.stock_status,
+    ...editSnapshot(v)
+  }));
+  updateWorkflowView(from, { items });
+  
+  const title = `🔀 *${view.productName}* variations`;
+  if (items.length === 0) {
+    await sendWhatsAppMessage(from, `${title}\n\nThis product has no variations yet. Say "back" to return.`);
+    return;
+  }
+  
+  const hint = `Pick one, or reply with several numbers (e.g. "1,3" or "1-4") or "all" to edit them together.`;
+  await sendOptions(from, `${title}\n\n${hint}`, items.map((v, i) => ({
+    value: String(i + 1),
+    title: v.label,
+    description: `${formatMoney(v.sale_price || v.regular_price)} • ${formatStock(v)}`
+  })), {
+    buttonText: "Variations",
+    asList: true,
+    fallbackText: `${title}\n\n${items.map((v, i) => `${i + 1}. ${v.label} - ${formatMoney(v.regular_price)}${v.sale_price ? ` (sale ${formatMoney(v.sale_price)})` : ""}, ${formatStock(v)}`).join("\n")}\n\n${hint}`
+  });
+}
+
+async function handleVariationsInput(from, messageText, view) {
+  const items = view.items || [];
+  const selection = parseSelection(messageText, items.length);
+  if (!selection || selection.length === 0) {
+    await sendWhatsAppMessage(from, `⚠️ Please pick variations between 1 and ${items.length}, e.g. "2" or "1-3".`);
+    return;
+  }
+  pushWorkflowView(from, {
+    view: "variation",
+    productId: view.productId,
+    productName: view.productName,
+    variations: selection.map(i => items[i])
+  });
+  await renderProductsView(from);
+}
+
+async function renderVariationDetail(from, view) {
+  let msg;
+  if (view.variations.length === 1) {
+    const v = view.variations[0];
+    msg = `🔀 *${view.productName} – ${v.label}*\n`;
+    msg += `💰 Price: ${formatMoney(v.regular_price)}\n`;
+    msg += `🏷️ Sale: ${formatMoney(v.sale_price)} (${formatSaleSchedule(v)})\n`;
+    msg += `📦 Stock: ${formatStock(v)}`;
+  } else {
+    msg = `☑️ *${view.variations.length} variations of ${view.productName}:*\n`;
+    msg += view.variations.map(v => `• ${v.label} - ${formatMoney(v.regular_price)}, ${formatStock(v)}`).join("\n");
+  }
+  
+  const options = Object.entries(PRODUCT_EDIT_FIELDS).map(([value, field]) => ({ value, title: field.label }));
+  await sendOptions(from, `${msg}\n\nWhat would you like to change?`, options, {
+    buttonText: "Edit",
+    asList: true,
+    fallbackText: `${msg}\n\n${options.map(o => `• ${o.value}`).join("\n")}\n\nReply with an option, or "back".`
+  });
+}
+
+async function handleVariationInput(from, messageText, view) {
+  const lower = messageText.toLowerCase().trim();
+  const field = matchEditField(lower);
+  if (!field) {
+    await renderVariationDetail(from, view);
+    return;
+  }
+  pushWorkflowView(from, {
+    view: "edit",
+    field,
+    stage: "input",
+    targets: view.variations.map(v => ({
+      productId: view.productId,
+      variationId: v.id,
+      name: `${view.productName} – ${v.label}`,
+      current: editSnapshot(v)
+    }))
+  });
+  await renderProductsView(from);
+}
+
+// Work out the changes for each target from the reply; returns an error string when invalid
+function buildProductEdits(field, text, targets) {
+  const lower = text.toLowerCase().trim();
+  
+  if (field === "price") {
+    const price = parsePrice(text);
+    if (!price || parseFloat(price) === 0) return { error: "Please enter a price above 0, e.g. \"29.90\"." };
+    return { edits: targets.map(target => ({ target, changes: { regular_price: price } })) };
+  }
+  
+  if (field === "sale") {
+    if (["none", "remove", "clear", "no sale", "end"].includes(lower)) {
+      return { edits: targets.map(target => ({ target, changes: { sale_price: "", date_on_sale_from: "", date_on_sale_to: "" } })) };
+    }
+    const price = parsePrice(text);
+    if (!price) return { error: "Please enter a sale price, e.g. \"24.90\", or \"none\"." };
+    const tooHigh = targets.find(t => t.current.regular_price && parseFloat(price) >= parseFloat(t.current.regular_price));
+    if (tooHigh) return { error: `The sale price must be below the regular price (${formatMoney(tooHigh.current.regular_price)} for ${tooHigh.name}).` };
+    return { edits: targets.map(target => ({ target, changes: { sale_price: price } })) };
+  }
+  
+  if (field === "schedule") {
+    if (["clear", "none", "remove"].includes(lower)) {
+      return { edits: targets.map(target => ({ target, changes: { date_on_sale_from: "", date_on_sale_to: "" } })) };
+    }
+    const dates = text.match(/\d{4}-\d{2}-\d{2}/g) || [];
+    if (dates.length === 0 || dates.length > 2) {
+      return { error: "Please use dates like \"2026-11-01 to 2026-11-15\" (or \"until 2026-11-15\")." };
+    }
+    const untilOnly = dates.length === 1 && lower.includes("until");
+    const saleFrom = untilOnly ? "" : dates[0];
+    const saleTo = dates.length === 2 ? dates[1] : untilOnly ? dates[0] : "";
+    if (saleFrom && saleTo && saleFrom > saleTo) return { error: "The start date must be before the end date." };
+    return {
+      edits: targets.map(target => ({
+        target,
+        changes: {
+          date_on_sale_from: saleFrom ? `${saleFrom}T00:00:00` : "",
+          date_on_sale_to: saleTo ? `${saleTo}T23:59:59` : ""
+        }
+      }))
+    };
+  }
+  
+  // Stock: absolute ("25") or relative ("+5", "-3")
+  const match = lower.match(/^([+-])?\s*(\d+)$/);
+  if (!match) return { error: "Please enter a quantity like \"25\", \"+5\" or \"-3\"." };
+  const amount = parseInt(match[2]);
+  return {
+    edits: targets.map(target => {
+      const base = target.current.stock_quantity || 0;
+      const quantity = match[1] === "+" ? base + amount : match[1] === "-" ? Math.max(0, base - amount) : amount;
+      return { target, changes: { manage_stock: true, stock_quantity: quantity } };
+    })
+  };
+}
+
+const EDIT_FIELD_LABELS = {
+  regular_price: "Price",
+  sale_price: "Sale price",
+  date_on_sale_from: "Sale starts",
+  date_on_sale_to: "Sale ends",
+  stock_quantity: "Stock"
+};
+
+function formatEditValue(key, value) {
+  if (key === "regular_price" || key === "sale_price") return formatMoney(value);
+  if (key.startsWith("date_on_sale")) return value ? value.slice(0, 10) : "none";
+  return value === null || value === undefined ? "not tracked" : String(value);
+}
+
+async function renderProductEdit(from, view) {
+  if (view.stage === "input") {
+    const names = view.targets.length === 1 ? view.targets[0].name : `${view.targets.length} variations`;
+    await sendWhatsAppMessage(from, `✏️ *${names}*\n\n${PRODUCT_EDIT_FIELDS[view.field].prompt}`);
+    return;
+  }
+  
+  // Diff preview
+  let msg = `📝 *Review changes*\n`;
+  for (const { target, changes } of view.edits) {
+    msg += `\n*${target.name}*\n`;
+    let changed = false;
+    for (const [key, value] of Object.entries(changes)) {
+      if (!EDIT_FIELD_LABELS[key]) continue;
+      const before = target.current[key];
+      if (String(before ?? "") === String(value ?? "")) continue;
+      msg += `• ${EDIT_FIELD_LABELS[key]}: ${formatEditValue(key, before)} → ${formatEditValue(key, value)}\n`;
+      changed = true;
+    }
+    if (!changed) msg += `• No change\n`;
+  }
+  if (view.field === "schedule" && view.edits.some(e => !e.target.current.sale_price)) {
+    msg += `\n⚠️ The schedule only applies once a sale price is set.\n`;
+  }
+  
+  await sendOptions(from, `${msg}\nSave these changes?`, [
+    { value: "yes", title: "✅ Save" },
+    { value: "no", title: "❌ Discard" }
+  ], { fallbackText: `${msg}\nReply YES to save or NO to discard.` });
+}
+
+async function handleProductEditInput(from, messageText, view) {
+  const lower = messageText.toLowerCase().trim();
+  
+  if (view.stage === "input") {
+    const { edits, error } = buildProductEdits(view.field, messageText, view.targets);
+    if (error) {
+      await sendWhatsAppMessage(from, `⚠️ ${error}`);
+      return;
+    }
+    const updated = updateWorkflowView(from, { stage: "confirm", edits });
+    await renderProductEdit(from, updated);
+    return;
+  }
+  
+  if (lower === "no" || lower === "n" || lower === "discard") {
+    await sendWhatsAppMessage(from, "❌ Changes discarded.");
+    popWorkflowViews(from, getUserWorkflow(from).data.views.length - 1);
+    await renderProductsView(from);
+    return;
+  }
+  if (!(lower === "yes" || lower === "y" || lower === "save")) {
+    await renderProductEdit(from, view);
+    return;
+  }
+  
+  await saveProductEdits(from, view.edits);
+  invalidateProductCache(view.edits.map(e => e.target.productId));
+  console.log(`[Manage Products] ${from} updated ${view.field} on ${view.edits.map(e => e.target.variationId || e.target.productId).join(", ")}`);
+  await sendWhatsAppMessage(from, `✅ Saved ${view.edits.length === 1 ? view.edits[0].target.name : `${view.edits.length} variations`}.`);
+  
+  // Back to the product or variation list so fresh values are shown
+  const views = getUserWorkflow(from).data.views;
+  let depth = views.length - 1;
+  while (depth > 1 && !["product", "variations"].includes(views[depth - 1].view)) depth--;
+  popWorkflowViews(from, depth);
+  await renderProductsView(from);
+}
+
+// Variations of one product are saved with a single batch request
+async function saveProductEdits(from, edits) {
+  const variationEdits = edits.filter(e => e.target.variationId);
+  const productEdits = edits.filter(e => !e.target.variationId);
+  
+  for (const { target, changes } of productEdits) {
+    await wooFetch("PUT", `/products/${target.productId}`, changes);
+  }
+  if (variationEdits.length === 1) {
+    const { target, changes } = variationEdits[0];
+    await wooFetch("PUT", `/products/${target.productId}/variations/${target.variationId}`, changes);
+  } else if (variationEdits.length > 1) {
+    const productId = variationEdits[0].target.productId;
+    await wooFetch("POST", `/products/${productId}/variations/batch`, {
+      update: variationEdits.map(({ target, changes }) => ({ id: target.variationId, ...changes }))
+    });
+  }
+  
+  const batchId = edits.length > 1 ? crypto.randomUUID() : undefined;
+  for (const { target, changes } of edits) {
+    const auditTarget = target.variationId
+      ? { type: "variation", id: target.variationId, parentId: target.productId, name: target.name }
+      : { type: "product", id: target.productId, name: target.name };
+    recordChange(phoneActor(from), `${auditTarget.type}.update`, auditTarget, target.current, changes, { batchId });
+  }
+}
+
+function imageName(image) {
+  return image.name || (image.src || "").split("/").pop() || `#${image.id}`;
+}
+
+async function renderImages(from, view) {
+  if (view.stage === "awaiting-image") {
+    await sendWhatsAppMessage(from, `📷 Send the new photo now${view.slot ? ` to replace image ${view.slot}` : ""}, or paste an image URL.`);
+    return;
+  }
+  if (view.stage === "confirm") {
+    await renderImagesConfirm(from, view);
+    return;
+  }
+  
+  const product = await wooFetch("GET", `/products/${view.productId}`);
+  const images = (product.images || []).map(img => ({ id: img.id, src: img.src, name: img.name }));
+  updateWorkflowView(from, { images, stage: null });
+  
+  let msg = `🖼️ *${view.productName}* gallery (1 = main image)\n\n`;
+  msg += images.length > 0 ? images.map((img, i) => `${i + 1}. ${imageName(img)}`).join("\n") : "No images yet.";
+  msg += `\n\nReply:\n`;
+  msg += `• "order 3,1,2" to reorder\n`;
+  msg += `• "main 3" to make image 3 the main image\n`;
+  msg += `• "replace 2" or "add", then send the photo\n`;
+  msg += `• "remove 2"`;
+  
+  await sendWhatsAppMessage(from, msg);
+}
+
+async function handleImagesInput(from, messageText, view) {
+  const lower = messageText.toLowerCase().trim();
+  const images = view.images || [];
+  
+  if (view.stage === "awaiting-image") {
+    if (!/^https?:\/\/\S+$/i.test(messageText.trim())) {
+      await sendWhatsAppMessage(from, "📷 Send the photo as an image, paste an image URL, or say \"back\".");
+      return;
+    }
+    const src = messageText.trim();
+    await proposeImages(from, view, placeNewImage(images, view.slot, { src, name: src.split("/").pop() }));
+    return;
+  }
+  if (view.stage === "confirm") {
+    await handleImagesConfirm(from, lower, view);
+    return;
+  }
+  
+  const numbers = (lower.match(/\d+/g) || []).map(n => parseInt(n));
+  const outOfRange = numbers.some(n => n < 1 || n > images.length);
+  
+  if (lower.startsWith("add")) {
+    updateWorkflowView(from, { stage: "awaiting-image", slot: null });
+  } else if (lower.startsWith("replace")) {
+    if (numbers.length !== 1 || outOfRange) {
+      await sendWhatsAppMessage(from, `⚠️ Which image? e.g. "replace 2" (1-${images.length}).`);
+      return;
+    }
+    updateWorkflowView(from, { stage: "awaiting-image", slot: numbers[0] });
+  } else if (lower.startsWith("order")) {
+    const isPermutation = numbers.length === images.length && new Set(numbers).size === images.length && !outOfRange;
+    if (!isPermutation) {
+      await sendWhatsAppMessage(from, `⚠️ List every image once in the new order, e.g. "order ${images.map((_, i) => images.length - i).join(",")}".`);
+      return;
+    }
+    await proposeImages(from, view, numbers.map(n => images[n - 1]));
+    return;
+  } else if (lower.startsWith("main")) {
+    if (numbers.length !== 1 || outOfRange) {
+      await sendWhatsAppMessage(from, `⚠️ Which image? e.g. "main 2" (1-${images.length}).`);
+      return;
+    }
+    const index = numbers[0] - 1;
+    await proposeImages(from, view, [images[index], ...images.filter((_, i) => i !== index)]);
+    return;
+  } else if (lower.startsWith("remove") || lower.startsWith("delete")) {
+    if (numbers.length === 0 || outOfRange) {
+      await sendWhatsAppMessage(from, `⚠️ Which image? e.g. "remove 2" (1-${images.length}).`);
+      return;
+    }
+    await proposeImages(from, view, images.filter((_, i) => !numbers.includes(i + 1)));
+    return;
+  } else {
+    await renderImages(from, view);
+    return;
+  }
+  await renderProductsView(from);
+}
+
+// Put a new image in the given slot (1-based), or append it when slot is null
+function placeNewImage(images, slot, image) {
+  if (!slot) return [...images, image];
+  return images.map((img, i) => (i === slot - 1 ? image : img));
+}
+
+async function proposeImages(from, view, proposed) {
+  const updated = updateWorkflowView(from, { stage: "confirm", proposed });
+  await renderImagesConfirm(from, updated);
+}
+
+async function renderImagesConfirm(from, view) {
+  const list = (images) => images.length > 0 ? images.map((img, i) => `${i + 1}. ${imageName(img)}${img.id ? "" : " 🆕"}`).join("\n") : "(no images)";
+  const msg = `📝 *Review gallery changes*\n\n*Before:*\n${list(view.images || [])}\n\n*After:*\n${list(view.proposed)}`;
+  
+  await sendOptions(from, `${msg}\n\nSave these changes?`, [
+    { value: "yes", title: "✅ Save" },
+    { value: "no", title: "❌ Discard" }
+  ], { fallbackText: `${msg}\n\nReply YES to save or NO to discard.` });
+}
+
+async function handleImagesConfirm(from, lower, view) {
+  if (lower === "no" || lower === "n" || lower === "discard") {
+    await sendWhatsAppMessage(from, "❌ Changes discarded.");
+  } else if (lower === "yes" || lower === "y" || lower === "save") {
+    // WooCommerce replaces the whole gallery; existing images are kept by ID
+    const images = view.proposed.map(img => (img.id || img.mediaId ? { id: img.id || img.mediaId } : { src: img.src }));
+    await wooFetch("PUT", `/products/${view.productId}`, { images });
+    recordChange(phoneActor(from), "product.images", { type: "product", id: view.productId, name: view.productName },
+      { images: (view.images || []).map(img => ({ id: img.id })) }, { images });
+    invalidateProductCache(view.productId);
+    console.log(`[Manage Products] ${from} updated gallery of product ${view.productId}`);
+    await sendWhatsAppMessage(from, "✅ Gallery saved.");
+  } else {
+    await renderImagesConfirm(from, view);
+    return;
+  }
+  updateWorkflowView(from, { stage: null, proposed: null, slot: null });
+  await renderProductsView(from);
+}
+
+/**
+ * Use an incoming WhatsApp photo for a pending gallery replace/add in the
+ * manage products workflow.
+ * @param {string} from - Sender phone number
+ * @param {object} image - Image object from the webhook message
+ * @returns {Promise<boolean>} - True if the workflow consumed the image
+ */
+export async function handleWorkflowImage(from, image) {
+  const workflow = getUserWorkflow(from);
+  const view = workflow?.data?.views?.[workflow.data.views.length - 1];
+  if (workflow?.workflow !== WORKFLOWS.MANAGE_PRODUCTS || view?.view !== "images" || view.stage !== "awaiting-image") {
+    return false;
+  }
+  
+  try {
+    await sendWhatsAppMessage(from, "⬆️ Uploading photo...");
+    const { buffer, mimeType } = await downloadWhatsAppMedia(image.id);
+    const extension = mimeType.includes("png") ? "png" : mimeType.includes("webp") ? "webp" : "jpg";
+    const slug = view.productName.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+    const media = await uploadToWordPressMedia(buffer, mimeType, `${slug || "product"}-${Date.now()}.${extension}`);
+    
+    // Uploaded media has an attachment ID, but is only attached to the product on save
+    const newImage = { src: media.url, name: media.url.split("/").pop(), mediaId: media.id };
+    await proposeImages(from, view, placeNewImage(view.images || [], view.slot, newImage));
+  } catch (err) {
+    console.error("[Manage Products] Photo upload error:", err.response?.data || err.message);
+    await sendWhatsAppMessage(from, `❌ Couldn't upload the photo: ${err.response?.data?.message || err.message}`);
+  }
+  return true;
 }
 
 // Show quick actions